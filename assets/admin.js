@@ -6,14 +6,196 @@
 (function($) {
     'use strict';
 
-    // Progress polling state
-    let progressInterval = null;
+    // Progress state: syncInProgress is true while this page drives a batch chain
     let syncInProgress = false;
 
+    // Background progress watch for runs started elsewhere (cron, other tabs, forms)
+    const WATCH_IDLE_MS = 10000;
+    const WATCH_ACTIVE_MS = 2000;
+    const WATCH_STALE_SECONDS = 120;
+    const progressWatch = {
+        timer: null,
+        sessionKey: null,
+        lastEvent: null,
+        ownSessionId: null
+    };
+
+    // Sync console (elapsed, throughput, ETA, counters and event log)
+    const CONSOLE_MAX_LINES = 500;
+    const SYNC_TYPE_LABELS = {
+        stock: 'Stock & prices sync',
+        catalog: 'Catalog sync',
+        coupons: 'Coupons sync',
+        csv_import: 'CSV import'
+    };
+    const SYNC_SOURCE_LABELS = {
+        local: 'Started from this page',
+        cron: 'Started by WP-Cron',
+        ajax: 'Running in another browser tab',
+        api: 'Started through the REST API',
+        admin: 'Started from a settings form'
+    };
+    const syncConsole = {
+        startedAt: 0,
+        current: 0,
+        total: 0,
+        timer: null
+    };
+
     // Batch processing configuration
     const BATCH_SIZE = 50;
     const MAX_RETRIES = 5;
-    const RETRY_DELAY_MS = 5000;
+    const RETRY_BASE_DELAY_MS = 2000;
+    const RETRY_MAX_DELAY_MS = 60000;
+
+    // Adaptive batch size: aim for process steps well inside the 60s request timeout
+    const BATCH_TARGET_MS = 15000;
+    const batchBounds = $.extend({ min: 10, max: 200 }, erpSyncAdmin.batchSize);
+    let batchSize = Math.min(batchBounds.max, Math.max(batchBounds.min, BATCH_SIZE));
+
+    // localStorage key for the in-flight batch sync (survives reloads)
+    const PENDING_SYNC_KEY = 'erp_sync_pending_session';
+
+    // Dry-run preview: proposed changes collected across batches
+    const PREVIEW_MAX_ROWS = 500;
+    let previewChanges = [];
+    let previewType = null;
+
+    // Per-item failures reported by the batches of the last run
+    let failedItems = [];
+
+    // CSV import: file parsed in the browser, mapped and validated before upload
+    const CSV_PREVIEW_ROWS = 10;
+    const CSV_MAX_WARNINGS = 200;
+    const CSV_PHONE_MIN_DIGITS = 7;
+    const CSV_PHONE_MAX_DIGITS = 15;
+    const CSV_STOCK_PREFIX = 'stock:';
+    const CSV_IMPORT_TYPES = {
+        coupons: {
+            noun: 'coupon',
+            fields: [
+                { key: 'code', label: 'Code', required: true, aliases: ['code', 'card', 'card number', 'card_number', 'cardcode', 'coupon'] },
+                { key: 'phone', label: 'Phone', required: true, aliases: ['phone', 'mobile', 'tel', 'telephone', 'phone number'] },
+                { key: 'discount', label: 'Discount', required: true, aliases: ['discount', 'percent', 'percentage', 'pct', '%'] },
+                { key: 'dob', label: 'Date of birth', aliases: ['dob', 'birthday', 'date of birth', 'birth_date'] },
+                { key: 'is_deleted', label: 'Deleted', aliases: ['is_deleted', 'deleted'] },
+                { key: 'allowed_phones', label: 'Allowed phones', aliases: ['allowed_phones', 'allowed phones', 'phones'] },
+                { key: 'expiry_date', label: 'Expiry date', aliases: ['expiry_date', 'expiry', 'expires', 'date_expires'] }
+            ]
+        },
+        products: {
+            noun: 'product',
+            fields: [
+                { key: 'sku', label: 'SKU', required: true, aliases: ['sku', 'vendorcode', 'vendor code', 'vendor_code', 'article'] },
+                { key: 'price', label: 'Price', aliases: ['price', 'regular_price', 'regular price'] },
+                { key: 'sale_price', label: 'Sale price', aliases: ['sale_price', 'sale price', 'salesprice'] }
+            ]
+        }
+    };
+    let csvPrepared = null;
+    let csvImportType = 'coupons';
+
+    // Coupon list spreadsheet editor: unsaved cells and the last save (for undo)
+    const quickEdit = {
+        dirty: {},
+        lastSaved: [],
+        saving: false
+    };
+
+    // Bulk "Sync selected from ERP" queue on the products / coupons lists
+    const BULK_CONCURRENCY = 2;
+    const BULK_THROTTLE_MS = 300;
+    let bulkSyncRunning = false;
+
+    // Product Logs viewer: current page and sort, and the request in flight
+    const LOGS_PER_PAGE = 20;
+    const LOGS_SEARCH_DELAY_MS = 400;
+    const logsViewer = {
+        page: 1,
+        orderby: 'created_at',
+        order: 'DESC',
+        request: null
+    };
+
+    // Dashboard tab: a run is unusual when it changed HISTORY_UNUSUAL_FACTOR times
+    // the median of the previous completed runs of its type
+    const HISTORY_BASELINE_RUNS = 10;
+    const HISTORY_BASELINE_MIN_RUNS = 3;
+    const HISTORY_UNUSUAL_FACTOR = 3;
+    const HISTORY_UNUSUAL_MIN_CHANGED = 50;
+    const syncHistory = {
+        loaded: false
+    };
+
+    // Branch editor: unsaved changes and the product shown in the live preview
+    const BRANCH_SEARCH_DELAY_MS = 300;
+    const branchEditor = {
+        dirty: false,
+        saving: false,
+        product: null,
+        request: null
+    };
+
+    // Attribute mapping builder: fields, targets and samples from erp_sync_attribute_fields
+    const attributeMapping = {
+        data: null
+    };
+
+    // Diagnostics SOAP workbench: last run and the capture before it
+    const WORKBENCH_TREE_OPEN_DEPTH = 2;
+    const WORKBENCH_DIFF_MAX_CELLS = 4000000;
+    const WORKBENCH_DIFF_CONTEXT = 3;
+    const soapWorkbench = {
+        capture: null,
+        previous: null
+    };
+
+    // Webhooks tab delivery log
+    const WEBHOOK_DELIVERIES_PER_PAGE = 20;
+    const webhookDeliveries = {
+        loaded: false,
+        page: 1
+    };
+
+    // Security tab: dashboard data and the labels of the logged security events
+    const SECURITY_EVENT_LABELS = {
+        rate_limited: 'Rate limit exceeded',
+        ip_denied: 'IP denied',
+        secret_missing: 'Webhook secret missing',
+        secret_invalid: 'Invalid webhook secret'
+    };
+    const SECURITY_IP_STATUS_LABELS = {
+        blocked: 'Blocked',
+        allowed: 'Whitelisted',
+        denied: 'Not whitelisted',
+        '': 'No rule'
+    };
+    const securityDashboard = {
+        loaded: false,
+        data: null
+    };
+
+    // Loyalty Cards page: in-flight lookup requests and the loaded birthdays list
+    const CARD_SEARCH_MIN_LENGTH = 2;
+    const CARD_DISCOUNT_REASON_LABELS = {
+        birthday: 'Birthday',
+        deleted: 'Deleted',
+        base: ''
+    };
+    const cardLookup = {
+        searchRequest: null,
+        detailRequest: null,
+        birthdays: null
+    };
+
+    // Pause / Cancel state for the running batch chain
+    const syncControl = {
+        paused: false,
+        cancelRequested: false,
+        heldStep: null,
+        heldAbort: null,
+        lastProgress: { current: 0, total: 0 }
+    };
 
     // Tab Navigation
     function initTabs() {
@@ -41,62 +223,220 @@
         }
     }
 
-    // Start Progress Bar Polling
-    function startProgressPolling() {
-        if (progressInterval) {
-            return; // Already polling
+    // Server progress watcher: follows runs this page did not start itself
+    // (WP-Cron, another tab, legacy form posts). While this page drives a
+    // batch chain, runSyncStep is the only progress source and polling pauses.
+    function scheduleProgressWatch(delay) {
+        if (!$('#erp-sync-progress-container').length) {
+            return;
         }
         
-        $('#erp-sync-progress-container').show();
-        $('.erp-sync-progress-fill').css('width', '0%');
-        $('.erp-sync-progress-text').text('Initializing...');
+        clearTimeout(progressWatch.timer);
+        progressWatch.timer = setTimeout(checkProgress, delay);
+    }
+
+    // Check Progress via the REST API
+    function checkProgress() {
+        if (syncInProgress || document.hidden) {
+            scheduleProgressWatch(WATCH_IDLE_MS);
+            return;
+        }
         
-        progressInterval = setInterval(checkProgress, 1000);
+        restRequest('GET', 'progress', null, {
+            success: function(data) {
+                let delay = WATCH_IDLE_MS;
+                
+                // A chain started while the request was in flight owns the UI now
+                if (data && !syncInProgress) {
+                    delay = handleServerProgress(data);
+                }
+                
+                scheduleProgressWatch(delay);
+            },
+            error: function() {
+                scheduleProgressWatch(WATCH_IDLE_MS);
+            }
+        });
     }
 
-    // Stop Progress Bar Polling
-    function stopProgressPolling() {
-        if (progressInterval) {
-            clearInterval(progressInterval);
-            progressInterval = null;
+    /**
+     * Mirror a run reported by the server into the progress bar and console
+     *
+     * @param {object} data - GET progress payload
+     * @returns {number} Delay before the next check
+     */
+    function handleServerProgress(data) {
+        const live = data.status !== 'idle' && data.session_id !== progressWatch.ownSessionId &&
+            (data.age || 0) < WATCH_STALE_SECONDS;
+        
+        if (live) {
+            const key = data.session_id || (data.type + '_' + data.started_at);
+            if (key !== progressWatch.sessionKey) {
+                progressWatch.sessionKey = key;
+                progressWatch.lastEvent = null;
+                consoleStart(SYNC_TYPE_LABELS[data.type] || 'Sync', data.source, (data.started_at || 0) * 1000);
+            }
+            
+            $('#erp-sync-progress-container').show();
+            $('.erp-sync-progress-fill').css('width', data.progress + '%');
+            $('.erp-sync-progress-text').text(data.status + ' (' + data.progress + '%)');
+            consoleUpdate(data.current || 0, data.total || 0, data.counters);
+            appendServerEvents(data.events || []);
+            return WATCH_ACTIVE_MS;
         }
-        syncInProgress = false;
+        
+        if (progressWatch.sessionKey) {
+            // The observed run has ended - show its final state
+            const last = data.last || {};
+            appendServerEvents(last.events || []);
+            consoleUpdate(last.current || 0, last.total || 0, last.counters);
+            consoleFinish('Finished: ' + (formatSyncStats(last.counters || {}) || 'no changes'), 'success');
+            progressWatch.sessionKey = null;
+            $('#erp-sync-progress-container').fadeOut();
+        }
+        
+        return WATCH_IDLE_MS;
     }
 
-    // Check Progress via AJAX
-    function checkProgress() {
-        $.ajax({
-            url: erpSyncAdmin.ajaxurl,
-            type: 'POST',
-            data: {
-                action: 'erp_sync_sync_progress',
-                nonce: erpSyncAdmin.nonce
-            },
-            success: function(response) {
-                if (response.success && response.data) {
-                    const data = response.data;
-                    
-                    if (data.status !== 'idle' && data.progress > 0) {
-                        $('#erp-sync-progress-container').show();
-                        $('.erp-sync-progress-fill').css('width', data.progress + '%');
-                        $('.erp-sync-progress-text').text(data.status + ' (' + data.progress + '%)');
-                    } else if (!syncInProgress) {
-                        // Only hide if no sync is in progress (AJAX might complete before progress updates)
-                        $('#erp-sync-progress-container').fadeOut();
-                        stopProgressPolling();
-                    }
-                }
+    /**
+     * Append server events newer than the last one already shown
+     *
+     * @param {Array} events - [{time, message}] from the progress transient
+     */
+    function appendServerEvents(events) {
+        let start = 0;
+        events.forEach(function(event, i) {
+            if (event.time + '|' + event.message === progressWatch.lastEvent) {
+                start = i + 1;
             }
         });
+        
+        events.slice(start).forEach(function(event) {
+            consoleLog(event.message, '', event.time * 1000);
+            progressWatch.lastEvent = event.time + '|' + event.message;
+        });
     }
 
     // Progress Bar Polling for legacy form submissions
     function initProgressPolling() {
-        // Start polling when traditional sync form buttons are clicked (coupons sync)
+        // Follow the run started by traditional sync form buttons (coupons sync) more closely
         $('.erp-sync-action-buttons form').on('submit', function() {
-            syncInProgress = true;
-            startProgressPolling();
+            scheduleProgressWatch(WATCH_ACTIVE_MS);
         });
+        
+        $('#erp-sync-console-clear').on('click', function(e) {
+            e.preventDefault();
+            $('#erp-sync-console .erp-sync-console-log').empty();
+        });
+        
+        scheduleProgressWatch(0);
+    }
+
+    /**
+     * Start a new run in the sync console
+     *
+     * @param {string} label - What is being synced
+     * @param {string} source - 'local', 'cron', 'ajax' or 'admin'
+     * @param {number} startedAt - Start time in ms (defaults to now)
+     */
+    function consoleStart(label, source, startedAt) {
+        const $console = $('#erp-sync-console');
+        
+        syncConsole.startedAt = startedAt || Date.now();
+        syncConsole.current = 0;
+        syncConsole.total = 0;
+        
+        $console.find('.erp-sync-console-title').text(label);
+        $console.find('.erp-sync-console-source').text(SYNC_SOURCE_LABELS[source] || '');
+        $console.find('[data-stat]').text('0');
+        $console.find('[data-stat="rate"], [data-stat="eta"]').text('—');
+        $console.show();
+        
+        consoleLog(label + ' started', '', syncConsole.startedAt);
+        
+        clearInterval(syncConsole.timer);
+        syncConsole.timer = setInterval(renderConsoleTimes, 1000);
+        renderConsoleTimes();
+    }
+
+    /**
+     * Update console position and counters
+     *
+     * @param {number} current - Items processed
+     * @param {number} total - Total items
+     * @param {object} [counters] - created/updated/skipped/errors totals
+     */
+    function consoleUpdate(current, total, counters) {
+        syncConsole.current = current;
+        syncConsole.total = total;
+        
+        if (counters) {
+            const $console = $('#erp-sync-console');
+            ['created', 'updated', 'skipped', 'errors'].forEach(function(key) {
+                $console.find('[data-stat="' + key + '"]').text((counters[key] || 0).toLocaleString());
+            });
+        }
+        
+        renderConsoleTimes();
+    }
+
+    /**
+     * Append a line to the console event log
+     *
+     * @param {string} message - Log text
+     * @param {string} [level] - '', 'warning', 'error' or 'success'
+     * @param {number} [time] - Event time in ms (defaults to now)
+     */
+    function consoleLog(message, level, time) {
+        const $log = $('#erp-sync-console .erp-sync-console-log');
+        const stamp = new Date(time || Date.now()).toLocaleTimeString();
+        
+        $('<li></li>')
+            .addClass(level ? 'is-' + level : '')
+            .text('[' + stamp + '] ' + message)
+            .appendTo($log);
+        
+        // Keep the log bounded on very long runs
+        $log.children().slice(0, -CONSOLE_MAX_LINES).remove();
+        $log.scrollTop($log[0] ? $log[0].scrollHeight : 0);
+    }
+
+    /**
+     * Log the outcome and stop the elapsed/ETA timer
+     */
+    function consoleFinish(message, level) {
+        clearInterval(syncConsole.timer);
+        syncConsole.timer = null;
+        renderConsoleTimes();
+        $('#erp-sync-console [data-stat="eta"]').text('—');
+        consoleLog(message, level);
+    }
+
+    // Elapsed time, throughput and ETA from the last known position
+    function renderConsoleTimes() {
+        const $console = $('#erp-sync-console');
+        const elapsedSec = Math.max(0, (Date.now() - syncConsole.startedAt) / 1000);
+        const rate = elapsedSec > 0 ? syncConsole.current / elapsedSec : 0;
+        
+        $console.find('[data-stat="elapsed"]').text(formatDuration(elapsedSec));
+        $console.find('[data-stat="rate"]').text(rate > 0 ? rate.toFixed(1) : '—');
+        $console.find('[data-stat="eta"]').text(
+            rate > 0 && syncConsole.total > syncConsole.current
+                ? formatDuration((syncConsole.total - syncConsole.current) / rate)
+                : '—'
+        );
+    }
+
+    /**
+     * Format seconds as m:ss or h:mm:ss
+     */
+    function formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = total % 60;
+        const pad = function(n) { return (n < 10 ? '0' : '') + n; };
+        return h > 0 ? h + ':' + pad(m) + ':' + pad(s) : m + ':' + pad(s);
     }
 
     // AJAX Sync Buttons Handler with Batch Processing
@@ -105,7 +445,7 @@
             e.preventDefault();
             
             const $button = $(this);
-            const action = $button.data('action');
+            const syncType = $button.data('sync-type');
             const originalText = $button.text();
             
             // Prevent double-clicks
@@ -113,23 +453,27 @@
                 return;
             }
             
-            // Store original width to prevent layout jump
-            const originalWidth = $button.outerWidth();
-            $button.css('min-width', originalWidth + 'px');
+            failedItems = [];
+            $('#erp-sync-failures-container').hide();
             
-            // Disable button and show loading state
-            $button.prop('disabled', true).addClass('updating-message');
-            $button.html(originalText + ' <span class="erp-sync-loading"></span>');
+            if ($button.data('dry-run')) {
+                // Start a new preview
+                previewChanges = [];
+                previewType = syncType;
+                $('#erp-sync-preview-container').hide();
+            } else {
+                // Starting fresh abandons any interrupted session
+                clearPendingSync();
+                $('#erp-sync-resume-container').hide();
+            }
             
-            // Start progress polling
-            syncInProgress = true;
-            startProgressPolling();
+            setSyncButtonBusy($button, originalText);
             
             // Generate unique session ID for this sync
             const sessionId = 'sync_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
             
             // Start the recursive batch sync process
-            runSyncStep(action, 'init', 0, sessionId, 0, $button, originalText, {
+            runSyncStep(syncType, 'init', 0, sessionId, 0, $button, originalText, {
                 created: 0,
                 updated: 0,
                 skipped: 0,
@@ -140,10 +484,234 @@
     }
 
     /**
-     * Run a single sync step (init, process, or cleanup)
+     * Put a sync button into its loading state and start progress polling
+     *
+     * @param {jQuery} $button - The button element
+     * @param {string} originalText - Original button text
+     */
+    function setSyncButtonBusy($button, originalText) {
+        // Store original width to prevent layout jump
+        const originalWidth = $button.outerWidth();
+        $button.css('min-width', originalWidth + 'px');
+        
+        // Disable button and show loading state
+        $button.prop('disabled', true).addClass('updating-message');
+        $button.html(originalText + ' <span class="erp-sync-loading"></span>');
+        
+        // This chain is now the progress source; the server watch stands by
+        syncInProgress = true;
+        $('#erp-sync-progress-container').show();
+        $('.erp-sync-progress-fill').css('width', '0%');
+        $('.erp-sync-progress-text').text('Initializing...');
+        consoleStart($.trim(originalText), 'local');
+        
+        resetSyncControls();
+        $('.erp-sync-progress-controls').show();
+    }
+
+    /**
+     * Reset Pause / Resume / Cancel state for a new batch chain
+     */
+    function resetSyncControls() {
+        syncControl.paused = false;
+        syncControl.cancelRequested = false;
+        syncControl.heldStep = null;
+        syncControl.heldAbort = null;
+        
+        $('#erp-sync-progress-container').removeClass('is-paused');
+        $('#erp-sync-control-pause').show().prop('disabled', false);
+        $('#erp-sync-control-resume').hide();
+        $('#erp-sync-control-cancel').prop('disabled', false);
+    }
+
+    function hideSyncControls() {
+        $('.erp-sync-progress-controls').hide();
+        resetSyncControls();
+    }
+
+    /**
+     * Continue the batch chain unless the admin paused or cancelled it
+     *
+     * Every hop between requests goes through here, so a Pause or Cancel
+     * takes effect as soon as the in-flight batch has been confirmed.
+     *
+     * @param {function} next - Runs the next step
+     * @param {function} abort - Sends step=abort for this session
+     */
+    function proceedOrHold(next, abort) {
+        if (syncControl.cancelRequested) {
+            abort();
+            return;
+        }
+        
+        if (syncControl.paused) {
+            syncControl.heldStep = next;
+            syncControl.heldAbort = abort;
+            updateProgressUI(syncControl.lastProgress.current, syncControl.lastProgress.total, 'Paused');
+            return;
+        }
+        
+        next();
+    }
+
+    // Pause, Resume and Cancel buttons next to the progress bar
+    function initSyncControls() {
+        $('#erp-sync-control-pause').on('click', function(e) {
+            e.preventDefault();
+            syncControl.paused = true;
+            
+            $('#erp-sync-progress-container').addClass('is-paused');
+            $(this).hide();
+            $('#erp-sync-control-resume').show();
+            $('.erp-sync-progress-text').text('Pausing after the current batch...');
+        });
+        
+        $('#erp-sync-control-resume').on('click', function(e) {
+            e.preventDefault();
+            syncControl.paused = false;
+            
+            $('#erp-sync-progress-container').removeClass('is-paused');
+            $(this).hide();
+            $('#erp-sync-control-pause').show();
+            
+            const held = syncControl.heldStep;
+            syncControl.heldStep = null;
+            syncControl.heldAbort = null;
+            if (held) {
+                held();
+            }
+        });
+        
+        $('#erp-sync-control-cancel').on('click', function(e) {
+            e.preventDefault();
+            
+            if (!confirm('Cancel this sync? Batches already processed are kept, cleanup is skipped.')) {
+                return;
+            }
+            
+            syncControl.cancelRequested = true;
+            $('.erp-sync-progress-controls .button').prop('disabled', true);
+            
+            if (syncControl.heldAbort) {
+                // Paused between batches - nothing in flight, abort right away
+                const abort = syncControl.heldAbort;
+                syncControl.heldStep = null;
+                syncControl.heldAbort = null;
+                abort();
+            } else {
+                $('.erp-sync-progress-text').text('Cancelling after the current batch...');
+            }
+        });
+    }
+
+    /**
+     * Persist the in-flight sync so it can be resumed after a reload
+     *
+     * Only called once the server has confirmed a step, so the stored
+     * offset never runs ahead of what was actually applied.
+     *
+     * @param {string} syncType - Sync type (stock, catalog or coupons)
+     * @param {string} sessionId - Unique session identifier
+     * @param {number} offset - Offset of the next unprocessed item
+     * @param {object} aggregateStats - Accumulated statistics (incl. total)
+     */
+    function savePendingSync(syncType, sessionId, offset, aggregateStats) {
+        try {
+            localStorage.setItem(PENDING_SYNC_KEY, JSON.stringify({
+                type: syncType,
+                sessionId: sessionId,
+                offset: offset,
+                stats: aggregateStats,
+                failures: failedItems,
+                savedAt: Date.now()
+            }));
+        } catch (e) {
+            // Storage full or disabled - resume simply won't be offered
+        }
+    }
+
+    /**
+     * Get the persisted sync, if any
+     *
+     * @returns {object|null}
+     */
+    function getPendingSync() {
+        try {
+            const pending = JSON.parse(localStorage.getItem(PENDING_SYNC_KEY));
+            if (pending && pending.type && pending.sessionId) {
+                return pending;
+            }
+        } catch (e) {
+            // Corrupt entry - fall through and discard it
+        }
+        clearPendingSync();
+        return null;
+    }
+
+    function clearPendingSync() {
+        localStorage.removeItem(PENDING_SYNC_KEY);
+    }
+
+    // Offer to resume a sync interrupted by a reload or closed tab
+    function initResumePrompt() {
+        const $container = $('#erp-sync-resume-container');
+        const pending = getPendingSync();
+        
+        if (!$container.length || !pending) {
+            return;
+        }
+        
+        const $button = $('.erp-sync-ajax-btn[data-sync-type="' + pending.type + '"]:not([data-dry-run])');
+        if (!$button.length) {
+            clearPendingSync();
+            return;
+        }
+        
+        const total = (pending.stats && pending.stats.total) || 0;
+        $container.find('.erp-sync-resume-text').text(
+            $.trim($button.text()) + ': Resume sync from item ' +
+            Number(pending.offset).toLocaleString() + ' of ' + Number(total).toLocaleString() + '?'
+        );
+        $container.show();
+        
+        $('#erp-sync-resume-btn').on('click', function(e) {
+            e.preventDefault();
+            $container.hide();
+            
+            if ($button.prop('disabled')) {
+                return;
+            }
+            
+            const originalText = $.trim($button.text());
+            setSyncButtonBusy($button, originalText);
+            
+            // Keep reporting the failures collected before the interruption
+            failedItems = pending.failures || [];
+            
+            // Server confirms the session and returns the authoritative offset
+            runSyncStep(pending.type, 'resume', pending.offset, pending.sessionId, 0, $button, originalText,
+                $.extend({ created: 0, updated: 0, skipped: 0, errors: 0, orphans_zeroed: 0 }, pending.stats));
+        });
+        
+        $('#erp-sync-resume-discard').on('click', function(e) {
+            e.preventDefault();
+
+            // Release the server-side lock and cache instead of waiting for them to expire
+            restRequest('POST', 'syncs/' + pending.type + '/steps', {
+                step: 'abort',
+                session_id: pending.sessionId
+            });
+
+            clearPendingSync();
+            $container.hide();
+        });
+    }
+
+    /**
+     * Run a single sync step (init, process, resume, or cleanup)
      * 
-     * @param {string} action - The AJAX action (erp_sync_stock or erp_sync_catalog)
-     * @param {string} step - Current step: 'init', 'process', or 'cleanup'
+     * @param {string} syncType - Sync type (stock, catalog or coupons)
+     * @param {string} step - Current step: 'init', 'process', 'resume', or 'cleanup'
      * @param {number} offset - Current offset for batch processing
      * @param {string} sessionId - Unique session identifier
      * @param {number} retryCount - Number of retry attempts for current step
@@ -151,131 +719,330 @@
      * @param {string} originalText - Original button text
      * @param {object} aggregateStats - Accumulated statistics
      */
-    function runSyncStep(action, step, offset, sessionId, retryCount, $button, originalText, aggregateStats) {
-        $.ajax({
-            url: erpSyncAdmin.ajaxurl,
-            type: 'POST',
+    function runSyncStep(syncType, step, offset, sessionId, retryCount, $button, originalText, aggregateStats) {
+        // Preview buttons carry data-dry-run; the server then saves nothing
+        const dryRun = !!$button.data('dry-run');
+        const startedAt = Date.now();
+        
+        // The server watch must not mistake this run for one started elsewhere
+        progressWatch.ownSessionId = sessionId;
+        
+        restRequest('POST', 'syncs/' + syncType + '/steps', {
+            step: step,
+            offset: offset,
+            batch_size: batchSize,
+            session_id: sessionId,
+            dry_run: dryRun ? 1 : 0
+        }, {
             timeout: 60000, // 1 minute timeout per batch request
-            data: {
-                action: action,
-                nonce: erpSyncAdmin.nonce,
-                step: step,
-                offset: offset,
-                batch_size: BATCH_SIZE,
-                session_id: sessionId
-            },
-            success: function(response) {
-                if (response.success) {
-                    const data = response.data;
+            success: function(data) {
+                if (data.cancelled) {
+                    // Cancelled through the REST API (e.g. by ops tooling) - the server already aborted
+                    consoleLog('Cancelled through the REST API', 'warning');
+                    step = 'abort';
+                }
+                
+                if (step === 'init') {
+                    // Init step completed - start processing batches
+                    const totalCount = data.total || 0;
+                    consoleLog((data.message || 'Data fetched') + ': ' + totalCount.toLocaleString() + ' items');
+                    
+                    const abort = function() {
+                        runSyncStep(syncType, 'abort', 0, sessionId, 0, $button, originalText, {
+                            ...aggregateStats,
+                            total: totalCount
+                        });
+                    };
                     
-                    if (step === 'init') {
-                        // Init step completed - start processing batches
-                        const totalCount = data.total || 0;
+                    if (totalCount === 0) {
+                        // No items to process, go directly to cleanup
+                        runSyncStep(syncType, 'cleanup', 0, sessionId, 0, $button, originalText, aggregateStats);
+                    } else {
+                        // Update progress bar
+                        updateProgressUI(0, totalCount, 'Starting batch processing...');
                         
-                        if (totalCount === 0) {
-                            // No items to process, go directly to cleanup
-                            runSyncStep(action, 'cleanup', 0, sessionId, 0, $button, originalText, aggregateStats);
-                        } else {
-                            // Update progress bar
-                            updateProgressUI(0, totalCount, 'Starting batch processing...');
-                            
-                            // Start processing first batch
-                            runSyncStep(action, 'process', 0, sessionId, 0, $button, originalText, {
+                        if (!dryRun) {
+                            savePendingSync(syncType, sessionId, 0, { ...aggregateStats, total: totalCount });
+                        }
+                        
+                        // Start processing first batch
+                        proceedOrHold(function() {
+                            runSyncStep(syncType, 'process', 0, sessionId, 0, $button, originalText, {
                                 ...aggregateStats,
                                 total: totalCount
                             });
-                        }
-                    } else if (step === 'process') {
-                        // Accumulate stats from this batch
-                        aggregateStats.created = (aggregateStats.created || 0) + (data.created || 0);
-                        aggregateStats.updated = (aggregateStats.updated || 0) + (data.updated || 0);
-                        aggregateStats.skipped = (aggregateStats.skipped || 0) + (data.skipped || 0);
-                        aggregateStats.errors = (aggregateStats.errors || 0) + (data.errors || 0);
-                        
-                        const nextOffset = data.next_offset || (offset + BATCH_SIZE);
-                        const totalCount = data.total || aggregateStats.total || 0;
-                        const processed = data.processed || 0;
-                        
-                        // Update progress bar
-                        const progressPercent = totalCount > 0 ? Math.round((nextOffset / totalCount) * 100) : 0;
-                        updateProgressUI(Math.min(nextOffset, totalCount), totalCount, 
-                            'Processing batch ' + Math.ceil(nextOffset / BATCH_SIZE) + '...');
-                        
+                        }, abort);
+                    }
+                } else if (step === 'process') {
+                    // Accumulate stats from this batch
+                    aggregateStats.created = (aggregateStats.created || 0) + (data.created || 0);
+                    aggregateStats.updated = (aggregateStats.updated || 0) + (data.updated || 0);
+                    aggregateStats.skipped = (aggregateStats.skipped || 0) + (data.skipped || 0);
+                    aggregateStats.errors = (aggregateStats.errors || 0) + (data.errors || 0);
+                    failedItems = failedItems.concat(data.failures || []);
+                    
+                    if (dryRun) {
+                        aggregateStats.unchanged = (aggregateStats.unchanged || 0) + (data.unchanged || 0);
+                        previewChanges = previewChanges.concat(data.changes || []);
+                    }
+                    
+                    const nextOffset = data.next_offset || (offset + batchSize);
+                    const totalCount = data.total || aggregateStats.total || 0;
+                    const processed = data.processed || 0;
+                    
+                    const elapsedMs = Date.now() - startedAt;
+                    
+                    if (data.already_processed) {
+                        // A retry after a timeout: the server had finished the batch and counted it
+                        consoleLog('Batch at offset ' + offset.toLocaleString() + ' was already processed - continuing from item ' +
+                            nextOffset.toLocaleString(), 'warning');
+                    } else {
+                        adaptBatchSize(elapsedMs);
+                        consoleLog('Batch at offset ' + offset.toLocaleString() + ': ' + processed + ' items in ' +
+                            (elapsedMs / 1000).toFixed(1) + 's' + (data.errors ? ', ' + data.errors + ' errors' : ''),
+                            data.errors ? 'warning' : '');
+                    }
+                    
+                    // Update progress bar
+                    const progressPercent = totalCount > 0 ? Math.round((nextOffset / totalCount) * 100) : 0;
+                    updateProgressUI(Math.min(nextOffset, totalCount), totalCount, 
+                        'Processed ' + nextOffset.toLocaleString() + ' items, next batch: ' + batchSize + '...',
+                        aggregateStats);
+                    
+                    if (!dryRun) {
+                        savePendingSync(syncType, sessionId, nextOffset, { ...aggregateStats, total: totalCount });
+                    }
+                    
+                    proceedOrHold(function() {
                         if (nextOffset >= totalCount) {
                             // All batches processed, run cleanup
-                            runSyncStep(action, 'cleanup', 0, sessionId, 0, $button, originalText, {
+                            runSyncStep(syncType, 'cleanup', 0, sessionId, 0, $button, originalText, {
                                 ...aggregateStats,
                                 total: totalCount
                             });
                         } else {
                             // Process next batch
-                            runSyncStep(action, 'process', nextOffset, sessionId, 0, $button, originalText, {
+                            runSyncStep(syncType, 'process', nextOffset, sessionId, 0, $button, originalText, {
                                 ...aggregateStats,
                                 total: totalCount
                             });
                         }
-                    } else if (step === 'cleanup') {
-                        // Cleanup completed - sync is done
-                        aggregateStats.orphans_zeroed = data.orphans_zeroed || 0;
-                        
+                    }, function() {
+                        runSyncStep(syncType, 'abort', nextOffset, sessionId, 0, $button, originalText, {
+                            ...aggregateStats,
+                            total: totalCount
+                        });
+                    });
+                } else if (step === 'resume') {
+                    // Session acknowledged - continue from the last confirmed offset
+                    const nextOffset = data.next_offset || 0;
+                    const totalCount = data.total || aggregateStats.total || 0;
+                    
+                    consoleLog('Resuming from item ' + nextOffset.toLocaleString() + ' of ' + totalCount.toLocaleString());
+                    updateProgressUI(Math.min(nextOffset, totalCount), totalCount,
+                        'Resuming from item ' + nextOffset.toLocaleString() + '...', aggregateStats);
+                    
+                    proceedOrHold(function() {
+                        runSyncStep(syncType, nextOffset >= totalCount ? 'cleanup' : 'process', nextOffset,
+                            sessionId, 0, $button, originalText, {
+                                ...aggregateStats,
+                                total: totalCount
+                            });
+                    }, function() {
+                        runSyncStep(syncType, 'abort', nextOffset, sessionId, 0, $button, originalText, {
+                            ...aggregateStats,
+                            total: totalCount
+                        });
+                    });
+                } else if (step === 'cleanup') {
+                    // Cleanup completed - sync is done
+                    aggregateStats.orphans_zeroed = data.orphans_zeroed || 0;
+                    consoleLog(data.message || 'Cleanup completed');
+                    
+                    if (dryRun) {
+                        aggregateStats.orphans_found = data.orphans_found || 0;
+                        previewChanges = previewChanges.concat(data.changes || []);
                         handleSyncSuccess($button, originalText, aggregateStats);
+                        renderPreview(aggregateStats, false);
+                        renderFailures();
+                        return;
                     }
-                } else {
-                    // Server returned error
-                    handleSyncError($button, originalText, response.data?.message || 'Unknown error');
+                    
+                    clearPendingSync();
+                    handleSyncSuccess($button, originalText, aggregateStats);
+                    renderFailures();
+                } else if (step === 'abort') {
+                    consoleLog(data.message || 'Session aborted');
+                    
+                    if (dryRun) {
+                        handleSyncCancelled($button, originalText, aggregateStats, offset);
+                        renderPreview(aggregateStats, true);
+                        renderFailures();
+                        return;
+                    }
+                    
+                    clearPendingSync();
+                    handleSyncCancelled($button, originalText, aggregateStats, offset);
+                    renderFailures();
                 }
             },
             error: function(xhr, status, error) {
-                // AJAX error - try to retry
-                if (retryCount < MAX_RETRIES) {
+                const failure = classifyAjaxError(xhr, status, error);
+                
+                if (status === 'timeout') {
+                    // The batch was too big for the host - retry with a smaller one
+                    batchSize = Math.max(batchBounds.min, Math.floor(batchSize / 2));
+                }
+                
+                if (!failure.retry) {
+                    // Retrying a rejected request would only fail the same way
+                    if (step === 'resume') {
+                        clearPendingSync();
+                    }
+                    handleSyncError($button, originalText, failure.message);
+                } else if (retryCount < MAX_RETRIES) {
+                    // Transient failure - retry with backoff
                     const newRetryCount = retryCount + 1;
+                    const retryDelay = getRetryDelay(newRetryCount);
                     updateProgressUI(offset, aggregateStats.total || 0, 
-                        'Retrying... (attempt ' + newRetryCount + '/' + MAX_RETRIES + ')');
+                        failure.message + '. Retrying... (attempt ' + newRetryCount + '/' + MAX_RETRIES + ')');
+                    consoleLog(failure.message + ' during ' + step + ' - retrying in ' +
+                        Math.round(retryDelay / 1000) + 's (attempt ' + newRetryCount + '/' + MAX_RETRIES + ')', 'warning');
                     
                     // Wait before retrying
                     setTimeout(function() {
-                        runSyncStep(action, step, offset, sessionId, newRetryCount, $button, originalText, aggregateStats);
-                    }, RETRY_DELAY_MS);
+                        proceedOrHold(function() {
+                            runSyncStep(syncType, step, offset, sessionId, newRetryCount, $button, originalText, aggregateStats);
+                        }, function() {
+                            // An abort that keeps failing must still stop after MAX_RETRIES
+                            runSyncStep(syncType, 'abort', offset, sessionId, step === 'abort' ? newRetryCount : 0,
+                                $button, originalText, aggregateStats);
+                        });
+                    }, retryDelay);
                 } else {
                     // Max retries reached
-                    handleSyncError($button, originalText, 'Failed after ' + MAX_RETRIES + ' retries: ' + error);
+                    handleSyncError($button, originalText, 'Failed after ' + MAX_RETRIES + ' retries: ' + failure.message);
                 }
             }
         });
     }
 
     /**
-     * Update the progress UI
+     * Grow or shrink the batch size based on how long the last process step took
+     *
+     * @param {number} elapsedMs - Duration of the last successful process request
      */
-    function updateProgressUI(current, total, statusText) {
-        const progressPercent = total > 0 ? Math.round((current / total) * 100) : 0;
-        $('#erp-sync-progress-container').show();
-        $('.erp-sync-progress-fill').css('width', progressPercent + '%');
-        $('.erp-sync-progress-text').text(statusText + ' (' + progressPercent + '%)');
+    function adaptBatchSize(elapsedMs) {
+        if (elapsedMs < BATCH_TARGET_MS / 2) {
+            batchSize = Math.ceil(batchSize * 1.5);
+        } else if (elapsedMs > BATCH_TARGET_MS) {
+            batchSize = Math.floor(batchSize * BATCH_TARGET_MS / elapsedMs);
+        }
+        batchSize = Math.min(batchBounds.max, Math.max(batchBounds.min, batchSize));
     }
 
     /**
-     * Handle successful sync completion
+     * Exponential backoff with jitter for the given retry attempt (1-based)
+     *
+     * @param {number} attempt - Retry attempt number
+     * @returns {number} Delay in milliseconds
      */
-    function handleSyncSuccess($button, originalText, stats) {
-        syncInProgress = false;
+    function getRetryDelay(attempt) {
+        const delay = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1));
+        // Spread retries between half and the full delay
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    /**
+     * Tell transient failures (timeouts, network, 5xx) apart from rejected requests
+     *
+     * @param {object} xhr - jqXHR of the failed request
+     * @param {string} status - jQuery error status ('timeout', 'error', ...)
+     * @param {string} error - HTTP status text
+     * @returns {{retry: boolean, message: string}}
+     */
+    function classifyAjaxError(xhr, status, error) {
+        if (status === 'timeout') {
+            return { retry: true, message: 'Request timed out' };
+        }
         
-        // Show success state
-        $button.removeClass('updating-message').addClass('button-primary');
+        // REST routes explain errors in a JSON body
+        const body = xhr.responseJSON || {};
         
-        // Build result message
-        let resultMsg = 'Completed! ✅';
+        if (body.code === 'erp_sync_failed') {
+            // The sync itself failed (ERP error, lock held...) - the server already recorded it
+            return { retry: false, message: body.message };
+        }
+        
+        if (xhr.status === 401 || xhr.status === 403 || $.trim(xhr.responseText) === '-1') {
+            return {
+                retry: false,
+                message: 'Permission denied or security token expired. Reload the page and try again.'
+            };
+        }
+        
+        if (xhr.status >= 400 && xhr.status < 500) {
+            return { retry: false, message: body.message || 'Request rejected (HTTP ' + xhr.status + ' ' + error + ')' };
+        }
+        
+        // Network errors (status 0) and 5xx are worth retrying
+        return { retry: true, message: error || 'Network error' };
+    }
+
+    /**
+     * Call an erp-sync/v1 REST route as the logged-in user
+     *
+     * @param {string} method - HTTP method
+     * @param {string} route - Route below erp-sync/v1, e.g. 'syncs/stock/steps'
+     * @param {object|null} data - Query (GET) or body parameters
+     * @param {object} [options] - Extra $.ajax options (success, error, timeout...)
+     * @returns {jqXHR}
+     */
+    function restRequest(method, route, data, options) {
+        return $.ajax($.extend({
+            url: erpSyncAdmin.restUrl + route,
+            type: method,
+            data: data || {},
+            headers: { 'X-WP-Nonce': erpSyncAdmin.restNonce }
+        }, options));
+    }
+
+    /**
+     * Update the progress UI
+     *
+     * @param {number} current - Items processed
+     * @param {number} total - Total items
+     * @param {string} statusText - Status line under the bar
+     * @param {object} [counters] - Running created/updated/skipped/errors for the console
+     */
+    function updateProgressUI(current, total, statusText, counters) {
+        syncControl.lastProgress = { current: current, total: total };
+        const progressPercent = total > 0 ? Math.round((current / total) * 100) : 0;
+        $('#erp-sync-progress-container').show();
+        $('.erp-sync-progress-fill').css('width', progressPercent + '%');
+        $('.erp-sync-progress-text').text(statusText + ' (' + progressPercent + '%)');
+        consoleUpdate(current, total, counters);
+    }
+
+    /**
+     * Handle successful sync completion
+     */
+    function handleSyncSuccess($button, originalText, stats) {
+        syncInProgress = false;
+        
+        // Show success state
+        $button.removeClass('updating-message').addClass('button-primary');
+        
+        hideSyncControls();
+        
+        // Build result message
+        let resultMsg = 'Completed! ✅';
         if (stats) {
-            resultMsg = 'Done: ';
-            if (stats.created) resultMsg += stats.created + ' created, ';
-            if (stats.updated) resultMsg += stats.updated + ' updated, ';
-            if (stats.skipped) resultMsg += stats.skipped + ' skipped, ';
-            if (stats.errors) resultMsg += stats.errors + ' errors, ';
-            if (stats.orphans_zeroed) resultMsg += stats.orphans_zeroed + ' orphans zeroed';
-            resultMsg = resultMsg.replace(/, $/, '') + ' ✅';
+            resultMsg = 'Done: ' + formatSyncStats(stats) + ' ✅';
         }
         
         $button.html(resultMsg);
+        consoleFinish(stats ? 'Done: ' + (formatSyncStats(stats) || 'no changes') : 'Completed', 'success');
         
         // Update progress bar to 100%
         $('.erp-sync-progress-fill').css('width', '100%');
@@ -287,15 +1054,60 @@
             $button.text(originalText);
             $button.css('min-width', '');
             $('#erp-sync-progress-container').fadeOut();
-            stopProgressPolling();
         }, 3000);
     }
 
+    /**
+     * Build "N created, N updated, ..." from aggregate stats
+     */
+    function formatSyncStats(stats) {
+        let msg = '';
+        if (stats.created) msg += stats.created + ' created, ';
+        if (stats.updated) msg += stats.updated + ' updated, ';
+        if (stats.skipped) msg += stats.skipped + ' skipped, ';
+        if (stats.unchanged) msg += stats.unchanged + ' unchanged, ';
+        if (stats.errors) msg += stats.errors + ' errors, ';
+        if (stats.orphans_zeroed) msg += stats.orphans_zeroed + ' orphans zeroed';
+        return msg.replace(/, $/, '');
+    }
+
+    /**
+     * Handle a sync cancelled via step=abort
+     *
+     * @param {jQuery} $button - The button element
+     * @param {string} originalText - Original button text
+     * @param {object} stats - Stats accumulated before the stop
+     * @param {number} processed - Items confirmed before the stop
+     */
+    function handleSyncCancelled($button, originalText, stats, processed) {
+        syncInProgress = false;
+        hideSyncControls();
+        
+        const total = stats.total || 0;
+        const applied = formatSyncStats(stats) || 'no changes';
+        const summary = 'Cancelled after ' + processed.toLocaleString() + ' of ' + total.toLocaleString() +
+            ' items: ' + applied;
+        
+        $button.removeClass('updating-message');
+        $button.html(summary + ' ⏹');
+        $('.erp-sync-progress-text').text(summary + '. Cleanup skipped.');
+        consoleFinish(summary, 'warning');
+        
+        // Leave the summary up a little longer than on success
+        setTimeout(function() {
+            $button.prop('disabled', false);
+            $button.text(originalText);
+            $button.css('min-width', '');
+            $('#erp-sync-progress-container').fadeOut();
+        }, 6000);
+    }
+
     /**
      * Handle sync error
      */
     function handleSyncError($button, originalText, errorMessage) {
         syncInProgress = false;
+        hideSyncControls();
         
         // Show error - revert immediately
         $button.removeClass('updating-message');
@@ -304,368 +1116,4291 @@
         $button.css('min-width', '');
         
         $('#erp-sync-progress-container').fadeOut();
-        stopProgressPolling();
+        consoleFinish('Error: ' + errorMessage, 'error');
         
         alert('Error: ' + errorMessage);
     }
 
-    // Quick Edit Functionality
-    function initQuickEdit() {
-        let originalValue = '';
+    /**
+     * Render the dry-run preview table from the collected changes
+     *
+     * @param {object} stats - Aggregated dry-run statistics
+     * @param {boolean} partial - True when the preview was cancelled midway
+     */
+    function renderPreview(stats, partial) {
+        const $container = $('#erp-sync-preview-container');
+        const $realButton = $('.erp-sync-ajax-btn[data-sync-type="' + previewType + '"]:not([data-dry-run])');
         
-        $(document).on('click', '.erp-sync-editable', function() {
-            const $this = $(this);
-            
-            if ($this.hasClass('editing')) {
-                return;
+        let summary = (formatSyncStats(stats) || 'No changes') + '.';
+        if (stats.orphans_found) {
+            summary += ' ' + stats.orphans_found + ' in-stock products are missing from the ERP feed' +
+                ' (orphan cleanup is disabled, so their stock is kept).';
+        }
+        if (partial) {
+            summary += ' Preview was cancelled - only the items processed so far are listed.';
+        }
+        
+        $container.find('.erp-sync-preview-title').text('— ' + $.trim($realButton.text()));
+        $container.find('.erp-sync-preview-summary').text(summary);
+        $('#erp-sync-preview-filter').val('');
+        $('#erp-sync-preview-search').val('');
+        
+        filterPreview();
+        $container.show();
+    }
+
+    /**
+     * Re-render preview rows matching the action filter and search text
+     */
+    function filterPreview() {
+        const action = $('#erp-sync-preview-filter').val();
+        const search = $.trim($('#erp-sync-preview-search').val()).toLowerCase();
+        const $tbody = $('#erp-sync-preview-container .erp-sync-preview-table tbody').empty();
+        
+        const matches = previewChanges.filter(function(item) {
+            if (action && item.action !== action) {
+                return false;
             }
-            
-            originalValue = $this.text().trim();
-            const field = $this.data('field');
-            const couponId = $this.data('coupon-id');
-            
-            let input;
-            if (field === 'is_deleted') {
-                input = $('<select><option value="no">No</option><option value="yes">Yes</option></select>');
-                input.val(originalValue === 'Yes' ? 'yes' : 'no');
-            } else if (field === 'base_discount') {
-                input = $('<input type="number" min="0" max="100" />');
-                input.val(parseInt(originalValue));
-            } else if (field === 'dob') {
-                input = $('<input type="date" />');
-                input.val(originalValue);
-            } else {
-                return;
+            if (search) {
+                return (item.key + ' ' + item.name).toLowerCase().indexOf(search) !== -1;
             }
-            
-            input.addClass('erp-sync-quick-edit-input');
-            
-            $this.addClass('editing').html(input);
-            input.focus();
-            
-            // Save on blur or enter
-            input.on('blur keypress', function(e) {
-                if (e.type === 'keypress' && e.which !== 13) {
-                    return;
+            return true;
+        });
+        
+        matches.slice(0, PREVIEW_MAX_ROWS).forEach(function(item) {
+            const $changes = $('<td></td>');
+            (item.changes || []).forEach(function(change, i) {
+                if (i > 0) {
+                    $changes.append('<br>');
                 }
-                
-                e.preventDefault();
-                const newValue = $(this).val();
-                
-                // Save via AJAX
-                $.ajax({
-                    url: erpSyncAdmin.ajaxurl,
-                    type: 'POST',
-                    data: {
-                        action: 'erp_sync_quick_edit_coupon',
-                        nonce: erpSyncAdmin.nonce,
-                        coupon_id: couponId,
-                        field: field,
-                        value: newValue
-                    },
-                    success: function(response) {
-                        if (response.success) {
-                            let displayValue = newValue;
-                            if (field === 'base_discount') {
-                                displayValue = newValue + '%';
-                            } else if (field === 'is_deleted') {
-                                displayValue = newValue === 'yes' ? 'Yes' : 'No';
-                            }
-                            $this.removeClass('editing').text(displayValue);
-                            
-                            // Show success feedback
-                            $this.css('background', '#d4edda');
-                            setTimeout(function() {
-                                $this.css('background', '');
-                            }, 1000);
-                        } else {
-                            alert('Failed to update: ' + (response.data.message || 'Unknown error'));
-                            $this.removeClass('editing').text(originalValue);
-                        }
-                    },
-                    error: function() {
-                        alert('Failed to update. Please try again.');
-                        $this.removeClass('editing').text(originalValue);
-                    }
-                });
+                // Branch changes already come formatted as "Branch: old→new"
+                const line = change.field === 'branch'
+                    ? change.new
+                    : change.field + ': ' + (change.old === '' ? '—' : change.old) + ' → ' + change.new;
+                $changes.append(document.createTextNode(line));
             });
             
-            // Cancel on ESC
-            input.on('keydown', function(e) {
-                if (e.which === 27) {
-                    $this.removeClass('editing').text(originalValue);
-                }
-            });
-        });
-    }
-
-    // Confirm dangerous actions
-    function initConfirmations() {
-        $('input[type="submit"][class*="delete"]').on('click', function(e) {
-            if (!$(this).data('confirmed')) {
-                e.preventDefault();
-                
-                if (confirm('Are you sure? This action cannot be undone.')) {
-                    $(this).data('confirmed', true);
-                    $(this).trigger('click');
-                }
-            }
+            $('<tr></tr>')
+                .append($('<td></td>').text(item.key))
+                .append($('<td></td>').text(item.name))
+                .append($('<td></td>').append(
+                    $('<span class="erp-sync-preview-action"></span>').addClass('erp-sync-preview-' + item.action).text(item.action)
+                ))
+                .append($changes)
+                .appendTo($tbody);
         });
+        
+        if (!matches.length) {
+            $tbody.append($('<tr></tr>').append($('<td colspan="4"></td>').text('Nothing would change.')));
+        }
+        
+        $('#erp-sync-preview-container .erp-sync-preview-more').text(
+            matches.length > PREVIEW_MAX_ROWS
+                ? 'Showing ' + PREVIEW_MAX_ROWS + ' of ' + matches.length + ' rows. Narrow the filter to see more.'
+                : ''
+        );
     }
 
-    // Single Product ERP Sync Update
-    function initSingleProductUpdate() {
-        $(document).on('click', '.erp-sync-single-update', function(e) {
+    // Dry-run preview table controls
+    function initPreview() {
+        $('#erp-sync-preview-filter').on('change', filterPreview);
+        $('#erp-sync-preview-search').on('input', filterPreview);
+        
+        $('#erp-sync-preview-apply').on('click', function(e) {
             e.preventDefault();
+            $('#erp-sync-preview-container').hide();
             
-            const $button = $(this);
-            const productId = $button.data('id');
-            const originalText = $button.text();
-            
-            // Store original width to prevent layout jump
-            const originalWidth = $button.outerWidth();
-            $button.css('min-width', originalWidth + 'px');
-            
-            // Disable button and show loading state with custom spinner
-            $button.prop('disabled', true).addClass('updating-message');
-            $button.html(originalText + ' <span class="erp-sync-loading"></span>');
-            
-            $.ajax({
-                url: erpSyncAdmin.ajaxurl,
-                type: 'POST',
-                data: {
-                    action: 'erp_sync_single_update',
-                    nonce: erpSyncAdmin.nonce,
-                    product_id: productId
-                },
-                success: function(response) {
-                    if (response.success) {
-                        // Show success state
-                        $button.removeClass('updating-message').addClass('button-primary');
-                        $button.html('Updated! ✅');
-                        
-                        // Reset after 2 seconds
-                        setTimeout(function() {
-                            $button.removeClass('button-primary').prop('disabled', false);
-                            $button.text(originalText);
-                            $button.css('min-width', '');
-                        }, 2000);
-                    } else {
-                        // Show error - revert immediately
-                        $button.removeClass('updating-message');
-                        $button.prop('disabled', false);
-                        $button.text(originalText);
-                        $button.css('min-width', '');
-                        alert('Error: ' + (response.data.message || 'Unknown error'));
-                    }
-                },
-                error: function(xhr, status, error) {
-                    // Show error - revert immediately
-                    $button.removeClass('updating-message');
-                    $button.prop('disabled', false);
-                    $button.text(originalText);
-                    $button.css('min-width', '');
-                    alert('AJAX Error: ' + error);
-                }
-            });
+            // Run the real sync for the previewed type
+            $('.erp-sync-ajax-btn[data-sync-type="' + previewType + '"]:not([data-dry-run])').trigger('click');
+        });
+        
+        $('#erp-sync-preview-close').on('click', function(e) {
+            e.preventDefault();
+            $('#erp-sync-preview-container').hide();
         });
     }
 
-    // Single Coupon ERP Sync Update
-    function initSingleCouponUpdate() {
-        $(document).on('click', '.erp-sync-single-coupon-update', function(e) {
-            e.preventDefault();
+    /**
+     * Render the failed items table, or hide it when the run had no failures
+     */
+    function renderFailures() {
+        const $container = $('#erp-sync-failures-container');
+        const $tbody = $container.find('.erp-sync-failures-table tbody').empty();
+        
+        if (!failedItems.length) {
+            $container.hide();
+            return;
+        }
+        
+        failedItems.forEach(function(item) {
+            const $status = $('<td></td>');
+            if (item.retryStatus) {
+                $status.text(item.retryStatus.message)
+                    .addClass(item.retryStatus.ok ? 'erp-sync-retry-ok' : 'erp-sync-retry-failed');
+            } else if (!isRetryable(item)) {
+                $status.text('Not retryable');
+            }
             
-            const $button = $(this);
-            const couponId = $button.data('id');
-            const originalText = $button.text();
+            $('<tr></tr>')
+                .append($('<td></td>').text(item.key || '—'))
+                .append($('<td></td>').text(item.line || ''))
+                .append($('<td></td>').text(item.reason))
+                .append($status)
+                .appendTo($tbody);
+        });
+        
+        $container.find('.erp-sync-failures-summary').text(
+            failedItems.length + (failedItems.length === 1 ? ' item' : ' items') + ' failed - click to show details'
+        );
+        $('#erp-sync-failures-retry').prop('disabled', !failedItems.some(isRetryable));
+        $container.show();
+    }
+    
+    /**
+     * Failed items can only be retried through the single product/coupon
+     * sync, which needs an existing WooCommerce object
+     */
+    function isRetryable(item) {
+        return (item.type === 'product' && item.product_id > 0) ||
+            (item.type === 'coupon' && item.coupon_id > 0);
+    }
+    
+    /**
+     * Download the failed items as a CSV file
+     */
+    function downloadFailuresCsv() {
+        const lines = [['type', 'key', 'line', 'reason'].join(',')];
+        failedItems.forEach(function(item) {
+            lines.push([item.type, item.key, item.line || '', item.reason].map(csvCell).join(','));
+        });
+        
+        downloadFile(lines.join('\r\n'), 'text/csv;charset=utf-8', 'erp-sync-failures-' + new Date().toISOString().slice(0, 10) + '.csv');
+    }
+    
+    /**
+     * Offer generated content as a file download
+     *
+     * @param {string} content - File content
+     * @param {string} mimeType - MIME type of the file
+     * @param {string} filename - Suggested file name
+     */
+    function downloadFile(content, mimeType, filename) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Re-sync retryable failed items one at a time, then drop the ones that succeeded
+     *
+     * @param {jQuery} $button - The retry button
+     */
+    function retryFailedItems($button) {
+        const originalText = $button.text();
+        const queue = failedItems.filter(isRetryable);
+        let index = 0;
+        
+        $button.prop('disabled', true).addClass('updating-message');
+        
+        const next = function() {
+            if (index >= queue.length) {
+                failedItems = failedItems.filter(function(item) {
+                    return !(item.retryStatus && item.retryStatus.ok);
+                });
+                $button.removeClass('updating-message').text(originalText);
+                renderFailures();
+                return;
+            }
             
-            // Store original width to prevent layout jump
-            const originalWidth = $button.outerWidth();
-            $button.css('min-width', originalWidth + 'px');
+            const item = queue[index++];
+            $button.text('Retrying ' + index + ' of ' + queue.length + '...');
             
-            // Disable button and show loading state with custom spinner
-            $button.prop('disabled', true).addClass('updating-message');
-            $button.html(originalText + ' <span class="erp-sync-loading"></span>');
+            const request = item.type === 'coupon'
+                ? requestSingleSync('shop_coupon', item.coupon_id)
+                : requestSingleSync('product', item.product_id);
             
-            $.ajax({
-                url: erpSyncAdmin.ajaxurl,
-                type: 'POST',
-                data: {
-                    action: 'erp_sync_single_coupon_update',
-                    nonce: erpSyncAdmin.nonce,
-                    coupon_id: couponId
-                },
-                success: function(response) {
-                    if (response.success) {
-                        // Show success state
-                        $button.removeClass('updating-message').addClass('button-primary');
-                        $button.html('Synced! ✅');
-                        
-                        // Reset after 2 seconds
-                        setTimeout(function() {
-                            $button.removeClass('button-primary').prop('disabled', false);
-                            $button.text(originalText);
-                            $button.css('min-width', '');
-                        }, 2000);
-                    } else {
-                        // Show error - revert immediately
-                        $button.removeClass('updating-message');
-                        $button.prop('disabled', false);
-                        $button.text(originalText);
-                        $button.css('min-width', '');
-                        alert('Error: ' + (response.data.message || 'Unknown error'));
-                    }
-                },
-                error: function(xhr, status, error) {
-                    // Show error - revert immediately
-                    $button.removeClass('updating-message');
-                    $button.prop('disabled', false);
-                    $button.text(originalText);
-                    $button.css('min-width', '');
-                    alert('AJAX Error: ' + error);
-                }
-            });
-        });
+            request
+                .done(function() {
+                    item.retryStatus = { ok: true, message: 'Synced' };
+                })
+                .fail(function(xhr, status, error) {
+                    item.retryStatus = { ok: false, message: classifyAjaxError(xhr, status, error).message };
+                })
+                .always(function() {
+                    renderFailures();
+                    next();
+                });
+        };
+        
+        next();
     }
-
-    // CSV Coupon Import
-    function initCsvImport() {
-        $('#erp-sync-csv-import-btn').on('click', function(e) {
+    
+    // Failed items report controls
+    function initFailureReport() {
+        $('#erp-sync-failures-download').on('click', function(e) {
             e.preventDefault();
-
-            const $button = $(this);
-            const $fileInput = $('#erp-sync-csv-file');
-            const file = $fileInput[0].files[0];
-
-            if (!file) {
-                alert('Please select a CSV file first.');
-                return;
+            downloadFailuresCsv();
+        });
+        
+        $('#erp-sync-failures-retry').on('click', function(e) {
+            e.preventDefault();
+            if (!$(this).hasClass('updating-message')) {
+                retryFailedItems($(this));
             }
+        });
+        
+        $('#erp-sync-failures-close').on('click', function(e) {
+            e.preventDefault();
+            failedItems = [];
+            $('#erp-sync-failures-container').hide();
+        });
+    }
 
-            // Prevent double-clicks
-            if ($button.prop('disabled')) {
-                return;
+    // Spreadsheet-style quick edit for the ERP coupon columns: edits stay
+    // local (dirty) until they are saved together in one request
+    function initQuickEdit() {
+        const $cells = $('#the-list .erp-sync-editable');
+        if (!$cells.length) {
+            return;
+        }
+        
+        buildQuickEditToolbar();
+        
+        $(document).on('click', '#the-list .erp-sync-editable', function() {
+            openQuickEditCell($(this));
+        });
+        
+        // Focused cells open with Enter or F2, like a spreadsheet
+        $(document).on('keydown', '#the-list .erp-sync-editable', function(e) {
+            if (!$(this).hasClass('editing') && (e.which === 13 || e.which === 113)) {
+                e.preventDefault();
+                openQuickEditCell($(this));
             }
+        });
+        
+        // Ctrl/Cmd+S saves all dirty cells
+        $(document).on('keydown', function(e) {
+            if ((e.ctrlKey || e.metaKey) && e.which === 83 && !$.isEmptyObject(quickEdit.dirty)) {
+                e.preventDefault();
+                $(':focus').filter('.erp-sync-quick-edit-input').trigger('blur');
+                saveQuickEdits();
+            }
+        });
+        
+        $(window).on('beforeunload', function() {
+            if (!$.isEmptyObject(quickEdit.dirty)) {
+                return 'You have unsaved coupon changes.';
+            }
+        });
+    }
 
-            const originalText = $button.text();
-            const originalWidth = $button.outerWidth();
-            $button.css('min-width', originalWidth + 'px');
-
-            // Disable button and show loading state
-            $button.prop('disabled', true).addClass('updating-message');
-            $button.html(originalText + ' <span class="erp-sync-loading"></span>');
-
-            // Start progress polling
-            syncInProgress = true;
-            startProgressPolling();
+    /**
+     * Add the save / undo / bulk-set toolbar above the coupons table
+     */
+    function buildQuickEditToolbar() {
+        const $bar = $(
+            '<div class="erp-sync-quick-edit-bar">' +
+                '<span class="erp-sync-quick-edit-count"></span>' +
+                '<button type="button" class="button button-primary" data-qe="save" disabled>Save changes</button>' +
+                '<button type="button" class="button" data-qe="discard" disabled>Discard</button>' +
+                '<button type="button" class="button" data-qe="undo" disabled>Undo last save</button>' +
+                '<span class="erp-sync-quick-edit-sep"></span>' +
+                '<label>Selected rows: <input type="number" min="0" max="100" class="small-text" data-qe="discount-value" /></label>' +
+                '<button type="button" class="button" data-qe="set-discount">Set discount</button>' +
+                '<select data-qe="deleted-value"><option value="yes">Deleted: Yes</option><option value="no">Deleted: No</option></select>' +
+                '<button type="button" class="button" data-qe="set-deleted">Set deleted</button>' +
+                '<span class="erp-sync-quick-edit-message" role="status"></span>' +
+            '</div>'
+        );
+        
+        $bar.on('click', '[data-qe="save"]', saveQuickEdits);
+        $bar.on('click', '[data-qe="discard"]', discardQuickEdits);
+        $bar.on('click', '[data-qe="undo"]', undoQuickEdits);
+        $bar.on('click', '[data-qe="set-discount"]', function() {
+            bulkSetQuickEdit('base_discount', $.trim($bar.find('[data-qe="discount-value"]').val()));
+        });
+        $bar.on('click', '[data-qe="set-deleted"]', function() {
+            bulkSetQuickEdit('is_deleted', $bar.find('[data-qe="deleted-value"]').val());
+        });
+        
+        $bar.insertAfter('#posts-filter .tablenav.top');
+        updateQuickEditToolbar();
+    }
 
-            // Generate unique session ID
+    /**
+     * Refresh the dirty counter and button states
+     */
+    function updateQuickEditToolbar() {
+        const count = Object.keys(quickEdit.dirty).length;
+        const $bar = $('.erp-sync-quick-edit-bar');
+        
+        $bar.find('.erp-sync-quick-edit-count').text(count ? count + ' unsaved change' + (count === 1 ? '' : 's') : 'No unsaved changes');
+        $bar.find('[data-qe="save"], [data-qe="discard"]').prop('disabled', !count || quickEdit.saving);
+        $bar.find('[data-qe="undo"]').prop('disabled', !quickEdit.lastSaved.length || quickEdit.saving);
+    }
+
+    /**
+     * Show a toolbar message (inline, instead of alert())
+     */
+    function setQuickEditMessage(message, isError) {
+        $('.erp-sync-quick-edit-message').text(message || '').toggleClass('erp-sync-error', !!isError);
+    }
+
+    /**
+     * Validate a cell value
+     *
+     * @returns {string} Error message, or '' when valid
+     */
+    function validateQuickEditValue(field, value) {
+        if (field === 'base_discount') {
+            return /^\d+$/.test(value) && parseInt(value, 10) <= 100 ? '' : 'Whole number 0-100';
+        }
+        if (field === 'is_deleted') {
+            return value === 'yes' || value === 'no' ? '' : 'Yes or No';
+        }
+        if (field === 'dob') {
+            return value === '' || isCsvDate(value) ? '' : 'Use YYYY-MM-DD';
+        }
+        return 'Unknown field';
+    }
+
+    function formatQuickEditValue(field, value) {
+        if (field === 'base_discount') {
+            return value + '%';
+        }
+        if (field === 'is_deleted') {
+            return value === 'yes' ? 'Yes' : 'No';
+        }
+        return value;
+    }
+
+    function quickEditKey($cell) {
+        return $cell.data('coupon-id') + ':' + $cell.data('field');
+    }
+
+    /**
+     * Current value of a cell: the unsaved edit if any, else the saved value
+     */
+    function quickEditCurrentValue($cell) {
+        const dirty = quickEdit.dirty[quickEditKey($cell)];
+        return dirty ? dirty.value : String($cell.attr('data-value'));
+    }
+
+    /**
+     * Put a cell into edit mode with the input matching its field
+     *
+     * @param {jQuery} $cell - .erp-sync-editable span
+     */
+    function openQuickEditCell($cell) {
+        if ($cell.hasClass('editing') || quickEdit.saving) {
+            return;
+        }
+        
+        const field = $cell.data('field');
+        const value = quickEditCurrentValue($cell);
+        
+        let $input;
+        if (field === 'is_deleted') {
+            $input = $('<select><option value="no">No</option><option value="yes">Yes</option></select>');
+        } else if (field === 'base_discount') {
+            $input = $('<input type="number" min="0" max="100" step="1" />');
+        } else if (field === 'dob') {
+            $input = $('<input type="date" />');
+        } else {
+            return;
+        }
+        
+        $input.addClass('erp-sync-quick-edit-input').val(value);
+        $cell.addClass('editing').empty().append($input);
+        $input.trigger('focus');
+        
+        $input.on('keydown', function(e) {
+            if (e.which === 9) {
+                // Tab / Shift-Tab: commit and move to the next / previous editable cell
+                e.preventDefault();
+                if (commitQuickEditCell($cell, $input.val())) {
+                    const $all = $('#the-list .erp-sync-editable');
+                    const $next = $all.eq($all.index($cell) + (e.shiftKey ? -1 : 1));
+                    if ($next.length) {
+                        openQuickEditCell($next);
+                    }
+                }
+            } else if (e.which === 13) {
+                e.preventDefault();
+                if (commitQuickEditCell($cell, $input.val())) {
+                    $cell.trigger('focus');
+                }
+            } else if (e.which === 27) {
+                e.preventDefault();
+                closeQuickEditCell($cell);
+                $cell.trigger('focus');
+            }
+        });
+        
+        $input.on('blur', function() {
+            // Tab / Enter / Esc already closed the cell
+            if ($cell.hasClass('editing')) {
+                commitQuickEditCell($cell, $input.val());
+            }
+        });
+    }
+
+    /**
+     * Validate the edited value and record it as dirty
+     *
+     * @returns {boolean} False when the value is invalid (the cell stays open with the error)
+     */
+    function commitQuickEditCell($cell, value) {
+        const error = validateQuickEditValue($cell.data('field'), $.trim(value));
+        
+        $cell.find('.erp-sync-cell-error').remove();
+        if (error) {
+            $('<span class="erp-sync-cell-error"></span>').text(error).appendTo($cell);
+            return false;
+        }
+        
+        setQuickEditValue($cell, $.trim(value));
+        closeQuickEditCell($cell);
+        return true;
+    }
+
+    /**
+     * Leave edit mode and show the cell's current value
+     */
+    function closeQuickEditCell($cell) {
+        $cell.removeClass('editing').text(formatQuickEditValue($cell.data('field'), quickEditCurrentValue($cell)));
+    }
+
+    /**
+     * Record a new value for a cell; a value equal to the saved one clears the dirty state
+     */
+    function setQuickEditValue($cell, value) {
+        const key = quickEditKey($cell);
+        const saved = String($cell.attr('data-value'));
+        
+        if (value === saved) {
+            delete quickEdit.dirty[key];
+        } else {
+            quickEdit.dirty[key] = {
+                coupon_id: $cell.data('coupon-id'),
+                field: $cell.data('field'),
+                value: value
+            };
+        }
+        
+        $cell.toggleClass('is-dirty', value !== saved).removeClass('has-error').removeAttr('title');
+        if (!$cell.hasClass('editing')) {
+            $cell.text(formatQuickEditValue($cell.data('field'), value));
+        }
+        updateQuickEditToolbar();
+    }
+
+    /**
+     * Set one field on every selected row (as unsaved edits)
+     */
+    function bulkSetQuickEdit(field, value) {
+        const error = validateQuickEditValue(field, value);
+        if (error) {
+            setQuickEditMessage(error, true);
+            return;
+        }
+        
+        const $rows = $('#the-list input[name="post[]"]:checked').closest('tr');
+        if (!$rows.length) {
+            setQuickEditMessage('Select coupons with the row checkboxes first.', true);
+            return;
+        }
+        
+        let changed = 0;
+        $rows.find('.erp-sync-editable[data-field="' + field + '"]').each(function() {
+            setQuickEditValue($(this), value);
+            changed++;
+        });
+        
+        setQuickEditMessage(changed + ' cell(s) changed - review and save.' +
+            (changed < $rows.length ? ' ' + ($rows.length - changed) + ' selected coupon(s) are not ERP-managed.' : ''), false);
+    }
+
+    /**
+     * Drop all unsaved edits
+     */
+    function discardQuickEdits() {
+        quickEdit.dirty = {};
+        $('#the-list .erp-sync-editable').each(function() {
+            $(this).removeClass('is-dirty has-error').removeAttr('title');
+            closeQuickEditCell($(this));
+        });
+        setQuickEditMessage('');
+        updateQuickEditToolbar();
+    }
+
+    /**
+     * Save all dirty cells in one request
+     */
+    function saveQuickEdits() {
+        const changes = $.map(quickEdit.dirty, function(change) {
+            return change;
+        });
+        if (!changes.length || quickEdit.saving) {
+            return;
+        }
+        
+        sendQuickEdits(changes, function(saved) {
+            // Previous values of the cells that saved, so the save can be undone
+            quickEdit.lastSaved = saved.map(function(result) {
+                return { coupon_id: result.coupon_id, field: result.field, value: result.old };
+            });
+        }, 'Saved');
+    }
+
+    /**
+     * Restore the values replaced by the last save
+     */
+    function undoQuickEdits() {
+        if (!quickEdit.lastSaved.length || quickEdit.saving) {
+            return;
+        }
+        
+        sendQuickEdits(quickEdit.lastSaved, function() {
+            quickEdit.lastSaved = [];
+        }, 'Undone');
+    }
+
+    /**
+     * POST cell changes to the bulk endpoint and apply the per-cell results
+     *
+     * @param {object[]} changes - { coupon_id, field, value }
+     * @param {Function} onSaved - Receives the successful results
+     * @param {string} verb - Message prefix ('Saved' / 'Undone')
+     */
+    function sendQuickEdits(changes, onSaved, verb) {
+        quickEdit.saving = true;
+        updateQuickEditToolbar();
+        setQuickEditMessage('Saving ' + changes.length + ' change(s)...');
+        
+        $.ajax({
+            url: erpSyncAdmin.ajaxurl,
+            type: 'POST',
+            timeout: 60000,
+            data: {
+                action: 'erp_sync_quick_edit_coupons_bulk',
+                nonce: erpSyncAdmin.nonce,
+                changes: changes
+            }
+        }).done(function(response) {
+            if (!response.success) {
+                setQuickEditMessage(response.data?.message || 'Unknown error', true);
+                return;
+            }
+            
+            const saved = [];
+            let failed = 0;
+            
+            response.data.results.forEach(function(result) {
+                const $cell = $('#post-' + result.coupon_id)
+                    .find('.erp-sync-editable[data-field="' + result.field + '"]');
+                const key = result.coupon_id + ':' + result.field;
+                
+                if (result.ok) {
+                    saved.push(result);
+                    delete quickEdit.dirty[key];
+                    $cell.attr('data-value', result.value).removeClass('is-dirty has-error').removeAttr('title');
+                    if (!$cell.hasClass('editing')) {
+                        $cell.text(formatQuickEditValue(result.field, result.value));
+                    }
+                } else {
+                    failed++;
+                    $cell.addClass('has-error').attr('title', result.message);
+                }
+            });
+            
+            // Refresh the status badges; editable cells are kept as they are
+            $.each(response.data.columns || {}, function(couponId, columns) {
+                updateRowColumns($('#post-' + couponId), { erp_sync_status: columns.erp_sync_status });
+            });
+            
+            onSaved(saved);
+            setQuickEditMessage(verb + ' ' + saved.length + ' change(s)' +
+                (failed ? ', ' + failed + ' failed - hover the red cells for details.' : '.'), failed > 0);
+        }).fail(function(xhr, status, error) {
+            setQuickEditMessage(classifyAjaxError(xhr, status, error).message, true);
+        }).always(function() {
+            quickEdit.saving = false;
+            updateQuickEditToolbar();
+        });
+    }
+
+    // Confirm dangerous actions
+    function initConfirmations() {
+        $('input[type="submit"][class*="delete"]').on('click', function(e) {
+            if (!$(this).data('confirmed')) {
+                e.preventDefault();
+                
+                if (confirm('Are you sure? This action cannot be undone.')) {
+                    $(this).data('confirmed', true);
+                    $(this).trigger('click');
+                }
+            }
+        });
+    }
+
+    // Single Product ERP Sync Update
+    function initSingleProductUpdate() {
+        $(document).on('click', '.erp-sync-single-update', function(e) {
+            e.preventDefault();
+            
+            const $button = $(this);
+            const productId = $button.data('id');
+            const originalText = $button.text();
+            
+            // Store original width to prevent layout jump
+            const originalWidth = $button.outerWidth();
+            $button.css('min-width', originalWidth + 'px');
+            
+            // Disable button and show loading state with custom spinner
+            $button.prop('disabled', true).addClass('updating-message');
+            $button.html(originalText + ' <span class="erp-sync-loading"></span>');
+            
+            requestSingleSync('product', productId)
+                .done(function() {
+                    // Show success state
+                    $button.removeClass('updating-message').addClass('button-primary');
+                    $button.html('Updated! ✅');
+                    refreshProductDetail(productId);
+                    
+                    // Reset after 2 seconds
+                    setTimeout(function() {
+                        $button.removeClass('button-primary').prop('disabled', false);
+                        $button.text(originalText);
+                        $button.css('min-width', '');
+                    }, 2000);
+                })
+                .fail(function(xhr, status, error) {
+                    // Show error - revert immediately
+                    $button.removeClass('updating-message');
+                    $button.prop('disabled', false);
+                    $button.text(originalText);
+                    $button.css('min-width', '');
+                    alert('Error: ' + classifyAjaxError(xhr, status, error).message);
+                });
+        });
+    }
+
+    // Inline ERP drill-down row on the products list
+    function initProductDetails() {
+        $(document).on('click', '.erp-sync-product-details', function(e) {
+            e.preventDefault();
+            
+            const productId = $(this).data('id');
+            const $detailRow = $('#erp-sync-detail-' + productId);
+            
+            if ($detailRow.length) {
+                $detailRow.remove();
+                $(this).attr('aria-expanded', 'false');
+                return;
+            }
+            
+            const $row = $('#post-' + productId);
+            $('<tr class="erp-sync-detail-row"></tr>')
+                .attr('id', 'erp-sync-detail-' + productId)
+                .append($('<td></td>').attr('colspan', $row.children(':visible').length))
+                .insertAfter($row);
+            
+            refreshProductDetail(productId);
+        });
+    }
+
+    /**
+     * Reload an open drill-down row; values that differ from the previous load are highlighted
+     *
+     * @param {number} productId - Product ID
+     */
+    function refreshProductDetail(productId) {
+        const $detailRow = $('#erp-sync-detail-' + productId);
+        if (!$detailRow.length) {
+            return;
+        }
+        
+        // The row cells may have been re-rendered since the panel was opened
+        $('#post-' + productId).find('.erp-sync-product-details').attr('aria-expanded', 'true');
+        
+        const $cell = $detailRow.children('td');
+        $cell.addClass('is-loading');
+        if (!$detailRow.data('detail')) {
+            $cell.html('<span class="erp-sync-loading"></span>');
+        }
+        
+        $.ajax({
+            url: erpSyncAdmin.ajaxurl,
+            type: 'POST',
+            timeout: 30000,
+            data: {
+                action: 'erp_sync_product_detail',
+                nonce: erpSyncAdmin.nonce,
+                product_id: productId
+            }
+        }).done(function(response) {
+            if (!response.success) {
+                $cell.empty().append($('<p class="erp-sync-error"></p>').text(response.data?.message || 'Unknown error'));
+                return;
+            }
+            
+            renderProductDetail($cell, response.data, $detailRow.data('detail') || null);
+            $detailRow.data('detail', response.data);
+        }).fail(function(xhr, status, error) {
+            $cell.empty().append($('<p class="erp-sync-error"></p>').text(classifyAjaxError(xhr, status, error).message));
+        }).always(function() {
+            $cell.removeClass('is-loading');
+        });
+    }
+
+    /**
+     * Render the drill-down panel
+     *
+     * @param {jQuery} $cell - The detail row cell
+     * @param {object} data - Payload of erp_sync_product_detail
+     * @param {object|null} previous - Payload of the previous load, used to mark changes
+     */
+    function renderProductDetail($cell, data, previous) {
+        const changed = function(value, oldValue) {
+            return previous !== null && String(value) !== String(oldValue);
+        };
+        const field = function(label, value, oldValue) {
+            const $value = $('<dd></dd>').text(value === '' || value === null ? '—' : value);
+            if (changed(value, oldValue)) {
+                $value.addClass('erp-sync-changed').attr('title', 'Was: ' + (oldValue === '' ? '—' : oldValue));
+            }
+            return $('<dt></dt>').text(label).add($value);
+        };
+        const prev = previous || {};
+        
+        const $summary = $('<dl class="erp-sync-detail-fields"></dl>').append(
+            field('Price', data.regular_price, prev.regular_price),
+            field('Sale price', data.sale_price, prev.sale_price),
+            field('Stock', data.stock_quantity, prev.stock_quantity),
+            field('Stock status', data.stock_status, prev.stock_status),
+            field('Stock synced', data.stock_updated_at, prev.stock_updated_at),
+            field('Catalog synced', data.synced_at, prev.synced_at),
+            field('Branches', data.branches.join(', '), (prev.branches || []).join(', '))
+        );
+        
+        // Per-warehouse quantities, matched by location against the previous load
+        const oldQuantities = {};
+        (prev.warehouses || []).forEach(function(wh) {
+            oldQuantities[wh.location] = wh.quantity;
+        });
+        const $warehouses = $('<table class="widefat striped erp-sync-detail-warehouses"><thead><tr><th>Warehouse</th><th>Qty</th></tr></thead><tbody></tbody></table>');
+        data.warehouses.forEach(function(wh) {
+            const $qty = $('<td></td>').text(wh.quantity);
+            if (previous !== null && oldQuantities[wh.location] !== wh.quantity) {
+                $qty.addClass('erp-sync-changed')
+                    .attr('title', 'Was: ' + (oldQuantities[wh.location] === undefined ? '—' : oldQuantities[wh.location]));
+            }
+            $('<tr></tr>').append($('<td></td>').text(wh.location), $qty).appendTo($warehouses.find('tbody'));
+        });
+        if (!data.warehouses.length) {
+            $warehouses.find('tbody').append('<tr><td colspan="2">No warehouse data stored yet.</td></tr>');
+        }
+        
+        const $logs = $('<table class="widefat striped erp-sync-detail-logs"><thead><tr><th>Date</th><th>Change</th><th>Message</th></tr></thead><tbody></tbody></table>');
+        data.logs.forEach(function(log) {
+            $('<tr></tr>').append(
+                $('<td></td>').text(log.created_at),
+                $('<td></td>').text(log.change_type),
+                $('<td></td>').text(log.message)
+            ).appendTo($logs.find('tbody'));
+        });
+        if (!data.logs.length) {
+            $logs.find('tbody').append('<tr><td colspan="3">No logged changes.</td></tr>');
+        }
+        
+        $cell.empty().append(
+            $('<div class="erp-sync-detail"></div>').append(
+                $('<div></div>').append($summary, data.erp_managed ? null : $('<p class="description"></p>').text('Not yet updated by an ERP stock sync.')),
+                $('<div></div>').append($warehouses),
+                $('<div></div>').append(
+                    $logs,
+                    $('<p></p>').append($('<a></a>').attr('href', data.logs_url).text('All logs for this product →'))
+                )
+            )
+        );
+    }
+
+    // Single Coupon ERP Sync Update
+    function initSingleCouponUpdate() {
+        $(document).on('click', '.erp-sync-single-coupon-update', function(e) {
+            e.preventDefault();
+            
+            const $button = $(this);
+            const couponId = $button.data('id');
+            const originalText = $button.text();
+            
+            // Store original width to prevent layout jump
+            const originalWidth = $button.outerWidth();
+            $button.css('min-width', originalWidth + 'px');
+            
+            // Disable button and show loading state with custom spinner
+            $button.prop('disabled', true).addClass('updating-message');
+            $button.html(originalText + ' <span class="erp-sync-loading"></span>');
+            
+            requestSingleSync('shop_coupon', couponId)
+                .done(function() {
+                    // Show success state
+                    $button.removeClass('updating-message').addClass('button-primary');
+                    $button.html('Synced! ✅');
+                    
+                    // Reset after 2 seconds
+                    setTimeout(function() {
+                        $button.removeClass('button-primary').prop('disabled', false);
+                        $button.text(originalText);
+                        $button.css('min-width', '');
+                    }, 2000);
+                })
+                .fail(function(xhr, status, error) {
+                    // Show error - revert immediately
+                    $button.removeClass('updating-message');
+                    $button.prop('disabled', false);
+                    $button.text(originalText);
+                    $button.css('min-width', '');
+                    alert('Error: ' + classifyAjaxError(xhr, status, error).message);
+                });
+        });
+    }
+
+    /**
+     * Request a single product or coupon sync
+     *
+     * @param {string} postType - 'product' or 'shop_coupon'
+     * @param {number} id - Post ID
+     * @returns {jqXHR}
+     */
+    function requestSingleSync(postType, id) {
+        const route = (postType === 'shop_coupon' ? 'coupons/' : 'products/') + id + '/sync';
+        
+        return restRequest('POST', route, null, { timeout: 60000 });
+    }
+
+    /**
+     * Replace list table cells with freshly rendered HTML from the server
+     *
+     * @param {jQuery} $row - The list table row
+     * @param {object} columns - Column key => cell HTML
+     */
+    function updateRowColumns($row, columns) {
+        $.each(columns || {}, function(column, html) {
+            $row.find('td.column-' + column).html(html);
+        });
+    }
+
+    // "Sync selected from ERP" bulk action on the products and coupons lists
+    function initBulkSync() {
+        const postType = $('#posts-filter input[name="post_type"]').val();
+        if (postType !== 'product' && postType !== 'shop_coupon') {
+            return;
+        }
+        
+        $('#doaction, #doaction2').on('click', function(e) {
+            const selector = this.id === 'doaction' ? '#bulk-action-selector-top' : '#bulk-action-selector-bottom';
+            if ($(selector).val() !== 'erp_sync_bulk_sync') {
+                return;
+            }
+            
+            e.preventDefault();
+            
+            const ids = $('#the-list input[name="post[]"]:checked').map(function() {
+                return parseInt(this.value, 10);
+            }).get();
+            
+            if (!ids.length) {
+                alert('Please select at least one item.');
+                return;
+            }
+            
+            if (bulkSyncRunning) {
+                return;
+            }
+            
+            runBulkSync(postType, ids, $('#doaction, #doaction2'));
+        });
+    }
+
+    /**
+     * Sync the given IDs through a small throttled queue
+     *
+     * @param {string} postType - 'product' or 'shop_coupon'
+     * @param {number[]} ids - Selected post IDs
+     * @param {jQuery} $buttons - Apply buttons, disabled while running
+     */
+    function runBulkSync(postType, ids, $buttons) {
+        const queue = ids.slice();
+        const total = ids.length;
+        let done = 0;
+        let failed = 0;
+        let active = 0;
+        const applyLabel = $buttons.first().val();
+        
+        bulkSyncRunning = true;
+        $buttons.prop('disabled', true);
+        $('.erp-sync-bulk-notice').remove();
+        
+        ids.forEach(function(id) {
+            const $cell = $('#post-' + id).find('td.column-primary');
+            $cell.find('.erp-sync-bulk-status').remove();
+            $('<span class="erp-sync-bulk-status"><span class="erp-sync-loading"></span></span>').appendTo($cell);
+        });
+        
+        const finish = function() {
+            bulkSyncRunning = false;
+            $buttons.prop('disabled', false).val(applyLabel);
+            
+            const message = 'Synced ' + (total - failed) + ' of ' + total + ' from ERP' +
+                (failed ? '. ' + failed + ' failed - hover the red badges for details.' : '.');
+            $('<div class="notice is-dismissible erp-sync-bulk-notice"><p></p></div>')
+                .addClass(failed ? 'notice-warning' : 'notice-success')
+                .find('p').text(message).end()
+                .insertBefore('#posts-filter');
+            
+            // Let WordPress add the dismiss button to the new notice
+            $(document).trigger('wp-updates-notice-added');
+        };
+        
+        const next = function() {
+            if (!queue.length) {
+                if (active === 0) {
+                    finish();
+                }
+                return;
+            }
+            
+            const id = queue.shift();
+            const $row = $('#post-' + id);
+            active++;
+            
+            requestSingleSync(postType, id)
+                .done(function(data) {
+                    updateRowColumns($row, data.columns);
+                    setBulkRowStatus($row, true, 'Synced');
+                    if (postType === 'product') {
+                        refreshProductDetail(id);
+                    }
+                })
+                .fail(function(xhr, status, error) {
+                    failed++;
+                    setBulkRowStatus($row, false, classifyAjaxError(xhr, status, error).message);
+                })
+                .always(function() {
+                    active--;
+                    done++;
+                    $buttons.val('Syncing ' + done + '/' + total + '...');
+                    setTimeout(next, BULK_THROTTLE_MS);
+                });
+        };
+        
+        // Keep the load on the ERP low: a couple of requests in flight at most
+        for (let i = 0; i < Math.min(BULK_CONCURRENCY, queue.length); i++) {
+            next();
+        }
+    }
+
+    /**
+     * Show the per-row result badge of a bulk sync
+     */
+    function setBulkRowStatus($row, ok, message) {
+        $row.find('.erp-sync-bulk-status')
+            .attr('title', message)
+            .html($('<span class="erp-sync-status-badge"></span>')
+                .addClass(ok ? 'erp-sync-status-active' : 'erp-sync-status-deleted')
+                .text(ok ? '✅ ' + message : '❌ Failed'));
+    }
+
+    // CSV Import (coupons or product price/stock overrides)
+    function initCsvImport() {
+        $('#erp-sync-csv-file').on('change', function() {
+            const file = this.files[0];
+            if (!file) {
+                csvPrepared = null;
+                $('#erp-sync-csv-preview').hide();
+                return;
+            }
+            loadCsvPreview(file);
+        });
+
+        $('#erp-sync-csv-type').on('change', function() {
+            if (csvPrepared) {
+                applyCsvImportType($(this).val());
+            }
+        });
+
+        $('#erp-sync-csv-preview').on('change', 'select[data-field]', function() {
+            if (csvPrepared) {
+                csvPrepared.mapping[$(this).data('field')] = parseInt($(this).val(), 10);
+                validateCsvRows();
+            }
+        });
+
+        $('#erp-sync-csv-import-btn').on('click', function(e) {
+            e.preventDefault();
+
+            const $button = $(this);
+
+            if (!csvPrepared) {
+                alert('Please select a CSV file first.');
+                return;
+            }
+
+            if (!csvPrepared.valid.length) {
+                alert('The file has no valid rows to import.');
+                return;
+            }
+
+            // Prevent double-clicks
+            if ($button.prop('disabled')) {
+                return;
+            }
+
+            const originalText = $button.text();
+            setSyncButtonBusy($button, originalText);
+
+            failedItems = [];
+            $('#erp-sync-failures-container').hide();
+            csvImportType = csvPrepared.type;
+
+            // Generate unique session ID
             const sessionId = 'csv_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+            progressWatch.ownSessionId = sessionId;
+
+            // Build FormData for file upload (init step)
+            var formData = new FormData();
+            formData.append('step', 'init');
+            formData.append('offset', '0');
+            formData.append('batch_size', String(batchSize));
+            formData.append('session_id', sessionId);
+            formData.append('import_type', csvImportType);
+            // Only the mapped, validated rows are uploaded
+            formData.append('csv_file', buildPreparedCsv(), csvImportType + '.csv');
+
+            restRequest('POST', 'syncs/csv_import/steps', formData, {
+                processData: false,
+                contentType: false,
+                timeout: 60000,
+                success: function(data) {
+                    const totalCount = data.total || 0;
+                    consoleLog((data.message || 'CSV parsed') + ': ' + totalCount.toLocaleString() + ' rows');
+
+                    if (totalCount === 0) {
+                        // No rows to process, go to cleanup
+                        runCsvStep('cleanup', 0, sessionId, 0, $button, originalText, {
+                            created: 0, updated: 0, errors: 0, total: 0
+                        });
+                    } else {
+                        updateProgressUI(0, totalCount, 'Starting CSV import...');
+                        const initialStats = { created: 0, updated: 0, errors: 0, total: totalCount };
+                        // Start processing first batch
+                        proceedOrHold(function() {
+                            runCsvStep('process', 0, sessionId, 0, $button, originalText, initialStats);
+                        }, function() {
+                            runCsvStep('abort', 0, sessionId, 0, $button, originalText, initialStats);
+                        });
+                    }
+                },
+                error: function(xhr, status, error) {
+                    handleSyncError($button, originalText, 'CSV upload failed: ' + classifyAjaxError(xhr, status, error).message);
+                }
+            });
+        });
+    }
+
+    /**
+     * Parse CSV text into an array of rows (quoted fields, "" escapes, any line ending)
+     *
+     * @param {string} text - File contents
+     * @param {string} delimiter - Field delimiter
+     * @returns {string[][]} Rows of raw cell values
+     */
+    function parseCsvText(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (ch === '\r' || ch === '\n') {
+                if (ch === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        
+        if (cell !== '' || row.length) {
+            row.push(cell);
+            rows.push(row);
+        }
+        
+        return rows;
+    }
+
+    /**
+     * Guess the delimiter from the header line (Excel exports often use ';')
+     */
+    function detectCsvDelimiter(text) {
+        const firstLine = text.split(/\r\n|\r|\n/, 1)[0];
+        let best = ',';
+        let bestCount = 0;
+        [',', ';', '\t'].forEach(function(candidate) {
+            const count = firstLine.split(candidate).length - 1;
+            if (count > bestCount) {
+                best = candidate;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Quote a value for a CSV cell (normalized import upload, exports)
+     */
+    function csvCell(value) {
+        const str = String(value === undefined || value === null ? '' : value);
+        return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+    }
+
+    /**
+     * Quote a value for a CSV cell that a spreadsheet must not run as a formula
+     * (customer-entered data): a leading =, +, - or @ gets a ' prefix
+     */
+    function csvTextCell(value) {
+        const str = String(value === undefined || value === null ? '' : value);
+        return csvCell(/^[=+\-@]/.test(str) ? "'" + str : str);
+    }
+
+    /**
+     * Read the selected file and show the mapping preview
+     *
+     * @param {File} file - Selected CSV file
+     */
+    function loadCsvPreview(file) {
+        const reader = new FileReader();
+        
+        reader.onload = function() {
+            const text = String(reader.result).replace(/^\uFEFF/, '');
+            const rows = parseCsvText(text, detectCsvDelimiter(text));
+            
+            if (!rows.length) {
+                csvPrepared = null;
+                $('#erp-sync-csv-preview').hide();
+                $('#erp-sync-csv-import-btn').prop('disabled', true);
+                alert('CSV file is empty or cannot be parsed.');
+                return;
+            }
+            
+            csvPrepared = {
+                fileName: file.name,
+                header: rows[0].map(function(h) { return $.trim(h); }),
+                lines: rows.slice(1),
+                type: null,
+                mapping: {},
+                stockColumns: {},
+                valid: []
+            };
+            
+            applyCsvImportType($('#erp-sync-csv-type').val());
+        };
+        
+        reader.onerror = function() {
+            alert('Could not read the selected file.');
+        };
+        
+        reader.readAsText(file);
+    }
+
+    /**
+     * Guess the column mapping for an import type and render the mapping selects
+     *
+     * @param {string} type - 'coupons' or 'products'
+     */
+    function applyCsvImportType(type) {
+        const prepared = csvPrepared;
+        const header = prepared.header;
+        const $mapping = $('#erp-sync-csv-preview .erp-sync-csv-mapping').empty();
+        
+        prepared.type = type;
+        prepared.mapping = {};
+        prepared.stockColumns = {};
+        
+        CSV_IMPORT_TYPES[type].fields.forEach(function(field) {
+            // Pre-select the column whose header matches a known alias
+            prepared.mapping[field.key] = header.findIndex(function(h) {
+                return field.aliases.indexOf(h.toLowerCase()) !== -1;
+            });
+            
+            const $select = $('<select></select>').attr('data-field', field.key)
+                .append($('<option value="-1"></option>').text(field.required ? '— Select column —' : '— Not imported —'));
+            header.forEach(function(h, index) {
+                $('<option></option>').val(index).text(h || 'Column ' + (index + 1)).appendTo($select);
+            });
+            $select.val(String(prepared.mapping[field.key]));
+            
+            $('<label></label>').text(field.label + (field.required ? ' *' : '') + ' ').append($select).appendTo($mapping);
+        });
+        
+        // Products: every "stock:<Branch>" column sets that branch's quantity
+        if (type === 'products') {
+            header.forEach(function(h, index) {
+                if (h.toLowerCase().indexOf(CSV_STOCK_PREFIX) === 0 && $.trim(h.slice(CSV_STOCK_PREFIX.length)) !== '') {
+                    prepared.stockColumns[index] = $.trim(h.slice(CSV_STOCK_PREFIX.length));
+                }
+            });
+            const branches = Object.values(prepared.stockColumns);
+            $('<p class="description"></p>').text(branches.length
+                ? 'Branch stock columns: ' + branches.join(', ')
+                : 'No "stock:Branch name" columns found - only prices will be imported.').appendTo($mapping);
+        }
+        
+        validateCsvRows();
+        $('#erp-sync-csv-preview').show();
+    }
+
+    /**
+     * Validate a coupon row; returns the problems and the row to upload
+     */
+    function validateCouponCsvRow(values, seen) {
+        const problems = [];
+        const phone = values.phone.replace(/\D/g, '');
+        const discount = Number(values.discount.replace(',', '.'));
+        const isPhone = function(raw) {
+            // Same rule as Coupon_Dynamic::normalize_phone(): digits only
+            const digits = raw.replace(/\D/g, '');
+            return digits.length >= CSV_PHONE_MIN_DIGITS && digits.length <= CSV_PHONE_MAX_DIGITS;
+        };
+        
+        if (values.code === '') {
+            problems.push('Empty code');
+        } else if (seen[values.code.toLowerCase()]) {
+            problems.push('Duplicate code (first on line ' + seen[values.code.toLowerCase()] + ')');
+        }
+        
+        if (values.phone !== '' && !isPhone(values.phone)) {
+            problems.push('Invalid phone "' + values.phone + '"');
+        }
+        
+        if (values.discount === '' || isNaN(discount) || discount < 0 || discount > 100) {
+            problems.push('Discount "' + values.discount + '" is not between 0 and 100');
+        }
+        
+        ['dob', 'expiry_date'].forEach(function(key) {
+            if (values[key] && !isCsvDate(values[key])) {
+                problems.push('Invalid ' + key + ' "' + values[key] + '", expected YYYY-MM-DD');
+            }
+        });
+        
+        if (values.is_deleted && ['yes', 'no', 'y', 'n', '1', '0', 'true', 'false'].indexOf(values.is_deleted.toLowerCase()) === -1) {
+            problems.push('is_deleted "' + values.is_deleted + '" is not yes/no');
+        }
+        
+        const allowedPhones = values.allowed_phones
+            ? values.allowed_phones.split(/[,;]/).map($.trim).filter(Boolean)
+            : [];
+        allowedPhones.forEach(function(raw) {
+            if (!isPhone(raw)) {
+                problems.push('Invalid allowed phone "' + raw + '"');
+            }
+        });
+        
+        return {
+            key: values.code,
+            problems: problems,
+            row: $.extend({}, values, {
+                phone: phone,
+                discount: Math.round(discount),
+                allowed_phones: allowedPhones.map(function(raw) { return raw.replace(/\D/g, ''); }).join(', ')
+            })
+        };
+    }
+
+    /**
+     * Validate a product override row; returns the problems and the row to upload
+     */
+    function validateProductCsvRow(values, seen) {
+        const problems = [];
+        const amount = function(raw) {
+            return raw === '' ? null : Number(raw.replace(',', '.'));
+        };
+        const price = amount(values.price);
+        const salePrice = amount(values.sale_price);
+        
+        if (values.sku === '') {
+            problems.push('Empty SKU');
+        } else if (seen[values.sku.toLowerCase()]) {
+            problems.push('Duplicate SKU (first on line ' + seen[values.sku.toLowerCase()] + ')');
+        }
+        
+        if (price !== null && (isNaN(price) || price <= 0)) {
+            problems.push('Price "' + values.price + '" is not a positive number');
+        }
+        
+        if (salePrice !== null && (isNaN(salePrice) || salePrice < 0)) {
+            problems.push('Sale price "' + values.sale_price + '" is not a number');
+        } else if (salePrice !== null && price !== null && salePrice >= price) {
+            problems.push('Sale price must be lower than the price');
+        }
+        
+        $.each(values.stock, function(branch, raw) {
+            if (raw !== '' && !/^\d+$/.test(raw)) {
+                problems.push('Stock "' + raw + '" for ' + branch + ' is not a whole number');
+            }
+        });
+        
+        if (price === null && salePrice === null && !Object.values(values.stock).some(function(raw) { return raw !== ''; })) {
+            problems.push('Nothing to update');
+        }
+        
+        return { key: values.sku, problems: problems, row: values };
+    }
+
+    /**
+     * Check a YYYY-MM-DD date that exists in the calendar
+     */
+    function isCsvDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (!match) {
+            return false;
+        }
+        const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+        return date.getUTCMonth() === +match[2] - 1 && date.getUTCDate() === +match[3];
+    }
+
+    /**
+     * Apply the column mapping, validate every row and refresh the preview
+     */
+    function validateCsvRows() {
+        const prepared = csvPrepared;
+        const fields = CSV_IMPORT_TYPES[prepared.type].fields;
+        const mapping = prepared.mapping;
+        const mapped = fields.every(function(field) {
+            return !field.required || mapping[field.key] !== -1;
+        });
+        const shownFields = fields.filter(function(field) {
+            return mapping[field.key] !== -1;
+        });
+        const hasStock = prepared.type === 'products' && !$.isEmptyObject(prepared.stockColumns);
+        const seenKeys = {};
+        const warnings = [];
+        const previewRows = [];
+        
+        prepared.valid = [];
+        
+        if (mapped) {
+            prepared.lines.forEach(function(cells, index) {
+                // Header is line 1
+                const line = index + 2;
+                
+                if (cells.length === 1 && $.trim(cells[0]) === '') {
+                    return;
+                }
+                
+                const values = {};
+                fields.forEach(function(field) {
+                    values[field.key] = mapping[field.key] === -1 ? '' : $.trim(cells[mapping[field.key]] || '');
+                });
+                
+                let result;
+                if (prepared.type === 'products') {
+                    values.stock = {};
+                    $.each(prepared.stockColumns, function(column, branch) {
+                        values.stock[branch] = $.trim(cells[column] || '');
+                    });
+                    result = validateProductCsvRow(values, seenKeys);
+                } else {
+                    result = validateCouponCsvRow(values, seenKeys);
+                }
+                
+                if (result.key !== '' && !seenKeys[result.key.toLowerCase()]) {
+                    seenKeys[result.key.toLowerCase()] = line;
+                }
+                
+                if (result.problems.length) {
+                    warnings.push({ line: line, key: result.key, message: result.problems.join('; ') });
+                } else {
+                    prepared.valid.push($.extend(result.row, { line: line }));
+                }
+                
+                if (previewRows.length < CSV_PREVIEW_ROWS) {
+                    previewRows.push({ line: line, values: values, problems: result.problems });
+                }
+            });
+        }
+        
+        const $preview = $('#erp-sync-csv-preview');
+        const $headRow = $('<tr></tr>').append($('<th></th>').text('Line'));
+        shownFields.forEach(function(field) {
+            $('<th></th>').text(field.label).appendTo($headRow);
+        });
+        if (hasStock) {
+            $('<th></th>').text('Stock').appendTo($headRow);
+        }
+        $('<th></th>').text('Status').appendTo($headRow);
+        $preview.find('.erp-sync-csv-preview-table thead').empty().append($headRow);
+        
+        const $tbody = $preview.find('.erp-sync-csv-preview-table tbody').empty();
+        previewRows.forEach(function(row) {
+            const $tr = $('<tr></tr>').toggleClass('erp-sync-csv-invalid', row.problems.length > 0)
+                .append($('<td></td>').text(row.line));
+            shownFields.forEach(function(field) {
+                $('<td></td>').text(row.values[field.key]).appendTo($tr);
+            });
+            if (hasStock) {
+                $('<td></td>').text($.map(row.values.stock, function(qty, branch) {
+                    return qty === '' ? null : branch + ': ' + qty;
+                }).join(', ')).appendTo($tr);
+            }
+            $('<td></td>').text(row.problems.length ? row.problems.join('; ') : 'OK').appendTo($tr);
+            $tbody.append($tr);
+        });
+        
+        const $warnings = $preview.find('.erp-sync-csv-warnings');
+        const $list = $warnings.find('ul').empty();
+        warnings.slice(0, CSV_MAX_WARNINGS).forEach(function(warning) {
+            $('<li></li>').text('Line ' + warning.line + (warning.key ? ' (' + warning.key + ')' : '') + ': ' + warning.message).appendTo($list);
+        });
+        if (warnings.length > CSV_MAX_WARNINGS) {
+            $('<li></li>').text('… and ' + (warnings.length - CSV_MAX_WARNINGS) + ' more.').appendTo($list);
+        }
+        $warnings.find('summary').text(warnings.length + ' row(s) will be skipped');
+        $warnings.toggle(warnings.length > 0);
+        
+        let summary;
+        if (!mapped) {
+            summary = 'Map the required (*) columns to continue.';
+        } else {
+            summary = prepared.fileName + ': ' + prepared.valid.length.toLocaleString() + ' ' +
+                CSV_IMPORT_TYPES[prepared.type].noun + ' row(s) ready to import' +
+                (warnings.length ? ', ' + warnings.length.toLocaleString() + ' skipped.' : '.');
+        }
+        $preview.find('.erp-sync-csv-summary').text(summary);
+        
+        $('#erp-sync-csv-import-btn').prop('disabled', !prepared.valid.length);
+    }
+
+    /**
+     * Build the normalized CSV that is uploaded: mapped columns under their
+     * canonical names, branch stock columns and the original line number
+     *
+     * @returns {Blob}
+     */
+    function buildPreparedCsv() {
+        const prepared = csvPrepared;
+        const keys = CSV_IMPORT_TYPES[prepared.type].fields.filter(function(field) {
+            return prepared.mapping[field.key] !== -1;
+        }).map(function(field) {
+            return field.key;
+        });
+        const branches = Object.values(prepared.stockColumns);
+        
+        const lines = [keys.concat(branches.map(function(branch) {
+            return CSV_STOCK_PREFIX + branch;
+        }), ['line']).map(csvCell).join(',')];
+        
+        prepared.valid.forEach(function(row) {
+            const cells = keys.map(function(key) {
+                return row[key];
+            }).concat(branches.map(function(branch) {
+                return row.stock[branch];
+            }), [row.line]);
+            lines.push(cells.map(csvCell).join(','));
+        });
+        
+        return new Blob([lines.join('\r\n') + '\r\n'], { type: 'text/csv' });
+    }
+
+    /**
+     * Run a CSV import step (process, cleanup, or abort) through the REST step protocol.
+     */
+    function runCsvStep(step, offset, sessionId, retryCount, $button, originalText, aggregateStats) {
+        var startedAt = Date.now();
+
+        restRequest('POST', 'syncs/csv_import/steps', {
+            import_type: csvImportType,
+            step: step,
+            offset: offset,
+            batch_size: batchSize,
+            session_id: sessionId
+        }, {
+            timeout: 60000,
+            success: function(data) {
+                if (data.cancelled) {
+                    // Cancelled through the REST API - the server already aborted
+                    consoleLog('Cancelled through the REST API', 'warning');
+                    step = 'abort';
+                }
+
+                if (step === 'process') {
+                    aggregateStats.created = (aggregateStats.created || 0) + (data.created || 0);
+                    aggregateStats.updated = (aggregateStats.updated || 0) + (data.updated || 0);
+                    aggregateStats.errors = (aggregateStats.errors || 0) + (data.errors || 0);
+                    failedItems = failedItems.concat(data.failures || []);
+
+                    var nextOffset = data.next_offset || (offset + batchSize);
+                    var totalCount = data.total || aggregateStats.total || 0;
+
+                    var elapsedMs = Date.now() - startedAt;
+
+                    if (data.already_processed) {
+                        // A retry after a timeout: the server had finished the batch and counted it
+                        consoleLog('Rows at offset ' + offset.toLocaleString() + ' were already imported - continuing from row ' +
+                            nextOffset.toLocaleString(), 'warning');
+                    } else {
+                        adaptBatchSize(elapsedMs);
+                        consoleLog('Rows at offset ' + offset.toLocaleString() + ': ' + (data.processed || 0) + ' rows in ' +
+                            (elapsedMs / 1000).toFixed(1) + 's' + (data.errors ? ', ' + data.errors + ' errors' : ''),
+                            data.errors ? 'warning' : '');
+                    }
+
+                    updateProgressUI(Math.min(nextOffset, totalCount), totalCount,
+                        'CSV import: ' + nextOffset.toLocaleString() + ' rows, next batch: ' + batchSize + '...',
+                        aggregateStats);
+
+                    proceedOrHold(function() {
+                        if (nextOffset >= totalCount) {
+                            runCsvStep('cleanup', 0, sessionId, 0, $button, originalText, {
+                                ...aggregateStats, total: totalCount
+                            });
+                        } else {
+                            runCsvStep('process', nextOffset, sessionId, 0, $button, originalText, {
+                                ...aggregateStats, total: totalCount
+                            });
+                        }
+                    }, function() {
+                        runCsvStep('abort', nextOffset, sessionId, 0, $button, originalText, {
+                            ...aggregateStats, total: totalCount
+                        });
+                    });
+                } else if (step === 'cleanup') {
+                    consoleLog(data.message || 'Cleanup completed');
+                    handleSyncSuccess($button, originalText, aggregateStats);
+                    renderFailures();
+                } else if (step === 'abort') {
+                    consoleLog(data.message || 'Import aborted');
+                    handleSyncCancelled($button, originalText, aggregateStats, offset);
+                    renderFailures();
+                }
+            },
+            error: function(xhr, status, error) {
+                var failure = classifyAjaxError(xhr, status, error);
+
+                if (status === 'timeout') {
+                    // The batch was too big for the host - retry with a smaller one
+                    batchSize = Math.max(batchBounds.min, Math.floor(batchSize / 2));
+                }
+
+                if (!failure.retry) {
+                    handleSyncError($button, originalText, failure.message);
+                } else if (retryCount < MAX_RETRIES) {
+                    var newRetryCount = retryCount + 1;
+                    var retryDelay = getRetryDelay(newRetryCount);
+                    updateProgressUI(offset, aggregateStats.total || 0,
+                        failure.message + '. Retrying... (attempt ' + newRetryCount + '/' + MAX_RETRIES + ')');
+                    consoleLog(failure.message + ' during ' + step + ' - retrying in ' +
+                        Math.round(retryDelay / 1000) + 's (attempt ' + newRetryCount + '/' + MAX_RETRIES + ')', 'warning');
+
+                    setTimeout(function() {
+                        proceedOrHold(function() {
+                            runCsvStep(step, offset, sessionId, newRetryCount, $button, originalText, aggregateStats);
+                        }, function() {
+                            runCsvStep('abort', offset, sessionId, step === 'abort' ? newRetryCount : 0,
+                                $button, originalText, aggregateStats);
+                        });
+                    }, retryDelay);
+                } else {
+                    handleSyncError($button, originalText, 'Failed after ' + MAX_RETRIES + ' retries: ' + failure.message);
+                }
+            }
+        });
+    }
+
+    // Product Logs Viewer
+    function initLogsViewer() {
+        const $viewer = $('#erp-sync-logs-viewer');
+        if (!$viewer.length) return;
+        
+        let searchTimer = null;
+        
+        $viewer.on('change', '#erp-sync-logs-type, #erp-sync-logs-from, #erp-sync-logs-to, #erp-sync-logs-session', function() {
+            loadLogs(1);
+        });
+        
+        $viewer.on('input', '#erp-sync-logs-search', function() {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(function() {
+                loadLogs(1);
+            }, LOGS_SEARCH_DELAY_MS);
+        });
+        
+        $viewer.on('click', '.erp-sync-logs-table th.is-sortable', function() {
+            const orderby = $(this).data('orderby');
+            logsViewer.order = logsViewer.orderby === orderby && logsViewer.order === 'DESC' ? 'ASC' : 'DESC';
+            logsViewer.orderby = orderby;
+            loadLogs(1);
+        });
+        
+        $viewer.on('click', '.erp-sync-logs-prev', function() {
+            loadLogs(logsViewer.page - 1);
+        });
+        
+        $viewer.on('click', '.erp-sync-logs-next', function() {
+            loadLogs(logsViewer.page + 1);
+        });
+        
+        $viewer.on('click', '.erp-sync-logs-export-btn', function() {
+            exportLogs($(this));
+        });
+        
+        loadLogs(1);
+    }
+    
+    /**
+     * Collect the viewer's filter values as erp_sync_product_logs parameters
+     *
+     * @returns {object} Filter parameters
+     */
+    function getLogsFilters() {
+        return {
+            change_type: $('#erp-sync-logs-type').val(),
+            date_from: $('#erp-sync-logs-from').val(),
+            date_to: $('#erp-sync-logs-to').val(),
+            session_id: $('#erp-sync-logs-session').val(),
+            search: $.trim($('#erp-sync-logs-search').val()),
+            orderby: logsViewer.orderby,
+            order: logsViewer.order
+        };
+    }
+    
+    /**
+     * Load one page of logs; a newer request supersedes one still in flight
+     *
+     * @param {number} page - 1-based page number
+     */
+    function loadLogs(page) {
+        const $viewer = $('#erp-sync-logs-viewer');
+        
+        if (logsViewer.request) {
+            logsViewer.request.abort();
+        }
+        
+        $viewer.addClass('is-loading');
+        
+        logsViewer.request = $.ajax({
+            url: erpSyncAdmin.ajaxurl,
+            type: 'POST',
+            data: $.extend({
+                action: 'erp_sync_product_logs',
+                nonce: erpSyncAdmin.nonce,
+                page: Math.max(1, page),
+                per_page: LOGS_PER_PAGE
+            }, getLogsFilters()),
+            success: function(response) {
+                if (response.success) {
+                    logsViewer.page = response.data.page;
+                    renderLogs(response.data);
+                } else {
+                    $viewer.find('.erp-sync-logs-summary').text(response.data?.message || 'Failed to load logs');
+                }
+            },
+            error: function(xhr, status, error) {
+                if (status === 'abort') return;
+                $viewer.find('.erp-sync-logs-summary').text(classifyAjaxError(xhr, status, error).message);
+            },
+            complete: function(xhr, status) {
+                if (status !== 'abort') {
+                    logsViewer.request = null;
+                    $viewer.removeClass('is-loading');
+                }
+            }
+        });
+    }
+    
+    /**
+     * Render a page of logs, the summary line and the pagination
+     *
+     * @param {object} data - Payload of erp_sync_product_logs
+     */
+    function renderLogs(data) {
+        const $viewer = $('#erp-sync-logs-viewer');
+        const $tbody = $viewer.find('.erp-sync-logs-table tbody').empty();
+        
+        data.logs.forEach(function(log) {
+            const $product = log.edit_url
+                ? $('<a></a>').attr('href', log.edit_url).text(log.product_name)
+                : document.createTextNode(log.product_name);
+            
+            $('<tr></tr>').append(
+                $('<td></td>').append($product),
+                $('<td></td>').text(log.vendor_code),
+                $('<td></td>').append($('<span class="erp-sync-log-type"></span>').addClass('erp-sync-log-type-' + log.change_type).text(log.change_type)),
+                $('<td></td>').append(renderLogDiff(log)),
+                $('<td class="erp-sync-log-session"></td>').text(log.session_id).attr('title', log.session_id),
+                $('<td></td>').text(log.date).attr('title', log.created_at)
+            ).appendTo($tbody);
+        });
+        
+        if (!data.logs.length) {
+            $tbody.append('<tr><td colspan="6">No product logs found.</td></tr>');
+        }
+        
+        $viewer.find('.erp-sync-logs-table th.is-sortable').removeClass('sorted-asc sorted-desc').filter(function() {
+            return $(this).data('orderby') === logsViewer.orderby;
+        }).addClass(logsViewer.order === 'ASC' ? 'sorted-asc' : 'sorted-desc');
+        
+        $viewer.find('.erp-sync-logs-summary').text(data.total.toLocaleString() + (data.total === 1 ? ' change' : ' changes'));
+        $viewer.find('.erp-sync-logs-page').text('Page ' + data.page + ' of ' + Math.max(1, data.pages));
+        $viewer.find('.erp-sync-logs-prev').prop('disabled', data.page <= 1);
+        $viewer.find('.erp-sync-logs-next').prop('disabled', data.page >= data.pages);
+        $viewer.find('.erp-sync-logs-export-btn').prop('disabled', !data.total);
+    }
+    
+    /**
+     * Render a log row's diff: per-branch deltas for branch rows, old → new otherwise
+     *
+     * @param {object} log - Log row with its diff
+     * @returns {jQuery} Diff element
+     */
+    function renderLogDiff(log) {
+        const diff = log.diff;
+        const $diff = $('<div class="erp-sync-log-diff"></div>');
+        
+        if (diff.branches.length) {
+            const $list = $('<ul class="erp-sync-log-branches"></ul>');
+            diff.branches.forEach(function(branch) {
+                $('<li></li>').append(
+                    $('<span></span>').text(branch.location + ': '),
+                    $('<del></del>').text(branch.old),
+                    ' → ',
+                    $('<ins></ins>').text(branch.new),
+                    formatLogDelta(branch.delta)
+                ).appendTo($list);
+            });
+            return $diff.append($list);
+        }
+        
+        if (diff.old === '' && diff.new === '') {
+            return $diff.text(log.message);
+        }
+        
+        return $diff.append(
+            $('<del></del>').text(diff.old === '' ? '—' : diff.old),
+            ' → ',
+            $('<ins></ins>').text(diff.new === '' ? '—' : diff.new),
+            formatLogDelta(diff.delta)
+        ).attr('title', log.message);
+    }
+    
+    /**
+     * Format a numeric delta as a signed, colored badge
+     *
+     * @param {number|null} delta - Change amount
+     * @returns {jQuery|null} Badge, or null when there is no numeric delta
+     */
+    function formatLogDelta(delta) {
+        if (delta === null || delta === 0) return null;
+        
+        const text = (delta > 0 ? '+' : '') + (Number.isInteger(delta) ? delta : delta.toFixed(2));
+        return $('<span class="erp-sync-log-delta"></span>')
+            .addClass(delta > 0 ? 'is-up' : 'is-down')
+            .text(text);
+    }
+    
+    /**
+     * Export every log matching the current filters as CSV or JSON
+     *
+     * @param {jQuery} $button - The export button (its data-format picks the format)
+     */
+    function exportLogs($button) {
+        const format = $button.data('format');
+        
+        $button.prop('disabled', true).addClass('updating-message');
+        
+        $.ajax({
+            url: erpSyncAdmin.ajaxurl,
+            type: 'POST',
+            data: $.extend({
+                action: 'erp_sync_product_logs',
+                nonce: erpSyncAdmin.nonce,
+                export: 1
+            }, getLogsFilters()),
+            success: function(response) {
+                if (!response.success) {
+                    alert('Error: ' + (response.data?.message || 'Export failed'));
+                    return;
+                }
+                
+                const logs = response.data.logs;
+                const filename = 'erp-sync-logs-' + new Date().toISOString().slice(0, 10);
+                
+                if (format === 'json') {
+                    downloadFile(JSON.stringify(logs, null, 2), 'application/json', filename + '.json');
+                } else {
+                    const lines = [['date', 'product_id', 'product_name', 'vendor_code', 'change_type', 'old_value', 'new_value', 'delta', 'branches', 'message', 'session_id'].join(',')];
+                    logs.forEach(function(log) {
+                        const branches = log.diff.branches.map(function(branch) {
+                            return branch.location + ': ' + branch.old + '→' + branch.new;
+                        }).join('; ');
+                        lines.push([
+                            log.created_at, log.product_id, log.product_name, log.vendor_code, log.change_type,
+                            log.old_value, log.new_value, log.diff.delta, branches, log.message, log.session_id
+                        ].map(csvCell).join(','));
+                    });
+                    downloadFile(lines.join('\r\n'), 'text/csv;charset=utf-8', filename + '.csv');
+                }
+                
+                if (response.data.truncated) {
+                    alert('Only the first ' + logs.length.toLocaleString() + ' of ' + response.data.total.toLocaleString() +
+                        ' matching logs were exported. Narrow the filters to export the rest.');
+                }
+            },
+            error: function(xhr, status, error) {
+                alert('Error: ' + classifyAjaxError(xhr, status, error).message);
+            },
+            complete: function() {
+                $button.prop('disabled', false).removeClass('updating-message');
+            }
+        });
+    }
+
+    // Sync History Dashboard
+    function initSyncDashboard() {
+        const $tab = $('#tab-dashboard');
+        if (!$tab.length) return;
+        
+        // Loaded on first view; the tab may already be open when restored from localStorage
+        $('.erp-sync-nav-tabs .nav-tab[href="#tab-dashboard"]').on('click', function() {
+            if (!syncHistory.loaded) {
+                loadSyncHistory();
+            }
+        });
+        
+        $('#erp-sync-history-type, #erp-sync-history-limit').on('change', loadSyncHistory);
+        $('#erp-sync-history-refresh').on('click', loadSyncHistory);
+        
+        if ($tab.is(':visible')) {
+            loadSyncHistory();
+        }
+    }
+    
+    /**
+     * Fetch the recent runs for the selected type and redraw the dashboard
+     */
+    function loadSyncHistory() {
+        const $tab = $('#tab-dashboard');
+        
+        syncHistory.loaded = true;
+        $tab.addClass('is-loading');
+        
+        restRequest('GET', 'runs', {
+            type: $('#erp-sync-history-type').val(),
+            limit: $('#erp-sync-history-limit').val()
+        }, {
+            success: function(data) {
+                renderSyncHistory(flagUnusualRuns(data.runs));
+            },
+            error: function(xhr, status, error) {
+                $tab.find('.erp-sync-history-table tbody').html('<tr><td colspan="11"></td></tr>')
+                    .find('td').text(classifyAjaxError(xhr, status, error).message);
+            },
+            complete: function() {
+                $tab.removeClass('is-loading');
+            }
+        });
+    }
+    
+    /**
+     * Add derived metrics to each run and flag runs that changed far more
+     * items than the median of the previous completed runs of the same type
+     *
+     * @param {Array} runs - Runs, oldest first
+     * @returns {Array} The same runs with changed, errorRate, unusual and baseline set
+     */
+    function flagUnusualRuns(runs) {
+        const previousByType = {};
+        
+        runs.forEach(function(run) {
+            run.changed = run.created + run.updated + run.orphans_zeroed;
+            run.errorRate = run.status === 'failed' ? 100 : (run.processed > 0 ? run.errors / run.processed * 100 : 0);
+            
+            const previous = previousByType[run.sync_type] || [];
+            run.baseline = null;
+            run.unusual = false;
+            
+            if (previous.length >= HISTORY_BASELINE_MIN_RUNS) {
+                const sorted = previous.slice(-HISTORY_BASELINE_RUNS).sort(function(a, b) {
+                    return a - b;
+                });
+                run.baseline = sorted[Math.floor(sorted.length / 2)];
+                run.unusual = run.changed >= HISTORY_UNUSUAL_MIN_CHANGED &&
+                    run.changed > run.baseline * HISTORY_UNUSUAL_FACTOR;
+            }
+            
+            if (run.status === 'completed') {
+                previousByType[run.sync_type] = previous.concat([run.changed]);
+            }
+        });
+        
+        return runs;
+    }
+    
+    /**
+     * Draw the three charts and the runs table
+     *
+     * @param {Array} runs - Runs with derived metrics, oldest first
+     */
+    function renderSyncHistory(runs) {
+        const $tab = $('#tab-dashboard');
+        const charts = {
+            duration: {
+                value: function(run) { return run.duration_ms / 1000; },
+                format: formatDuration
+            },
+            changed: {
+                value: function(run) { return run.changed; },
+                format: function(value) { return value.toLocaleString(); }
+            },
+            error_rate: {
+                value: function(run) { return run.errorRate; },
+                format: function(value) { return value.toFixed(1) + '%'; }
+            }
+        };
+        
+        $tab.find('.erp-sync-chart').each(function() {
+            const chart = charts[$(this).data('metric')];
+            renderHistoryChart($(this).find('.erp-sync-chart-body'), runs, chart.value, chart.format);
+        });
+        
+        const $tbody = $tab.find('.erp-sync-history-table tbody').empty();
+        
+        // Newest first in the table
+        runs.slice().reverse().forEach(function(run) {
+            const $status = $('<td></td>').append(
+                $('<span class="erp-sync-history-status"></span>').addClass('is-' + run.status).text(run.status)
+            ).attr('title', run.message || '');
+            if (run.unusual) {
+                $status.append(' ', $('<span class="erp-sync-history-unusual"></span>')
+                    .text('Unusual')
+                    .attr('title', run.changed.toLocaleString() + ' items changed, usually about ' + run.baseline.toLocaleString()));
+            }
+            
+            $('<tr></tr>').toggleClass('is-unusual', run.unusual).append(
+                $('<td></td>').text(run.date).attr('title', run.session_id),
+                $('<td></td>').text(SYNC_TYPE_LABELS[run.sync_type] || run.sync_type),
+                $('<td></td>').text(run.trigger_source),
+                $status,
+                $('<td></td>').text(run.status === 'running' ? '—' : formatDuration(run.duration_ms / 1000)),
+                $('<td></td>').text(run.total.toLocaleString()),
+                $('<td></td>').text(run.created.toLocaleString()),
+                $('<td></td>').text(run.updated.toLocaleString()),
+                $('<td></td>').text(run.skipped.toLocaleString()),
+                $('<td></td>').text(run.errors.toLocaleString()),
+                $('<td></td>').text(run.orphans_zeroed.toLocaleString())
+            ).appendTo($tbody);
+        });
+        
+        if (!runs.length) {
+            $tbody.append('<tr><td colspan="11">No runs recorded yet.</td></tr>');
+        }
+    }
+    
+    /**
+     * Draw a bar chart (one bar per run, oldest on the left) as inline SVG
+     *
+     * @param {jQuery} $container - Chart body element
+     * @param {Array} runs - Runs with derived metrics, oldest first
+     * @param {Function} valueOf - Returns the bar value for a run
+     * @param {Function} format - Formats a value for the axis and tooltips
+     */
+    function renderHistoryChart($container, runs, valueOf, format) {
+        renderBarChart($container, runs, valueOf, format, function(run, value) {
+            return {
+                className: 'is-' + run.status + (run.unusual ? ' is-unusual' : ''),
+                title: run.date + ' · ' + (SYNC_TYPE_LABELS[run.sync_type] || run.sync_type) + ': ' + format(value)
+            };
+        });
+    }
+    
+    /**
+     * Draw a bar chart (one bar per item, in order) as inline SVG
+     *
+     * @param {jQuery} $container - Chart body element
+     * @param {Array} items - Items to chart
+     * @param {Function} valueOf - Returns the bar value for an item
+     * @param {Function} format - Formats a value for the axis label
+     * @param {Function} describe - Returns {className, title} for an item's bar
+     */
+    function renderBarChart($container, items, valueOf, format, describe) {
+        const width = 600;
+        const height = 160;
+        const padTop = 16;
+        const svgNs = 'http://www.w3.org/2000/svg';
+        const values = items.map(valueOf);
+        const max = Math.max.apply(null, values.concat([0]));
+        
+        $container.empty();
+        
+        if (!items.length) {
+            $container.append($('<p class="description"></p>').text('No data.'));
+            return;
+        }
+        
+        const svg = document.createElementNS(svgNs, 'svg');
+        svg.setAttribute('viewBox', '0 0 ' + width + ' ' + height);
+        svg.setAttribute('preserveAspectRatio', 'none');
+        svg.setAttribute('class', 'erp-sync-chart-svg');
+        
+        const slot = width / items.length;
+        items.forEach(function(item, index) {
+            const bar = describe(item, values[index]);
+            const barHeight = max > 0 ? (values[index] / max) * (height - padTop) : 0;
+            const rect = document.createElementNS(svgNs, 'rect');
+            rect.setAttribute('x', String(index * slot + slot * 0.15));
+            rect.setAttribute('y', String(height - barHeight));
+            rect.setAttribute('width', String(slot * 0.7));
+            rect.setAttribute('height', String(Math.max(barHeight, values[index] > 0 ? 1 : 0)));
+            rect.setAttribute('class', 'erp-sync-chart-bar' + (bar.className ? ' ' + bar.className : ''));
+            
+            const title = document.createElementNS(svgNs, 'title');
+            title.textContent = bar.title;
+            rect.appendChild(title);
+            svg.appendChild(rect);
+        });
+        
+        $container.append(
+            $('<div class="erp-sync-chart-max"></div>').text(format(max)),
+            svg
+        );
+    }
+
+    // Branch Management Editor
+    function initBranchEditor() {
+        const $form = $('#erp-sync-branch-editor');
+        if (!$form.length) return;
+        
+        const $tbody = $form.find('.erp-sync-branch-table tbody');
+        let searchTimer = null;
+        
+        if ($.fn.sortable) {
+            $tbody.sortable({
+                handle: '.erp-sync-branch-handle',
+                axis: 'y',
+                // Keep the cell widths while a row is dragged
+                helper: function(e, $row) {
+                    const $helper = $row.clone();
+                    $helper.children().each(function(index) {
+                        $(this).width($row.children().eq(index).width());
+                    });
+                    return $helper;
+                },
+                update: onBranchesChanged
+            });
+        }
+        
+        $form.on('input', '.erp-sync-branch-alias', onBranchesChanged);
+        $form.on('change', '.erp-sync-branch-hide', onBranchesChanged);
+        
+        $form.on('change', '.erp-sync-branch-select-all', function() {
+            $tbody.find('.erp-sync-branch-select').prop('checked', this.checked);
+        });
+        
+        $form.on('change', '.erp-sync-branch-select', function() {
+            const $boxes = $tbody.find('.erp-sync-branch-select');
+            $form.find('.erp-sync-branch-select-all').prop('checked', $boxes.length === $boxes.filter(':checked').length);
+        });
+        
+        $form.on('click', '.erp-sync-branch-bulk', function() {
+            applyBranchBulkAction($(this).data('bulk'));
+        });
+        
+        $form.on('submit', function(e) {
+            e.preventDefault();
+            saveBranches();
+        });
+        
+        $('#erp-sync-branch-preview-search').on('input', function() {
+            const term = $.trim($(this).val());
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(function() {
+                searchBranchPreviewProducts(term);
+            }, BRANCH_SEARCH_DELAY_MS);
+        });
+        
+        $('.erp-sync-branch-preview-results').on('click', 'button', function() {
+            branchEditor.product = $(this).data('product');
+            $('#erp-sync-branch-preview-search').val(branchEditor.product.name);
+            $('.erp-sync-branch-preview-results').empty();
+            renderBranchPreview();
+        });
+        
+        $(window).on('beforeunload', function() {
+            if (branchEditor.dirty) {
+                return 'You have unsaved branch settings.';
+            }
+        });
+    }
+    
+    /**
+     * Mark the editor as having unsaved changes and refresh the preview
+     */
+    function onBranchesChanged() {
+        branchEditor.dirty = true;
+        $('.erp-sync-branch-save-status').removeClass('is-error').text('Unsaved changes');
+        renderBranchPreview();
+    }
+    
+    /**
+     * Apply a toolbar bulk action to the selected branch rows
+     *
+     * @param {string} action - 'hide', 'show' or 'select-stale'
+     */
+    function applyBranchBulkAction(action) {
+        const $rows = $('#erp-sync-branch-editor .erp-sync-branch-row');
+        
+        if (action === 'select-stale') {
+            $rows.each(function() {
+                $(this).find('.erp-sync-branch-select').prop('checked', $(this).hasClass('is-stale'));
+            });
+            $rows.find('.erp-sync-branch-select').first().trigger('change');
+            return;
+        }
+        
+        const $selected = $rows.filter(function() {
+            return $(this).find('.erp-sync-branch-select').is(':checked');
+        });
+        
+        if (!$selected.length) {
+            $('.erp-sync-branch-save-status').addClass('is-error').text('Select one or more branches first.');
+            return;
+        }
+        
+        $selected.find('.erp-sync-branch-hide').prop('checked', action === 'hide');
+        onBranchesChanged();
+    }
+    
+    /**
+     * Save the editor form over AJAX; rows are posted in their current order
+     */
+    function saveBranches() {
+        const $form = $('#erp-sync-branch-editor');
+        const $button = $form.find('[type="submit"]');
+        const $status = $('.erp-sync-branch-save-status');
+        
+        if (branchEditor.saving) return;
+        
+        branchEditor.saving = true;
+        $button.prop('disabled', true);
+        $status.removeClass('is-error').text('Saving...');
+        
+        // Same fields as the admin-post form; action and nonce are replaced for admin-ajax
+        const data = $form.serializeArray().filter(function(field) {
+            return field.name !== 'action' && field.name !== '_wpnonce' && field.name !== '_wp_http_referer';
+        });
+        data.push({ name: 'action', value: 'erp_sync_save_branches' });
+        data.push({ name: 'nonce', value: erpSyncAdmin.nonce });
+        
+        $.ajax({
+            url: erpSyncAdmin.ajaxurl,
+            type: 'POST',
+            data: $.param(data)
+        }).done(function(response) {
+            if (response.success) {
+                branchEditor.dirty = false;
+                $status.text(response.data.message);
+            } else {
+                $status.addClass('is-error').text(response.data?.message || 'Failed to save branch settings');
+            }
+        }).fail(function(xhr, status, error) {
+            $status.addClass('is-error').text(classifyAjaxError(xhr, status, error).message);
+        }).always(function() {
+            branchEditor.saving = false;
+            $button.prop('disabled', false);
+        });
+    }
+    
+    /**
+     * Look up products with ERP warehouse data for the preview picker;
+     * a newer search supersedes one still in flight
+     *
+     * @param {string} term - Product name or SKU
+     */
+    function searchBranchPreviewProducts(term) {
+        const $results = $('.erp-sync-branch-preview-results');
+        
+        if (branchEditor.request) {
+            branchEditor.request.abort();
+        }
+        
+        if (term.length < 2) {
+            $results.empty();
+            return;
+        }
+        
+        branchEditor.request = $.ajax({
+            url: erpSyncAdmin.ajaxurl,
+            type: 'POST',
+            data: {
+                action: 'erp_sync_branch_preview_products',
+                nonce: erpSyncAdmin.nonce,
+                term: term
+            },
+            success: function(response) {
+                $results.empty();
+                
+                if (!response.success) {
+                    $results.append($('<li class="description"></li>').text(response.data?.message || 'Search failed'));
+                    return;
+                }
+                
+                if (!response.data.products.length) {
+                    $results.append($('<li class="description"></li>').text('No products with ERP stock data found.'));
+                    return;
+                }
+                
+                response.data.products.forEach(function(product) {
+                    $('<li></li>').append(
+                        $('<button type="button" class="button-link"></button>')
+                            .text(product.name + (product.sku ? ' (' + product.sku + ')' : ''))
+                            .data('product', product)
+                    ).appendTo($results);
+                });
+            },
+            error: function(xhr, status, error) {
+                if (status === 'abort') return;
+                $results.empty().append($('<li class="description"></li>').text(classifyAjaxError(xhr, status, error).message));
+            },
+            complete: function(xhr, status) {
+                if (status !== 'abort') {
+                    branchEditor.request = null;
+                }
+            }
+        });
+    }
+    
+    /**
+     * Render the preview product's branches the way Frontend::get_branch_stock_html()
+     * does, using the editor's current (possibly unsaved) order, aliases and visibility
+     */
+    function renderBranchPreview() {
+        const $preview = $('#erp-sync-branch-preview');
+        const product = branchEditor.product;
+        
+        if (!product) return;
+        
+        const quantities = {};
+        product.warehouses.forEach(function(warehouse) {
+            if (warehouse.location && warehouse.quantity > 0) {
+                quantities[warehouse.location] = Math.floor(warehouse.quantity);
+            }
+        });
+        
+        const $list = $('<ul class="erp-sync-branch-stock-list"></ul>');
+        
+        $('#erp-sync-branch-editor .erp-sync-branch-row').each(function() {
+            const $row = $(this);
+            const location = $row.attr('data-branch');
+            
+            if (!(location in quantities) || $row.find('.erp-sync-branch-hide').is(':checked')) {
+                return;
+            }
+            
+            $('<li class="erp-sync-branch-stock-item"></li>').append(
+                $('<span class="erp-sync-branch-name"></span>').text($.trim($row.find('.erp-sync-branch-alias').val()) || location),
+                $('<span class="erp-sync-branch-qty"></span>').text(quantities[location] === 1 ? 'Last one' : 'in stock')
+            ).appendTo($list);
+        });
+        
+        $preview.empty();
+        
+        if (!$list.children().length) {
+            $preview.append($('<p class="description"></p>').text('No visible branches have stock of "' + product.name + '"; the block is not shown on its product page.'));
+            return;
+        }
+        
+        $preview.append(
+            $('<details class="erp-sync-branch-accordion" open></details>').append(
+                $('<summary class="erp-sync-branch-summary"></summary>').text('Availability by Branch'),
+                $list
+            )
+        );
+    }
+
+    // Attribute Mapping Builder
+    function initAttributeMapping() {
+        const $builder = $('#erp-sync-attribute-mapping');
+        if (!$builder.length) return;
+        
+        $builder.on('change', '.erp-sync-mapping-target', function() {
+            toggleMappingNameInput($(this).closest('tr'));
+            renderAttributePreview();
+        });
+        
+        $builder.on('input', '.erp-sync-mapping-name', function() {
+            validateMappingName($(this).closest('tr'));
+            renderAttributePreview();
+        });
+        $('#erp-sync-attribute-preview-row').on('change', renderAttributePreview);
+        
+        // The server would save a reserved meta key as "Ignore"; say so before saving
+        $builder.closest('form').on('submit', function(e) {
+            let valid = true;
+            
+            $builder.find('.erp-sync-attribute-mapping-table tbody tr[data-field]').each(function() {
+                valid = validateMappingName($(this)) && valid;
+            });
+            
+            if (!valid) {
+                e.preventDefault();
+                $('.erp-sync-nav-tabs .nav-tab[href="#tab-settings"]').trigger('click');
+                $builder.find('.erp-sync-mapping-name.is-invalid').first().trigger('focus');
+            }
+        });
+        
+        $('#erp-sync-attribute-fields-refresh').on('click', function() {
+            loadAttributeFields(true);
+        });
+        
+        loadAttributeFields(false);
+    }
+    
+    /**
+     * Load the mapping builder data
+     *
+     * @param {boolean} refresh - Fetch the catalog from the ERP first (slow)
+     */
+    function loadAttributeFields(refresh) {
+        const $builder = $('#erp-sync-attribute-mapping');
+        const $button = $('#erp-sync-attribute-fields-refresh');
+        const $source = $builder.find('.erp-sync-attribute-mapping-source');
+        
+        $builder.addClass('is-loading');
+        $button.prop('disabled', true);
+        if (refresh) {
+            $source.text('Fetching the product catalog from the ERP...');
+        }
+        
+        $.ajax({
+            url: erpSyncAdmin.ajaxurl,
+            type: 'POST',
+            timeout: refresh ? 300000 : 30000,
+            data: {
+                action: 'erp_sync_attribute_fields',
+                nonce: erpSyncAdmin.nonce,
+                refresh: refresh ? 1 : 0
+            }
+        }).done(function(response) {
+            if (response.success) {
+                attributeMapping.data = response.data;
+                renderAttributeMapping();
+            } else {
+                $source.text(response.data?.message || 'Failed to load ERP fields');
+            }
+        }).fail(function(xhr, status, error) {
+            $source.text(classifyAjaxError(xhr, status, error).message);
+        }).always(function() {
+            $builder.removeClass('is-loading');
+            $button.prop('disabled', false);
+        });
+    }
+    
+    /**
+     * Render one mapping row per ERP field and the sample product picker
+     */
+    function renderAttributeMapping() {
+        const data = attributeMapping.data;
+        const $builder = $('#erp-sync-attribute-mapping');
+        const $tbody = $builder.find('.erp-sync-attribute-mapping-table tbody').empty();
+        
+        $builder.find('.erp-sync-attribute-mapping-source').text(data.fetched_at
+            ? 'Fields from the catalog response of ' + data.fetched_at + ' (' + data.rows.toLocaleString() + ' products).'
+            : 'No catalog response recorded yet. Run a catalog sync or fetch the fields from the ERP.');
+        
+        data.fields.forEach(function(field) {
+            const inputName = 'attr_mapping[' + field.name + ']';
+            const $name = $('<input type="text" class="regular-text erp-sync-mapping-name">')
+                .attr('name', inputName + '[name]');
+            
+            if (field.type === 'meta') {
+                $name.val(field.key);
+            }
+            
+            const $samples = $('<td class="erp-sync-mapping-samples"></td>');
+            if (field.samples.length) {
+                field.samples.forEach(function(sample) {
+                    $samples.append($('<code></code>').text(sample), ' ');
+                });
+            } else {
+                $samples.append($('<span class="description"></span>').text(field.in_response ? 'Always empty' : 'Not in the last response'));
+            }
+            
+            const $row = $('<tr></tr>').attr('data-field', field.name).append(
+                $('<td></td>').append($('<code></code>').text(field.name)),
+                $samples,
+                $('<td></td>').text(data.rows ? Math.round(field.filled / data.rows * 100) + '%' : '—'),
+                $('<td></td>').append(buildMappingTargetSelect(field).attr('name', inputName + '[target]'), ' ', $name,
+                    $('<span class="erp-sync-mapping-error"></span>'))
+            ).appendTo($tbody);
+            
+            toggleMappingNameInput($row);
+        });
+        
+        if (!data.fields.length) {
+            $tbody.append('<tr><td colspan="4">No fields to map yet.</td></tr>');
+        }
+        
+        const $picker = $('#erp-sync-attribute-preview-row').empty();
+        data.sample_rows.forEach(function(row, index) {
+            $('<option></option>').val(index).text((row.ProductName || 'Unnamed') + (row.VendorCode ? ' (' + row.VendorCode + ')' : '')).appendTo($picker);
+        });
+        
+        renderAttributePreview();
+    }
+    
+    /**
+     * Build the "Map to" select of a field
+     *
+     * @param {object} field - Field from erp_sync_attribute_fields
+     * @returns {jQuery} Select element with the current target selected
+     */
+    function buildMappingTargetSelect(field) {
+        const $select = $('<select class="erp-sync-mapping-target"></select>');
+        const $attributes = $('<optgroup label="Existing attributes"></optgroup>');
+        let current = 'ignore';
+        
+        $select.append($('<option value="ignore"></option>').text('Ignore'));
+        
+        attributeMapping.data.attributes.forEach(function(attribute) {
+            $attributes.append($('<option></option>').val(attribute.slug).text(attribute.label + ' (' + attribute.slug + ')'));
+        });
+        
+        if (field.type === 'attribute') {
+            current = field.key;
+            // Mapped attributes that do not exist yet are created by the next catalog sync
+            if (!$attributes.find('option').filter(function() { return this.value === field.key; }).length) {
+                $attributes.append($('<option></option>').val(field.key).text(field.key + ' (created on next sync)'));
+            }
+        } else if (field.type === 'meta') {
+            current = '__meta';
+        }
+        
+        $select.append(
+            $attributes,
+            $('<option value="__new"></option>').text('New attribute...'),
+            $('<option value="__meta"></option>').text('Product meta...')
+        );
+        
+        return $select.val(current);
+    }
+    
+    /**
+     * Show the name input for targets that need one (new attribute label, meta key)
+     *
+     * @param {jQuery} $row - Mapping row
+     */
+    function toggleMappingNameInput($row) {
+        const target = $row.find('.erp-sync-mapping-target').val();
+        const $name = $row.find('.erp-sync-mapping-name');
+        
+        $name.toggle(target === '__new' || target === '__meta')
+            .attr('placeholder', target === '__meta' ? 'Meta key, e.g. _watch_case' : 'Attribute name');
+        
+        if (target === '__new' && !$name.val()) {
+            $name.val($row.attr('data-field'));
+        }
+        
+        validateMappingName($row);
+    }
+    
+    /**
+     * Meta key the server would store for a typed name (WordPress sanitize_key())
+     *
+     * @param {string} name - Typed meta key
+     * @returns {string} Meta key
+     */
+    function getMappingMetaKey(name) {
+        return $.trim(name).toLowerCase().replace(/[^a-z0-9_\-]/g, '');
+    }
+    
+    /**
+     * Whether a meta key is managed by WooCommerce or the plugin, see
+     * Product_Service::is_reserved_meta_key()
+     *
+     * @param {string} key - Meta key
+     * @returns {boolean}
+     */
+    function isReservedMetaKey(key) {
+        const reserved = attributeMapping.data.reserved_meta;
+        return reserved.keys.indexOf(key) !== -1 || key.indexOf(reserved.prefix) === 0;
+    }
+    
+    /**
+     * Flag a product meta target the server would reject
+     *
+     * @param {jQuery} $row - Mapping row
+     * @returns {boolean} Whether the row can be saved as entered
+     */
+    function validateMappingName($row) {
+        const $name = $row.find('.erp-sync-mapping-name');
+        const $error = $row.find('.erp-sync-mapping-error');
+        const key = getMappingMetaKey($name.val());
+        const invalid = $row.find('.erp-sync-mapping-target').val() === '__meta' && key !== '' && isReservedMetaKey(key);
+        
+        $name.toggleClass('is-invalid', invalid);
+        $error.text(invalid ? key + ' is managed by WooCommerce or ERP Sync and cannot be mapped.' : '');
+        
+        return !invalid;
+    }
+    
+    /**
+     * Label WooCommerce would show for an attribute taxonomy; unknown slugs
+     * are labelled like Product_Service::get_attribute_label() does
+     *
+     * @param {string} slug - Attribute taxonomy slug
+     * @returns {string} Label
+     */
+    function getAttributeLabel(slug) {
+        const attribute = attributeMapping.data.attributes.find(function(item) {
+            return item.slug === slug;
+        });
+        
+        if (attribute) return attribute.label;
+        
+        return slug.replace(/^pa_/, '').replace(/[_-]/g, ' ').replace(/\b\w/g, function(char) {
+            return char.toUpperCase();
+        });
+    }
+    
+    /**
+     * Show the attributes and meta the selected sample product would get with
+     * the mapping as currently edited
+     */
+    function renderAttributePreview() {
+        const data = attributeMapping.data;
+        const $preview = $('#erp-sync-attribute-mapping .erp-sync-attribute-preview').empty();
+        const row = data && data.sample_rows[$('#erp-sync-attribute-preview-row').val()];
+        
+        if (!row) {
+            $preview.append($('<p class="description"></p>').text('No sample products available yet.'));
+            return;
+        }
+        
+        const $attributes = $('<tbody></tbody>');
+        const $meta = $('<tbody></tbody>');
+        
+        $('#erp-sync-attribute-mapping .erp-sync-attribute-mapping-table tbody tr[data-field]').each(function() {
+            const field = $(this).attr('data-field');
+            const target = $(this).find('.erp-sync-mapping-target').val();
+            const name = $.trim($(this).find('.erp-sync-mapping-name').val());
+            const value = $.trim(row[field] || '');
+            
+            if (target === '__meta') {
+                if (!name || isReservedMetaKey(getMappingMetaKey(name))) return;
+                $('<tr></tr>').append(
+                    $('<th></th>').append($('<code></code>').text(name)),
+                    $('<td></td>').text(value || '(removed)')
+                ).appendTo($meta);
+            } else if (target !== 'ignore' && value !== '') {
+                // Empty values never become attributes
+                $('<tr></tr>').append(
+                    $('<th></th>').text(target === '__new' ? (name || field) : getAttributeLabel(target)),
+                    $('<td></td>').text(value)
+                ).appendTo($attributes);
+            }
+        });
+        
+        $preview.append(
+            $('<h4></h4>').text('Additional information'),
+            $attributes.children().length
+                ? $('<table class="widefat striped erp-sync-attribute-preview-table"></table>').append($attributes)
+                : $('<p class="description"></p>').text('No attributes.')
+        );
+        
+        if ($meta.children().length) {
+            $preview.append(
+                $('<h4></h4>').text('Product meta'),
+                $('<table class="widefat striped erp-sync-attribute-preview-table"></table>').append($meta)
+            );
+        }
+    }
+
+    // Diagnostics SOAP Workbench
+    function initSoapWorkbench() {
+        const $workbench = $('#erp-sync-workbench');
+        if (!$workbench.length) return;
+        
+        $('#erp-sync-workbench-operation').on('change', function() {
+            $('#erp-sync-workbench-vendor-codes').toggle($(this).val() === 'GetProductsStock');
+        }).trigger('change');
+        
+        $('#erp-sync-workbench-run').on('click', runSoapWorkbench);
+        
+        $('#erp-sync-workbench-diff').on('click', function() {
+            renderWorkbenchDiff();
+        });
+        
+        $workbench.on('change', '.erp-sync-workbench-xml-source', function() {
+            renderWorkbenchXml();
+        });
+    }
+    
+    /**
+     * Run the selected operation and show the capture
+     */
+    function runSoapWorkbench() {
+        const $workbench = $('#erp-sync-workbench');
+        const $button = $('#erp-sync-workbench-run');
+        const operation = $('#erp-sync-workbench-operation').val();
+        
+        $button.prop('disabled', true);
+        $workbench.addClass('is-loading');
+        $workbench.find('.erp-sync-workbench-summary').removeClass('is-error').text('Calling ' + operation + '...');
+        $workbench.find('.erp-sync-workbench-diff-view').hide();
+        
+        $.ajax({
+            url: erpSyncAdmin.ajaxurl,
+            type: 'POST',
+            timeout: 300000,
+            data: {
+                action: 'erp_sync_soap_workbench',
+                nonce: erpSyncAdmin.nonce,
+                operation: operation,
+                vendor_codes: $.trim($('#erp-sync-workbench-vendor-codes').val())
+            }
+        }).done(function(response) {
+            if (response.success) {
+                soapWorkbench.capture = response.data.capture;
+                soapWorkbench.previous = response.data.previous;
+                renderWorkbenchCapture();
+            } else {
+                $workbench.find('.erp-sync-workbench-summary').addClass('is-error').text(response.data?.message || 'Call failed');
+            }
+        }).fail(function(xhr, status, error) {
+            $workbench.find('.erp-sync-workbench-summary').addClass('is-error').text(classifyAjaxError(xhr, status, error).message);
+        }).always(function() {
+            $button.prop('disabled', false);
+            $workbench.removeClass('is-loading');
+        });
+    }
+    
+    /**
+     * Show the summary, fault, parsed tree, raw XML and headers of the last run
+     */
+    function renderWorkbenchCapture() {
+        const capture = soapWorkbench.capture;
+        const $workbench = $('#erp-sync-workbench');
+        const parts = [
+            capture.operation + (capture.success ? ' OK' : ' FAULT'),
+            capture.duration_ms.toLocaleString() + ' ms',
+            capture.rows.toLocaleString() + ' row(s)',
+            (capture.response_bytes / 1024).toFixed(1) + ' KB response',
+            capture.time_utc + ' UTC'
+        ];
+        
+        if (capture.truncated) {
+            parts.push('tree limited to the first rows of each list');
+        }
+        
+        $workbench.find('.erp-sync-workbench-summary').toggleClass('is-error', !capture.success).text(parts.join(' · '));
+        
+        const $fault = $workbench.find('.erp-sync-workbench-fault').empty().toggle(!!capture.fault);
+        if (capture.fault) {
+            const $list = $('<dl></dl>');
+            [['Fault code', capture.fault.code], ['Fault string', capture.fault.string], ['Actor', capture.fault.actor]].forEach(function(item) {
+                if (item[1]) {
+                    $list.append($('<dt></dt>').text(item[0]), $('<dd></dd>').text(item[1]));
+                }
+            });
+            $fault.append($list);
+            if (capture.fault.detail) {
+                $fault.append($('<pre></pre>').text(capture.fault.detail));
+            }
+        }
+        
+        const $tree = $workbench.find('.erp-sync-workbench-tree').empty();
+        if (capture.parsed === null) {
+            $tree.append($('<p class="description"></p>').text('No parsed result.'));
+        } else {
+            $tree.append(buildWorkbenchTree(capture.parsed, 'response', 0));
+        }
+        
+        $workbench.find('.erp-sync-workbench-panes').show();
+        renderWorkbenchXml();
+        
+        $workbench.find('.erp-sync-workbench-request-headers').text(capture.request_headers || '(none)');
+        $workbench.find('.erp-sync-workbench-response-headers').text(capture.response_headers || '(none)');
+        $workbench.find('.erp-sync-workbench-headers').show();
+        
+        $('#erp-sync-workbench-diff').prop('disabled', !soapWorkbench.previous)
+            .attr('title', soapWorkbench.previous ? 'Previous capture: ' + soapWorkbench.previous.time_utc + ' UTC' : 'No previous capture of this operation');
+    }
+    
+    /**
+     * Build a collapsible tree for a decoded response value
+     *
+     * @param {*} value - Decoded value
+     * @param {string} key - Property name or list index
+     * @param {number} depth - Nesting depth (the first levels start open)
+     * @returns {HTMLElement} Tree node
+     */
+    function buildWorkbenchTree(value, key, depth) {
+        if (value === null || typeof value !== 'object') {
+            const type = value === null ? 'null' : typeof value;
+            return $('<div class="erp-sync-tree-leaf"></div>').append(
+                $('<span class="erp-sync-tree-key"></span>').text(key + ': '),
+                $('<span class="erp-sync-tree-value"></span>').addClass('is-' + type)
+                    .text(type === 'string' ? '"' + value + '"' : String(value))
+            )[0];
+        }
+        
+        const isList = Array.isArray(value);
+        const keys = Object.keys(value);
+        const $children = $('<div class="erp-sync-tree-children"></div>');
+        
+        keys.forEach(function(childKey) {
+            $children.append(buildWorkbenchTree(value[childKey], childKey, depth + 1));
+        });
+        
+        return $('<details class="erp-sync-tree-node"></details>').prop('open', depth < WORKBENCH_TREE_OPEN_DEPTH).append(
+            $('<summary></summary>').append(
+                $('<span class="erp-sync-tree-key"></span>').text(key),
+                $('<span class="erp-sync-tree-count"></span>').text(isList ? ' [' + keys.length + ']' : ' {' + keys.length + '}')
+            ),
+            $children
+        )[0];
+    }
+    
+    /**
+     * Show the selected raw XML (request or response), indented and highlighted
+     */
+    function renderWorkbenchXml() {
+        const capture = soapWorkbench.capture;
+        if (!capture) return;
+        
+        const source = $('#erp-sync-workbench .erp-sync-workbench-xml-source').val();
+        const $pre = $('#erp-sync-workbench .erp-sync-workbench-xml').empty();
+        
+        $pre[0].appendChild(highlightXml(formatXml(capture[source] || '')));
+    }
+    
+    /**
+     * Put every tag on its own line, indented by nesting depth. Works on
+     * truncated excerpts too, where a DOM parser would fail.
+     *
+     * @param {string} xml - Raw XML
+     * @returns {string} Indented XML
+     */
+    function formatXml(xml) {
+        let depth = 0;
+        
+        return xml.replace(/>\s*</g, '>\n<').split('\n').map(function(line) {
+            line = line.trim();
+            
+            if (/^<\/[^>]+>$/.test(line)) {
+                depth = Math.max(0, depth - 1);
+            }
+            
+            const indented = '  '.repeat(depth) + line;
+            
+            // An opening tag that is not closed on the same line nests the following lines
+            if (/^<[^!?\/][^>]*[^\/]>$|^<[^!?\/]>$/.test(line) && !/<\/[^>]+>$/.test(line)) {
+                depth++;
+            }
+            
+            return indented;
+        }).join('\n');
+    }
+    
+    /**
+     * Highlight tags, attributes, values and text of formatted XML
+     *
+     * @param {string} xml - Formatted XML
+     * @returns {DocumentFragment} Highlighted nodes
+     */
+    function highlightXml(xml) {
+        const fragment = document.createDocumentFragment();
+        const tokens = /(<!--[\s\S]*?-->)|(<[^>]*>?)|([^<]+)/g;
+        let match;
+        
+        function span(className, text) {
+            const node = document.createElement('span');
+            node.className = className;
+            node.textContent = text;
+            fragment.appendChild(node);
+        }
+        
+        while ((match = tokens.exec(xml)) !== null) {
+            if (match[1]) {
+                span('erp-sync-xml-comment', match[1]);
+            } else if (match[2]) {
+                const tag = /^(<[\/?!]?)([^\s>\/]*)([\s\S]*?)(\/?[?]?>)?$/.exec(match[2]);
+                span('erp-sync-xml-bracket', tag[1]);
+                span('erp-sync-xml-tag', tag[2]);
+                
+                // Attributes: name="value"
+                const attributes = /([^\s=]+)(\s*=\s*)("[^"]*"|'[^']*')|(\s+)/g;
+                let last = 0;
+                let attribute;
+                while ((attribute = attributes.exec(tag[3])) !== null) {
+                    if (attribute.index > last) {
+                        fragment.appendChild(document.createTextNode(tag[3].slice(last, attribute.index)));
+                    }
+                    if (attribute[4]) {
+                        fragment.appendChild(document.createTextNode(attribute[4]));
+                    } else {
+                        span('erp-sync-xml-attr', attribute[1]);
+                        fragment.appendChild(document.createTextNode(attribute[2]));
+                        span('erp-sync-xml-value', attribute[3]);
+                    }
+                    last = attributes.lastIndex;
+                }
+                if (last < tag[3].length) {
+                    fragment.appendChild(document.createTextNode(tag[3].slice(last)));
+                }
+                
+                if (tag[4]) {
+                    span('erp-sync-xml-bracket', tag[4]);
+                }
+            } else if (/^\s+$/.test(match[3])) {
+                fragment.appendChild(document.createTextNode(match[3]));
+            } else {
+                span('erp-sync-xml-text', match[3]);
+            }
+        }
+        
+        return fragment;
+    }
+    
+    /**
+     * Line diff of two texts (longest common subsequence); unchanged lines
+     * shared by both ends are skipped before the table is built
+     *
+     * @param {string[]} before - Old lines
+     * @param {string[]} after - New lines
+     * @returns {Array|null} [{type: ' '|'-'|'+', line}], or null when too large to compare
+     */
+    function diffLines(before, after) {
+        let start = 0;
+        while (start < before.length && start < after.length && before[start] === after[start]) {
+            start++;
+        }
+        
+        let endBefore = before.length;
+        let endAfter = after.length;
+        while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+            endBefore--;
+            endAfter--;
+        }
+        
+        const a = before.slice(start, endBefore);
+        const b = after.slice(start, endAfter);
+        const cols = b.length + 1;
+        
+        if ((a.length + 1) * cols > WORKBENCH_DIFF_MAX_CELLS) {
+            return null;
+        }
+        
+        // lengths[i * cols + j] = LCS length of a[i..] and b[j..]
+        const lengths = new Uint32Array((a.length + 1) * cols);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i * cols + j] = a[i] === b[j]
+                    ? lengths[(i + 1) * cols + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+            }
+        }
+        
+        const result = before.slice(0, start).map(function(line) {
+            return { type: ' ', line: line };
+        });
+        
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                result.push({ type: ' ', line: a[i] });
+                i++;
+                j++;
+            } else if (i < a.length && (j === b.length || lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1])) {
+                result.push({ type: '-', line: a[i] });
+                i++;
+            } else {
+                result.push({ type: '+', line: b[j] });
+                j++;
+            }
+        }
+        
+        before.slice(endBefore).forEach(function(line) {
+            result.push({ type: ' ', line: line });
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Diff the current response XML against the previous capture, showing
+     * changed lines with WORKBENCH_DIFF_CONTEXT lines of context
+     */
+    function renderWorkbenchDiff() {
+        const $view = $('#erp-sync-workbench .erp-sync-workbench-diff-view').show();
+        const $summary = $view.find('.erp-sync-workbench-diff-summary');
+        const $lines = $view.find('.erp-sync-workbench-diff-lines').empty();
+        const previous = soapWorkbench.previous;
+        
+        if (!previous) return;
+        
+        const diff = diffLines(
+            formatXml(previous.response_xml || '').split('\n'),
+            formatXml(soapWorkbench.capture.response_xml || '').split('\n')
+        );
+        
+        if (diff === null) {
+            $summary.text('The responses differ in too many lines to compare in the browser.');
+            return;
+        }
+        
+        const added = diff.filter(function(item) { return item.type === '+'; }).length;
+        const removed = diff.filter(function(item) { return item.type === '-'; }).length;
+        
+        $summary.text('Compared with the capture of ' + previous.time_utc + ' UTC (' +
+            previous.rows.toLocaleString() + ' row(s), ' + previous.duration_ms.toLocaleString() + ' ms): ' +
+            (added || removed ? '+' + added + ' / -' + removed + ' line(s).' : 'no differences.'));
+        
+        let skipped = 0;
+        diff.forEach(function(item, index) {
+            const nearChange = diff.slice(Math.max(0, index - WORKBENCH_DIFF_CONTEXT), index + WORKBENCH_DIFF_CONTEXT + 1)
+                .some(function(other) { return other.type !== ' '; });
+            
+            if (!nearChange) {
+                skipped++;
+                return;
+            }
+            
+            if (skipped) {
+                $lines.append($('<div class="erp-sync-diff-skip"></div>').text('… ' + skipped + ' unchanged line(s)'));
+                skipped = 0;
+            }
+            
+            $('<div class="erp-sync-diff-line"></div>')
+                .addClass(item.type === '+' ? 'is-added' : (item.type === '-' ? 'is-removed' : ''))
+                .text(item.type + ' ' + item.line)
+                .appendTo($lines);
+        });
+        
+        if (skipped) {
+            $lines.append($('<div class="erp-sync-diff-skip"></div>').text('… ' + skipped + ' unchanged line(s)'));
+        }
+    }
+
+    // Connection profiles on the Settings tab: switcher and inline connection test
+    function initConnectionProfiles() {
+        const $switcher = $('#erp-sync-profile-switcher');
+        if (!$switcher.length) return;
+        
+        $switcher.on('change', function() {
+            const profileId = $(this).val();
+            $('.erp-sync-profiles .erp-sync-profile').each(function() {
+                $(this).toggle($(this).data('profile') === profileId);
+            });
+        });
+        
+        $('.erp-sync-profiles').on('click', '.erp-sync-profile-test', function() {
+            testConnectionProfile($(this).closest('.erp-sync-profile'));
+        });
+    }
+    
+    /**
+     * Test a profile with the values currently in its fields (saved or not)
+     */
+    function testConnectionProfile($profile) {
+        const $button = $profile.find('.erp-sync-profile-test');
+        const $result = $profile.find('.erp-sync-profile-test-result');
+        const data = $profile.find(':input').not('[name$="[delete]"]').serializeArray();
+        
+        data.push(
+            { name: 'action', value: 'erp_sync_test_profile' },
+            { name: 'nonce', value: erpSyncAdmin.nonce },
+            { name: 'profile', value: $profile.data('profile') }
+        );
+        
+        $button.prop('disabled', true);
+        $result.removeClass('is-success is-error').text('Testing...');
+        
+        $.ajax({
+            url: erpSyncAdmin.ajaxurl,
+            type: 'POST',
+            timeout: 120000,
+            data: $.param(data)
+        }).done(function(response) {
+            if (response.success) {
+                $result.addClass('is-success').text(response.data.message);
+            } else {
+                $result.addClass('is-error').text(response.data?.message || 'Connection failed');
+            }
+        }).fail(function(xhr, status, error) {
+            $result.addClass('is-error').text(classifyAjaxError(xhr, status, error).message);
+        }).always(function() {
+            $button.prop('disabled', false);
+        });
+    }
+
+    // Webhook delivery log on the Webhooks tab
+    function initWebhookDeliveries() {
+        const $log = $('#erp-sync-webhook-deliveries');
+        if (!$log.length) return;
+        
+        // Loaded on first view; the tab may already be open when restored from localStorage
+        $('.erp-sync-nav-tabs .nav-tab[href="#tab-webhooks"]').on('click', function() {
+            if (!webhookDeliveries.loaded) {
+                loadWebhookDeliveries(1);
+            }
+        });
+        
+        $('#erp-sync-webhook-status').on('change', function() {
+            loadWebhookDeliveries(1);
+        });
+        
+        $log.on('click', '.erp-sync-webhook-refresh', function() {
+            loadWebhookDeliveries(webhookDeliveries.page);
+        });
+        
+        $log.on('click', '.erp-sync-webhook-prev', function() {
+            loadWebhookDeliveries(webhookDeliveries.page - 1);
+        });
+        
+        $log.on('click', '.erp-sync-webhook-next', function() {
+            loadWebhookDeliveries(webhookDeliveries.page + 1);
+        });
+        
+        $log.on('click', '.erp-sync-webhook-view', function() {
+            $(this).closest('tr').next('.erp-sync-webhook-detail').toggle();
+        });
+        
+        $log.on('click', '.erp-sync-webhook-redeliver', function() {
+            redeliverWebhook($(this));
+        });
+        
+        $log.on('click', '.erp-sync-webhook-test', function() {
+            sendTestWebhook($(this));
+        });
+        
+        if ($log.is(':visible')) {
+            loadWebhookDeliveries(1);
+        }
+    }
+    
+    /**
+     * Load one page of the delivery log
+     *
+     * @param {number} page - 1-based page number
+     */
+    function loadWebhookDeliveries(page) {
+        const $log = $('#erp-sync-webhook-deliveries');
+        
+        webhookDeliveries.loaded = true;
+        $log.addClass('is-loading');
+        
+        $.ajax({
+            url: erpSyncAdmin.ajaxurl,
+            type: 'POST',
+            data: {
+                action: 'erp_sync_webhook_deliveries',
+                nonce: erpSyncAdmin.nonce,
+                status: $('#erp-sync-webhook-status').val(),
+                page: Math.max(1, page),
+                per_page: WEBHOOK_DELIVERIES_PER_PAGE
+            },
+            success: function(response) {
+                if (response.success) {
+                    webhookDeliveries.page = response.data.page;
+                    renderWebhookDeliveries(response.data);
+                } else {
+                    $log.find('.erp-sync-webhook-deliveries-summary').text(response.data?.message || 'Failed to load deliveries');
+                }
+            },
+            error: function(xhr, status, error) {
+                $log.find('.erp-sync-webhook-deliveries-summary').text(classifyAjaxError(xhr, status, error).message);
+            },
+            complete: function() {
+                $log.removeClass('is-loading');
+            }
+        });
+    }
+    
+    /**
+     * Render a page of deliveries, each followed by its hidden detail row
+     *
+     * @param {object} data - Payload of erp_sync_webhook_deliveries
+     */
+    function renderWebhookDeliveries(data) {
+        const $log = $('#erp-sync-webhook-deliveries');
+        const $tbody = $log.find('.erp-sync-webhook-deliveries-table tbody').empty();
+        
+        data.deliveries.forEach(function(delivery) {
+            $tbody.append(renderWebhookDeliveryRows(delivery));
+        });
+        
+        if (!data.deliveries.length) {
+            $tbody.append('<tr><td colspan="7">No webhook deliveries yet.</td></tr>');
+        }
+        
+        $log.find('.erp-sync-webhook-deliveries-summary').text(data.total.toLocaleString() + (data.total === 1 ? ' delivery' : ' deliveries'));
+        $log.find('.erp-sync-webhook-page').text('Page ' + data.page + ' of ' + Math.max(1, data.pages));
+        $log.find('.erp-sync-webhook-prev').prop('disabled', data.page <= 1);
+        $log.find('.erp-sync-webhook-next').prop('disabled', data.page >= data.pages);
+    }
+    
+    /**
+     * Build the summary row and the detail row (payload, response, error) of a delivery
+     *
+     * @param {object} delivery - Delivery from the server
+     * @returns {jQuery} Both rows
+     */
+    function renderWebhookDeliveryRows(delivery) {
+        let status = delivery.status;
+        if (delivery.status === 'pending' && delivery.attempts > 0) {
+            status = 'retrying';
+        }
+        
+        const $summary = $('<tr></tr>').append(
+            $('<td></td>').append($('<code></code>').text(delivery.event)),
+            $('<td></td>').append($('<span class="erp-sync-webhook-status"></span>').addClass('is-' + status).text(status)),
+            $('<td></td>').text(delivery.attempts),
+            $('<td></td>').text(delivery.attempts ? (delivery.response_code || 'No response') : '—'),
+            $('<td></td>').text(delivery.attempts ? delivery.latency_ms + ' ms' : '—'),
+            $('<td></td>').text(delivery.date).attr('title', delivery.created_at),
+            $('<td class="erp-sync-webhook-actions"></td>').append(
+                $('<button type="button" class="button button-small erp-sync-webhook-view">View</button>'),
+                ' ',
+                $('<button type="button" class="button button-small erp-sync-webhook-redeliver">Redeliver</button>').attr('data-id', delivery.id)
+            )
+        );
+        
+        const $details = $('<dl class="erp-sync-webhook-meta"></dl>').append(
+            $('<dt>URL</dt>'), $('<dd></dd>').text(delivery.url),
+            $('<dt>Last attempt</dt>'), $('<dd></dd>').text(delivery.last_date || '—'),
+            $('<dt>Next attempt</dt>'), $('<dd></dd>').text(delivery.next_date || '—')
+        );
+        if (delivery.error) {
+            $details.append($('<dt>Error</dt>'), $('<dd class="erp-sync-error"></dd>').text(delivery.error));
+        }
+        
+        const $detail = $('<tr class="erp-sync-webhook-detail" style="display:none;"></tr>').append(
+            $('<td colspan="7"></td>').append(
+                $details,
+                $('<h4>Payload</h4>'),
+                $('<pre class="erp-sync-webhook-payload"></pre>').text(formatWebhookJson(delivery.payload)),
+                $('<h4>Response body</h4>'),
+                $('<pre class="erp-sync-webhook-response"></pre>').text(delivery.response_body || '(empty)')
+            )
+        );
+        
+        return $summary.add($detail);
+    }
+    
+    /**
+     * Pretty-print a JSON string, leaving anything unparsable as it is
+     *
+     * @param {string} json - JSON text
+     * @returns {string}
+     */
+    function formatWebhookJson(json) {
+        try {
+            return JSON.stringify(JSON.parse(json), null, 2);
+        } catch (e) {
+            return json;
+        }
+    }
+    
+    /**
+     * Send a delivery's payload again and reload the log to show the new delivery
+     *
+     * @param {jQuery} $button - The Redeliver button
+     */
+    function redeliverWebhook($button) {
+        $button.prop('disabled', true).addClass('updating-message');
+        
+        $.ajax({
+            url: erpSyncAdmin.ajaxurl,
+            type: 'POST',
+            timeout: 60000,
+            data: {
+                action: 'erp_sync_webhook_redeliver',
+                nonce: erpSyncAdmin.nonce,
+                id: $button.data('id')
+            },
+            success: function(response) {
+                if (response.success) {
+                    loadWebhookDeliveries(1);
+                } else {
+                    alert('Error: ' + (response.data?.message || 'Redelivery failed'));
+                }
+            },
+            error: function(xhr, status, error) {
+                alert('Error: ' + classifyAjaxError(xhr, status, error).message);
+            },
+            complete: function() {
+                $button.prop('disabled', false).removeClass('updating-message');
+            }
+        });
+    }
+    
+    /**
+     * Send a test event to the URL currently in the form and show the receiver's response
+     *
+     * @param {jQuery} $button - The Send test event button
+     */
+    function sendTestWebhook($button) {
+        const $result = $('#erp-sync-webhook-deliveries .erp-sync-webhook-test-result');
+        
+        $button.prop('disabled', true).addClass('updating-message');
+        $result.removeClass('is-success is-error').text('Sending...');
+        
+        $.ajax({
+            url: erpSyncAdmin.ajaxurl,
+            type: 'POST',
+            timeout: 60000,
+            data: {
+                action: 'erp_sync_webhook_test',
+                nonce: erpSyncAdmin.nonce,
+                webhook_url: $('#webhook_url').val(),
+                webhook_secret: $('#webhook_secret').val()
+            },
+            success: function(response) {
+                if (!response.success) {
+                    $result.addClass('is-error').text(response.data?.message || 'Test failed');
+                    return;
+                }
+                
+                const delivery = response.data.delivery;
+                const delivered = delivery.status === 'delivered';
+                const summary = delivery.response_code
+                    ? 'HTTP ' + delivery.response_code + ' in ' + delivery.latency_ms + ' ms'
+                    : delivery.error;
+                
+                $result.addClass(delivered ? 'is-success' : 'is-error').empty().append(
+                    $('<strong></strong>').text((delivered ? 'Delivered: ' : 'Failed: ') + summary),
+                    $('<pre class="erp-sync-webhook-response"></pre>').text(delivery.response_body || '(empty response body)')
+                );
+                
+                loadWebhookDeliveries(1);
+            },
+            error: function(xhr, status, error) {
+                $result.addClass('is-error').text(classifyAjaxError(xhr, status, error).message);
+            },
+            complete: function() {
+                $button.prop('disabled', false).removeClass('updating-message');
+            }
+        });
+    }
+
+    // Security Dashboard
+    function initSecurityDashboard() {
+        const $dashboard = $('#erp-sync-security-dashboard');
+        if (!$dashboard.length) return;
+        
+        // Loaded on first view; the tab may already be open when restored from localStorage
+        $('.erp-sync-nav-tabs .nav-tab[href="#tab-security"]').on('click', function() {
+            if (!securityDashboard.loaded) {
+                loadSecurityDashboard();
+            }
+        });
+        
+        $('#erp-sync-security-days').on('change', loadSecurityDashboard);
+        $('#erp-sync-security-refresh').on('click', loadSecurityDashboard);
+        
+        $dashboard.on('click', '.erp-sync-security-ip-action', function() {
+            updateSecurityIp($(this));
+        });
+        
+        initIpListEditors();
+        
+        if ($dashboard.is(':visible')) {
+            loadSecurityDashboard();
+        }
+    }
+    
+    /**
+     * Fetch the stats of the selected period and redraw the dashboard
+     */
+    function loadSecurityDashboard() {
+        const $tab = $('#tab-security');
+        
+        securityDashboard.loaded = true;
+        $tab.addClass('is-loading');
+        
+        $.ajax({
+            url: erpSyncAdmin.ajaxurl,
+            type: 'POST',
+            data: {
+                action: 'erp_sync_security_dashboard',
+                nonce: erpSyncAdmin.nonce,
+                days: $('#erp-sync-security-days').val()
+            },
+            success: function(response) {
+                if (response.success) {
+                    securityDashboard.data = response.data;
+                    renderSecurityDashboard(response.data);
+                } else {
+                    $tab.find('.erp-sync-security-summary').text(response.data?.message || 'Failed to load security stats');
+                }
+            },
+            error: function(xhr, status, error) {
+                $tab.find('.erp-sync-security-summary').text(classifyAjaxError(xhr, status, error).message);
+            },
+            complete: function() {
+                $tab.removeClass('is-loading');
+            }
+        });
+    }
+    
+    /**
+     * Render the charts, the top IPs table and the events table
+     *
+     * @param {object} data - Payload of erp_sync_security_dashboard
+     */
+    function renderSecurityDashboard(data) {
+        const $dashboard = $('#erp-sync-security-dashboard');
+        const totalCalls = data.days.reduce(function(sum, day) { return sum + day.calls; }, 0);
+        const totalEvents = Object.keys(data.event_counts).reduce(function(sum, type) { return sum + data.event_counts[type]; }, 0);
+        
+        $dashboard.find('.erp-sync-security-summary').text(
+            totalCalls.toLocaleString() + (totalCalls === 1 ? ' API call, ' : ' API calls, ') +
+            totalEvents.toLocaleString() + (totalEvents === 1 ? ' security event' : ' security events')
+        );
+        
+        const formatCount = function(value) {
+            return Math.round(value).toLocaleString();
+        };
+        
+        $dashboard.find('.erp-sync-chart').each(function() {
+            const metric = $(this).data('metric');
+            
+            renderBarChart($(this).find('.erp-sync-chart-body'), data.days, function(day) {
+                return day[metric];
+            }, formatCount, function(day, value) {
+                return {
+                    className: '',
+                    title: day.label + ': ' + formatCount(value)
+                };
+            });
+        });
+        
+        const $ips = $dashboard.find('.erp-sync-security-ips-table tbody').empty();
+        data.top_ips.forEach(function(row) {
+            $ips.append(
+                $('<tr></tr>').append(
+                    $('<td></td>').append(
+                        $('<code></code>').text(row.ip),
+                        row.ip === data.current_ip ? $('<span class="description"></span>').text(' (you)') : null
+                    ),
+                    $('<td></td>').text(row.calls.toLocaleString()),
+                    $('<td></td>').text(row.last_call),
+                    $('<td></td>').append(
+                        $('<span class="erp-sync-security-ip-status"></span>').addClass('is-' + (row.status || 'none')).text(SECURITY_IP_STATUS_LABELS[row.status] || row.status)
+                    ),
+                    $('<td class="erp-sync-security-ip-actions"></td>').append(buildSecurityIpActions(row.ip, data))
+                )
+            );
+        });
+        
+        if (!data.top_ips.length) {
+            $ips.append('<tr><td colspan="5">No API calls logged in this period.</td></tr>');
+        }
+        
+        const $events = $dashboard.find('.erp-sync-security-events-table tbody').empty();
+        data.events.forEach(function(event) {
+            $events.append(
+                $('<tr></tr>').append(
+                    $('<td></td>').text(event.date).attr('title', event.created_at),
+                    $('<td></td>').append(
+                        $('<span class="erp-sync-security-event"></span>').addClass('is-' + event.type).text(SECURITY_EVENT_LABELS[event.type] || event.type)
+                    ),
+                    $('<td></td>').append($('<code></code>').text(event.ip)),
+                    $('<td></td>').text(describeSecurityEvent(event))
+                )
+            );
+        });
+        
+        if (!data.events.length) {
+            $events.append('<tr><td colspan="4">No security events in this period.</td></tr>');
+        }
+    }
+    
+    /**
+     * Build the one-click buttons of a top IP. An IP that only matches a CIDR
+     * range has no exact entry to remove, so only the add buttons are offered.
+     *
+     * @param {string} ip - IP address
+     * @param {object} data - Dashboard data with the current whitelist and blocklist
+     * @returns {Array} Buttons
+     */
+    function buildSecurityIpActions(ip, data) {
+        const button = function(label, list, op) {
+            return $('<button type="button" class="button button-small erp-sync-security-ip-action"></button>')
+                .text(label)
+                .attr({ 'data-ip': ip, 'data-list': list, 'data-op': op });
+        };
+        
+        if (data.blocklist.indexOf(ip) !== -1) {
+            return [button('Unblock', 'block', 'remove')];
+        }
+        
+        const buttons = [];
+        if (data.whitelist.indexOf(ip) !== -1) {
+            buttons.push(button('Remove from whitelist', 'allow', 'remove'));
+        } else {
+            buttons.push(button('Allow', 'allow', 'add'));
+        }
+        buttons.push(' ', button('Block', 'block', 'add'));
+        
+        return buttons;
+    }
+    
+    /**
+     * Human-readable details of a security event
+     *
+     * @param {object} event - Event from erp_sync_security_dashboard
+     * @returns {string}
+     */
+    function describeSecurityEvent(event) {
+        const details = event.details || {};
+        
+        switch (event.type) {
+            case 'rate_limited':
+                return 'More than ' + details.max + ' requests per minute';
+            case 'ip_denied':
+                return details.list === 'blocklist' ? 'On the blocklist' : 'Not on the whitelist';
+            case 'secret_missing':
+            case 'secret_invalid':
+                return details.route ? 'Request to ' + details.route : '';
+            default:
+                return '';
+        }
+    }
+    
+    /**
+     * Allow, block or remove an IP right away (saved without the settings form)
+     *
+     * @param {jQuery} $button - The clicked action button
+     */
+    function updateSecurityIp($button) {
+        const ip = $button.attr('data-ip');
+        const list = $button.attr('data-list');
+        const op = $button.attr('data-op');
+        const data = securityDashboard.data;
+        
+        if (op === 'add' && list === 'allow' && !data.whitelist.length &&
+            !confirm('The whitelist is empty, so every IP is allowed now. Whitelisting ' + ip + ' rejects all other IPs' +
+                (ip !== data.current_ip ? ', including yours (' + data.current_ip + ')' : '') + '. Continue?')) {
+            return;
+        }
+        
+        if (op === 'add' && list === 'block' && ip === data.current_ip &&
+            !confirm(ip + ' is your own IP address. Blocking it rejects your own syncs. Continue?')) {
+            return;
+        }
+        
+        $button.prop('disabled', true).addClass('updating-message');
+        
+        $.ajax({
+            url: erpSyncAdmin.ajaxurl,
+            type: 'POST',
+            data: {
+                action: 'erp_sync_security_ip',
+                nonce: erpSyncAdmin.nonce,
+                ip: ip,
+                list: list,
+                op: op
+            },
+            success: function(response) {
+                if (response.success) {
+                    // The change is already saved; show it in the settings form too
+                    renderIpList('ip_whitelist', response.data.whitelist);
+                    renderIpList('ip_blocklist', response.data.blocklist);
+                    loadSecurityDashboard();
+                } else {
+                    alert('Error: ' + (response.data?.message || 'Could not update the IP lists'));
+                    $button.prop('disabled', false).removeClass('updating-message');
+                }
+            },
+            error: function(xhr, status, error) {
+                alert('Error: ' + classifyAjaxError(xhr, status, error).message);
+                $button.prop('disabled', false).removeClass('updating-message');
+            }
+        });
+    }
+    
+    /**
+     * Wire the whitelist / blocklist entry editors of the settings form
+     */
+    function initIpListEditors() {
+        const $lists = $('.erp-sync-ip-list');
+        if (!$lists.length) return;
+        
+        $lists.on('click', '.erp-sync-ip-entry-remove', function() {
+            $(this).closest('.erp-sync-ip-entry').remove();
+        });
+        
+        $lists.on('click', '.erp-sync-ip-list-add', function() {
+            addIpListEntry($(this).closest('.erp-sync-ip-list'));
+        });
+        
+        // Enter adds the entry instead of submitting the settings form
+        $lists.on('keydown', '.erp-sync-ip-list-new', function(e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                addIpListEntry($(this).closest('.erp-sync-ip-list'));
+            }
+        });
+        
+        $lists.on('input', '.erp-sync-ip-list-new', function() {
+            $(this).removeClass('is-invalid').siblings('.erp-sync-ip-list-error').text('');
+        });
+        
+        // Entries typed but not added yet are added on save; invalid ones stop the save
+        $lists.closest('form').on('submit', function(e) {
+            let valid = true;
+            
+            $lists.each(function() {
+                const $list = $(this);
+                if ($list.find('.erp-sync-ip-list-new').val().trim() !== '' && !addIpListEntry($list)) {
+                    valid = false;
+                }
+            });
+            
+            if (!valid) {
+                e.preventDefault();
+                $('.erp-sync-nav-tabs .nav-tab[href="#tab-security"]').trigger('click');
+                $lists.find('.erp-sync-ip-list-new.is-invalid').first().trigger('focus');
+            }
+        });
+    }
+    
+    /**
+     * Validate the typed entry and append it to the list
+     *
+     * @param {jQuery} $list - .erp-sync-ip-list container
+     * @returns {boolean} Whether the entry was valid
+     */
+    function addIpListEntry($list) {
+        const $input = $list.find('.erp-sync-ip-list-new');
+        const $error = $list.find('.erp-sync-ip-list-error');
+        const value = $input.val().trim();
+        
+        if (value === '') {
+            return true;
+        }
+        
+        if (!isValidIpEntry(value)) {
+            $input.addClass('is-invalid');
+            $error.text('Not a valid IP address or CIDR range.');
+            return false;
+        }
+        
+        const entries = getIpListEntries($list);
+        if (entries.indexOf(value) === -1) {
+            renderIpList($list.data('field'), entries.concat([value]));
+        }
+        
+        $input.val('').removeClass('is-invalid');
+        $error.text('');
+        return true;
+    }
+    
+    /**
+     * Current entries of a list editor
+     *
+     * @param {jQuery} $list - .erp-sync-ip-list container
+     * @returns {Array<string>}
+     */
+    function getIpListEntries($list) {
+        return $list.find('.erp-sync-ip-entry input').map(function() {
+            return this.value;
+        }).get();
+    }
+    
+    /**
+     * Redraw a list editor, e.g. after a one-click allow/block changed the saved list
+     *
+     * @param {string} field - Form field name (ip_whitelist or ip_blocklist)
+     * @param {Array<string>} entries - Entries to show
+     */
+    function renderIpList(field, entries) {
+        const $entries = $('.erp-sync-ip-list[data-field="' + field + '"] .erp-sync-ip-list-entries').empty();
+        
+        entries.forEach(function(entry) {
+            $entries.append(
+                $('<li class="erp-sync-ip-entry"></li>').append(
+                    $('<code></code>').text(entry),
+                    ' ',
+                    $('<input type="hidden">').attr('name', field + '[]').val(entry),
+                    $('<button type="button" class="button-link erp-sync-ip-entry-remove">Remove</button>')
+                )
+            );
+        });
+    }
+    
+    /**
+     * Client-side check of an IPv4/IPv6 address or CIDR range; the server
+     * validates again before saving
+     *
+     * @param {string} value - Entry as typed
+     * @returns {boolean}
+     */
+    function isValidIpEntry(value) {
+        const parts = value.split('/');
+        if (parts.length > 2) {
+            return false;
+        }
+        
+        const address = parts[0];
+        const isV4 = isValidIpv4(address);
+        if (!isV4 && !isValidIpv6(address)) {
+            return false;
+        }
+        
+        if (parts.length === 1) {
+            return true;
+        }
+        
+        return /^\d{1,3}$/.test(parts[1]) && Number(parts[1]) <= (isV4 ? 32 : 128);
+    }
+    
+    /**
+     * @param {string} address - Candidate IPv4 address
+     * @returns {boolean}
+     */
+    function isValidIpv4(address) {
+        const octets = address.split('.');
+        
+        return octets.length === 4 && octets.every(function(octet) {
+            return /^(0|[1-9]\d{0,2})$/.test(octet) && Number(octet) <= 255;
+        });
+    }
+    
+    /**
+     * @param {string} address - Candidate IPv6 address, optionally ending in an IPv4 address
+     * @returns {boolean}
+     */
+    function isValidIpv6(address) {
+        const halves = address.split('::');
+        if (address.indexOf(':') === -1 || halves.length > 2) {
+            return false;
+        }
+        
+        const groups = halves.reduce(function(all, half) {
+            return all.concat(half === '' ? [] : half.split(':'));
+        }, []);
+        let count = groups.length;
+        
+        // Embedded IPv4 (e.g. ::ffff:192.0.2.1) ends the address and counts as two groups
+        if (count && groups[count - 1].indexOf('.') !== -1 && !/::$/.test(address)) {
+            if (!isValidIpv4(groups.pop())) {
+                return false;
+            }
+            count++;
+        }
+        
+        if (!groups.every(function(group) { return /^[0-9a-f]{1,4}$/i.test(group); })) {
+            return false;
+        }
+        
+        return halves.length === 2 ? count < 8 : count === 8;
+    }
 
-            // Build FormData for file upload (init step)
-            var formData = new FormData();
-            formData.append('action', 'erp_sync_coupons_csv_import');
-            formData.append('nonce', erpSyncAdmin.nonce);
-            formData.append('step', 'init');
-            formData.append('offset', '0');
-            formData.append('batch_size', String(BATCH_SIZE));
-            formData.append('session_id', sessionId);
-            formData.append('csv_file', file);
+    // Loyalty Cards: card lookup
+    function initCardLookup() {
+        const $lookup = $('#erp-sync-card-lookup');
+        if (!$lookup.length) return;
+        
+        let searchTimer = null;
+        
+        $('#erp-sync-card-search').on('input', function() {
+            const term = $.trim($(this).val());
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(function() {
+                searchCards(term);
+            }, BRANCH_SEARCH_DELAY_MS);
+        });
+        
+        $lookup.on('click', '.erp-sync-card-open', function() {
+            $lookup.find('.erp-sync-card-results tr').removeClass('is-selected');
+            $(this).closest('tr').addClass('is-selected');
+            loadCardDetail($(this).data('id'));
+        });
+        
+        // Preset by ?s= on the page URL
+        const preset = $.trim($('#erp-sync-card-search').val());
+        if (preset) {
+            searchCards(preset);
+        }
+    }
+    
+    /**
+     * Search cards by phone, name or code and list them.
+     * A single match is opened right away.
+     *
+     * @param {string} term - Search term
+     */
+    function searchCards(term) {
+        const $lookup = $('#erp-sync-card-lookup');
+        const $summary = $lookup.find('.erp-sync-card-summary');
+        const $spinner = $lookup.find('.erp-sync-card-search-row .spinner');
+        
+        if (cardLookup.searchRequest) {
+            cardLookup.searchRequest.abort();
+        }
+        
+        if (term.length < CARD_SEARCH_MIN_LENGTH) {
+            $summary.empty();
+            $lookup.find('.erp-sync-card-results').hide().find('tbody').empty();
+            $lookup.find('.erp-sync-card-detail').hide().empty();
+            $spinner.removeClass('is-active');
+            return;
+        }
+        
+        $spinner.addClass('is-active');
+        
+        cardLookup.searchRequest = $.ajax({
+            url: erpSyncAdmin.ajaxurl,
+            type: 'POST',
+            data: {
+                action: 'erp_sync_card_search',
+                nonce: erpSyncAdmin.nonce,
+                term: term
+            },
+            success: function(response) {
+                if (!response.success) {
+                    $summary.empty().append($('<span class="erp-sync-error"></span>').text(response.data?.message || 'Search failed'));
+                    return;
+                }
+                
+                renderCardResults(response.data.cards);
+            },
+            error: function(xhr, status, error) {
+                if (status === 'abort') return;
+                $summary.empty().append($('<span class="erp-sync-error"></span>').text(classifyAjaxError(xhr, status, error).message));
+            },
+            complete: function(xhr, status) {
+                if (status !== 'abort') {
+                    cardLookup.searchRequest = null;
+                    $spinner.removeClass('is-active');
+                }
+            }
+        });
+    }
+    
+    /**
+     * Render the lookup results
+     *
+     * @param {Array} cards - Card summaries from erp_sync_card_search
+     */
+    function renderCardResults(cards) {
+        const $lookup = $('#erp-sync-card-lookup');
+        const $table = $lookup.find('.erp-sync-card-results');
+        const $tbody = $table.find('tbody').empty();
+        
+        $lookup.find('.erp-sync-card-detail').hide().empty();
+        $lookup.find('.erp-sync-card-summary').text(
+            cards.length ? cards.length + (cards.length === 1 ? ' card found' : ' cards found') : 'No cards found.'
+        );
+        
+        cards.forEach(function(card) {
+            $tbody.append(
+                $('<tr></tr>').toggleClass('is-deleted', card.is_deleted).append(
+                    $('<td></td>').append(
+                        $('<button type="button" class="button-link erp-sync-card-open"></button>').data('id', card.id).append($('<code></code>').text(card.code))
+                    ),
+                    $('<td></td>').text(card.name || '—'),
+                    $('<td></td>').text(card.phone || '—'),
+                    $('<td></td>').append(buildCardDiscount(card))
+                )
+            );
+        });
+        
+        $table.toggle(cards.length > 0);
+        
+        if (cards.length === 1) {
+            $tbody.find('tr').addClass('is-selected');
+            loadCardDetail(cards[0].id);
+        }
+    }
+    
+    /**
+     * Badge with a card's discount today and why it applies
+     *
+     * @param {object} card - Card summary ({discount, discount_reason})
+     * @returns {jQuery}
+     */
+    function buildCardDiscount(card) {
+        const label = CARD_DISCOUNT_REASON_LABELS[card.discount_reason];
+        
+        return $('<span class="erp-sync-card-discount"></span>')
+            .addClass('is-' + card.discount_reason)
+            .text(card.discount + '%' + (label ? ' · ' + label : ''));
+    }
+    
+    /**
+     * Fetch a card with its usage history and show it in the detail panel
+     *
+     * @param {number} couponId - Card coupon ID
+     */
+    function loadCardDetail(couponId) {
+        const $detail = $('#erp-sync-card-lookup .erp-sync-card-detail');
+        
+        if (cardLookup.detailRequest) {
+            cardLookup.detailRequest.abort();
+        }
+        
+        $detail.show().html('<p><span class="spinner is-active" style="float:none;"></span> Loading card…</p>');
+        
+        cardLookup.detailRequest = $.ajax({
+            url: erpSyncAdmin.ajaxurl,
+            type: 'POST',
+            data: {
+                action: 'erp_sync_card_detail',
+                nonce: erpSyncAdmin.nonce,
+                coupon_id: couponId
+            },
+            success: function(response) {
+                if (!response.success) {
+                    $detail.empty().append($('<p class="erp-sync-error"></p>').text(response.data?.message || 'Failed to load the card'));
+                    return;
+                }
+                
+                renderCardDetail(response.data.card, response.data.usage);
+            },
+            error: function(xhr, status, error) {
+                if (status === 'abort') return;
+                $detail.empty().append($('<p class="erp-sync-error"></p>').text(classifyAjaxError(xhr, status, error).message));
+            },
+            complete: function(xhr, status) {
+                if (status !== 'abort') {
+                    cardLookup.detailRequest = null;
+                }
+            }
+        });
+    }
+    
+    /**
+     * Render the detail panel of a card
+     *
+     * @param {object} card - Card from erp_sync_card_detail
+     * @param {Array} usage - Orders the card was used on, newest first
+     */
+    function renderCardDetail(card, usage) {
+        const $detail = $('#erp-sync-card-lookup .erp-sync-card-detail').empty();
+        
+        let why = 'Base discount of the card.';
+        if (card.discount_reason === 'birthday') {
+            why = 'Birthday boost: ' + card.birthday_discount + '% instead of the base ' +
+                (card.base_discount === null ? 'discount' : card.base_discount + '%') + ' during the birthday window.';
+        } else if (card.discount_reason === 'deleted') {
+            why = 'The card is marked deleted in the ERP and gives no discount.';
+        } else if (card.base_discount === null) {
+            why = 'No base discount from the ERP; the coupon amount applies.';
+        }
+        
+        let birthday = '—';
+        if (card.dob) {
+            birthday = card.dob_display + (card.dob_is_manual ? ' (set manually)' : '');
+            if (card.days_to_birthday !== null) {
+                birthday += ' · next on ' + card.next_birthday + ' (' +
+                    (card.days_to_birthday === 0 ? 'today' : card.days_to_birthday === 1 ? 'tomorrow' : 'in ' + card.days_to_birthday + ' days') + ')';
+            }
+        }
+        
+        const fields = [
+            ['Holder', card.name || '—'],
+            ['INN', card.inn || '—'],
+            ['Phone', card.phone || '—'],
+            ['Allowed phones', card.allowed_phones.length ? card.allowed_phones.join(', ') : 'Any'],
+            ['Date of birth', birthday],
+            ['Base discount', card.base_discount === null ? '—' : card.base_discount + '%'],
+            ['Used', card.usage_count + (card.usage_limit ? ' of ' + card.usage_limit : '') + (card.usage_count === 1 ? ' time' : ' times')],
+            ['Expires', card.expires_display || 'Never'],
+            ['Last synced', card.synced_display || '—']
+        ];
+        
+        const $fields = $('<table class="widefat striped erp-sync-card-fields"><tbody></tbody></table>');
+        fields.forEach(function(field) {
+            $fields.find('tbody').append(
+                $('<tr></tr>').append($('<th scope="row"></th>').text(field[0]), $('<td></td>').text(field[1]))
+            );
+        });
+        
+        const $usage = $('<table class="widefat striped erp-sync-card-usage"><thead><tr>' +
+            '<th>Order</th><th>Date</th><th>Status</th><th>Customer</th><th>Discount</th><th>Total</th>' +
+            '</tr></thead><tbody></tbody></table>');
+        usage.forEach(function(order) {
+            $usage.find('tbody').append(
+                $('<tr></tr>').append(
+                    $('<td></td>').append($('<a></a>').attr('href', order.edit_url).text('#' + order.number)),
+                    $('<td></td>').text(order.date),
+                    $('<td></td>').text(order.status),
+                    $('<td></td>').text(order.customer || '—'),
+                    $('<td></td>').text(order.discount),
+                    $('<td></td>').text(order.total)
+                )
+            );
+        });
+        
+        if (!usage.length) {
+            $usage.find('tbody').append('<tr><td colspan="6">This card has not been used on any order yet.</td></tr>');
+        }
+        
+        $detail.append(
+            $('<h2></h2>').append(
+                $('<code></code>').text(card.code),
+                ' ',
+                $('<a class="page-title-action"></a>').attr('href', card.edit_url).text('Edit coupon')
+            ),
+            $('<div class="erp-sync-card-today"></div>').append(
+                $('<span class="erp-sync-card-today-label"></span>').text('Discount today'),
+                buildCardDiscount(card),
+                $('<p class="description"></p>').text(why)
+            ),
+            $fields,
+            $('<h3></h3>').text('Usage History'),
+            $usage
+        );
+    }
+    
+    // Loyalty Cards: upcoming birthdays
+    function initBirthdays() {
+        const $birthdays = $('#erp-sync-birthdays');
+        if (!$birthdays.length) return;
+        
+        $('#erp-sync-birthdays-days').on('change', loadBirthdays);
+        $('#erp-sync-birthdays-refresh').on('click', loadBirthdays);
+        $('#erp-sync-birthdays-export').on('click', exportBirthdays);
+        
+        // Open the card in the lookup above instead of reloading the page
+        $birthdays.on('click', '.erp-sync-birthday-card', function(e) {
+            e.preventDefault();
+            const code = $(this).data('code');
+            $('#erp-sync-card-search').val(code).trigger('focus');
+            searchCards(code);
+            $('html, body').animate({ scrollTop: $('#erp-sync-card-lookup').offset().top - 50 }, 200);
+        });
+        
+        loadBirthdays();
+    }
+    
+    /**
+     * Fetch the cards with a birthday in the selected number of days
+     */
+    function loadBirthdays() {
+        const $birthdays = $('#erp-sync-birthdays');
+        const $spinner = $birthdays.find('.spinner').addClass('is-active');
+        
+        $('#erp-sync-birthdays-export').prop('disabled', true);
+        
+        $.ajax({
+            url: erpSyncAdmin.ajaxurl,
+            type: 'POST',
+            data: {
+                action: 'erp_sync_card_birthdays',
+                nonce: erpSyncAdmin.nonce,
+                days: $('#erp-sync-birthdays-days').val()
+            },
+            success: function(response) {
+                if (!response.success) {
+                    $birthdays.find('.erp-sync-birthdays-summary').empty().append($('<span class="erp-sync-error"></span>').text(response.data?.message || 'Failed to load birthdays'));
+                    return;
+                }
+                
+                cardLookup.birthdays = response.data;
+                renderBirthdays(response.data);
+            },
+            error: function(xhr, status, error) {
+                $birthdays.find('.erp-sync-birthdays-summary').empty().append($('<span class="erp-sync-error"></span>').text(classifyAjaxError(xhr, status, error).message));
+            },
+            complete: function() {
+                $spinner.removeClass('is-active');
+            }
+        });
+    }
+    
+    /**
+     * Render the upcoming birthdays table
+     *
+     * @param {object} data - {days, cards} from erp_sync_card_birthdays
+     */
+    function renderBirthdays(data) {
+        const $birthdays = $('#erp-sync-birthdays');
+        const $tbody = $birthdays.find('.erp-sync-birthdays-table tbody').empty();
+        
+        // The server clamps the window; show what was actually used
+        $('#erp-sync-birthdays-days').val(data.days);
+        
+        $birthdays.find('.erp-sync-birthdays-summary').text(
+            data.cards.length + (data.cards.length === 1 ? ' birthday' : ' birthdays') +
+            (data.days === 0 ? ' today' : ' in the next ' + data.days + (data.days === 1 ? ' day' : ' days'))
+        );
+        
+        data.cards.forEach(function(card) {
+            const when = card.days_to_birthday === 0 ? 'today' : card.days_to_birthday === 1 ? 'tomorrow' : 'in ' + card.days_to_birthday + ' days';
+            
+            $tbody.append(
+                $('<tr></tr>').append(
+                    $('<td></td>').append(
+                        document.createTextNode(card.birthday_display + ' '),
+                        $('<span class="description"></span>').text('(' + when + ')')
+                    ),
+                    $('<td></td>').text(card.name || '—'),
+                    $('<td></td>').text(card.phone || '—'),
+                    $('<td></td>').append(
+                        $('<a class="erp-sync-birthday-card"></a>').attr('href', '?page=erp-sync-cards&s=' + encodeURIComponent(card.code)).data('code', card.code).append($('<code></code>').text(card.code))
+                    ),
+                    $('<td></td>').append(buildCardDiscount(card))
+                )
+            );
+        });
+        
+        if (!data.cards.length) {
+            $tbody.append('<tr><td colspan="5">No birthdays in this period.</td></tr>');
+        }
+        
+        $('#erp-sync-birthdays-export').prop('disabled', !data.cards.length);
+    }
+    
+    /**
+     * Download the loaded birthdays list as CSV for SMS campaigns.
+     * Phones are exported as written in the ERP and as digits only.
+     */
+    function exportBirthdays() {
+        const data = cardLookup.birthdays;
+        if (!data || !data.cards.length) return;
+        
+        const lines = [['name', 'phone', 'phone_digits', 'card_code', 'date_of_birth', 'birthday', 'days_to_birthday', 'discount_today'].join(',')];
+        data.cards.forEach(function(card) {
+            lines.push([
+                card.name, card.phone, card.phone_digits, card.code, card.dob, card.birthday, card.days_to_birthday, card.discount
+            ].map(csvTextCell).join(','));
+        });
+        
+        downloadFile(lines.join('\r\n'), 'text/csv;charset=utf-8', 'erp-sync-birthdays-' + new Date().toISOString().slice(0, 10) + '.csv');
+    }
 
+    // Settings Import / Export tab
+    function initSettingsTransfer() {
+        const $import = $('#erp-sync-settings-import');
+        if (!$import.length) return;
+        
+        $('#erp-sync-settings-file').on('change', function() {
+            $('#erp-sync-settings-preview-btn').prop('disabled', !this.files.length);
+            $import.find('.erp-sync-settings-import-preview').hide();
+        });
+        
+        $('#erp-sync-settings-preview-btn').on('click', function() {
+            const file = $('#erp-sync-settings-file')[0].files[0];
+            if (file) {
+                previewSettingsImport(file, $(this));
+            }
+        });
+        
+        $import.on('change', '.erp-sync-settings-diff-all', function() {
+            $import.find('.erp-sync-settings-diff-option').prop('checked', this.checked);
+        });
+        
+        $import.on('change', '.erp-sync-settings-diff-option', function() {
+            const $boxes = $import.find('.erp-sync-settings-diff-option');
+            $import.find('.erp-sync-settings-diff-all').prop('checked', $boxes.length === $boxes.filter(':checked').length);
+        });
+        
+        $('#erp-sync-settings-apply-btn').on('click', function() {
+            applySettingsImport($(this));
+        });
+    }
+    
+    /**
+     * Read the selected bundle and show its diff against the current settings
+     *
+     * @param {File} file - Exported settings file
+     * @param {jQuery} $button - The compare button
+     */
+    function previewSettingsImport(file, $button) {
+        const $import = $('#erp-sync-settings-import');
+        const $spinner = $import.find('.erp-sync-settings-import-controls .spinner');
+        const reader = new FileReader();
+        
+        reader.onload = function() {
+            $button.prop('disabled', true);
+            $spinner.addClass('is-active');
+            
             $.ajax({
                 url: erpSyncAdmin.ajaxurl,
                 type: 'POST',
-                data: formData,
-                processData: false,
-                contentType: false,
-                timeout: 60000,
+                data: {
+                    action: 'erp_sync_settings_import_preview',
+                    nonce: erpSyncAdmin.nonce,
+                    bundle: String(reader.result).replace(/^\uFEFF/, ''),
+                    passphrase: $('#erp-sync-settings-passphrase').val()
+                },
                 success: function(response) {
-                    if (response.success) {
-                        const totalCount = response.data.total || 0;
-
-                        if (totalCount === 0) {
-                            // No rows to process, go to cleanup
-                            runCsvStep('cleanup', 0, sessionId, 0, $button, originalText, {
-                                created: 0, updated: 0, errors: 0, total: 0
-                            });
-                        } else {
-                            updateProgressUI(0, totalCount, 'Starting CSV import...');
-                            // Start processing first batch
-                            runCsvStep('process', 0, sessionId, 0, $button, originalText, {
-                                created: 0, updated: 0, errors: 0, total: totalCount
-                            });
-                        }
-                    } else {
-                        handleSyncError($button, originalText, response.data?.message || 'CSV upload failed');
+                    if (!response.success) {
+                        $import.find('.erp-sync-settings-import-preview').hide();
+                        alert('Error: ' + (response.data?.message || 'The settings file could not be read'));
+                        return;
                     }
+                    
+                    renderSettingsDiff(response.data);
                 },
                 error: function(xhr, status, error) {
-                    handleSyncError($button, originalText, 'CSV upload failed: ' + error);
+                    alert('Error: ' + classifyAjaxError(xhr, status, error).message);
+                },
+                complete: function() {
+                    $button.prop('disabled', false);
+                    $spinner.removeClass('is-active');
                 }
             });
+        };
+        
+        reader.onerror = function() {
+            alert('The settings file could not be read.');
+        };
+        
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Render the import diff: one group of rows per changed option, each with its checkbox
+     *
+     * @param {object} data - {source, options, unchanged, warnings} from erp_sync_settings_import_preview
+     */
+    function renderSettingsDiff(data) {
+        const $preview = $('#erp-sync-settings-import .erp-sync-settings-import-preview').show();
+        const $table = $preview.find('.erp-sync-settings-diff');
+        const source = data.source;
+        
+        $preview.find('.erp-sync-settings-import-source').text(
+            'Exported from ' + (source.site_url || 'an unknown site') +
+            (source.exported_at ? ' on ' + source.exported_at : '') +
+            (source.plugin_version ? ' (plugin version ' + source.plugin_version + ')' : '') + '. ' +
+            data.options.length + (data.options.length === 1 ? ' setting differs, ' : ' settings differ, ') +
+            data.unchanged + ' unchanged.'
+        );
+        
+        const $warnings = $preview.find('.erp-sync-settings-import-warnings').empty();
+        data.warnings.forEach(function(warning) {
+            $warnings.append($('<li></li>').text(warning));
+        });
+        
+        $table.find('tbody').remove();
+        $table.find('.erp-sync-settings-diff-all').prop('checked', true);
+        
+        const describe = function(value) {
+            return value === null ? $('<em></em>').text('Not set') : $('<code></code>').text(value === '' ? '""' : value);
+        };
+        
+        data.options.forEach(function(option) {
+            const $group = $('<tbody></tbody>').appendTo($table);
+            
+            $group.append(
+                $('<tr class="erp-sync-settings-diff-option-row"></tr>').append(
+                    $('<th scope="row" class="check-column"></th>').append(
+                        $('<input type="checkbox" class="erp-sync-settings-diff-option" checked>').val(option.option)
+                    ),
+                    $('<td colspan="3"></td>').append(
+                        $('<strong></strong>').text(option.label),
+                        ' ',
+                        $('<span class="description"></span>').text(option.option)
+                    )
+                )
+            );
+            
+            option.fields.forEach(function(field) {
+                $group.append(
+                    $('<tr></tr>').append(
+                        $('<td></td>'),
+                        $('<td class="erp-sync-settings-diff-field"></td>').text(field.field || '—'),
+                        $('<td class="erp-sync-settings-diff-current"></td>').append(describe(field.current)),
+                        $('<td class="erp-sync-settings-diff-incoming"></td>').append(describe(field.incoming))
+                    )
+                );
+            });
         });
+        
+        if (!data.options.length) {
+            $table.append('<tbody><tr><td colspan="4">The file matches the current settings.</td></tr></tbody>');
+        }
+        
+        $('#erp-sync-settings-apply-btn').prop('disabled', !data.options.length);
     }
-
+    
     /**
-     * Run a CSV import step (process or cleanup) using the recursive AJAX pattern.
+     * Apply the checked options of the previewed import, then reload the page
+     *
+     * @param {jQuery} $button - The apply button
      */
-    function runCsvStep(step, offset, sessionId, retryCount, $button, originalText, aggregateStats) {
+    function applySettingsImport($button) {
+        const options = $('#erp-sync-settings-import .erp-sync-settings-diff-option:checked').map(function() {
+            return $(this).val();
+        }).get();
+        
+        if (!options.length) {
+            alert('Select at least one setting to import.');
+            return;
+        }
+        
+        if (!confirm('Apply ' + options.length + (options.length === 1 ? ' setting' : ' settings') + ' from the file? The current values will be replaced.')) {
+            return;
+        }
+        
+        $button.prop('disabled', true).addClass('updating-message');
+        
         $.ajax({
             url: erpSyncAdmin.ajaxurl,
             type: 'POST',
-            timeout: 60000,
             data: {
-                action: 'erp_sync_coupons_csv_import',
+                action: 'erp_sync_settings_import_apply',
                 nonce: erpSyncAdmin.nonce,
-                step: step,
-                offset: offset,
-                batch_size: BATCH_SIZE,
-                session_id: sessionId
+                options: options
             },
             success: function(response) {
-                if (response.success) {
-                    var data = response.data;
-
-                    if (step === 'process') {
-                        aggregateStats.created = (aggregateStats.created || 0) + (data.created || 0);
-                        aggregateStats.updated = (aggregateStats.updated || 0) + (data.updated || 0);
-                        aggregateStats.errors = (aggregateStats.errors || 0) + (data.errors || 0);
-
-                        var nextOffset = data.next_offset || (offset + BATCH_SIZE);
-                        var totalCount = data.total || aggregateStats.total || 0;
-
-                        updateProgressUI(Math.min(nextOffset, totalCount), totalCount,
-                            'CSV import batch ' + Math.ceil(nextOffset / BATCH_SIZE) + '...');
-
-                        if (nextOffset >= totalCount) {
-                            runCsvStep('cleanup', 0, sessionId, 0, $button, originalText, {
-                                ...aggregateStats, total: totalCount
-                            });
-                        } else {
-                            runCsvStep('process', nextOffset, sessionId, 0, $button, originalText, {
-                                ...aggregateStats, total: totalCount
-                            });
-                        }
-                    } else if (step === 'cleanup') {
-                        handleSyncSuccess($button, originalText, aggregateStats);
-                    }
-                } else {
-                    handleSyncError($button, originalText, response.data?.message || 'Unknown error');
+                if (!response.success) {
+                    alert('Error: ' + (response.data?.message || 'Import failed'));
+                    $button.prop('disabled', false).removeClass('updating-message');
+                    return;
                 }
+                
+                // The other tabs still show the old values until the page is reloaded
+                window.location.href = response.data.redirect;
             },
             error: function(xhr, status, error) {
-                if (retryCount < MAX_RETRIES) {
-                    var newRetryCount = retryCount + 1;
-                    updateProgressUI(offset, aggregateStats.total || 0,
-                        'Retrying... (attempt ' + newRetryCount + '/' + MAX_RETRIES + ')');
-
-                    setTimeout(function() {
-                        runCsvStep(step, offset, sessionId, newRetryCount, $button, originalText, aggregateStats);
-                    }, RETRY_DELAY_MS);
-                } else {
-                    handleSyncError($button, originalText, 'Failed after ' + MAX_RETRIES + ' retries: ' + error);
-                }
+                alert('Error: ' + classifyAjaxError(xhr, status, error).message);
+                $button.prop('disabled', false).removeClass('updating-message');
             }
         });
     }
@@ -675,11 +5410,28 @@
         initTabs();
         initProgressPolling();
         initAjaxSyncButtons();
+        initResumePrompt();
+        initSyncControls();
+        initPreview();
+        initFailureReport();
         initQuickEdit();
         initConfirmations();
         initSingleProductUpdate();
+        initProductDetails();
         initSingleCouponUpdate();
+        initBulkSync();
         initCsvImport();
+        initLogsViewer();
+        initSyncDashboard();
+        initBranchEditor();
+        initAttributeMapping();
+        initSoapWorkbench();
+        initConnectionProfiles();
+        initWebhookDeliveries();
+        initSecurityDashboard();
+        initSettingsTransfer();
+        initCardLookup();
+        initBirthdays();
         
         console.log('ERP Sync Admin JS v1.5.0 loaded');
     });
@@ -0,0 +1,65 @@
+/**
+ * ERP Sync - Cart and checkout stock messages
+ *
+ * Shows the ERP stock shortages of the cart under each affected line
+ * ("Only 2 left at Tbilisi Mall") on the cart page and in the checkout
+ * order review, and refreshes them after every cart or checkout update.
+ *
+ * @package ERPSync
+ * @since 1.5.0
+ */
+(function($) {
+    'use strict';
+
+    let requestId = 0;
+
+    /**
+     * Fetch the shortages of the current cart and render them
+     */
+    function loadCartStock() {
+        const currentRequest = ++requestId;
+
+        $.ajax({
+            url: erpSyncCartStock.ajaxUrl,
+            type: 'POST',
+            dataType: 'json',
+            timeout: 30000
+        }).done(function(response) {
+            if (currentRequest === requestId && response && response.success) {
+                renderCartStock(response.data.lines);
+            }
+        });
+        // On failure WooCommerce's own notices still apply
+    }
+
+    /**
+     * Replace the per-line messages
+     *
+     * @param {Array} lines - [{key, message, adjusted}]
+     */
+    function renderCartStock(lines) {
+        $('.erp-sync-cart-stock-message').remove();
+
+        lines.forEach(function(line) {
+            // Rows are tagged with their cart item key by Cart_Stock_Check::add_cart_item_class()
+            const $cell = $('.erp-sync-cart-item-' + line.key).find('td.product-name');
+
+            $('<div class="erp-sync-cart-stock-message" role="status"></div>')
+                .toggleClass('is-adjusted', !!line.adjusted)
+                .text(line.message)
+                .appendTo($cell);
+        });
+    }
+
+    $(document).ready(function() {
+        if (typeof erpSyncCartStock === 'undefined') return;
+
+        // The checkout loads its order review through update_checkout, which ends with updated_checkout
+        $(document.body).on('updated_cart_totals updated_wc_div updated_checkout', loadCartStock);
+
+        if ($('.woocommerce-cart-form').length) {
+            loadCartStock();
+        }
+    });
+
+})(jQuery);
@@ -0,0 +1,202 @@
+/**
+ * ERP Sync - Storefront branch availability
+ *
+ * Refreshes the [erp_branch_stock] block from the public branch-stock route,
+ * follows the selected variation and highlights the shopper's preferred branch.
+ *
+ * @package ERPSync
+ * @since 1.5.0
+ */
+(function($) {
+    'use strict';
+
+    // The preferred branch is kept per browser, across product pages
+    const PREFERRED_BRANCH_KEY = 'erpSyncPreferredBranch';
+    let preferredFallback = null;
+
+    /**
+     * Read the preferred branch
+     *
+     * @returns {object|null} {location, name} or null when none was chosen
+     */
+    function getPreferredBranch() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(PREFERRED_BRANCH_KEY) || 'null');
+            return stored && stored.location ? stored : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Remember the preferred branch
+     *
+     * @param {object} branch - {location, name}
+     */
+    function setPreferredBranch(branch) {
+        try {
+            window.localStorage.setItem(PREFERRED_BRANCH_KEY, JSON.stringify(branch));
+        } catch (e) {
+            // Storage disabled (e.g. private browsing): the choice lasts for this page only
+        }
+        preferredFallback = branch;
+    }
+
+    /**
+     * Fetch live availability for a product or variation and redraw the block
+     *
+     * @param {jQuery} $block - .erp-sync-branch-stock container
+     * @param {number} productId - Product or variation ID
+     */
+    function refreshBlock($block, productId) {
+        // Only the latest request of a block may render (variations can be switched quickly)
+        const requestId = ($block.data('requestId') || 0) + 1;
+        $block.data('requestId', requestId).addClass('is-loading');
+
+        $.ajax({
+            url: erpSyncFrontend.restUrl + productId,
+            type: 'GET',
+            dataType: 'json',
+            timeout: 30000
+        }).done(function(data) {
+            if ($block.data('requestId') === requestId) {
+                renderBlock($block, data.branches);
+            }
+        }).always(function() {
+            if ($block.data('requestId') === requestId) {
+                $block.removeClass('is-loading');
+            }
+        });
+        // On failure the server-rendered list stays as it is
+    }
+
+    /**
+     * Render the branch list, keeping the accordion open if the shopper opened it
+     *
+     * @param {jQuery} $block - .erp-sync-branch-stock container
+     * @param {Array} branches - [{location, name, quantity}]
+     */
+    function renderBlock($block, branches) {
+        const i18n = erpSyncFrontend.i18n;
+        const wasOpen = $block.find('.erp-sync-branch-accordion').prop('open');
+
+        $block.empty();
+
+        if (!branches.length) {
+            return;
+        }
+
+        const $list = $('<ul class="erp-sync-branch-stock-list"></ul>');
+        branches.forEach(function(branch) {
+            $list.append(
+                $('<li class="erp-sync-branch-stock-item"></li>').attr({
+                    'data-location': branch.location,
+                    'data-name': branch.name
+                }).append(
+                    $('<span class="erp-sync-branch-name"></span>').text(branch.name),
+                    $('<span class="erp-sync-branch-qty"></span>').text(branch.quantity === 1 ? i18n.lastOne : i18n.inStock)
+                )
+            );
+        });
+
+        $block.append(
+            $('<details class="erp-sync-branch-accordion"></details>').prop('open', !!wasOpen).append(
+                $('<summary class="erp-sync-branch-summary"></summary>').text(i18n.title),
+                $list
+            )
+        );
+
+        decorateBlock($block);
+    }
+
+    /**
+     * Add the "Set as my branch" buttons and highlight the preferred branch.
+     * Works on the server-rendered list as well as on a redrawn one.
+     *
+     * @param {jQuery} $block - .erp-sync-branch-stock container
+     */
+    function decorateBlock($block) {
+        const i18n = erpSyncFrontend.i18n;
+        const preferred = getPreferredBranch() || preferredFallback;
+        const $items = $block.find('.erp-sync-branch-stock-item');
+        let found = false;
+
+        $block.find('.erp-sync-branch-preferred-note').remove();
+
+        $items.each(function() {
+            const $item = $(this);
+            const isPreferred = !!preferred && $item.attr('data-location') === preferred.location;
+            let $button = $item.find('.erp-sync-branch-prefer');
+
+            if (!$button.length) {
+                $button = $('<button type="button" class="erp-sync-branch-prefer"></button>').appendTo($item.find('.erp-sync-branch-name'));
+            }
+
+            $item.toggleClass('is-preferred', isPreferred);
+            $button.text(isPreferred ? i18n.myBranch : i18n.setMyBranch).attr('aria-pressed', isPreferred ? 'true' : 'false');
+            found = found || isPreferred;
+        });
+
+        // Say so when the preferred branch has none, instead of silently leaving it out
+        if (preferred && !found && $items.length) {
+            $block.find('.erp-sync-branch-stock-list').after(
+                $('<p class="erp-sync-branch-preferred-note"></p>').text(i18n.notAtBranch.replace('%s', preferred.name))
+            );
+        }
+    }
+
+    /**
+     * Blocks showing the product of a variations form
+     *
+     * @param {jQuery} $form - form.variations_form
+     * @returns {jQuery} Blocks showing that product
+     */
+    function getBlocksForForm($form) {
+        const productId = String($form.data('product_id'));
+
+        return $('.erp-sync-branch-stock').filter(function() {
+            return String($(this).data('product-id')) === productId;
+        });
+    }
+
+    function init() {
+        const $blocks = $('.erp-sync-branch-stock');
+        if (!$blocks.length || typeof erpSyncFrontend === 'undefined') return;
+
+        $blocks.each(function() {
+            const $block = $(this);
+            decorateBlock($block);
+            refreshBlock($block, $block.data('product-id'));
+        });
+
+        $(document).on('click', '.erp-sync-branch-prefer', function(e) {
+            e.preventDefault();
+            const $item = $(this).closest('.erp-sync-branch-stock-item');
+
+            setPreferredBranch({
+                location: $item.attr('data-location'),
+                name: $item.attr('data-name')
+            });
+
+            $('.erp-sync-branch-stock').each(function() {
+                decorateBlock($(this));
+            });
+        });
+
+        // Variable products: show the picked variation, back to the parent on reset
+        $(document).on('found_variation', 'form.variations_form', function(e, variation) {
+            getBlocksForForm($(this)).each(function() {
+                refreshBlock($(this), variation.variation_id);
+            });
+        });
+
+        $(document).on('reset_data', 'form.variations_form', function() {
+            getBlocksForForm($(this)).each(function() {
+                refreshBlock($(this), $(this).data('product-id'));
+            });
+        });
+    }
+
+    $(document).ready(init);
+
+})(jQuery);
@@ -184,16 +184,23 @@ add_action( 'plugins_loaded', 'erp_sync_load_textdomain' );
  */
 require_once ERPSYNC_DIR . 'includes/class-erpsync-logger.php';
 require_once ERPSYNC_DIR . 'includes/class-erpsync-security.php';
+require_once ERPSYNC_DIR . 'includes/class-erpsync-connection-profiles.php';
+require_once ERPSYNC_DIR . 'includes/class-erpsync-mock-erp.php';
 require_once ERPSYNC_DIR . 'includes/class-erpsync-api-client.php';
 require_once ERPSYNC_DIR . 'includes/class-erpsync-audit-logger.php';
+require_once ERPSYNC_DIR . 'includes/class-erpsync-sync-history.php';
 require_once ERPSYNC_DIR . 'includes/class-erpsync-product-service.php';
 require_once ERPSYNC_DIR . 'includes/class-erpsync-sync-service.php';
 require_once ERPSYNC_DIR . 'includes/class-erpsync-webhook.php';
+require_once ERPSYNC_DIR . 'includes/class-erpsync-webhook-queue.php';
+require_once ERPSYNC_DIR . 'includes/class-erpsync-rest-api.php';
 require_once ERPSYNC_DIR . 'includes/class-erpsync-coupon-dynamic.php';
+require_once ERPSYNC_DIR . 'includes/class-erpsync-loyalty-cards.php';
 require_once ERPSYNC_DIR . 'includes/class-erpsync-admin.php';
 require_once ERPSYNC_DIR . 'includes/class-erpsync-cron.php';
 require_once ERPSYNC_DIR . 'includes/class-erpsync-frontend.php';
 require_once ERPSYNC_DIR . 'includes/class-erpsync-cart-stock-check.php';
+require_once ERPSYNC_DIR . 'includes/class-erpsync-settings-transfer.php';
 require_once ERPSYNC_DIR . 'includes/functions-helpers.php';
 
 /**
@@ -231,6 +238,16 @@ function erp_sync_bootstrap(): void {
         \ERPSync\Webhook::init();
     }
 
+    // Initialize Webhook Queue (delivery worker)
+    if ( class_exists( '\ERPSync\Webhook_Queue' ) ) {
+        \ERPSync\Webhook_Queue::init();
+    }
+
+    // Initialize REST API (sync, status and history routes)
+    if ( class_exists( '\ERPSync\REST_API' ) ) {
+        \ERPSync\REST_API::init();
+    }
+
     // Initialize Coupon Dynamic
     if ( class_exists( '\ERPSync\Coupon_Dynamic' ) ) {
         \ERPSync\Coupon_Dynamic::init();
@@ -272,6 +289,12 @@ function erp_sync_activate(): void {
     
     // Create product logs table
     erp_sync_create_log_table();
+
+    // Create sync history table
+    \ERPSync\Sync_History::create_table();
+
+    // Create webhook deliveries table
+    \ERPSync\Webhook_Queue::create_table();
 }
 register_activation_hook( __FILE__, 'erp_sync_activate' );
 
@@ -286,7 +309,8 @@ function erp_sync_create_log_table(): void {
     $table_name      = $wpdb->prefix . 'erp_sync_product_logs';
     $charset_collate = $wpdb->get_charset_collate();
 
-    $sql = "CREATE TABLE IF NOT EXISTS $table_name (
+    // Plain CREATE TABLE (no IF NOT EXISTS) so dbDelta() can add new columns to existing tables
+    $sql = "CREATE TABLE $table_name (
         id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
         product_id bigint(20) UNSIGNED NOT NULL,
         vendor_code varchar(100) NOT NULL DEFAULT '',
@@ -295,25 +319,55 @@ function erp_sync_create_log_table(): void {
         old_value text,
         new_value text,
         message text,
+        session_id varchar(64) NOT NULL DEFAULT '',
         created_at datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
         PRIMARY KEY  (id),
         KEY product_id (product_id),
         KEY vendor_code (vendor_code),
+        KEY change_type (change_type),
+        KEY session_id (session_id),
         KEY created_at (created_at)
     ) $charset_collate;";
 
     require_once ABSPATH . 'wp-admin/includes/upgrade.php';
     dbDelta( $sql );
+
+    update_option( \ERPSync\Audit_Logger::OPTION_DB_VERSION, \ERPSync\Audit_Logger::DB_VERSION );
     
     if ( class_exists( '\ERPSync\Logger' ) ) {
         \ERPSync\Logger::instance()->log( 'Product logs table created/verified', [] );
     }
 }
 
+/**
+ * Create/upgrade the plugin tables after a plugin update (activation hooks don't run on updates).
+ */
+function erp_sync_maybe_upgrade_tables(): void {
+    if ( get_option( \ERPSync\Audit_Logger::OPTION_DB_VERSION ) !== \ERPSync\Audit_Logger::DB_VERSION ) {
+        erp_sync_create_log_table();
+    }
+    if ( get_option( \ERPSync\Sync_History::OPTION_DB_VERSION ) !== \ERPSync\Sync_History::DB_VERSION ) {
+        \ERPSync\Sync_History::create_table();
+    }
+    if ( get_option( \ERPSync\Webhook_Queue::OPTION_DB_VERSION ) !== \ERPSync\Webhook_Queue::DB_VERSION ) {
+        \ERPSync\Webhook_Queue::create_table();
+    }
+    if ( get_option( \ERPSync\Security::OPTION_DB_VERSION ) !== \ERPSync\Security::DB_VERSION ) {
+        \ERPSync\Security::create_tables();
+    }
+}
+add_action( 'plugins_loaded', 'erp_sync_maybe_upgrade_tables' );
+
 function erp_sync_deactivate(): void {
     if ( class_exists( '\ERPSync\Cron' ) ) {
         \ERPSync\Cron::deactivate();
     }
+    if ( class_exists( '\ERPSync\REST_API' ) ) {
+        wp_unschedule_hook( \ERPSync\REST_API::HOOK_RUN_SESSION );
+    }
+    if ( class_exists( '\ERPSync\Webhook_Queue' ) ) {
+        wp_unschedule_hook( \ERPSync\Webhook_Queue::HOOK_WORKER );
+    }
 }
 register_deactivation_hook( __FILE__, 'erp_sync_deactivate' );
 
@@ -333,7 +387,7 @@ add_filter( 'plugin_action_links_' . ERPSYNC_BASENAME, 'erp_sync_plugin_row_meta
  */
 function erp_sync_enqueue_admin_assets( string $hook ): void {
     // Determine if we should load assets on plugin pages
-    $is_erp_sync_page = strpos( $hook, 'erp-sync-settings' ) !== false || strpos( $hook, 'erp-sync-logs' ) !== false;
+    $is_erp_sync_page = strpos( $hook, 'erp-sync-settings' ) !== false || strpos( $hook, 'erp-sync-logs' ) !== false || strpos( $hook, 'erp-sync-cards' ) !== false;
     
     // Use get_current_screen() for robust detection of product/coupon list pages
     $screen = get_current_screen();
@@ -350,10 +404,13 @@ function erp_sync_enqueue_admin_assets( string $hook ): void {
     }
     
     wp_enqueue_style( 'erp-sync-admin', ERPSYNC_URL . 'assets/admin.css', [], ERPSYNC_VERSION );
-    wp_enqueue_script( 'erp-sync-admin', ERPSYNC_URL . 'assets/admin.js', [ 'jquery' ], ERPSYNC_VERSION, true );
+    wp_enqueue_script( 'erp-sync-admin', ERPSYNC_URL . 'assets/admin.js', [ 'jquery', 'jquery-ui-sortable' ], ERPSYNC_VERSION, true );
     wp_localize_script( 'erp-sync-admin', 'erpSyncAdmin', [
-        'ajaxurl' => admin_url( 'admin-ajax.php' ),
-        'nonce'   => wp_create_nonce( 'erp_sync_ajax' ),
+        'ajaxurl'   => admin_url( 'admin-ajax.php' ),
+        'nonce'     => wp_create_nonce( 'erp_sync_ajax' ),
+        'restUrl'   => rest_url( \ERPSync\REST_API::ROUTE_NAMESPACE . '/' ),
+        'restNonce' => wp_create_nonce( 'wp_rest' ),
+        'batchSize' => \ERPSync\Sync_Service::get_batch_size_bounds(),
     ] );
 }
 add_action( 'admin_enqueue_scripts', 'erp_sync_enqueue_admin_assets' );
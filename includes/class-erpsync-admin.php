@@ -9,6 +9,26 @@ class Admin {
 
     const MENU_SLUG = 'erp-sync-settings';
     const LOGS_MENU_SLUG = 'erp-sync-logs';
+    const CARDS_MENU_SLUG = 'erp-sync-cards';
+
+    /**
+     * Maximum number of cells saved by one spreadsheet-editor request.
+     */
+    const QUICK_EDIT_BULK_LIMIT = 500;
+
+    /**
+     * Product Logs viewer filter groups: filter value => logged change types.
+     */
+    const LOG_CHANGE_TYPES = [
+        'stock'  => [ 'stock', 'orphan_cleanup', 'single_sync_not_found' ],
+        'price'  => [ 'price', 'sale_price' ],
+        'branch' => [ 'branch' ],
+    ];
+
+    /**
+     * Maximum number of rows returned by a Product Logs export.
+     */
+    const LOG_EXPORT_LIMIT = 10000;
 
     public static function init(): void {
         add_action( 'admin_menu', [ __CLASS__, 'menu' ] );
@@ -41,16 +61,29 @@ class Admin {
         add_action( 'admin_post_erp_sync_download_last_fault', [ __CLASS__, 'handle_download_last_fault' ] );
         add_action( 'admin_post_erp_sync_download_last_headers', [ __CLASS__, 'handle_download_last_headers' ] );
         add_action( 'admin_post_erp_sync_download_last_meta', [ __CLASS__, 'handle_download_last_meta' ] );
+        add_action( 'admin_post_erp_sync_download_csv_template', [ __CLASS__, 'handle_download_csv_template' ] );
+        add_action( 'admin_post_erp_sync_export_settings', [ __CLASS__, 'handle_export_settings' ] );
 
         // AJAX handlers
-        add_action( 'wp_ajax_erp_sync_sync_progress', [ __CLASS__, 'ajax_sync_progress' ] );
+        add_action( 'wp_ajax_erp_sync_save_branches', [ __CLASS__, 'ajax_save_branches' ] );
+        add_action( 'wp_ajax_erp_sync_branch_preview_products', [ __CLASS__, 'ajax_branch_preview_products' ] );
+        add_action( 'wp_ajax_erp_sync_attribute_fields', [ __CLASS__, 'ajax_attribute_fields' ] );
+        add_action( 'wp_ajax_erp_sync_soap_workbench', [ __CLASS__, 'ajax_soap_workbench' ] );
+        add_action( 'wp_ajax_erp_sync_test_profile', [ __CLASS__, 'ajax_test_profile' ] );
+        add_action( 'wp_ajax_erp_sync_webhook_deliveries', [ __CLASS__, 'ajax_webhook_deliveries' ] );
+        add_action( 'wp_ajax_erp_sync_webhook_redeliver', [ __CLASS__, 'ajax_webhook_redeliver' ] );
+        add_action( 'wp_ajax_erp_sync_webhook_test', [ __CLASS__, 'ajax_webhook_test' ] );
+        add_action( 'wp_ajax_erp_sync_security_dashboard', [ __CLASS__, 'ajax_security_dashboard' ] );
+        add_action( 'wp_ajax_erp_sync_security_ip', [ __CLASS__, 'ajax_security_ip' ] );
         add_action( 'wp_ajax_erp_sync_quick_edit_coupon', [ __CLASS__, 'ajax_quick_edit_coupon' ] );
-        add_action( 'wp_ajax_erp_sync_single_update', [ __CLASS__, 'ajax_single_update' ] );
-        add_action( 'wp_ajax_erp_sync_stock', [ __CLASS__, 'ajax_sync_stock' ] );
-        add_action( 'wp_ajax_erp_sync_catalog', [ __CLASS__, 'ajax_sync_catalog' ] );
-        add_action( 'wp_ajax_erp_sync_coupons', [ __CLASS__, 'ajax_sync_coupons' ] );
-        add_action( 'wp_ajax_erp_sync_single_coupon_update', [ __CLASS__, 'ajax_single_coupon_update' ] );
-        add_action( 'wp_ajax_erp_sync_coupons_csv_import', [ __CLASS__, 'ajax_csv_import_coupons' ] );
+        add_action( 'wp_ajax_erp_sync_quick_edit_coupons_bulk', [ __CLASS__, 'ajax_quick_edit_coupons_bulk' ] );
+        add_action( 'wp_ajax_erp_sync_product_detail', [ __CLASS__, 'ajax_product_detail' ] );
+        add_action( 'wp_ajax_erp_sync_product_logs', [ __CLASS__, 'ajax_product_logs' ] );
+        add_action( 'wp_ajax_erp_sync_card_search', [ __CLASS__, 'ajax_card_search' ] );
+        add_action( 'wp_ajax_erp_sync_card_detail', [ __CLASS__, 'ajax_card_detail' ] );
+        add_action( 'wp_ajax_erp_sync_card_birthdays', [ __CLASS__, 'ajax_card_birthdays' ] );
+        add_action( 'wp_ajax_erp_sync_settings_import_preview', [ __CLASS__, 'ajax_settings_import_preview' ] );
+        add_action( 'wp_ajax_erp_sync_settings_import_apply', [ __CLASS__, 'ajax_settings_import_apply' ] );
 
         // Coupon admin columns
         add_filter( 'manage_edit-shop_coupon_columns', [ __CLASS__, 'add_coupon_columns' ] );
@@ -64,6 +97,10 @@ class Admin {
         // Product admin columns (ERP Sync Update button)
         add_filter( 'manage_edit-product_columns', [ __CLASS__, 'add_product_columns' ] );
         add_action( 'manage_product_posts_custom_column', [ __CLASS__, 'render_product_columns' ], 10, 2 );
+
+        // "Sync selected from ERP" bulk actions (run client-side by admin.js)
+        add_filter( 'bulk_actions-edit-product', [ __CLASS__, 'add_bulk_sync_action' ] );
+        add_filter( 'bulk_actions-edit-shop_coupon', [ __CLASS__, 'add_bulk_sync_action' ] );
     }
 
     public static function menu(): void {
@@ -84,28 +121,38 @@ class Admin {
             self::LOGS_MENU_SLUG,
             [ __CLASS__, 'render_logs_page' ]
         );
+
+        add_submenu_page(
+            'woocommerce',
+            __( 'Loyalty Cards', 'erp-sync' ),
+            __( 'Loyalty Cards', 'erp-sync' ),
+            'manage_woocommerce',
+            self::CARDS_MENU_SLUG,
+            [ __CLASS__, 'render_cards_page' ]
+        );
     }
 
     /**
      * Render the Product Logs admin page.
+     *
+     * The page is a shell: filters, table and pagination are driven by
+     * initLogsViewer() in admin.js through ajax_product_logs().
      */
     public static function render_logs_page(): void {
         if ( ! current_user_can( 'manage_woocommerce' ) ) {
             wp_die( esc_html__( 'You do not have sufficient permissions to access this page.', 'erp-sync' ) );
         }
 
-        // Include the List Table class if not already loaded
-        if ( ! class_exists( '\ERPSync\Logs_List_Table' ) ) {
-            require_once ERPSYNC_DIR . 'includes/class-erpsync-logs-list-table.php';
-        }
-
-        $logs_table = new Logs_List_Table();
-        $logs_table->prepare_items();
-
         // Check for success notice
         $logs_cleared = isset( $_GET['logs_cleared'] ) && $_GET['logs_cleared'] === '1';
         $logs_clear_error = isset( $_GET['logs_clear_error'] ) && $_GET['logs_clear_error'] === '1';
 
+        // Product search can be preset by links such as the products list drill-down
+        $search          = isset( $_GET['s'] ) ? sanitize_text_field( wp_unslash( $_GET['s'] ) ) : '';
+        $available_dates = Audit_Logger::get_available_dates();
+        $sessions        = Audit_Logger::get_available_sessions();
+        $datetime_format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+
         ?>
         <div class="wrap">
             <h1><?php echo esc_html__( 'Product Logs', 'erp-sync' ); ?></h1>
@@ -131,11 +178,176 @@ class Admin {
                 <?php wp_nonce_field( 'erp_sync_clear_logs', 'erp_sync_clear_logs_nonce' ); ?>
                 <button type="submit" class="button button-secondary button-link-delete"><?php echo esc_html__( 'Clear All Logs', 'erp-sync' ); ?></button>
             </form>
-            
-            <form method="get">
-                <input type="hidden" name="page" value="<?php echo esc_attr( self::LOGS_MENU_SLUG ); ?>" />
-                <?php $logs_table->display(); ?>
-            </form>
+
+            <div id="erp-sync-logs-viewer" class="erp-sync-logs-viewer">
+                <div class="erp-sync-logs-filters">
+                    <label>
+                        <?php esc_html_e( 'Change', 'erp-sync' ); ?>
+                        <select id="erp-sync-logs-type">
+                            <option value=""><?php esc_html_e( 'All changes', 'erp-sync' ); ?></option>
+                            <option value="stock"><?php esc_html_e( 'Stock', 'erp-sync' ); ?></option>
+                            <option value="price"><?php esc_html_e( 'Price', 'erp-sync' ); ?></option>
+                            <option value="branch"><?php esc_html_e( 'Branch', 'erp-sync' ); ?></option>
+                        </select>
+                    </label>
+                    <label>
+                        <?php esc_html_e( 'From', 'erp-sync' ); ?>
+                        <select id="erp-sync-logs-from">
+                            <option value=""><?php esc_html_e( 'Any month', 'erp-sync' ); ?></option>
+                            <?php foreach ( $available_dates as $date ) : ?>
+                                <?php $month_start = mktime( 0, 0, 0, (int) $date['month'], 1, (int) $date['year'] ); ?>
+                                <option value="<?php echo esc_attr( gmdate( 'Y-m-01', $month_start ) ); ?>"><?php echo esc_html( wp_date( 'F Y', $month_start ) ); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                    </label>
+                    <label>
+                        <?php esc_html_e( 'To', 'erp-sync' ); ?>
+                        <select id="erp-sync-logs-to">
+                            <option value=""><?php esc_html_e( 'Any month', 'erp-sync' ); ?></option>
+                            <?php foreach ( $available_dates as $date ) : ?>
+                                <?php $month_start = mktime( 0, 0, 0, (int) $date['month'], 1, (int) $date['year'] ); ?>
+                                <option value="<?php echo esc_attr( gmdate( 'Y-m-t', $month_start ) ); ?>"><?php echo esc_html( wp_date( 'F Y', $month_start ) ); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                    </label>
+                    <label>
+                        <?php esc_html_e( 'Sync session', 'erp-sync' ); ?>
+                        <select id="erp-sync-logs-session">
+                            <option value=""><?php esc_html_e( 'All sessions', 'erp-sync' ); ?></option>
+                            <?php foreach ( $sessions as $session ) : ?>
+                                <option value="<?php echo esc_attr( $session['session_id'] ); ?>">
+                                    <?php
+                                    echo esc_html( sprintf(
+                                        /* translators: 1: session start date/time, 2: number of logged changes, 3: session ID */
+                                        __( '%1$s (%2$d changes) %3$s', 'erp-sync' ),
+                                        mysql2date( $datetime_format, $session['started_at'] ),
+                                        (int) $session['changes'],
+                                        $session['session_id']
+                                    ) );
+                                    ?>
+                                </option>
+                            <?php endforeach; ?>
+                        </select>
+                    </label>
+                    <label>
+                        <?php esc_html_e( 'Product', 'erp-sync' ); ?>
+                        <input type="search" id="erp-sync-logs-search" value="<?php echo esc_attr( $search ); ?>" placeholder="<?php esc_attr_e( 'Search by Name or VendorCode', 'erp-sync' ); ?>" />
+                    </label>
+                    <span class="erp-sync-logs-export">
+                        <button type="button" class="button erp-sync-logs-export-btn" data-format="csv"><?php esc_html_e( 'Export CSV', 'erp-sync' ); ?></button>
+                        <button type="button" class="button erp-sync-logs-export-btn" data-format="json"><?php esc_html_e( 'Export JSON', 'erp-sync' ); ?></button>
+                    </span>
+                </div>
+
+                <div class="erp-sync-logs-summary" aria-live="polite"></div>
+
+                <table class="widefat striped erp-sync-logs-table">
+                    <thead>
+                        <tr>
+                            <th class="is-sortable" data-orderby="product_name"><?php esc_html_e( 'Product Name', 'erp-sync' ); ?></th>
+                            <th class="is-sortable" data-orderby="vendor_code"><?php esc_html_e( 'VendorCode', 'erp-sync' ); ?></th>
+                            <th class="is-sortable" data-orderby="change_type"><?php esc_html_e( 'Change', 'erp-sync' ); ?></th>
+                            <th><?php esc_html_e( 'Change Details', 'erp-sync' ); ?></th>
+                            <th><?php esc_html_e( 'Session', 'erp-sync' ); ?></th>
+                            <th class="is-sortable" data-orderby="created_at"><?php esc_html_e( 'Date', 'erp-sync' ); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+
+                <div class="erp-sync-logs-pagination tablenav-pages">
+                    <button type="button" class="button erp-sync-logs-prev">&lsaquo;</button>
+                    <span class="erp-sync-logs-page"></span>
+                    <button type="button" class="button erp-sync-logs-next">&rsaquo;</button>
+                </div>
+            </div>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the Loyalty Cards admin page.
+     *
+     * Another shell: the card lookup and the upcoming birthdays list are
+     * driven by initCardLookup() / initBirthdays() in admin.js through
+     * ajax_card_search(), ajax_card_detail() and ajax_card_birthdays().
+     */
+    public static function render_cards_page(): void {
+        if ( ! current_user_can( 'manage_woocommerce' ) ) {
+            wp_die( esc_html__( 'You do not have sufficient permissions to access this page.', 'erp-sync' ) );
+        }
+
+        // The lookup can be preset by links, like the Product Logs search
+        $search = isset( $_GET['s'] ) ? sanitize_text_field( wp_unslash( $_GET['s'] ) ) : '';
+
+        ?>
+        <div class="wrap">
+            <h1><?php echo esc_html__( 'Loyalty Cards', 'erp-sync' ); ?></h1>
+            <p class="description">
+                <?php echo esc_html__( 'Find a customer\'s discount card by phone, name or card code and see the discount it gives today.', 'erp-sync' ); ?>
+            </p>
+
+            <div id="erp-sync-card-lookup" class="erp-sync-card-lookup">
+                <div class="erp-sync-card-search-row">
+                    <input type="search" id="erp-sync-card-search" class="regular-text" value="<?php echo esc_attr( $search ); ?>" placeholder="<?php esc_attr_e( 'Phone, name or card code', 'erp-sync' ); ?>" autocomplete="off" />
+                    <span class="spinner"></span>
+                </div>
+
+                <div class="erp-sync-card-summary" aria-live="polite"></div>
+
+                <table class="widefat striped erp-sync-card-results" style="display:none;">
+                    <thead>
+                        <tr>
+                            <th><?php esc_html_e( 'Card', 'erp-sync' ); ?></th>
+                            <th><?php esc_html_e( 'Holder', 'erp-sync' ); ?></th>
+                            <th><?php esc_html_e( 'Phone', 'erp-sync' ); ?></th>
+                            <th><?php esc_html_e( 'Discount Today', 'erp-sync' ); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+
+                <div class="erp-sync-card-detail" style="display:none;"></div>
+            </div>
+
+            <h2><?php esc_html_e( 'Upcoming Birthdays', 'erp-sync' ); ?></h2>
+            <p class="description">
+                <?php
+                echo esc_html( sprintf(
+                    /* translators: %d: birthday discount percentage */
+                    __( 'Active cards whose holders have a birthday soon. During the birthday window the card gives %d%%.', 'erp-sync' ),
+                    Coupon_Dynamic::BIRTHDAY_OVERRIDE
+                ) );
+                ?>
+            </p>
+
+            <div id="erp-sync-birthdays" class="erp-sync-birthdays">
+                <div class="erp-sync-birthdays-filters">
+                    <label>
+                        <?php esc_html_e( 'Next', 'erp-sync' ); ?>
+                        <input type="number" id="erp-sync-birthdays-days" class="small-text" value="7" min="0" max="<?php echo esc_attr( (string) Loyalty_Cards::BIRTHDAYS_MAX_DAYS ); ?>" />
+                        <?php esc_html_e( 'days', 'erp-sync' ); ?>
+                    </label>
+                    <button type="button" class="button" id="erp-sync-birthdays-refresh"><?php esc_html_e( 'Refresh', 'erp-sync' ); ?></button>
+                    <button type="button" class="button" id="erp-sync-birthdays-export" disabled><?php esc_html_e( 'Export CSV', 'erp-sync' ); ?></button>
+                    <span class="spinner"></span>
+                </div>
+
+                <div class="erp-sync-birthdays-summary" aria-live="polite"></div>
+
+                <table class="widefat striped erp-sync-birthdays-table">
+                    <thead>
+                        <tr>
+                            <th><?php esc_html_e( 'Birthday', 'erp-sync' ); ?></th>
+                            <th><?php esc_html_e( 'Holder', 'erp-sync' ); ?></th>
+                            <th><?php esc_html_e( 'Phone', 'erp-sync' ); ?></th>
+                            <th><?php esc_html_e( 'Card', 'erp-sync' ); ?></th>
+                            <th><?php esc_html_e( 'Discount Today', 'erp-sync' ); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
         </div>
         <?php
     }
@@ -171,22 +383,52 @@ class Admin {
         check_admin_referer( 'erp_sync_settings' );
         if ( ! current_user_can( 'manage_woocommerce' ) ) wp_die( 'No permission' );
 
-        // API Settings
-        update_option( API_Client::OPTION_WSDL, esc_url_raw( $_POST['wsdl'] ?? '' ) );
-        update_option( API_Client::OPTION_USERNAME, sanitize_text_field( $_POST['username'] ?? '' ) );
-        
-        if ( isset( $_POST['password'] ) && $_POST['password'] !== '' ) {
-            $encrypted_password = Security::encrypt( sanitize_text_field( $_POST['password'] ) );
-            update_option( API_Client::OPTION_PASSWORD, $encrypted_password );
+        // API Settings: connection profiles (the "new" row adds a profile when named)
+        $profiles_input = isset( $_POST['profiles'] ) && is_array( $_POST['profiles'] ) ? wp_unslash( $_POST['profiles'] ) : [];
+        foreach ( $profiles_input as $profile_id => $profile_input ) {
+            $profile_id = sanitize_key( (string) $profile_id );
+            if ( ! is_array( $profile_input ) ) continue;
+
+            if ( $profile_id === 'new' ) {
+                if ( trim( (string) ( $profile_input['name'] ?? '' ) ) !== '' ) {
+                    Connection_Profiles::save( $profile_input );
+                }
+            } elseif ( ! empty( $profile_input['delete'] ) ) {
+                Connection_Profiles::delete( $profile_id );
+            } elseif ( Connection_Profiles::get( $profile_id ) ) {
+                Connection_Profiles::save( $profile_input, $profile_id );
+            }
         }
-        
-        update_option( API_Client::OPTION_FORCE_LOCATION, esc_url_raw( $_POST['force_location'] ?? '' ) );
-        update_option( API_Client::OPTION_TIMEOUT, max( 5, (int) ( $_POST['timeout'] ?? 30 ) ) );
+        Connection_Profiles::save_bindings( (array) ( $_POST['profile_bindings'] ?? [] ) );
+
         update_option( API_Client::OPTION_DEBUG, isset( $_POST['debug'] ) ? 1 : 0 );
 
-        $soap_version = (int) ( $_POST['soap_version'] ?? 11 );
-        if ( ! in_array( $soap_version, [ 11, 12 ], true ) ) $soap_version = 11;
-        update_option( API_Client::OPTION_SOAP_VERSION, $soap_version );
+        // Mock ERP Settings
+        update_option( Mock_ERP::OPTION_ENABLED, isset( $_POST['mock_enabled'] ) ? 1 : 0 );
+        update_option( Mock_ERP::OPTION_GENERATOR, Mock_ERP::sanitize_generator_settings( (array) ( $_POST['mock_generator'] ?? [] ) ) );
+
+        $mock_errors = [];
+        foreach ( array_keys( Mock_ERP::OPERATIONS ) as $operation ) {
+            $field = 'mock_fixture_' . strtolower( $operation );
+
+            if ( ! empty( $_POST[ $field . '_remove' ] ) ) {
+                Mock_ERP::delete_fixture( $operation );
+            }
+
+            if ( isset( $_FILES[ $field ] ) && $_FILES[ $field ]['error'] !== UPLOAD_ERR_NO_FILE ) {
+                try {
+                    Mock_ERP::save_fixture( $operation, $_FILES[ $field ] );
+                } catch ( \Throwable $e ) {
+                    $mock_errors[] = $e->getMessage();
+                }
+            }
+        }
+
+        // Manual Sync Batch Size
+        $batch_size_min = max( 1, min( Sync_Service::BATCH_SIZE_LIMIT, (int) ( $_POST['batch_size_min'] ?? 10 ) ) );
+        $batch_size_max = max( $batch_size_min, min( Sync_Service::BATCH_SIZE_LIMIT, (int) ( $_POST['batch_size_max'] ?? 200 ) ) );
+        update_option( Sync_Service::OPTION_BATCH_SIZE_MIN, $batch_size_min );
+        update_option( Sync_Service::OPTION_BATCH_SIZE_MAX, $batch_size_max );
 
         // Products Catalog Cron Settings
         $catalog_cron_enabled  = isset( $_POST['catalog_cron_enabled'] ) ? 1 : 0;
@@ -205,6 +447,7 @@ class Admin {
         }
         update_option( Cron::OPTION_STOCK_CRON_ENABLED, $stock_cron_enabled );
         update_option( Cron::OPTION_STOCK_CRON_INTERVAL, $stock_cron_interval );
+        update_option( Cart_Stock_Check::OPTION_AUTO_ADJUST, isset( $_POST['cart_auto_adjust'] ) ? 1 : 0 );
 
         // Coupons Cron Settings
         $cron_enabled  = isset( $_POST['cron_enabled'] ) ? 1 : 0;
@@ -215,8 +458,14 @@ class Admin {
         update_option( Cron::OPTION_CRON_ENABLED, $cron_enabled );
         update_option( Cron::OPTION_CRON_INTERVAL, $cron_interval );
 
-        // Security Settings
-        update_option( Security::OPTION_IP_WHITELIST, sanitize_textarea_field( $_POST['ip_whitelist'] ?? '' ) );
+        // Security Settings (IP lists are posted as one field per entry)
+        $ip_errors = [];
+        foreach ( [ 'ip_whitelist' => Security::OPTION_IP_WHITELIST, 'ip_blocklist' => Security::OPTION_IP_BLOCKLIST ] as $field => $option ) {
+            if ( isset( $_POST[ $field ] ) && is_array( $_POST[ $field ] ) ) {
+                $entries   = array_map( 'sanitize_text_field', wp_unslash( $_POST[ $field ] ) );
+                $ip_errors = array_merge( $ip_errors, Security::save_ip_list( $option, $entries ) );
+            }
+        }
         update_option( Security::OPTION_RATE_LIMIT, isset( $_POST['rate_limit_enabled'] ) ? 1 : 0 );
         update_option( Security::OPTION_RATE_LIMIT_MAX, max( 10, (int) ( $_POST['rate_limit_max'] ?? 60 ) ) );
 
@@ -228,23 +477,25 @@ class Admin {
         $webhook_events = isset( $_POST['webhook_events'] ) ? array_map( 'sanitize_text_field', (array) $_POST['webhook_events'] ) : [];
         update_option( Webhook::OPTION_WEBHOOK_EVENTS, $webhook_events );
 
-        // Attribute Mapping Settings
-        $attribute_mapping = [
-            'Brand'      => sanitize_text_field( $_POST['attr_mapping_brand'] ?? 'pa_brand' ),
-            'Color'      => sanitize_text_field( $_POST['attr_mapping_color'] ?? 'pa_color' ),
-            'Size'       => sanitize_text_field( $_POST['attr_mapping_size'] ?? 'pa_size' ),
-            'Mechanism'  => sanitize_text_field( $_POST['attr_mapping_mechanism'] ?? 'pa_mechanism' ),
-            'Bracelet'   => sanitize_text_field( $_POST['attr_mapping_bracelet'] ?? 'pa_bracelet' ),
-            'gender'     => sanitize_text_field( $_POST['attr_mapping_gender'] ?? 'pa_gender' ),
-            'Bijouterie' => sanitize_text_field( $_POST['attr_mapping_bijouterie'] ?? 'pa_bijouterie' ),
-        ];
-        update_option( Product_Service::OPTION_ATTRIBUTE_MAPPING, $attribute_mapping );
+        // Attribute Mapping Settings (rows are rendered by admin.js; without them the mapping is kept)
+        // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+        if ( isset( $_POST['attr_mapping'] ) && is_array( $_POST['attr_mapping'] ) ) {
+            update_option( Product_Service::OPTION_ATTRIBUTE_MAPPING, self::sanitize_attribute_mapping( wp_unslash( $_POST['attr_mapping'] ) ) );
+        }
 
         if ( class_exists( '\ERPSync\Cron' ) ) {
             Cron::reschedule_after_settings_change();
         }
 
-        wp_redirect( add_query_arg( [ 'page' => self::MENU_SLUG, 'saved' => 1 ], admin_url( 'admin.php' ) ) );
+        $args = [ 'page' => self::MENU_SLUG, 'saved' => 1 ];
+        if ( $mock_errors ) {
+            $args['mockerr'] = rawurlencode( implode( ' ', $mock_errors ) );
+        }
+        if ( $ip_errors ) {
+            $args['iperr'] = rawurlencode( implode( ', ', $ip_errors ) );
+        }
+
+        wp_redirect( add_query_arg( $args, admin_url( 'admin.php' ) ) );
         exit;
     }
 
@@ -342,10 +593,198 @@ class Admin {
         exit;
     }
 
+    /**
+     * Turn the mapping builder rows into the OPTION_ATTRIBUTE_MAPPING format.
+     *
+     * Each row posts a target ('ignore', an existing pa_* slug, '__new' or
+     * '__meta') and a name (label of the new attribute, or the meta key).
+     * The targets go through Product_Service::sanitize_mapping_entry().
+     *
+     * @param array $input Posted rows keyed by IBS field name.
+     * @return array<string, string> Field name => mapping target.
+     */
+    private static function sanitize_attribute_mapping( array $input ): array {
+        $mapping = [];
+
+        foreach ( $input as $field_name => $data ) {
+            $field_name = sanitize_text_field( (string) $field_name );
+            // Fields that cannot be mapped are dropped before an attribute gets created for them
+            if ( ! is_array( $data ) || Product_Service::sanitize_mapping_entry( $field_name, '' ) === null ) {
+                continue;
+            }
+
+            $target = sanitize_text_field( $data['target'] ?? '' );
+            $name   = sanitize_text_field( $data['name'] ?? '' );
+
+            if ( $target === '__new' ) {
+                $target = self::create_mapping_attribute( $name !== '' ? $name : $field_name, $field_name );
+            } elseif ( $target === '__meta' ) {
+                $target = Product_Service::MAPPING_META_PREFIX . $name;
+            }
+
+            $mapping[ $field_name ] = (string) Product_Service::sanitize_mapping_entry( $field_name, $target );
+        }
+
+        return $mapping;
+    }
+
+    /**
+     * Create a global product attribute for the mapping builder, or reuse an
+     * existing one with the same slug.
+     *
+     * @param string $label      Attribute label entered by the admin.
+     * @param string $field_name IBS field name, used for the slug when the label gives none.
+     * @return string Attribute taxonomy slug, or '' when it could not be created.
+     */
+    private static function create_mapping_attribute( string $label, string $field_name ): string {
+        $slugs = array_unique( array_filter( [
+            wc_sanitize_taxonomy_name( $label ),
+            wc_sanitize_taxonomy_name( $field_name ),
+        ] ) );
+
+        foreach ( $slugs as $slug ) {
+            if ( wc_attribute_taxonomy_id_by_name( $slug ) ) {
+                return wc_attribute_taxonomy_name( $slug );
+            }
+
+            $result = wc_create_attribute( [
+                'name'         => $label,
+                'slug'         => $slug,
+                'type'         => 'select',
+                'order_by'     => 'menu_order',
+                'has_archives' => false,
+            ] );
+
+            if ( ! is_wp_error( $result ) ) {
+                Logger::instance()->log( 'Attribute created from mapping builder', [
+                    'field' => $field_name,
+                    'slug'  => $slug,
+                    'label' => $label,
+                ] );
+                return wc_attribute_taxonomy_name( $slug );
+            }
+
+            Logger::instance()->log( 'Failed to create attribute from mapping builder', [
+                'field' => $field_name,
+                'slug'  => $slug,
+                'error' => $result->get_error_message(),
+            ] );
+        }
+
+        return '';
+    }
+
     public static function handle_save_branches(): void {
         check_admin_referer( 'erp_sync_save_branches' );
         if ( ! current_user_can( 'manage_woocommerce' ) ) wp_die( 'No permission' );
 
+        self::save_branch_settings_from_request();
+
+        wp_redirect( add_query_arg( [
+            'page'           => self::MENU_SLUG,
+            'branches_saved' => 1,
+        ], admin_url( 'admin.php' ) ) );
+        exit;
+    }
+
+    /**
+     * AJAX handler for the attribute mapping builder.
+     *
+     * Lists the IBS fields of the last catalog response with sample values,
+     * plus any mapped field it no longer contains, the current mapping
+     * targets and the existing attribute taxonomies. With refresh=1 the
+     * catalog is fetched from the ERP first.
+     */
+    public static function ajax_attribute_fields(): void {
+        check_ajax_referer( 'erp_sync_ajax', 'nonce' );
+
+        if ( ! current_user_can( 'manage_woocommerce' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied', 'erp-sync' ) ] );
+        }
+
+        try {
+            if ( ! empty( $_POST['refresh'] ) ) {
+                ( new API_Client() )->fetch_products_catalog();
+            }
+
+            $summary = get_option( API_Client::OPTION_LAST_PRODUCTS_FIELDS, [] );
+            $summary = is_array( $summary ) ? $summary : [];
+            $mapping = ( new Product_Service() )->get_attribute_mapping();
+            $found   = $summary['fields'] ?? [];
+            $fields  = [];
+
+            foreach ( array_unique( array_merge( array_keys( $found ), array_keys( $mapping ) ) ) as $field_name ) {
+                $field_name = (string) $field_name;
+                if ( in_array( $field_name, Product_Service::CATALOG_CORE_FIELDS, true ) ) {
+                    continue;
+                }
+
+                $target   = Product_Service::parse_mapping_target( (string) ( $mapping[ $field_name ] ?? '' ) );
+                $fields[] = [
+                    'name'        => $field_name,
+                    'filled'      => (int) ( $found[ $field_name ]['filled'] ?? 0 ),
+                    'samples'     => array_values( $found[ $field_name ]['samples'] ?? [] ),
+                    'in_response' => isset( $found[ $field_name ] ),
+                    'type'        => $target['type'],
+                    'key'         => $target['key'],
+                ];
+            }
+
+            $attributes = [];
+            foreach ( wc_get_attribute_taxonomies() as $attribute ) {
+                $attributes[] = [
+                    'slug'  => wc_attribute_taxonomy_name( $attribute->attribute_name ),
+                    'label' => $attribute->attribute_label,
+                ];
+            }
+
+            wp_send_json_success( [
+                'fetched_at'    => ! empty( $summary['fetched_at'] ) ? wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), (int) $summary['fetched_at'] ) : '',
+                'rows'          => (int) ( $summary['rows'] ?? 0 ),
+                'fields'        => $fields,
+                'attributes'    => $attributes,
+                'sample_rows'   => array_values( $summary['sample_rows'] ?? [] ),
+                'reserved_meta' => [
+                    'keys'   => Product_Service::RESERVED_META_KEYS,
+                    'prefix' => Product_Service::RESERVED_META_PREFIX,
+                ],
+            ] );
+        } catch ( \Throwable $e ) {
+            wp_send_json_error( [ 'message' => $e->getMessage() ] );
+        }
+    }
+
+    /**
+     * AJAX handler for the branch editor: saves the same fields as
+     * handle_save_branches() without reloading the page.
+     */
+    public static function ajax_save_branches(): void {
+        check_ajax_referer( 'erp_sync_ajax', 'nonce' );
+
+        if ( ! current_user_can( 'manage_woocommerce' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied', 'erp-sync' ) ] );
+        }
+
+        try {
+            $branch_settings = self::save_branch_settings_from_request();
+
+            wp_send_json_success( [
+                'message'  => __( 'Branch settings saved successfully.', 'erp-sync' ),
+                'branches' => count( $branch_settings ),
+            ] );
+        } catch ( \Throwable $e ) {
+            wp_send_json_error( [ 'message' => $e->getMessage() ] );
+        }
+    }
+
+    /**
+     * Save branch settings posted by the branch editor form.
+     *
+     * Rows are posted in display order, which becomes each branch's position.
+     *
+     * @return array Saved settings keyed by original branch name.
+     */
+    private static function save_branch_settings_from_request(): array {
         // Apply wp_unslash to handle WordPress magic quotes that cause key mismatches
         // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
         $branches_input = isset( $_POST['branches'] ) ? wp_unslash( $_POST['branches'] ) : [];
@@ -365,6 +804,7 @@ class Admin {
                 $branch_settings[ $original_name ] = [
                     'alias'              => $alias,
                     'hide_from_frontend' => $hide_from_frontend,
+                    'position'           => count( $branch_settings ),
                 ];
             }
         }
@@ -375,11 +815,59 @@ class Admin {
             'branches_count' => count( $branch_settings ),
         ] );
 
-        wp_redirect( add_query_arg( [
-            'page'           => self::MENU_SLUG,
-            'branches_saved' => 1,
-        ], admin_url( 'admin.php' ) ) );
-        exit;
+        return $branch_settings;
+    }
+
+    /**
+     * AJAX handler for the branch editor preview: finds products by name or
+     * SKU and returns their stored ERP warehouse data.
+     */
+    public static function ajax_branch_preview_products(): void {
+        check_ajax_referer( 'erp_sync_ajax', 'nonce' );
+
+        if ( ! current_user_can( 'manage_woocommerce' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied', 'erp-sync' ) ] );
+        }
+
+        $term = isset( $_POST['term'] ) ? sanitize_text_field( wp_unslash( $_POST['term'] ) ) : '';
+
+        if ( strlen( $term ) < 2 ) {
+            wp_send_json_success( [ 'products' => [] ] );
+        }
+
+        try {
+            $product_ids = \WC_Data_Store::load( 'product' )->search_products( $term, '', false, false, 20 );
+            $products    = [];
+
+            foreach ( array_filter( $product_ids ) as $product_id ) {
+                $product    = wc_get_product( $product_id );
+                $warehouses = $product ? $product->get_meta( '_erp_sync_warehouse_data', true ) : [];
+
+                if ( empty( $warehouses ) || ! is_array( $warehouses ) ) {
+                    continue;
+                }
+
+                $products[] = [
+                    'id'         => $product->get_id(),
+                    'name'       => $product->get_name(),
+                    'sku'        => $product->get_sku(),
+                    'warehouses' => array_map( function ( $wh ): array {
+                        return [
+                            'location' => (string) ( $wh['Location'] ?? '' ),
+                            'quantity' => (float) ( $wh['Quantity'] ?? 0 ),
+                        ];
+                    }, array_values( $warehouses ) ),
+                ];
+
+                if ( count( $products ) >= 10 ) {
+                    break;
+                }
+            }
+
+            wp_send_json_success( [ 'products' => $products ] );
+        } catch ( \Throwable $e ) {
+            wp_send_json_error( [ 'message' => $e->getMessage() ] );
+        }
     }
 
     public static function handle_import_new(): void {
@@ -502,336 +990,600 @@ class Admin {
         exit;
     }
 
-    public static function handle_download_last_xml(): void {
-        check_admin_referer( 'erp_sync_actions' );
-        if ( ! current_user_can( 'manage_woocommerce' ) ) wp_die( 'No permission' );
-        $xml = get_option( API_Client::OPTION_LAST_RAW_XML, '' );
-        if ( empty( $xml ) ) {
-            wp_redirect( add_query_arg( [ 'page' => self::MENU_SLUG, 'xmldl' => 'empty' ], admin_url( 'admin.php' ) ) );
-            exit;
-        }
-        header( 'Content-Type: application/xml; charset=utf-8' );
-        header( 'Content-Disposition: attachment; filename="erp-sync-last-soap-response.xml"' );
-        echo $xml;
-        exit;
-    }
+    /**
+     * AJAX handler for the per-profile "Test connection" button. Tests the
+     * values currently in the form (saved or not); an empty password field
+     * uses the saved password.
+     */
+    public static function ajax_test_profile(): void {
+        check_ajax_referer( 'erp_sync_ajax', 'nonce' );
 
-    public static function handle_download_last_request(): void {
-        check_admin_referer( 'erp_sync_actions' );
-        if ( ! current_user_can( 'manage_woocommerce' ) ) wp_die( 'No permission' );
-        $xml = get_option( API_Client::OPTION_LAST_REQUEST_XML, '' );
-        if ( empty( $xml ) ) {
-            wp_redirect( add_query_arg( [ 'page' => self::MENU_SLUG, 'reqdl' => 'empty' ], admin_url( 'admin.php' ) ) );
-            exit;
+        if ( ! current_user_can( 'manage_woocommerce' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied', 'erp-sync' ) ] );
         }
-        header( 'Content-Type: application/xml; charset=utf-8' );
-        header( 'Content-Disposition: attachment; filename="erp-sync-last-soap-request.xml"' );
-        echo $xml;
-        exit;
-    }
 
-    public static function handle_download_last_fault(): void {
-        check_admin_referer( 'erp_sync_actions' );
-        if ( ! current_user_can( 'manage_woocommerce' ) ) wp_die( 'No permission' );
-        $fault = get_option( API_Client::OPTION_LAST_SOAP_FAULT, '' );
-        if ( empty( $fault ) ) {
-            wp_redirect( add_query_arg( [ 'page' => self::MENU_SLUG, 'faultdl' => 'empty' ], admin_url( 'admin.php' ) ) );
-            exit;
+        $profile_id = sanitize_key( wp_unslash( $_POST['profile'] ?? '' ) );
+        $input      = isset( $_POST['profiles'][ $profile_id ] ) && is_array( $_POST['profiles'][ $profile_id ] ) ? wp_unslash( $_POST['profiles'][ $profile_id ] ) : [];
+
+        try {
+            $profile = Connection_Profiles::sanitize( $input, Connection_Profiles::get( $profile_id ) ?? [] );
+            $start   = microtime( true );
+            $result  = ( new API_Client() )->use_profile( $profile )->test_connection();
+            $elapsed = (int) round( ( microtime( true ) - $start ) * 1000 );
+
+            Logger::instance()->log( 'Profile connection test', [ 'profile' => $profile_id, 'success' => $result['success'] ? 1 : 0, 'duration_ms' => $elapsed ] );
+
+            if ( ! $result['success'] ) {
+                wp_send_json_error( [ 'message' => $result['error'] ] );
+            }
+
+            wp_send_json_success( [
+                /* translators: %d: response time in milliseconds */
+                'message' => sprintf( __( 'Connected (%d ms).', 'erp-sync' ), $elapsed ),
+            ] );
+        } catch ( \Throwable $e ) {
+            wp_send_json_error( [ 'message' => $e->getMessage() ] );
         }
-        header( 'Content-Type: text/plain; charset=utf-8' );
-        header( 'Content-Disposition: attachment; filename="erp-sync-last-soap-fault.txt"' );
-        echo $fault;
-        exit;
     }
 
-    public static function handle_download_last_headers(): void {
-        check_admin_referer( 'erp_sync_actions' );
-        if ( ! current_user_can( 'manage_woocommerce' ) ) wp_die( 'No permission' );
-        $reqH = get_option( API_Client::OPTION_LAST_REQUEST_HEADERS, '' );
-        $resH = get_option( API_Client::OPTION_LAST_RESPONSE_HEADERS, '' );
-        if ( empty( $reqH ) && empty( $resH ) ) {
-            wp_redirect( add_query_arg( [ 'page' => self::MENU_SLUG, 'headersdl'=> 'empty' ], admin_url( 'admin.php' ) ) );
-            exit;
+    /**
+     * AJAX handler for the Webhooks tab delivery log: one page of deliveries.
+     */
+    public static function ajax_webhook_deliveries(): void {
+        check_ajax_referer( 'erp_sync_ajax', 'nonce' );
+
+        if ( ! current_user_can( 'manage_woocommerce' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied', 'erp-sync' ) ] );
         }
-        header( 'Content-Type: text/plain; charset=utf-8' );
-        header( 'Content-Disposition: attachment; filename="erp-sync-last-soap-headers.txt"' );
-        echo "=== Last SOAP Request Headers ===\n".$reqH."\n\n=== Last SOAP Response Headers ===\n".$resH;
-        exit;
-    }
 
-    public static function handle_download_last_meta(): void {
-        check_admin_referer( 'erp_sync_actions' );
-        if ( ! current_user_can( 'manage_woocommerce' ) ) wp_die( 'No permission' );
-        $meta = get_option( API_Client::OPTION_LAST_INFOCARDS_META, '' );
-        if ( empty( $meta ) ) {
-            wp_redirect( add_query_arg( [ 'page' => self::MENU_SLUG, 'metadl' => 'empty' ], admin_url( 'admin.php' ) ) );
-            exit;
+        $status   = isset( $_POST['status'] ) ? sanitize_key( $_POST['status'] ) : '';
+        $page     = isset( $_POST['page'] ) ? max( 1, intval( $_POST['page'] ) ) : 1;
+        $per_page = isset( $_POST['per_page'] ) ? min( 100, max( 1, intval( $_POST['per_page'] ) ) ) : 20;
+
+        $statuses = [ Webhook_Queue::STATUS_PENDING, Webhook_Queue::STATUS_DELIVERED, Webhook_Queue::STATUS_FAILED ];
+        if ( ! in_array( $status, $statuses, true ) ) {
+            $status = '';
+        }
+
+        try {
+            $total      = Webhook_Queue::count_deliveries( $status );
+            $deliveries = Webhook_Queue::get_deliveries( $status, $per_page, ( $page - 1 ) * $per_page );
+
+            wp_send_json_success( [
+                'deliveries' => array_map( [ __CLASS__, 'format_webhook_delivery' ], $deliveries ),
+                'total'      => $total,
+                'page'       => $page,
+                'pages'      => (int) ceil( $total / $per_page ),
+            ] );
+        } catch ( \Throwable $e ) {
+            wp_send_json_error( [ 'message' => $e->getMessage() ] );
         }
-        header( 'Content-Type: application/json; charset=utf-8' );
-        header( 'Content-Disposition: attachment; filename="erp-sync-last-infocards-meta.json"' );
-        echo $meta;
-        exit;
     }
 
-    public static function ajax_sync_progress(): void {
+    /**
+     * AJAX handler for the delivery log "Redeliver" button: sends the stored
+     * payload again as a new delivery.
+     */
+    public static function ajax_webhook_redeliver(): void {
         check_ajax_referer( 'erp_sync_ajax', 'nonce' );
+
         if ( ! current_user_can( 'manage_woocommerce' ) ) {
-            wp_send_json_error( [ 'message' => 'Permission denied' ] );
+            wp_send_json_error( [ 'message' => __( 'Permission denied', 'erp-sync' ) ] );
         }
-        $progress = get_transient( 'erp_sync_sync_progress' );
-        if ( $progress === false ) {
-            wp_send_json_success( [ 'progress' => 0, 'status' => 'idle' ] );
+
+        $id = isset( $_POST['id'] ) ? intval( $_POST['id'] ) : 0;
+
+        try {
+            $delivery = Webhook_Queue::redeliver( $id );
+
+            if ( $delivery === null ) {
+                wp_send_json_error( [ 'message' => __( 'Delivery not found', 'erp-sync' ) ] );
+            }
+
+            wp_send_json_success( [ 'delivery' => self::format_webhook_delivery( $delivery ) ] );
+        } catch ( \Throwable $e ) {
+            wp_send_json_error( [ 'message' => $e->getMessage() ] );
         }
-        wp_send_json_success( $progress );
     }
 
-    public static function ajax_quick_edit_coupon(): void {
+    /**
+     * AJAX handler for the "Send test event" button. Uses the URL and secret
+     * currently in the form (saved or not).
+     */
+    public static function ajax_webhook_test(): void {
         check_ajax_referer( 'erp_sync_ajax', 'nonce' );
+
         if ( ! current_user_can( 'manage_woocommerce' ) ) {
-            wp_send_json_error( [ 'message' => 'Permission denied' ] );
+            wp_send_json_error( [ 'message' => __( 'Permission denied', 'erp-sync' ) ] );
         }
 
-        $coupon_id = isset( $_POST['coupon_id'] ) ? intval( $_POST['coupon_id'] ) : 0;
-        $field = isset( $_POST['field'] ) ? sanitize_text_field( $_POST['field'] ) : '';
-        $value = isset( $_POST['value'] ) ? sanitize_text_field( $_POST['value'] ) : '';
+        $url    = isset( $_POST['webhook_url'] ) ? esc_url_raw( wp_unslash( $_POST['webhook_url'] ) ) : '';
+        $secret = isset( $_POST['webhook_secret'] ) ? sanitize_text_field( wp_unslash( $_POST['webhook_secret'] ) ) : '';
 
-        if ( ! $coupon_id || ! $field ) {
-            wp_send_json_error( [ 'message' => 'Invalid data' ] );
+        if ( $url === '' ) {
+            wp_send_json_error( [ 'message' => __( 'Enter a webhook URL first.', 'erp-sync' ) ] );
         }
 
-        switch ( $field ) {
-            case 'base_discount':
-                // Update both: _erp_sync_base_discount (our tracker) and coupon_amount (WooCommerce display)
-                update_post_meta( $coupon_id, '_erp_sync_base_discount', max( 0, intval( $value ) ) );
-                update_post_meta( $coupon_id, 'coupon_amount', max( 0, intval( $value ) ) );
-                break;
-            case 'is_deleted':
-                update_post_meta( $coupon_id, '_erp_sync_is_deleted', $value === 'yes' ? 'yes' : 'no' );
-                break;
-            case 'dob':
-                update_post_meta( $coupon_id, '_erp_sync_dob', sanitize_text_field( $value ) );
-                update_post_meta( $coupon_id, '_erp_sync_dob_is_manual', 'yes' );
-                break;
-            default:
-                wp_send_json_error( [ 'message' => 'Invalid field' ] );
+        try {
+            $delivery = Webhook_Queue::send_test( $url, $secret );
+
+            wp_send_json_success( [ 'delivery' => self::format_webhook_delivery( $delivery ) ] );
+        } catch ( \Throwable $e ) {
+            wp_send_json_error( [ 'message' => $e->getMessage() ] );
         }
+    }
 
-        wp_send_json_success( [ 'message' => 'Updated successfully' ] );
+    /**
+     * Add display dates to a webhook delivery for admin.js.
+     *
+     * @param array $delivery Delivery row.
+     * @return array
+     */
+    private static function format_webhook_delivery( array $delivery ): array {
+        $datetime_format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+
+        $delivery['date']      = mysql2date( $datetime_format, $delivery['created_at'] );
+        $delivery['last_date'] = $delivery['last_attempt_at'] ? mysql2date( $datetime_format, $delivery['last_attempt_at'] ) : '';
+        $delivery['next_date'] = $delivery['next_attempt_at'] ? mysql2date( $datetime_format, $delivery['next_attempt_at'] ) : '';
+
+        return $delivery;
     }
 
     /**
-     * AJAX handler for stock sync.
-     * Runs synchronous stock update and returns JSON response.
+     * Render the entry editor of the IP whitelist or blocklist. admin.js
+     * validates new entries and redraws the list after one-click allow/block.
+     *
+     * @param string $field   Form field name.
+     * @param array  $entries Current entries.
      */
+    private static function render_ip_list_editor( string $field, array $entries ): void {
+        ?>
+        <div class="erp-sync-ip-list" data-field="<?php echo esc_attr( $field ); ?>">
+            <?php // Always posted, so removing every entry clears the list ?>
+            <input type="hidden" name="<?php echo esc_attr( $field ); ?>[]" value="">
+            <ul class="erp-sync-ip-list-entries">
+                <?php foreach ( $entries as $entry ) : ?>
+                    <li class="erp-sync-ip-entry">
+                        <code><?php echo esc_html( $entry ); ?></code>
+                        <input type="hidden" name="<?php echo esc_attr( $field ); ?>[]" value="<?php echo esc_attr( $entry ); ?>">
+                        <button type="button" class="button-link erp-sync-ip-entry-remove"><?php _e('Remove', 'erp-sync'); ?></button>
+                    </li>
+                <?php endforeach; ?>
+            </ul>
+            <p class="erp-sync-ip-list-add-row">
+                <input type="text" id="<?php echo esc_attr( $field ); ?>_new" class="regular-text erp-sync-ip-list-new" placeholder="203.0.113.10 or 10.0.0.0/8">
+                <button type="button" class="button erp-sync-ip-list-add"><?php _e('Add', 'erp-sync'); ?></button>
+                <span class="erp-sync-ip-list-error"></span>
+            </p>
+        </div>
+        <?php
+    }
+
     /**
-     * AJAX handler for stock sync with batch processing.
-     * Handles 'init', 'process', and 'cleanup' steps.
+     * AJAX handler for the Security tab dashboard: daily API calls and unique
+     * IPs, the busiest IPs with their allow/block status, and security events.
      */
-    public static function ajax_sync_stock(): void {
+    public static function ajax_security_dashboard(): void {
         check_ajax_referer( 'erp_sync_ajax', 'nonce' );
 
         if ( ! current_user_can( 'manage_woocommerce' ) ) {
             wp_send_json_error( [ 'message' => __( 'Permission denied', 'erp-sync' ) ] );
         }
 
-        // Get batch processing parameters
-        $step       = isset( $_POST['step'] ) ? sanitize_text_field( wp_unslash( $_POST['step'] ) ) : 'init';
-        $offset     = isset( $_POST['offset'] ) ? absint( $_POST['offset'] ) : 0;
-        $batch_size = isset( $_POST['batch_size'] ) ? absint( $_POST['batch_size'] ) : 50;
-        $session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
-
-        // Generate session ID if not provided
-        if ( empty( $session_id ) ) {
-            $session_id = uniqid( 'stock_', true );
+        $days = isset( $_POST['days'] ) ? intval( $_POST['days'] ) : 7;
+        if ( ! in_array( $days, [ 7, 14, 30 ], true ) ) {
+            $days = 7;
         }
 
         try {
-            $sync_service = new Sync_Service( new API_Client() );
-            $result = $sync_service->update_products_stock_step( $step, $offset, $batch_size, $session_id );
+            $datetime_format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+
+            // get_stats() only returns days with calls; fill the gaps so the charts have one bar per day
+            $stats_by_date = [];
+            foreach ( Security::get_stats( $days ) as $row ) {
+                $stats_by_date[ $row->date ] = $row;
+            }
 
-            wp_send_json_success( $result );
+            $today  = strtotime( current_time( 'Y-m-d' ) );
+            $series = [];
+            for ( $i = $days - 1; $i >= 0; $i-- ) {
+                $date = gmdate( 'Y-m-d', $today - $i * DAY_IN_SECONDS );
+                $row  = $stats_by_date[ $date ] ?? null;
+
+                $series[] = [
+                    'date'       => $date,
+                    'label'      => mysql2date( get_option( 'date_format' ), $date ),
+                    'calls'      => $row ? (int) $row->total_calls : 0,
+                    'unique_ips' => $row ? (int) $row->unique_ips : 0,
+                ];
+            }
+
+            $top_ips = array_map( function( $row ) use ( $datetime_format ) {
+                return [
+                    'ip'        => $row->ip_address,
+                    'calls'     => (int) $row->call_count,
+                    'last_call' => mysql2date( $datetime_format, $row->last_call ),
+                    'status'    => Security::get_ip_status( $row->ip_address ),
+                ];
+            }, Security::get_top_ips( 10, $days ) );
+
+            $events = array_map( function( array $event ) use ( $datetime_format ) {
+                $event['date'] = mysql2date( $datetime_format, $event['created_at'] );
+                return $event;
+            }, Security::get_security_events( 50, $days ) );
+
+            wp_send_json_success( [
+                'days'         => $series,
+                'top_ips'      => $top_ips,
+                'events'       => $events,
+                'event_counts' => Security::count_security_events( $days ),
+                'whitelist'    => Security::get_ip_list( Security::OPTION_IP_WHITELIST ),
+                'blocklist'    => Security::get_ip_list( Security::OPTION_IP_BLOCKLIST ),
+                'current_ip'   => Security::get_client_ip(),
+            ] );
         } catch ( \Throwable $e ) {
-            Logger::instance()->log( 'AJAX stock sync failed', [ 'error' => $e->getMessage(), 'step' => $step ] );
             wp_send_json_error( [ 'message' => $e->getMessage() ] );
         }
     }
 
     /**
-     * AJAX handler for catalog sync with batch processing.
-     * Handles 'init', 'process', and 'cleanup' steps.
+     * AJAX handler for the one-click Allow / Block / Remove buttons on the
+     * Security tab. Saves immediately, independent of the settings form.
      */
-    public static function ajax_sync_catalog(): void {
+    public static function ajax_security_ip(): void {
         check_ajax_referer( 'erp_sync_ajax', 'nonce' );
 
         if ( ! current_user_can( 'manage_woocommerce' ) ) {
             wp_send_json_error( [ 'message' => __( 'Permission denied', 'erp-sync' ) ] );
         }
 
-        // Get batch processing parameters
-        $step       = isset( $_POST['step'] ) ? sanitize_text_field( wp_unslash( $_POST['step'] ) ) : 'init';
-        $offset     = isset( $_POST['offset'] ) ? absint( $_POST['offset'] ) : 0;
-        $batch_size = isset( $_POST['batch_size'] ) ? absint( $_POST['batch_size'] ) : 50;
-        $session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+        $ip   = isset( $_POST['ip'] ) ? sanitize_text_field( wp_unslash( $_POST['ip'] ) ) : '';
+        $list = isset( $_POST['list'] ) ? sanitize_key( $_POST['list'] ) : '';
+        $op   = isset( $_POST['op'] ) ? sanitize_key( $_POST['op'] ) : 'add';
 
-        // Generate session ID if not provided
-        if ( empty( $session_id ) ) {
-            $session_id = uniqid( 'catalog_', true );
+        $options = [
+            'allow' => Security::OPTION_IP_WHITELIST,
+            'block' => Security::OPTION_IP_BLOCKLIST,
+        ];
+
+        if ( ! isset( $options[ $list ] ) || ! in_array( $op, [ 'add', 'remove' ], true ) ) {
+            wp_send_json_error( [ 'message' => __( 'Unknown action', 'erp-sync' ) ] );
         }
 
         try {
-            $sync_service = new Sync_Service( new API_Client() );
-            $result = $sync_service->import_products_catalog_step( $step, $offset, $batch_size, $session_id );
+            Security::update_ip_list_entry( $options[ $list ], $ip, $op === 'add' );
 
-            wp_send_json_success( $result );
+            wp_send_json_success( [
+                'whitelist' => Security::get_ip_list( Security::OPTION_IP_WHITELIST ),
+                'blocklist' => Security::get_ip_list( Security::OPTION_IP_BLOCKLIST ),
+            ] );
         } catch ( \Throwable $e ) {
-            Logger::instance()->log( 'AJAX catalog sync failed', [ 'error' => $e->getMessage(), 'step' => $step ] );
             wp_send_json_error( [ 'message' => $e->getMessage() ] );
         }
     }
 
     /**
-     * AJAX handler for coupons sync with batch processing.
-     * Handles 'init', 'process', and 'cleanup' steps.
+     * AJAX handler for the Diagnostics workbench: runs one SOAP operation and
+     * returns it with the previous capture of the same operation, for diffing.
      */
-    public static function ajax_sync_coupons(): void {
+    public static function ajax_soap_workbench(): void {
         check_ajax_referer( 'erp_sync_ajax', 'nonce' );
 
         if ( ! current_user_can( 'manage_woocommerce' ) ) {
             wp_send_json_error( [ 'message' => __( 'Permission denied', 'erp-sync' ) ] );
         }
 
-        // Get batch processing parameters
-        $step       = isset( $_POST['step'] ) ? sanitize_text_field( wp_unslash( $_POST['step'] ) ) : 'init';
-        $offset     = isset( $_POST['offset'] ) ? absint( $_POST['offset'] ) : 0;
-        $batch_size = isset( $_POST['batch_size'] ) ? absint( $_POST['batch_size'] ) : 50;
-        $session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+        $operation    = isset( $_POST['operation'] ) ? sanitize_text_field( wp_unslash( $_POST['operation'] ) ) : '';
+        $vendor_codes = isset( $_POST['vendor_codes'] ) ? sanitize_text_field( wp_unslash( $_POST['vendor_codes'] ) ) : '';
 
-        // Generate session ID if not provided
-        if ( empty( $session_id ) ) {
-            $session_id = uniqid( 'coupons_', true );
+        if ( ! in_array( $operation, API_Client::DIAGNOSTIC_OPERATIONS, true ) ) {
+            wp_send_json_error( [ 'message' => __( 'Unknown operation', 'erp-sync' ) ] );
         }
 
         try {
-            $sync_service = new Sync_Service( new API_Client() );
-            $result = $sync_service->sync_coupons_step( $step, $offset, $batch_size, $session_id );
+            $captures = get_option( API_Client::OPTION_DIAGNOSTIC_CAPTURES, [] );
+            $captures = is_array( $captures ) ? $captures : [];
+            $previous = $captures[ $operation ] ?? null;
+
+            $capture = ( new API_Client() )->run_diagnostic( $operation, $vendor_codes );
 
-            wp_send_json_success( $result );
+            // Only what the diff needs is kept for the next run
+            $captures[ $operation ] = array_intersect_key( $capture, array_flip( [ 'operation', 'params', 'time_utc', 'duration_ms', 'success', 'rows', 'response_xml' ] ) );
+            update_option( API_Client::OPTION_DIAGNOSTIC_CAPTURES, $captures, false );
+
+            wp_send_json_success( [
+                'capture'  => $capture,
+                'previous' => $previous,
+            ] );
         } catch ( \Throwable $e ) {
-            Logger::instance()->log( 'AJAX coupons sync failed', [ 'error' => $e->getMessage(), 'step' => $step ] );
             wp_send_json_error( [ 'message' => $e->getMessage() ] );
         }
     }
 
+    public static function handle_download_last_xml(): void {
+        check_admin_referer( 'erp_sync_actions' );
+        if ( ! current_user_can( 'manage_woocommerce' ) ) wp_die( 'No permission' );
+        $xml = get_option( API_Client::OPTION_LAST_RAW_XML, '' );
+        if ( empty( $xml ) ) {
+            wp_redirect( add_query_arg( [ 'page' => self::MENU_SLUG, 'xmldl' => 'empty' ], admin_url( 'admin.php' ) ) );
+            exit;
+        }
+        header( 'Content-Type: application/xml; charset=utf-8' );
+        header( 'Content-Disposition: attachment; filename="erp-sync-last-soap-response.xml"' );
+        echo $xml;
+        exit;
+    }
+
+    public static function handle_download_last_request(): void {
+        check_admin_referer( 'erp_sync_actions' );
+        if ( ! current_user_can( 'manage_woocommerce' ) ) wp_die( 'No permission' );
+        $xml = get_option( API_Client::OPTION_LAST_REQUEST_XML, '' );
+        if ( empty( $xml ) ) {
+            wp_redirect( add_query_arg( [ 'page' => self::MENU_SLUG, 'reqdl' => 'empty' ], admin_url( 'admin.php' ) ) );
+            exit;
+        }
+        header( 'Content-Type: application/xml; charset=utf-8' );
+        header( 'Content-Disposition: attachment; filename="erp-sync-last-soap-request.xml"' );
+        echo $xml;
+        exit;
+    }
+
+    public static function handle_download_last_fault(): void {
+        check_admin_referer( 'erp_sync_actions' );
+        if ( ! current_user_can( 'manage_woocommerce' ) ) wp_die( 'No permission' );
+        $fault = get_option( API_Client::OPTION_LAST_SOAP_FAULT, '' );
+        if ( empty( $fault ) ) {
+            wp_redirect( add_query_arg( [ 'page' => self::MENU_SLUG, 'faultdl' => 'empty' ], admin_url( 'admin.php' ) ) );
+            exit;
+        }
+        header( 'Content-Type: text/plain; charset=utf-8' );
+        header( 'Content-Disposition: attachment; filename="erp-sync-last-soap-fault.txt"' );
+        echo $fault;
+        exit;
+    }
+
+    public static function handle_download_last_headers(): void {
+        check_admin_referer( 'erp_sync_actions' );
+        if ( ! current_user_can( 'manage_woocommerce' ) ) wp_die( 'No permission' );
+        $reqH = get_option( API_Client::OPTION_LAST_REQUEST_HEADERS, '' );
+        $resH = get_option( API_Client::OPTION_LAST_RESPONSE_HEADERS, '' );
+        if ( empty( $reqH ) && empty( $resH ) ) {
+            wp_redirect( add_query_arg( [ 'page' => self::MENU_SLUG, 'headersdl'=> 'empty' ], admin_url( 'admin.php' ) ) );
+            exit;
+        }
+        header( 'Content-Type: text/plain; charset=utf-8' );
+        header( 'Content-Disposition: attachment; filename="erp-sync-last-soap-headers.txt"' );
+        echo "=== Last SOAP Request Headers ===\n".$reqH."\n\n=== Last SOAP Response Headers ===\n".$resH;
+        exit;
+    }
+
+    public static function handle_download_last_meta(): void {
+        check_admin_referer( 'erp_sync_actions' );
+        if ( ! current_user_can( 'manage_woocommerce' ) ) wp_die( 'No permission' );
+        $meta = get_option( API_Client::OPTION_LAST_INFOCARDS_META, '' );
+        if ( empty( $meta ) ) {
+            wp_redirect( add_query_arg( [ 'page' => self::MENU_SLUG, 'metadl' => 'empty' ], admin_url( 'admin.php' ) ) );
+            exit;
+        }
+        header( 'Content-Type: application/json; charset=utf-8' );
+        header( 'Content-Disposition: attachment; filename="erp-sync-last-infocards-meta.json"' );
+        echo $meta;
+        exit;
+    }
+
     /**
-     * AJAX handler for single coupon update.
-     * Syncs a single coupon from the ERP.
+     * Download an example CSV for the coupons or products import.
+     * The products template has one stock column per detected branch.
      */
-    public static function ajax_single_coupon_update(): void {
-        check_ajax_referer( 'erp_sync_ajax', 'nonce' );
+    public static function handle_download_csv_template(): void {
+        check_admin_referer( 'erp_sync_actions' );
+        if ( ! current_user_can( 'manage_woocommerce' ) ) wp_die( 'No permission' );
 
+        $type = isset( $_POST['import_type'] ) ? sanitize_key( $_POST['import_type'] ) : '';
+
+        if ( $type === Sync_Service::CSV_IMPORT_PRODUCTS ) {
+            $branches = get_option( Product_Service::OPTION_DETECTED_BRANCHES, [] );
+            $branches = is_array( $branches ) ? $branches : [];
+
+            $header = [ 'sku', 'price', 'sale_price' ];
+            $sample = [ 'ABC-123', '49.90', '' ];
+            foreach ( $branches as $branch ) {
+                $header[] = Sync_Service::CSV_STOCK_COLUMN_PREFIX . $branch;
+                $sample[] = '5';
+            }
+        } else {
+            $type   = Sync_Service::CSV_IMPORT_COUPONS;
+            $header = [ 'code', 'phone', 'discount', 'dob', 'is_deleted', 'allowed_phones', 'expiry_date' ];
+            $sample = [ '100200300', '995555123456', '10', '1990-05-17', 'no', '995555123456, 995599654321', '2026-12-31' ];
+        }
+
+        header( 'Content-Type: text/csv; charset=utf-8' );
+        header( 'Content-Disposition: attachment; filename="erp-sync-' . $type . '-template.csv"' );
+
+        $out = fopen( 'php://output', 'w' );
+        fputcsv( $out, $header );
+        fputcsv( $out, $sample );
+        fclose( $out );
+        exit;
+    }
+
+    /**
+     * Download the settings bundle (Import / Export tab).
+     *
+     * The passphrase is optional; without it passwords and secrets are left out.
+     */
+    public static function handle_export_settings(): void {
+        check_admin_referer( 'erp_sync_actions' );
+        if ( ! current_user_can( 'manage_woocommerce' ) ) wp_die( 'No permission' );
+
+        // Passphrases are used as typed, not sanitized
+        $passphrase = isset( $_POST['passphrase'] ) ? (string) wp_unslash( $_POST['passphrase'] ) : '';
+
+        try {
+            $bundle = Settings_Transfer::export( $passphrase );
+        } catch ( \Throwable $e ) {
+            wp_redirect( add_query_arg( [
+                'page'      => self::MENU_SLUG,
+                'exporterr' => rawurlencode( $e->getMessage() ),
+            ], admin_url( 'admin.php' ) ) );
+            exit;
+        }
+
+        $host = sanitize_file_name( (string) wp_parse_url( home_url(), PHP_URL_HOST ) );
+
+        nocache_headers();
+        header( 'Content-Type: application/json; charset=utf-8' );
+        header( 'Content-Disposition: attachment; filename="erp-sync-settings-' . $host . '-' . gmdate( 'Y-m-d' ) . '.json"' );
+
+        echo wp_json_encode( $bundle, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+        exit;
+    }
+
+    public static function ajax_quick_edit_coupon(): void {
+        check_ajax_referer( 'erp_sync_ajax', 'nonce' );
         if ( ! current_user_can( 'manage_woocommerce' ) ) {
-            wp_send_json_error( [ 'message' => __( 'Permission denied', 'erp-sync' ) ] );
+            wp_send_json_error( [ 'message' => 'Permission denied' ] );
         }
 
         $coupon_id = isset( $_POST['coupon_id'] ) ? intval( $_POST['coupon_id'] ) : 0;
+        $field = isset( $_POST['field'] ) ? sanitize_text_field( $_POST['field'] ) : '';
+        $value = isset( $_POST['value'] ) ? sanitize_text_field( $_POST['value'] ) : '';
 
-        if ( ! $coupon_id ) {
-            wp_send_json_error( [ 'message' => __( 'Invalid coupon ID', 'erp-sync' ) ] );
+        if ( ! $coupon_id || ! $field ) {
+            wp_send_json_error( [ 'message' => 'Invalid data' ] );
         }
 
         try {
-            $sync_service = new Sync_Service( new API_Client() );
-            $result = $sync_service->sync_single_coupon( $coupon_id );
-
-            if ( $result ) {
-                wp_send_json_success( [ 'message' => __( 'Coupon synced successfully', 'erp-sync' ) ] );
-            } else {
-                wp_send_json_error( [ 'message' => __( 'Coupon not found in ERP', 'erp-sync' ) ] );
-            }
+            self::apply_coupon_quick_edit( $coupon_id, $field, $value );
         } catch ( \Throwable $e ) {
             wp_send_json_error( [ 'message' => $e->getMessage() ] );
         }
+
+        wp_send_json_success( [ 'message' => 'Updated successfully' ] );
     }
 
     /**
-     * AJAX handler for CSV coupon import with batch processing.
-     * Handles 'init' (file upload), 'process', and 'cleanup' steps.
+     * AJAX handler for the spreadsheet-style coupon editor.
+     *
+     * Applies a batch of cell edits ({coupon_id, field, value}) in one request.
+     * Each cell succeeds or fails on its own; the response carries the previous
+     * value of every saved cell (for undo) and the refreshed row columns.
      */
-    public static function ajax_csv_import_coupons(): void {
+    public static function ajax_quick_edit_coupons_bulk(): void {
         check_ajax_referer( 'erp_sync_ajax', 'nonce' );
 
         if ( ! current_user_can( 'manage_woocommerce' ) ) {
             wp_send_json_error( [ 'message' => __( 'Permission denied', 'erp-sync' ) ] );
         }
 
-        // Get batch processing parameters
-        $step       = isset( $_POST['step'] ) ? sanitize_text_field( wp_unslash( $_POST['step'] ) ) : 'init';
-        $offset     = isset( $_POST['offset'] ) ? absint( $_POST['offset'] ) : 0;
-        $batch_size = isset( $_POST['batch_size'] ) ? absint( $_POST['batch_size'] ) : 50;
-        $session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+        $changes = isset( $_POST['changes'] ) && is_array( $_POST['changes'] ) ? wp_unslash( $_POST['changes'] ) : [];
 
-        // Generate session ID if not provided
-        if ( empty( $session_id ) ) {
-            $session_id = uniqid( 'csv_', true );
+        if ( empty( $changes ) ) {
+            wp_send_json_error( [ 'message' => __( 'No changes to save', 'erp-sync' ) ] );
         }
 
-        $file_path = '';
-
-        // Handle file upload on init step
-        if ( $step === 'init' ) {
-            if ( empty( $_FILES['csv_file'] ) || $_FILES['csv_file']['error'] !== UPLOAD_ERR_OK ) {
-                wp_send_json_error( [ 'message' => __( 'No file uploaded or upload error.', 'erp-sync' ) ] );
-            }
+        if ( count( $changes ) > self::QUICK_EDIT_BULK_LIMIT ) {
+            wp_send_json_error( [
+                'message' => sprintf(
+                    /* translators: %d: maximum number of cells */
+                    __( 'Too many changes in one request (max %d)', 'erp-sync' ),
+                    self::QUICK_EDIT_BULK_LIMIT
+                ),
+            ] );
+        }
 
-            $file = $_FILES['csv_file'];
-
-            // Validate MIME type
-            $allowed_mimes = [ 'text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel' ];
-            $finfo         = finfo_open( FILEINFO_MIME_TYPE );
-            $detected_mime = finfo_file( $finfo, $file['tmp_name'] );
-            finfo_close( $finfo );
-
-            if ( ! in_array( $detected_mime, $allowed_mimes, true ) ) {
-                wp_send_json_error( [
-                    'message' => sprintf(
-                        /* translators: %s: detected MIME type */
-                        __( 'Invalid file type: %s. Please upload a CSV file.', 'erp-sync' ),
-                        $detected_mime
-                    ),
-                ] );
+        $results = [];
+        $touched = [];
+
+        foreach ( $changes as $change ) {
+            $coupon_id = intval( $change['coupon_id'] ?? 0 );
+            $field     = sanitize_key( $change['field'] ?? '' );
+            $value     = sanitize_text_field( (string) ( $change['value'] ?? '' ) );
+
+            try {
+                $applied   = self::apply_coupon_quick_edit( $coupon_id, $field, $value );
+                $results[] = array_merge( [ 'coupon_id' => $coupon_id, 'field' => $field, 'ok' => true ], $applied );
+                $touched[ $coupon_id ] = true;
+            } catch ( \Throwable $e ) {
+                $results[] = [
+                    'coupon_id' => $coupon_id,
+                    'field'     => $field,
+                    'ok'        => false,
+                    'message'   => $e->getMessage(),
+                ];
             }
+        }
 
-            // Move uploaded file to a temporary location
-            $upload_dir = wp_upload_dir();
-            $target_dir = trailingslashit( $upload_dir['basedir'] ) . 'erp-sync-tmp';
-
-            if ( ! file_exists( $target_dir ) ) {
-                wp_mkdir_p( $target_dir );
-            }
+        $columns = [];
+        foreach ( array_keys( $touched ) as $coupon_id ) {
+            $columns[ $coupon_id ] = self::get_row_columns_html( $coupon_id, 'shop_coupon' );
+        }
 
-            $target_path = $target_dir . '/csv_import_' . $session_id . '.csv';
+        Logger::instance()->log( 'Coupon quick edit batch saved', [
+            'cells'   => count( $results ),
+            'coupons' => count( $touched ),
+            'user'    => wp_get_current_user()->user_login,
+        ] );
 
-            if ( ! move_uploaded_file( $file['tmp_name'], $target_path ) ) {
-                wp_send_json_error( [ 'message' => __( 'Failed to save uploaded file.', 'erp-sync' ) ] );
-            }
+        wp_send_json_success( [
+            'results' => $results,
+            'columns' => $columns,
+        ] );
+    }
 
-            $file_path = $target_path;
+    /**
+     * Validate and save one quick-edited coupon field.
+     *
+     * @param int    $coupon_id Coupon ID.
+     * @param string $field     'base_discount', 'is_deleted' or 'dob'.
+     * @param string $value     New value.
+     * @return array{value: string, old: string} Saved value and the value it replaced.
+     * @throws \Exception If the coupon, field or value is invalid.
+     */
+    private static function apply_coupon_quick_edit( int $coupon_id, string $field, string $value ): array {
+        if ( ! $coupon_id || get_post_type( $coupon_id ) !== 'shop_coupon' ) {
+            throw new \Exception( __( 'Invalid coupon ID', 'erp-sync' ) );
         }
 
-        try {
-            $sync_service = new Sync_Service( new API_Client() );
-            $result = $sync_service->sync_coupons_csv_step( $step, $offset, $batch_size, $session_id, $file_path );
-
-            wp_send_json_success( $result );
-        } catch ( \Throwable $e ) {
-            Logger::instance()->log( 'AJAX CSV import failed', [ 'error' => $e->getMessage(), 'step' => $step ] );
-            wp_send_json_error( [ 'message' => $e->getMessage() ] );
+        switch ( $field ) {
+            case 'base_discount':
+                if ( ! preg_match( '/^\d+$/', $value ) || (int) $value > 100 ) {
+                    throw new \Exception( __( 'Discount must be a whole number between 0 and 100', 'erp-sync' ) );
+                }
+                $old = (string) get_post_meta( $coupon_id, '_erp_sync_base_discount', true );
+                // Update both: _erp_sync_base_discount (our tracker) and coupon_amount (WooCommerce display)
+                update_post_meta( $coupon_id, '_erp_sync_base_discount', (int) $value );
+                update_post_meta( $coupon_id, 'coupon_amount', (int) $value );
+                $value = (string) (int) $value;
+                break;
+            case 'is_deleted':
+                if ( ! in_array( $value, [ 'yes', 'no' ], true ) ) {
+                    throw new \Exception( __( 'Deleted must be yes or no', 'erp-sync' ) );
+                }
+                $old = get_post_meta( $coupon_id, '_erp_sync_is_deleted', true ) === 'yes' ? 'yes' : 'no';
+                update_post_meta( $coupon_id, '_erp_sync_is_deleted', $value );
+                break;
+            case 'dob':
+                if ( $value !== '' && ( ! preg_match( '/^(\d{4})-(\d{2})-(\d{2})$/', $value, $m ) || ! checkdate( (int) $m[2], (int) $m[3], (int) $m[1] ) ) ) {
+                    throw new \Exception( __( 'Date of birth must be a valid YYYY-MM-DD date', 'erp-sync' ) );
+                }
+                $old = (string) get_post_meta( $coupon_id, '_erp_sync_dob', true );
+                update_post_meta( $coupon_id, '_erp_sync_dob', $value );
+                update_post_meta( $coupon_id, '_erp_sync_dob_is_manual', 'yes' );
+                break;
+            default:
+                throw new \Exception( 'Invalid field' );
         }
+
+        return [
+            'value' => $value,
+            'old'   => $old,
+        ];
     }
 
     private static function render_notices(): void {
         $notices = [];
-        $notice_keys = ['saved','imported','created','updated','test','rawdump','prodtest','mockgen','syncerr','cronrun','xmldl','reqdl','faultdl','headersdl','metadl','forced','catalog_created','catalogerr','stock_updated','stockerr','branches_saved'];
+        $notice_keys = ['saved','imported','created','updated','test','rawdump','prodtest','mockgen','syncerr','cronrun','xmldl','reqdl','faultdl','headersdl','metadl','forced','catalog_created','catalogerr','stock_updated','stockerr','branches_saved','mockerr','iperr','settings_imported','exporterr'];
         
         foreach ( $notice_keys as $k ) {
             if ( ! isset( $_GET[$k] ) ) continue;
@@ -919,6 +1671,18 @@ class Admin {
                 case 'branches_saved':
                     $notices[] = ['success', __( 'Branch settings saved successfully.', 'erp-sync' )];
                     break;
+                case 'mockerr':
+                    $notices[] = ['error', sprintf( __('Mock ERP fixture not saved: %s', 'erp-sync' ), urldecode( $_GET['mockerr'] ) )];
+                    break;
+                case 'iperr':
+                    $notices[] = ['error', sprintf( __('Invalid IP entries were not saved: %s', 'erp-sync' ), urldecode( $_GET['iperr'] ) )];
+                    break;
+                case 'settings_imported':
+                    $notices[] = ['success', sprintf( __('Imported %d settings. Cron schedules were updated.', 'erp-sync' ), intval( $_GET['settings_imported'] ) )];
+                    break;
+                case 'exporterr':
+                    $notices[] = ['error', sprintf( __('Settings export failed: %s', 'erp-sync' ), urldecode( $_GET['exporterr'] ) )];
+                    break;
             }
         }
 
@@ -932,16 +1696,19 @@ class Admin {
     public static function render_page(): void {
         if ( ! current_user_can( 'manage_woocommerce' ) ) return;
 
-        $wsdl           = get_option( API_Client::OPTION_WSDL );
-        $username       = get_option( API_Client::OPTION_USERNAME );
+        $profiles       = Connection_Profiles::get_all();
         $last_sync      = get_option( Sync_Service::OPTION_LAST_SYNC, '—' );
-        $force_location = get_option( API_Client::OPTION_FORCE_LOCATION );
-        $timeout        = (int) get_option( API_Client::OPTION_TIMEOUT, 30 );
         $debug          = (bool) get_option( API_Client::OPTION_DEBUG, false );
-        $soap_version   = (int) get_option( API_Client::OPTION_SOAP_VERSION, 11 );
+        $batch_bounds   = Sync_Service::get_batch_size_bounds();
+
+        // Mock ERP
+        $mock_enabled   = Mock_ERP::is_enabled();
+        $mock_generator = Mock_ERP::get_generator_settings();
+        $mock_fixtures  = Mock_ERP::get_fixtures();
 
         // Security
-        $ip_whitelist   = get_option( Security::OPTION_IP_WHITELIST, '' );
+        $ip_whitelist   = Security::get_ip_list( Security::OPTION_IP_WHITELIST );
+        $ip_blocklist   = Security::get_ip_list( Security::OPTION_IP_BLOCKLIST );
         $rate_limit     = (bool) get_option( Security::OPTION_RATE_LIMIT, false );
         $rate_limit_max = (int) get_option( Security::OPTION_RATE_LIMIT_MAX, 60 );
 
@@ -975,100 +1742,306 @@ class Admin {
 
         // Cron (Stock & Prices)
         $stock_cron_enabled  = (bool) get_option( Cron::OPTION_STOCK_CRON_ENABLED, false );
+        $cart_auto_adjust    = (bool) get_option( Cart_Stock_Check::OPTION_AUTO_ADJUST, false );
         $stock_cron_interval = (string) get_option( Cron::OPTION_STOCK_CRON_INTERVAL, 'erp_sync_15min' );
         $stock_cron_next     = class_exists('\ERPSync\Cron') ? Cron::next_stock_run_human() : '—';
         $stock_cron_last_res = get_option( Cron::OPTION_STOCK_CRON_LAST_RESULT, [] );
 
-        // Attribute Mapping
-        $attribute_mapping = get_option( Product_Service::OPTION_ATTRIBUTE_MAPPING, [] );
-        $attr_mapping_brand      = $attribute_mapping['Brand']      ?? 'pa_brand';
-        $attr_mapping_color      = $attribute_mapping['Color']      ?? 'pa_color';
-        $attr_mapping_size       = $attribute_mapping['Size']       ?? 'pa_size';
-        $attr_mapping_mechanism  = $attribute_mapping['Mechanism']  ?? 'pa_mechanism';
-        $attr_mapping_bracelet   = $attribute_mapping['Bracelet']   ?? 'pa_bracelet';
-        $attr_mapping_gender     = $attribute_mapping['gender']     ?? 'pa_gender';
-        $attr_mapping_bijouterie = $attribute_mapping['Bijouterie'] ?? 'pa_bijouterie';
-
         ?>
         <div class="wrap erp-sync-admin-wrap">
             <h1><?php esc_html_e( 'ERP Sync Products and Coupons', 'erp-sync' ); ?> <span class="erp-sync-version">v<?php echo esc_html( ERPSYNC_VERSION ); ?></span></h1>
             
             <?php self::render_notices(); ?>
 
+            <?php if ( $mock_enabled ) : ?>
+                <div class="notice notice-warning"><p><?php _e('Mock ERP mode is on: catalog, stock and coupon syncs use fixtures or generated data, not the ERP. Turn it off in Settings before going live.', 'erp-sync'); ?></p></div>
+            <?php endif; ?>
+
             <div id="erp-sync-progress-container" style="display:none;" class="erp-sync-progress-wrap">
                 <div class="erp-sync-progress-bar">
                     <div class="erp-sync-progress-fill" style="width:0%"></div>
                 </div>
                 <div class="erp-sync-progress-text">Syncing...</div>
+                <div class="erp-sync-progress-controls" style="display:none;">
+                    <button type="button" class="button" id="erp-sync-control-pause"><?php _e('Pause', 'erp-sync'); ?></button>
+                    <button type="button" class="button" id="erp-sync-control-resume" style="display:none;"><?php _e('Resume', 'erp-sync'); ?></button>
+                    <button type="button" class="button" id="erp-sync-control-cancel"><?php _e('Cancel', 'erp-sync'); ?></button>
+                </div>
+            </div>
+
+            <div id="erp-sync-resume-container" style="display:none;" class="erp-sync-resume-wrap">
+                <span class="erp-sync-resume-text"></span>
+                <button type="button" class="button button-primary" id="erp-sync-resume-btn"><?php _e('Resume', 'erp-sync'); ?></button>
+                <button type="button" class="button" id="erp-sync-resume-discard"><?php _e('Discard', 'erp-sync'); ?></button>
+            </div>
+
+            <div id="erp-sync-preview-container" style="display:none;" class="erp-sync-preview-wrap">
+                <h2><?php _e('Dry Run Preview', 'erp-sync'); ?> <span class="erp-sync-preview-title"></span></h2>
+                <p class="erp-sync-preview-summary"></p>
+                <div class="erp-sync-preview-filters">
+                    <select id="erp-sync-preview-filter">
+                        <option value=""><?php _e('All changes', 'erp-sync'); ?></option>
+                        <option value="create"><?php _e('New', 'erp-sync'); ?></option>
+                        <option value="update"><?php _e('Updated', 'erp-sync'); ?></option>
+                        <option value="delete"><?php _e('Marked deleted', 'erp-sync'); ?></option>
+                        <option value="orphan"><?php _e('Orphans', 'erp-sync'); ?></option>
+                        <option value="skip"><?php _e('Not found locally', 'erp-sync'); ?></option>
+                    </select>
+                    <input type="search" id="erp-sync-preview-search" placeholder="<?php esc_attr_e('Filter by SKU, code or name', 'erp-sync'); ?>">
+                </div>
+                <table class="widefat striped erp-sync-preview-table">
+                    <thead>
+                        <tr>
+                            <th><?php _e('SKU / Code', 'erp-sync'); ?></th>
+                            <th><?php _e('Name', 'erp-sync'); ?></th>
+                            <th><?php _e('Action', 'erp-sync'); ?></th>
+                            <th><?php _e('Changes', 'erp-sync'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+                <p class="description erp-sync-preview-more"></p>
+                <p>
+                    <button type="button" class="button button-primary" id="erp-sync-preview-apply"><?php _e('Apply these changes', 'erp-sync'); ?></button>
+                    <button type="button" class="button" id="erp-sync-preview-close"><?php _e('Close', 'erp-sync'); ?></button>
+                </p>
+            </div>
+
+            <div id="erp-sync-failures-container" style="display:none;" class="erp-sync-failures-wrap">
+                <details>
+                    <summary class="erp-sync-failures-summary"></summary>
+                    <table class="widefat striped erp-sync-failures-table">
+                        <thead>
+                            <tr>
+                                <th><?php _e('SKU / Code', 'erp-sync'); ?></th>
+                                <th><?php _e('CSV Line', 'erp-sync'); ?></th>
+                                <th><?php _e('Reason', 'erp-sync'); ?></th>
+                                <th><?php _e('Retry', 'erp-sync'); ?></th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </details>
+                <p>
+                    <button type="button" class="button button-primary" id="erp-sync-failures-retry"><?php _e('Retry failed items only', 'erp-sync'); ?></button>
+                    <button type="button" class="button" id="erp-sync-failures-download"><?php _e('Download CSV', 'erp-sync'); ?></button>
+                    <button type="button" class="button" id="erp-sync-failures-close"><?php _e('Dismiss', 'erp-sync'); ?></button>
+                </p>
+                <p class="description"><?php _e('Retry re-syncs each product or coupon individually from the ERP. Items that do not exist in WooCommerce yet, and CSV rows, need a full sync or a corrected file instead.', 'erp-sync'); ?></p>
             </div>
 
             <h2 class="nav-tab-wrapper erp-sync-nav-tabs">
                 <a href="#tab-settings" class="nav-tab nav-tab-active"><?php _e('Settings', 'erp-sync'); ?></a>
                 <a href="#tab-actions" class="nav-tab"><?php _e('Actions', 'erp-sync'); ?></a>
+                <a href="#tab-dashboard" class="nav-tab"><?php _e('Dashboard', 'erp-sync'); ?></a>
                 <a href="#tab-branches" class="nav-tab"><?php _e('Branches', 'erp-sync'); ?></a>
                 <a href="#tab-webhooks" class="nav-tab"><?php _e('Webhooks', 'erp-sync'); ?></a>
                 <a href="#tab-security" class="nav-tab"><?php _e('Security', 'erp-sync'); ?></a>
+                <a href="#tab-transfer" class="nav-tab"><?php _e('Import / Export', 'erp-sync'); ?></a>
                 <a href="#tab-diagnostics" class="nav-tab"><?php _e('Diagnostics', 'erp-sync'); ?></a>
             </h2>
 
-            <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" class="erp-sync-settings-form">
+            <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" class="erp-sync-settings-form" enctype="multipart/form-data">
                 <?php wp_nonce_field( 'erp_sync_settings' ); ?>
                 <input type="hidden" name="action" value="erp_sync_save_settings" />
 
                 <!-- Settings Tab -->
                 <div id="tab-settings" class="erp-sync-tab-content">
                     <h2><?php _e( 'API Settings', 'erp-sync' ); ?></h2>
-                    <table class="form-table">
+                    <table class="form-table erp-sync-profiles">
                         <tr>
-                            <th><label for="wsdl"><?php _e('WSDL URL','erp-sync'); ?></label></th>
+                            <th><label for="erp-sync-profile-switcher"><?php _e('Connection Profile','erp-sync'); ?></label></th>
                             <td>
-                                <input type="text" class="regular-text" id="wsdl" name="wsdl" value="<?php echo esc_attr( $wsdl ); ?>">
-                                <p class="description"><?php _e('Example:', 'erp-sync'); ?> http://92.241.78.182:8080/artsw2022/ws/WebExchange.1cws?wsdl</p>
+                                <select id="erp-sync-profile-switcher">
+                                    <?php foreach ( $profiles as $profile ) : ?>
+                                        <option value="<?php echo esc_attr( $profile['id'] ); ?>"><?php echo esc_html( $profile['name'] ); ?></option>
+                                    <?php endforeach; ?>
+                                    <option value="new"><?php _e('+ Add profile', 'erp-sync'); ?></option>
+                                </select>
+                                <p class="description"><?php _e('Each profile is a separate ERP connection. Choose below which profile the catalog, stock and coupon syncs use.', 'erp-sync'); ?></p>
                             </td>
                         </tr>
+                        <?php foreach ( array_merge( $profiles, [ 'new' => null ] ) as $profile_id => $profile ) :
+                            $field_id = 'erp-sync-profile-' . $profile_id;
+                            $name     = 'profiles[' . $profile_id . ']';
+                            $profile  = $profile ?? [ 'name' => '', 'wsdl' => '', 'username' => '', 'password' => '', 'force_location' => '', 'timeout' => 30, 'soap_version' => 11 ];
+                        ?>
+                        <tbody class="erp-sync-profile" data-profile="<?php echo esc_attr( $profile_id ); ?>"<?php echo $profile_id !== Connection_Profiles::DEFAULT_ID ? ' style="display:none;"' : ''; ?>>
+                            <?php if ( $profile_id !== Connection_Profiles::DEFAULT_ID ) : ?>
+                            <tr>
+                                <th><label for="<?php echo esc_attr( $field_id ); ?>-name"><?php _e('Profile Name','erp-sync'); ?></label></th>
+                                <td>
+                                    <input type="text" class="regular-text" id="<?php echo esc_attr( $field_id ); ?>-name" name="<?php echo esc_attr( $name ); ?>[name]" value="<?php echo esc_attr( $profile['name'] ); ?>">
+                                    <?php if ( $profile_id === 'new' ) : ?>
+                                        <p class="description"><?php _e('The profile is created when you save the settings with a name.', 'erp-sync'); ?></p>
+                                    <?php endif; ?>
+                                </td>
+                            </tr>
+                            <?php endif; ?>
+                            <tr>
+                                <th><label for="<?php echo esc_attr( $field_id ); ?>-wsdl"><?php _e('WSDL URL','erp-sync'); ?></label></th>
+                                <td>
+                                    <input type="text" class="regular-text" id="<?php echo esc_attr( $field_id ); ?>-wsdl" name="<?php echo esc_attr( $name ); ?>[wsdl]" value="<?php echo esc_attr( $profile['wsdl'] ); ?>">
+                                    <p class="description"><?php _e('Example:', 'erp-sync'); ?> <?php echo esc_html( Connection_Profiles::DEFAULT_WSDL ); ?></p>
+                                </td>
+                            </tr>
+                            <tr>
+                                <th><label for="<?php echo esc_attr( $field_id ); ?>-force-location"><?php _e('Force Endpoint','erp-sync'); ?></label></th>
+                                <td>
+                                    <input type="text" class="regular-text" id="<?php echo esc_attr( $field_id ); ?>-force-location" name="<?php echo esc_attr( $name ); ?>[force_location]" value="<?php echo esc_attr( $profile['force_location'] ); ?>">
+                                    <p class="description"><?php _e('Full URL without ?wsdl (leave blank to rely on WSDL).', 'erp-sync'); ?></p>
+                                </td>
+                            </tr>
+                            <tr>
+                                <th><label for="<?php echo esc_attr( $field_id ); ?>-username"><?php _e('Username','erp-sync'); ?></label></th>
+                                <td><input type="text" class="regular-text" id="<?php echo esc_attr( $field_id ); ?>-username" name="<?php echo esc_attr( $name ); ?>[username]" value="<?php echo esc_attr( $profile['username'] ); ?>"></td>
+                            </tr>
+                            <tr>
+                                <th><label for="<?php echo esc_attr( $field_id ); ?>-password"><?php _e('Password','erp-sync'); ?></label></th>
+                                <td>
+                                    <input type="password" class="regular-text" id="<?php echo esc_attr( $field_id ); ?>-password" name="<?php echo esc_attr( $name ); ?>[password]" value="" placeholder="<?php echo $profile['password'] !== '' ? esc_attr__('(leave blank to keep)','erp-sync') : ''; ?>" autocomplete="new-password">
+                                    <p class="description"><?php _e('Password is encrypted before storage.', 'erp-sync'); ?> 🔒</p>
+                                </td>
+                            </tr>
+                            <tr>
+                                <th><label for="<?php echo esc_attr( $field_id ); ?>-timeout"><?php _e('Timeout (sec)','erp-sync'); ?></label></th>
+                                <td><input type="number" min="5" id="<?php echo esc_attr( $field_id ); ?>-timeout" name="<?php echo esc_attr( $name ); ?>[timeout]" value="<?php echo esc_attr( $profile['timeout'] ); ?>"></td>
+                            </tr>
+                            <tr>
+                                <th><label for="<?php echo esc_attr( $field_id ); ?>-soap-version"><?php _e('SOAP Version','erp-sync'); ?></label></th>
+                                <td>
+                                    <select id="<?php echo esc_attr( $field_id ); ?>-soap-version" name="<?php echo esc_attr( $name ); ?>[soap_version]">
+                                        <option value="11" <?php selected( $profile['soap_version'], 11 ); ?>>SOAP 1.1</option>
+                                        <option value="12" <?php selected( $profile['soap_version'], 12 ); ?>>SOAP 1.2</option>
+                                    </select>
+                                    <p class="description"><?php _e('Switch if one binding causes faults or empty responses.', 'erp-sync'); ?></p>
+                                </td>
+                            </tr>
+                            <tr>
+                                <th></th>
+                                <td>
+                                    <button type="button" class="button erp-sync-profile-test"><?php _e('Test connection', 'erp-sync'); ?></button>
+                                    <span class="erp-sync-profile-test-result"></span>
+                                    <?php if ( $profile_id !== Connection_Profiles::DEFAULT_ID && $profile_id !== 'new' ) : ?>
+                                        <label class="erp-sync-profile-delete"><input type="checkbox" name="<?php echo esc_attr( $name ); ?>[delete]" value="1"> <?php _e('Delete this profile on save', 'erp-sync'); ?></label>
+                                    <?php endif; ?>
+                                </td>
+                            </tr>
+                        </tbody>
+                        <?php endforeach; ?>
+                        <tbody>
                         <tr>
-                            <th><label for="force_location"><?php _e('Force Endpoint','erp-sync'); ?></label></th>
+                            <th><?php _e('Profile per Sync','erp-sync'); ?></th>
                             <td>
-                                <input type="text" class="regular-text" id="force_location" name="force_location" value="<?php echo esc_attr( $force_location ); ?>">
-                                <p class="description"><?php _e('Full URL without ?wsdl (leave blank to rely on WSDL).', 'erp-sync'); ?></p>
+                                <?php
+                                $binding_labels = [
+                                    Sync_History::TYPE_CATALOG => __( 'Catalog', 'erp-sync' ),
+                                    Sync_History::TYPE_STOCK   => __( 'Stock & prices', 'erp-sync' ),
+                                    Sync_History::TYPE_COUPONS => __( 'Coupons', 'erp-sync' ),
+                                ];
+                                foreach ( $binding_labels as $sync_type => $label ) :
+                                    $bound = Connection_Profiles::get_binding( $sync_type );
+                                ?>
+                                    <label class="erp-sync-profile-binding">
+                                        <?php echo esc_html( $label ); ?>
+                                        <select name="profile_bindings[<?php echo esc_attr( $sync_type ); ?>]">
+                                            <?php foreach ( $profiles as $profile ) : ?>
+                                                <option value="<?php echo esc_attr( $profile['id'] ); ?>" <?php selected( $bound, $profile['id'] ); ?>><?php echo esc_html( $profile['name'] ); ?></option>
+                                            <?php endforeach; ?>
+                                        </select>
+                                    </label>
+                                <?php endforeach; ?>
+                                <p class="description"><?php _e('Manual, scheduled and webhook runs of each sync, the cart stock check and the Diagnostics workbench use the profile chosen here. Schedules are set per sync under Products Automation and Coupons Automation.', 'erp-sync'); ?></p>
                             </td>
                         </tr>
                         <tr>
-                            <th><label for="username"><?php _e('Username','erp-sync'); ?></label></th>
-                            <td><input type="text" class="regular-text" id="username" name="username" value="<?php echo esc_attr( $username ); ?>"></td>
+                            <th><label for="batch_size_min"><?php _e('Batch Size (min / max)','erp-sync'); ?></label></th>
+                            <td>
+                                <input type="number" min="1" max="<?php echo esc_attr( Sync_Service::BATCH_SIZE_LIMIT ); ?>" id="batch_size_min" name="batch_size_min" value="<?php echo esc_attr( $batch_bounds['min'] ); ?>" style="width:80px;">
+                                /
+                                <input type="number" min="1" max="<?php echo esc_attr( Sync_Service::BATCH_SIZE_LIMIT ); ?>" id="batch_size_max" name="batch_size_max" value="<?php echo esc_attr( $batch_bounds['max'] ); ?>" style="width:80px;">
+                                <p class="description"><?php _e('Manual syncs grow or shrink the number of items per request within these bounds, based on how long each request takes. Lower the maximum if batches time out on your host.', 'erp-sync'); ?></p>
+                            </td>
                         </tr>
                         <tr>
-                            <th><label for="password"><?php _e('Password','erp-sync'); ?></label></th>
+                            <th><?php _e('Last Sync','erp-sync'); ?></th>
+                            <td><strong><?php echo esc_html( $last_sync ); ?></strong></td>
+                        </tr>
+                        <tr>
+                            <th><label for="debug"><?php _e('Enable Debug Trace','erp-sync'); ?></label></th>
                             <td>
-                                <input type="password" class="regular-text" id="password" name="password" value="" placeholder="<?php esc_attr_e('(leave blank to keep)','erp-sync'); ?>">
-                                <p class="description"><?php _e('Password is encrypted before storage.', 'erp-sync'); ?> 🔒</p>
+                                <label><input type="checkbox" id="debug" name="debug" value="1" <?php checked( $debug ); ?>> <?php _e('Capture detailed SOAP request/response, headers & performance metrics.', 'erp-sync'); ?></label>
                             </td>
                         </tr>
+                        </tbody>
+                    </table>
+
+                    <h2><?php _e( 'Mock ERP', 'erp-sync' ); ?></h2>
+                    <p class="description"><?php _e('For staging sites and testing: serve the catalog, stock and coupon cards without contacting the ERP. Each operation uses its uploaded fixture if there is one, otherwise the seeded generator.', 'erp-sync'); ?></p>
+                    <table class="form-table erp-sync-mock-settings">
                         <tr>
-                            <th><label for="timeout"><?php _e('Timeout (sec)','erp-sync'); ?></label></th>
-                            <td><input type="number" min="5" id="timeout" name="timeout" value="<?php echo esc_attr( $timeout ); ?>"></td>
+                            <th><label for="mock_enabled"><?php _e('Enable Mock ERP','erp-sync'); ?></label></th>
+                            <td>
+                                <label><input type="checkbox" id="mock_enabled" name="mock_enabled" value="1" <?php checked( $mock_enabled ); ?>> <?php _e('Answer Products, GetProductsStock and InformationCards locally. No SOAP requests are made.', 'erp-sync'); ?></label>
+                            </td>
                         </tr>
                         <tr>
-                            <th><label for="soap_version"><?php _e('SOAP Version','erp-sync'); ?></label></th>
+                            <th><label for="mock_seed"><?php _e('Generator Seed','erp-sync'); ?></label></th>
                             <td>
-                                <select id="soap_version" name="soap_version">
-                                    <option value="11" <?php selected( $soap_version, 11 ); ?>>SOAP 1.1</option>
-                                    <option value="12" <?php selected( $soap_version, 12 ); ?>>SOAP 1.2</option>
-                                </select>
-                                <p class="description"><?php _e('Switch if one binding causes faults or empty responses.', 'erp-sync'); ?></p>
+                                <input type="number" id="mock_seed" name="mock_generator[seed]" value="<?php echo esc_attr( $mock_generator['seed'] ); ?>" style="width:100px;">
+                                <p class="description"><?php _e('The same seed always generates the same products and cards.', 'erp-sync'); ?></p>
                             </td>
                         </tr>
                         <tr>
-                            <th><?php _e('Last Sync','erp-sync'); ?></th>
-                            <td><strong><?php echo esc_html( $last_sync ); ?></strong></td>
+                            <th><label for="mock_products"><?php _e('Products / Warehouses','erp-sync'); ?></label></th>
+                            <td>
+                                <input type="number" min="0" max="<?php echo esc_attr( Mock_ERP::GENERATOR_LIMITS['products'] ); ?>" id="mock_products" name="mock_generator[products]" value="<?php echo esc_attr( $mock_generator['products'] ); ?>" style="width:100px;">
+                                /
+                                <input type="number" min="1" max="<?php echo esc_attr( Mock_ERP::GENERATOR_LIMITS['warehouses'] ); ?>" id="mock_warehouses" name="mock_generator[warehouses]" value="<?php echo esc_attr( $mock_generator['warehouses'] ); ?>" style="width:80px;">
+                                <p class="description"><?php _e('Lower the product count after an import to leave products out of the stock feed and exercise orphan cleanup.', 'erp-sync'); ?></p>
+                            </td>
                         </tr>
                         <tr>
-                            <th><label for="debug"><?php _e('Enable Debug Trace','erp-sync'); ?></label></th>
+                            <th><label for="mock_price_churn"><?php _e('Price Churn (%)','erp-sync'); ?></label></th>
                             <td>
-                                <label><input type="checkbox" id="debug" name="debug" value="1" <?php checked( $debug ); ?>> <?php _e('Capture detailed SOAP request/response, headers & performance metrics.', 'erp-sync'); ?></label>
+                                <input type="number" min="0" max="100" id="mock_price_churn" name="mock_generator[price_churn]" value="<?php echo esc_attr( $mock_generator['price_churn'] ); ?>" style="width:80px;">
+                                <p class="description">
+                                    <?php _e('Share of products whose price and quantities change on each full stock fetch.', 'erp-sync'); ?>
+                                    <?php printf( esc_html__( 'Stock fetches so far: %d.', 'erp-sync' ), (int) get_option( Mock_ERP::OPTION_ROUND, 0 ) ); ?>
+                                </p>
+                            </td>
+                        </tr>
+                        <tr>
+                            <th><label for="mock_cards"><?php _e('Coupon Cards','erp-sync'); ?></label></th>
+                            <td><input type="number" min="0" max="<?php echo esc_attr( Mock_ERP::GENERATOR_LIMITS['cards'] ); ?>" id="mock_cards" name="mock_generator[cards]" value="<?php echo esc_attr( $mock_generator['cards'] ); ?>" style="width:100px;"></td>
+                        </tr>
+                        <?php foreach ( array_keys( Mock_ERP::OPERATIONS ) as $operation ) :
+                            $field   = 'mock_fixture_' . strtolower( $operation );
+                            $fixture = $mock_fixtures[ $operation ] ?? null;
+                        ?>
+                        <tr>
+                            <th><label for="<?php echo esc_attr( $field ); ?>"><?php printf( esc_html__( '%s Fixture', 'erp-sync' ), esc_html( $operation ) ); ?></label></th>
+                            <td>
+                                <input type="file" id="<?php echo esc_attr( $field ); ?>" name="<?php echo esc_attr( $field ); ?>" accept=".xml,.json">
+                                <?php if ( $fixture ) : ?>
+                                    <p class="description">
+                                        <?php printf(
+                                            /* translators: 1: file name, 2: row count, 3: upload date */
+                                            esc_html__( 'Using %1$s (%2$d rows, uploaded %3$s).', 'erp-sync' ),
+                                            '<code>' . esc_html( $fixture['name'] ) . '</code>',
+                                            (int) $fixture['rows'],
+                                            esc_html( wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), (int) $fixture['uploaded_at'] ) )
+                                        ); ?>
+                                        <label><input type="checkbox" name="<?php echo esc_attr( $field ); ?>_remove" value="1"> <?php _e('Remove', 'erp-sync'); ?></label>
+                                    </p>
+                                <?php else : ?>
+                                    <p class="description"><?php _e('None, generated data is used.', 'erp-sync'); ?></p>
+                                <?php endif; ?>
                             </td>
                         </tr>
+                        <?php endforeach; ?>
                     </table>
+                    <p class="description"><?php _e('Fixtures are XML (a saved SOAP response) or JSON (the response object or a plain list of rows).', 'erp-sync'); ?></p>
 
                     <h2><?php _e( 'Products Automation', 'erp-sync' ); ?></h2>
                     <p class="description"><?php _e('Schedule automatic synchronization of product catalog, stock and prices.', 'erp-sync'); ?></p>
@@ -1089,6 +2062,7 @@ class Admin {
                                 </select>
                                 <p class="description">
                                     <?php printf( __('Next run: %s', 'erp-sync' ), '<strong>' . esc_html( $catalog_cron_next ) . '</strong>' ); ?>
+                                    &middot; <?php printf( __('Profile: %s', 'erp-sync' ), '<strong>' . esc_html( $profiles[ Connection_Profiles::get_binding( Sync_History::TYPE_CATALOG ) ]['name'] ) . '</strong>' ); ?>
                                     <?php
                                     if ( is_array( $catalog_cron_last_res ) && ! empty( $catalog_cron_last_res ) ) {
                                         echo '<br>'.esc_html( sprintf(
@@ -1125,80 +2099,63 @@ class Admin {
                                 </select>
                                 <p class="description">
                                     <?php printf( __('Next run: %s', 'erp-sync' ), '<strong>' . esc_html( $stock_cron_next ) . '</strong>' ); ?>
+                                    &middot; <?php printf( __('Profile: %s', 'erp-sync' ), '<strong>' . esc_html( $profiles[ Connection_Profiles::get_binding( Sync_History::TYPE_STOCK ) ]['name'] ) . '</strong>' ); ?>
                                     <?php
                                     if ( is_array( $stock_cron_last_res ) && ! empty( $stock_cron_last_res ) ) {
                                         echo '<br>'.esc_html( sprintf(
                                             __('Last run: %s, success=%s, updated=%d, skipped=%d, duration=%sms', 'erp-sync'),
                                             $stock_cron_last_res['time'] ?? '—',
-                                            ! empty( $stock_cron_last_res['success'] ) ? 'yes' : 'no',
-                                            (int) ( $stock_cron_last_res['updated'] ?? 0 ),
-                                            (int) ( $stock_cron_last_res['skipped'] ?? 0 ),
-                                            (int) ( $stock_cron_last_res['duration_ms'] ?? 0 )
-                                        ) );
-                                        if ( ! empty( $stock_cron_last_res['error'] ) ) {
-                                            echo '<br><span class="erp-sync-error">'.esc_html( sprintf( __('Error: %s','erp-sync' ), $stock_cron_last_res['error'] ) ).'</span>';
-                                        }
-                                    }
-                                    ?>
-                                </p>
-                            </td>
-                        </tr>
-                    </table>
-
-                    <h2><?php _e( 'Attribute Mapping', 'erp-sync' ); ?></h2>
-                    <p class="description"><?php _e('Configure how ERP source fields map to WooCommerce product attributes. Values should be WooCommerce attribute taxonomy slugs (e.g., starting with <code>pa_</code>).', 'erp-sync'); ?></p>
-                    <table class="form-table">
-                        <tr>
-                            <th><label for="attr_mapping_brand"><?php _e('Brand','erp-sync'); ?></label></th>
-                            <td>
-                                <input type="text" class="regular-text" id="attr_mapping_brand" name="attr_mapping_brand" value="<?php echo esc_attr( $attr_mapping_brand ); ?>">
-                                <p class="description"><?php _e('Default: <code>pa_brand</code>', 'erp-sync'); ?></p>
-                            </td>
-                        </tr>
-                        <tr>
-                            <th><label for="attr_mapping_color"><?php _e('Color','erp-sync'); ?></label></th>
-                            <td>
-                                <input type="text" class="regular-text" id="attr_mapping_color" name="attr_mapping_color" value="<?php echo esc_attr( $attr_mapping_color ); ?>">
-                                <p class="description"><?php _e('Default: <code>pa_color</code>', 'erp-sync'); ?></p>
-                            </td>
-                        </tr>
-                        <tr>
-                            <th><label for="attr_mapping_size"><?php _e('Size','erp-sync'); ?></label></th>
-                            <td>
-                                <input type="text" class="regular-text" id="attr_mapping_size" name="attr_mapping_size" value="<?php echo esc_attr( $attr_mapping_size ); ?>">
-                                <p class="description"><?php _e('Default: <code>pa_size</code>', 'erp-sync'); ?></p>
-                            </td>
-                        </tr>
-                        <tr>
-                            <th><label for="attr_mapping_mechanism"><?php _e('Mechanism','erp-sync'); ?></label></th>
-                            <td>
-                                <input type="text" class="regular-text" id="attr_mapping_mechanism" name="attr_mapping_mechanism" value="<?php echo esc_attr( $attr_mapping_mechanism ); ?>">
-                                <p class="description"><?php _e('Default: <code>pa_mechanism</code>', 'erp-sync'); ?></p>
-                            </td>
-                        </tr>
-                        <tr>
-                            <th><label for="attr_mapping_bracelet"><?php _e('Bracelet','erp-sync'); ?></label></th>
-                            <td>
-                                <input type="text" class="regular-text" id="attr_mapping_bracelet" name="attr_mapping_bracelet" value="<?php echo esc_attr( $attr_mapping_bracelet ); ?>">
-                                <p class="description"><?php _e('Default: <code>pa_bracelet</code>', 'erp-sync'); ?></p>
-                            </td>
-                        </tr>
-                        <tr>
-                            <th><label for="attr_mapping_gender"><?php _e('Gender','erp-sync'); ?></label></th>
-                            <td>
-                                <input type="text" class="regular-text" id="attr_mapping_gender" name="attr_mapping_gender" value="<?php echo esc_attr( $attr_mapping_gender ); ?>">
-                                <p class="description"><?php _e('Default: <code>pa_gender</code>', 'erp-sync'); ?></p>
+                                            ! empty( $stock_cron_last_res['success'] ) ? 'yes' : 'no',
+                                            (int) ( $stock_cron_last_res['updated'] ?? 0 ),
+                                            (int) ( $stock_cron_last_res['skipped'] ?? 0 ),
+                                            (int) ( $stock_cron_last_res['duration_ms'] ?? 0 )
+                                        ) );
+                                        if ( ! empty( $stock_cron_last_res['error'] ) ) {
+                                            echo '<br><span class="erp-sync-error">'.esc_html( sprintf( __('Error: %s','erp-sync' ), $stock_cron_last_res['error'] ) ).'</span>';
+                                        }
+                                    }
+                                    ?>
+                                </p>
                             </td>
                         </tr>
                         <tr>
-                            <th><label for="attr_mapping_bijouterie"><?php _e('Bijouterie','erp-sync'); ?></label></th>
+                            <th><label for="cart_auto_adjust"><?php _e('Cart Stock Check','erp-sync'); ?></label></th>
                             <td>
-                                <input type="text" class="regular-text" id="attr_mapping_bijouterie" name="attr_mapping_bijouterie" value="<?php echo esc_attr( $attr_mapping_bijouterie ); ?>">
-                                <p class="description"><?php _e('Default: <code>pa_bijouterie</code>', 'erp-sync'); ?></p>
+                                <label><input type="checkbox" id="cart_auto_adjust" name="cart_auto_adjust" value="1" <?php checked( $cart_auto_adjust ); ?>> <?php _e('Lower cart quantities to the ERP stock automatically.', 'erp-sync'); ?></label>
+                                <p class="description"><?php _e('The cart is re-checked against the ERP on the cart page, after cart updates and at checkout. Without this option, customers are asked to change the quantities themselves.', 'erp-sync'); ?></p>
                             </td>
                         </tr>
                     </table>
 
+                    <h2><?php _e( 'Attribute Mapping', 'erp-sync' ); ?></h2>
+                    <p class="description"><?php _e('Map each field of the ERP product catalog to a WooCommerce attribute, to product meta, or ignore it. Fields are read from the last catalog response, so fields the ERP adds appear here after the next catalog sync. Product name and SKU are always synced.', 'erp-sync'); ?></p>
+                    <div id="erp-sync-attribute-mapping" class="erp-sync-attribute-mapping">
+                        <div class="erp-sync-attribute-mapping-toolbar">
+                            <span class="erp-sync-attribute-mapping-source"></span>
+                            <button type="button" class="button" id="erp-sync-attribute-fields-refresh"><?php _e('Fetch fields from ERP', 'erp-sync'); ?></button>
+                        </div>
+                        <table class="widefat striped erp-sync-attribute-mapping-table">
+                            <thead>
+                                <tr>
+                                    <th style="width: 20%;"><?php _e('ERP field', 'erp-sync'); ?></th>
+                                    <th><?php _e('Sample values', 'erp-sync'); ?></th>
+                                    <th style="width: 10%;"><?php _e('Filled', 'erp-sync'); ?></th>
+                                    <th style="width: 35%;"><?php _e('Map to', 'erp-sync'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <tr><td colspan="4"><?php _e('Loading fields...', 'erp-sync'); ?></td></tr>
+                            </tbody>
+                        </table>
+
+                        <h3><?php _e('Preview', 'erp-sync'); ?></h3>
+                        <p>
+                            <label for="erp-sync-attribute-preview-row"><?php _e('Sample product:', 'erp-sync'); ?></label>
+                            <select id="erp-sync-attribute-preview-row"></select>
+                        </p>
+                        <div class="erp-sync-attribute-preview"></div>
+                    </div>
+
                     <h2><?php _e( 'Coupons Automation', 'erp-sync' ); ?></h2>
                     <table class="form-table">
                         <tr>
@@ -1217,6 +2174,7 @@ class Admin {
                                 </select>
                                 <p class="description">
                                     <?php printf( __('Next run: %s', 'erp-sync' ), '<strong>' . esc_html( $cron_next ) . '</strong>' ); ?>
+                                    &middot; <?php printf( __('Profile: %s', 'erp-sync' ), '<strong>' . esc_html( $profiles[ Connection_Profiles::get_binding( Sync_History::TYPE_COUPONS ) ]['name'] ) . '</strong>' ); ?>
                                     <?php
                                     if ( is_array( $cron_last_res ) && ! empty( $cron_last_res ) ) {
                                         echo '<br>'.esc_html( sprintf(
@@ -1292,11 +2250,126 @@ class Admin {
                                 <p class="description"><?php _e('Include header: <code>X-ERPSync-Secret: your_secret</code>', 'erp-sync'); ?></p>
                             </td>
                         </tr>
+                        <tr>
+                            <th><?php _e('REST API','erp-sync'); ?></th>
+                            <td>
+                                <code><?php echo esc_url( rest_url( REST_API::ROUTE_NAMESPACE . '/' ) ); ?></code>
+                                <ul class="erp-sync-rest-routes">
+                                    <li><code>POST syncs</code> &mdash; <?php _e('start a sync: <code>type</code> = catalog, stock, coupons or sku (with <code>sku</code>)', 'erp-sync'); ?></li>
+                                    <li><code>GET syncs/{session_id}</code> &mdash; <?php _e('progress of a running sync, or its result', 'erp-sync'); ?></li>
+                                    <li><code>POST syncs/{session_id}/cancel</code> &mdash; <?php _e('stop a sync after the current batch', 'erp-sync'); ?></li>
+                                    <li><code>GET runs</code> &mdash; <?php _e('recent runs (<code>type</code>, <code>limit</code>)', 'erp-sync'); ?></li>
+                                    <li><code>GET last-error</code> &mdash; <?php _e('latest failed run and SOAP fault', 'erp-sync'); ?></li>
+                                </ul>
+                                <p class="description"><?php _e('Authenticate with an application password of a shop manager, or with the secret header above.', 'erp-sync'); ?></p>
+                            </td>
+                        </tr>
                     </table>
+
+                    <h3><?php _e( 'Delivery Log', 'erp-sync' ); ?></h3>
+                    <p class="description">
+                        <?php
+                        printf(
+                            /* translators: %d: maximum number of delivery attempts */
+                            esc_html__( 'Notifications are queued and sent in the background. Failed deliveries are retried with growing delays, up to %d attempts.', 'erp-sync' ),
+                            Webhook_Queue::MAX_ATTEMPTS
+                        );
+                        ?>
+                    </p>
+                    <div id="erp-sync-webhook-deliveries" class="erp-sync-webhook-deliveries">
+                        <div class="erp-sync-webhook-deliveries-filters">
+                            <label>
+                                <?php esc_html_e( 'Status', 'erp-sync' ); ?>
+                                <select id="erp-sync-webhook-status">
+                                    <option value=""><?php esc_html_e( 'All deliveries', 'erp-sync' ); ?></option>
+                                    <option value="<?php echo esc_attr( Webhook_Queue::STATUS_PENDING ); ?>"><?php esc_html_e( 'Pending / retrying', 'erp-sync' ); ?></option>
+                                    <option value="<?php echo esc_attr( Webhook_Queue::STATUS_DELIVERED ); ?>"><?php esc_html_e( 'Delivered', 'erp-sync' ); ?></option>
+                                    <option value="<?php echo esc_attr( Webhook_Queue::STATUS_FAILED ); ?>"><?php esc_html_e( 'Failed', 'erp-sync' ); ?></option>
+                                </select>
+                            </label>
+                            <button type="button" class="button erp-sync-webhook-refresh"><?php esc_html_e( 'Refresh', 'erp-sync' ); ?></button>
+                            <button type="button" class="button erp-sync-webhook-test"><?php esc_html_e( 'Send test event', 'erp-sync' ); ?></button>
+                        </div>
+
+                        <div class="erp-sync-webhook-test-result" aria-live="polite"></div>
+                        <div class="erp-sync-webhook-deliveries-summary" aria-live="polite"></div>
+
+                        <table class="widefat striped erp-sync-webhook-deliveries-table">
+                            <thead>
+                                <tr>
+                                    <th><?php esc_html_e( 'Event', 'erp-sync' ); ?></th>
+                                    <th><?php esc_html_e( 'Status', 'erp-sync' ); ?></th>
+                                    <th><?php esc_html_e( 'Attempts', 'erp-sync' ); ?></th>
+                                    <th><?php esc_html_e( 'Response', 'erp-sync' ); ?></th>
+                                    <th><?php esc_html_e( 'Latency', 'erp-sync' ); ?></th>
+                                    <th><?php esc_html_e( 'Queued', 'erp-sync' ); ?></th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody></tbody>
+                        </table>
+
+                        <div class="erp-sync-webhook-deliveries-pagination tablenav-pages">
+                            <button type="button" class="button erp-sync-webhook-prev">&lsaquo;</button>
+                            <span class="erp-sync-webhook-page"></span>
+                            <button type="button" class="button erp-sync-webhook-next">&rsaquo;</button>
+                        </div>
+                    </div>
                 </div>
 
                 <!-- Security Tab -->
                 <div id="tab-security" class="erp-sync-tab-content" style="display:none;">
+                    <h2><?php _e( 'Security Dashboard', 'erp-sync' ); ?></h2>
+                    <p class="description"><?php _e('API calls per day, the busiest IP addresses and rejected requests (rate limit, blocked IPs, failed webhook secrets). Logs are kept for 30 days.', 'erp-sync'); ?></p>
+
+                    <div id="erp-sync-security-dashboard">
+                        <div class="erp-sync-dashboard-filters">
+                            <select id="erp-sync-security-days">
+                                <option value="7" selected><?php _e('Last 7 days', 'erp-sync'); ?></option>
+                                <option value="14"><?php _e('Last 14 days', 'erp-sync'); ?></option>
+                                <option value="30"><?php _e('Last 30 days', 'erp-sync'); ?></option>
+                            </select>
+                            <button type="button" class="button" id="erp-sync-security-refresh"><?php _e('Refresh', 'erp-sync'); ?></button>
+                            <span class="erp-sync-security-summary"></span>
+                        </div>
+
+                        <div class="erp-sync-dashboard-charts">
+                            <div class="erp-sync-chart" data-metric="calls"><h3><?php _e('API calls per day', 'erp-sync'); ?></h3><div class="erp-sync-chart-body"></div></div>
+                            <div class="erp-sync-chart" data-metric="unique_ips"><h3><?php _e('Unique IPs per day', 'erp-sync'); ?></h3><div class="erp-sync-chart-body"></div></div>
+                        </div>
+
+                        <h3><?php _e('Top IP Addresses', 'erp-sync'); ?></h3>
+                        <table class="widefat striped erp-sync-security-ips-table">
+                            <thead>
+                                <tr>
+                                    <th><?php _e('IP address', 'erp-sync'); ?></th>
+                                    <th><?php _e('Calls', 'erp-sync'); ?></th>
+                                    <th><?php _e('Last call', 'erp-sync'); ?></th>
+                                    <th><?php _e('Status', 'erp-sync'); ?></th>
+                                    <th><?php _e('Actions', 'erp-sync'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <tr><td colspan="5"><?php _e('Loading...', 'erp-sync'); ?></td></tr>
+                            </tbody>
+                        </table>
+
+                        <h3><?php _e('Security Events', 'erp-sync'); ?></h3>
+                        <table class="widefat striped erp-sync-security-events-table">
+                            <thead>
+                                <tr>
+                                    <th><?php _e('Date', 'erp-sync'); ?></th>
+                                    <th><?php _e('Event', 'erp-sync'); ?></th>
+                                    <th><?php _e('IP address', 'erp-sync'); ?></th>
+                                    <th><?php _e('Details', 'erp-sync'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <tr><td colspan="4"><?php _e('Loading...', 'erp-sync'); ?></td></tr>
+                            </tbody>
+                        </table>
+                    </div>
+
                     <h2><?php _e( 'Security Settings', 'erp-sync' ); ?></h2>
                     <p class="description"><?php _e('Protect your API calls with rate limiting and IP whitelisting.', 'erp-sync'); ?></p>
                     
@@ -1315,13 +2388,20 @@ class Admin {
                             </td>
                         </tr>
                         <tr>
-                            <th><label for="ip_whitelist"><?php _e('IP Whitelist','erp-sync'); ?></label></th>
+                            <th><label for="ip_whitelist_new"><?php _e('IP Whitelist','erp-sync'); ?></label></th>
                             <td>
-                                <textarea id="ip_whitelist" name="ip_whitelist" rows="5" class="large-text"><?php echo esc_textarea( $ip_whitelist ); ?></textarea>
-                                <p class="description"><?php _e('One IP address per line. Leave empty to allow all IPs.', 'erp-sync'); ?></p>
+                                <?php self::render_ip_list_editor( 'ip_whitelist', $ip_whitelist ); ?>
+                                <p class="description"><?php _e('IP addresses or CIDR ranges (e.g. 203.0.113.10, 10.0.0.0/8, 2001:db8::/32). Leave empty to allow all IPs.', 'erp-sync'); ?></p>
                                 <p class="description"><?php printf( __('Your current IP: %s', 'erp-sync'), '<code>' . esc_html( Security::get_client_ip() ) . '</code>' ); ?></p>
                             </td>
                         </tr>
+                        <tr>
+                            <th><label for="ip_blocklist_new"><?php _e('IP Blocklist','erp-sync'); ?></label></th>
+                            <td>
+                                <?php self::render_ip_list_editor( 'ip_blocklist', $ip_blocklist ); ?>
+                                <p class="description"><?php _e('Always rejected, even when they match the whitelist.', 'erp-sync'); ?></p>
+                            </td>
+                        </tr>
                         <tr>
                             <th><?php _e('Credential Encryption','erp-sync'); ?></th>
                             <td>
@@ -1340,21 +2420,45 @@ class Admin {
 
             <!-- Actions Tab (outside the main settings form - contains its own forms) -->
             <div id="tab-actions" class="erp-sync-tab-content" style="display:none;">
+                <div id="erp-sync-console" class="erp-sync-console" style="display:none;">
+                    <div class="erp-sync-console-header">
+                        <strong class="erp-sync-console-title"><?php _e('Sync Console', 'erp-sync'); ?></strong>
+                        <span class="erp-sync-console-source"></span>
+                        <button type="button" class="button-link" id="erp-sync-console-clear"><?php _e('Clear log', 'erp-sync'); ?></button>
+                    </div>
+                    <div class="erp-sync-console-stats">
+                        <div><span><?php _e('Elapsed', 'erp-sync'); ?></span><strong data-stat="elapsed">0:00</strong></div>
+                        <div><span><?php _e('Items/sec', 'erp-sync'); ?></span><strong data-stat="rate">—</strong></div>
+                        <div><span><?php _e('ETA', 'erp-sync'); ?></span><strong data-stat="eta">—</strong></div>
+                        <div><span><?php _e('Created', 'erp-sync'); ?></span><strong data-stat="created">0</strong></div>
+                        <div><span><?php _e('Updated', 'erp-sync'); ?></span><strong data-stat="updated">0</strong></div>
+                        <div><span><?php _e('Skipped', 'erp-sync'); ?></span><strong data-stat="skipped">0</strong></div>
+                        <div><span><?php _e('Errors', 'erp-sync'); ?></span><strong data-stat="errors">0</strong></div>
+                    </div>
+                    <ol class="erp-sync-console-log"></ol>
+                </div>
+
                 <h2><?php _e( 'Products Sync', 'erp-sync' ); ?></h2>
                 <p class="description"><?php _e('Synchronize WooCommerce products with the ERP system.', 'erp-sync'); ?></p>
                 
                 <div class="erp-sync-action-buttons">
                     <div style="display:inline-block; margin-right: 20px;">
-                        <button type="button" class="button button-primary erp-sync-ajax-btn" data-action="erp_sync_catalog" id="btn-sync-catalog">
+                        <button type="button" class="button button-primary erp-sync-ajax-btn" data-sync-type="catalog" id="btn-sync-catalog">
                             <?php _e('Sync Products Catalog','erp-sync'); ?>
                         </button>
+                        <button type="button" class="button erp-sync-ajax-btn" data-sync-type="catalog" data-dry-run="1" style="margin-top: 5px;">
+                            <?php _e('Preview Changes','erp-sync'); ?>
+                        </button>
                         <p class="description"><?php _e('Updates names, attributes, and creates new products. Run once daily.', 'erp-sync'); ?></p>
                     </div>
 
                     <div style="display:inline-block;">
-                        <button type="button" class="button button-primary erp-sync-ajax-btn" data-action="erp_sync_stock" id="btn-sync-stock">
+                        <button type="button" class="button button-primary erp-sync-ajax-btn" data-sync-type="stock" id="btn-sync-stock">
                             <?php _e('Sync Stock & Prices','erp-sync'); ?>
                         </button>
+                        <button type="button" class="button erp-sync-ajax-btn" data-sync-type="stock" data-dry-run="1" style="margin-top: 5px;">
+                            <?php _e('Preview Changes','erp-sync'); ?>
+                        </button>
                         <p class="description"><?php _e('Updates only prices and quantities. Run frequently.', 'erp-sync'); ?></p>
                     </div>
                 </div>
@@ -1366,9 +2470,12 @@ class Admin {
                 
                 <div class="erp-sync-action-buttons">
                     <div style="display:inline-block; margin-right: 20px; margin-bottom: 15px;">
-                        <button type="button" class="button button-primary erp-sync-ajax-btn" data-action="erp_sync_coupons" id="btn-sync-coupons">
+                        <button type="button" class="button button-primary erp-sync-ajax-btn" data-sync-type="coupons" id="btn-sync-coupons">
                             <?php _e('Sync Coupons (Batch)','erp-sync'); ?>
                         </button>
+                        <button type="button" class="button erp-sync-ajax-btn" data-sync-type="coupons" data-dry-run="1" style="margin-top: 5px;">
+                            <?php _e('Preview Changes','erp-sync'); ?>
+                        </button>
                         <p class="description"><?php _e('Batch sync all coupons from 1C. Handles large datasets without timeouts.', 'erp-sync'); ?></p>
                     </div>
 
@@ -1433,15 +2540,44 @@ class Admin {
 
                 <hr style="margin: 20px 0;">
 
-                <h2><?php _e( 'CSV Coupon Import', 'erp-sync' ); ?></h2>
-                <p class="description"><?php _e('Upload a CSV file to batch import/update WooCommerce coupons. The CSV must contain exactly three columns: <code>code</code>, <code>phone</code>, <code>discount</code>.', 'erp-sync'); ?></p>
+                <h2><?php _e( 'CSV Import', 'erp-sync' ); ?></h2>
+                <p class="description"><?php _e('Upload a CSV file to batch import/update WooCommerce coupons, or to override product prices and branch stock while the ERP is unavailable. The file is checked in the browser first: map its columns, review the warnings, then import.', 'erp-sync'); ?></p>
+                <p class="description"><?php _e('<strong>Coupons</strong>: <code>code</code>, <code>phone</code>, <code>discount</code> plus optional <code>dob</code>, <code>is_deleted</code>, <code>allowed_phones</code>, <code>expiry_date</code> (dates as YYYY-MM-DD). <strong>Products</strong>: <code>sku</code> plus optional <code>price</code>, <code>sale_price</code> and one <code>stock:Branch name</code> column per branch. Empty optional cells keep the current value; the next ERP stock sync replaces product overrides.', 'erp-sync'); ?></p>
+
+                <div class="erp-sync-csv-templates" style="margin-top: 10px;">
+                    <?php foreach ( [ Sync_Service::CSV_IMPORT_COUPONS => __( 'Download Coupons Template', 'erp-sync' ), Sync_Service::CSV_IMPORT_PRODUCTS => __( 'Download Products Template', 'erp-sync' ) ] as $template_type => $template_label ) : ?>
+                        <form method="post" action="<?php echo esc_url( admin_url('admin-post.php') ); ?>" style="display:inline-block;">
+                            <?php wp_nonce_field( 'erp_sync_actions' ); ?>
+                            <input type="hidden" name="action" value="erp_sync_download_csv_template" />
+                            <input type="hidden" name="import_type" value="<?php echo esc_attr( $template_type ); ?>" />
+                            <?php submit_button( $template_label, 'secondary', 'submit', false ); ?>
+                        </form>
+                    <?php endforeach; ?>
+                </div>
 
                 <div class="erp-sync-csv-import" style="margin-top: 15px;">
+                    <select id="erp-sync-csv-type" style="margin-right: 10px;">
+                        <option value="<?php echo esc_attr( Sync_Service::CSV_IMPORT_COUPONS ); ?>"><?php _e('Coupons', 'erp-sync'); ?></option>
+                        <option value="<?php echo esc_attr( Sync_Service::CSV_IMPORT_PRODUCTS ); ?>"><?php _e('Product prices & stock', 'erp-sync'); ?></option>
+                    </select>
                     <input type="file" id="erp-sync-csv-file" accept=".csv,text/csv" style="margin-right: 10px;">
-                    <button type="button" class="button button-primary" id="erp-sync-csv-import-btn">
-                        <?php _e('Import CSV Coupons','erp-sync'); ?>
+                    <button type="button" class="button button-primary" id="erp-sync-csv-import-btn" disabled>
+                        <?php _e('Import CSV','erp-sync'); ?>
                     </button>
-                    <p class="description" style="margin-top: 8px;"><?php _e('Supported format: CSV with headers <code>code,phone,discount</code>. Processes in batches of 50 for large files (15,000+ rows).', 'erp-sync'); ?></p>
+                    <p class="description" style="margin-top: 8px;"><?php _e('Headers such as <code>Card</code>, <code>Mobile</code>, <code>Percent</code> or <code>VendorCode</code> are recognised automatically. Comma, semicolon and tab separated files are supported. Large files (15,000+ rows) are processed in batches.', 'erp-sync'); ?></p>
+                </div>
+
+                <div id="erp-sync-csv-preview" class="erp-sync-csv-preview" style="display:none;">
+                    <div class="erp-sync-csv-mapping"></div>
+                    <p class="erp-sync-csv-summary"></p>
+                    <table class="widefat striped erp-sync-csv-preview-table">
+                        <thead></thead>
+                        <tbody></tbody>
+                    </table>
+                    <details class="erp-sync-csv-warnings" style="display:none;">
+                        <summary></summary>
+                        <ul></ul>
+                    </details>
                 </div>
             </div>
 
@@ -1461,6 +2597,12 @@ class Admin {
                 if ( ! is_array( $branch_settings ) ) {
                     $branch_settings = [];
                 }
+
+                $branch_service    = new Product_Service();
+                $detected_branches = Product_Service::sort_branches_by_position( $detected_branches, $branch_settings );
+                $branch_last_seen  = $branch_service->get_branch_last_seen();
+                $stale_branches    = $branch_service->get_stale_branches();
+                $datetime_format   = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
                 ?>
                 
                 <?php if ( empty( $detected_branches ) ) : ?>
@@ -1469,16 +2611,44 @@ class Admin {
                         <p><?php _e('Run a Stock Sync from the Actions tab to discover available branches from your ERP system.', 'erp-sync'); ?></p>
                     </div>
                 <?php else : ?>
-                    <form method="post" action="<?php echo esc_url( admin_url('admin-post.php') ); ?>">
+                    <?php if ( ! empty( $stale_branches ) ) : ?>
+                        <div class="notice notice-warning inline">
+                            <p><?php echo esc_html( sprintf(
+                                /* translators: 1: number of stale branches, 2: number of days */
+                                _n(
+                                    '%1$d branch has not appeared in a stock sync for %2$d days. It may have been closed or renamed in the ERP.',
+                                    '%1$d branches have not appeared in a stock sync for %2$d days. They may have been closed or renamed in the ERP.',
+                                    count( $stale_branches ),
+                                    'erp-sync'
+                                ),
+                                count( $stale_branches ),
+                                Product_Service::BRANCH_STALE_DAYS
+                            ) ); ?></p>
+                        </div>
+                    <?php endif; ?>
+
+                    <form method="post" action="<?php echo esc_url( admin_url('admin-post.php') ); ?>" id="erp-sync-branch-editor">
                         <?php wp_nonce_field( 'erp_sync_save_branches' ); ?>
                         <input type="hidden" name="action" value="erp_sync_save_branches">
+
+                        <div class="erp-sync-branch-toolbar">
+                            <button type="button" class="button erp-sync-branch-bulk" data-bulk="hide"><?php _e('Hide selected', 'erp-sync'); ?></button>
+                            <button type="button" class="button erp-sync-branch-bulk" data-bulk="show"><?php _e('Show selected', 'erp-sync'); ?></button>
+                            <?php if ( ! empty( $stale_branches ) ) : ?>
+                                <button type="button" class="button erp-sync-branch-bulk" data-bulk="select-stale"><?php _e('Select stale', 'erp-sync'); ?></button>
+                            <?php endif; ?>
+                            <span class="description"><?php _e('Drag rows to set the display order on product pages.', 'erp-sync'); ?></span>
+                        </div>
                         
-                        <table class="widefat fixed striped" style="margin-top: 15px;">
+                        <table class="widefat fixed striped erp-sync-branch-table">
                             <thead>
                                 <tr>
+                                    <th class="erp-sync-branch-check"><input type="checkbox" class="erp-sync-branch-select-all" aria-label="<?php esc_attr_e('Select all branches', 'erp-sync'); ?>"></th>
+                                    <th class="erp-sync-branch-handle-column"><span class="screen-reader-text"><?php _e('Order', 'erp-sync'); ?></span></th>
                                     <th style="width: 30%;"><?php _e('Original Name (from ERP)', 'erp-sync'); ?></th>
-                                    <th style="width: 40%;"><?php _e('Display Name (Alias)', 'erp-sync'); ?></th>
+                                    <th style="width: 35%;"><?php _e('Display Name (Alias)', 'erp-sync'); ?></th>
                                     <th style="width: 15%;"><?php _e('Exclude', 'erp-sync'); ?></th>
+                                    <th><?php _e('Last seen in sync', 'erp-sync'); ?></th>
                                 </tr>
                             </thead>
                             <tbody>
@@ -1488,17 +2658,27 @@ class Admin {
                                     // Support both new 'hide_from_frontend' key and legacy 'excluded' key
                                     $hide_from_frontend = ! empty( $settings['hide_from_frontend'] ) || ! empty( $settings['excluded'] );
                                     $branch_hash = md5( $branch_name );
+                                    $is_stale    = in_array( $branch_name, $stale_branches, true );
                                 ?>
-                                    <tr>
+                                    <tr class="erp-sync-branch-row<?php echo $is_stale ? ' is-stale' : ''; ?>" data-branch="<?php echo esc_attr( $branch_name ); ?>">
+                                        <td class="erp-sync-branch-check">
+                                            <input type="checkbox" class="erp-sync-branch-select" aria-label="<?php echo esc_attr( $branch_name ); ?>">
+                                        </td>
+                                        <td class="erp-sync-branch-handle-column">
+                                            <span class="dashicons dashicons-menu erp-sync-branch-handle" title="<?php esc_attr_e('Drag to reorder', 'erp-sync'); ?>"></span>
+                                        </td>
                                         <td>
                                             <code><?php echo esc_html( $branch_name ); ?></code>
+                                            <?php if ( $is_stale ) : ?>
+                                                <span class="erp-sync-branch-stale"><?php _e('Stale', 'erp-sync'); ?></span>
+                                            <?php endif; ?>
                                             <input type="hidden" name="branches[<?php echo esc_attr( $branch_hash ); ?>][original]" value="<?php echo esc_attr( $branch_name ); ?>">
                                         </td>
                                         <td>
                                             <input type="text" 
                                                    name="branches[<?php echo esc_attr( $branch_hash ); ?>][alias]" 
                                                    value="<?php echo esc_attr( $alias ); ?>" 
-                                                   class="regular-text" 
+                                                   class="regular-text erp-sync-branch-alias" 
                                                    placeholder="<?php echo esc_attr( $branch_name ); ?>">
                                         </td>
                                         <td>
@@ -1506,10 +2686,16 @@ class Admin {
                                                 <input type="checkbox" 
                                                        name="branches[<?php echo esc_attr( $branch_hash ); ?>][hide_from_frontend]" 
                                                        value="1" 
+                                                       class="erp-sync-branch-hide"
                                                        <?php checked( $hide_from_frontend ); ?>>
                                                 <?php _e('Hide from frontend', 'erp-sync'); ?>
                                             </label>
                                         </td>
+                                        <td>
+                                            <?php echo isset( $branch_last_seen[ $branch_name ] )
+                                                ? esc_html( wp_date( $datetime_format, $branch_last_seen[ $branch_name ] ) )
+                                                : '&mdash;'; ?>
+                                        </td>
                                     </tr>
                                 <?php endforeach; ?>
                             </tbody>
@@ -1517,37 +2703,178 @@ class Admin {
                         
                         <p class="submit">
                             <?php submit_button( __('Save Branch Settings', 'erp-sync'), 'primary', 'submit', false ); ?>
+                            <span class="erp-sync-branch-save-status" aria-live="polite"></span>
                         </p>
                     </form>
                     
                     <hr style="margin: 30px 0;">
                     
                     <h3><?php _e('Preview', 'erp-sync'); ?></h3>
-                    <p class="description"><?php _e('Branch stock is displayed on single product pages using the shortcode [erp_branch_stock] or automatically after the price.', 'erp-sync'); ?></p>
+                    <p class="description"><?php _e('Branch stock is displayed on single product pages using the shortcode [erp_branch_stock] or automatically after the price. Pick a product to preview its branches with the settings above, including unsaved changes.', 'erp-sync'); ?></p>
+
+                    <div class="erp-sync-branch-preview-picker">
+                        <input type="search" id="erp-sync-branch-preview-search" class="regular-text" autocomplete="off"
+                               placeholder="<?php esc_attr_e('Search products by name or SKU…', 'erp-sync'); ?>">
+                        <ul class="erp-sync-branch-preview-results"></ul>
+                    </div>
                     
-                    <div style="background: #f9f9f9; padding: 15px; border: 1px solid #ddd; margin-top: 10px; max-width: 400px;">
-                        <div style="font-weight: 600; margin-bottom: 8px;"><?php _e('Availability by Branch', 'erp-sync'); ?></div>
-                        <ul style="list-style: none; margin: 0; padding: 0;">
-                            <?php 
-                            $preview_count = 0;
-                            foreach ( $detected_branches as $branch_name ) :
-                                $settings = $branch_settings[ $branch_name ] ?? [];
-                                if ( ! empty( $settings['hide_from_frontend'] ) || ! empty( $settings['excluded'] ) ) continue;
-                                if ( ++$preview_count > 3 ) break; // Show max 3 branches in preview
-                                $display_name = ! empty( $settings['alias'] ) ? $settings['alias'] : $branch_name;
-                            ?>
-                                <li style="display: flex; justify-content: space-between; padding: 5px 0; border-bottom: 1px solid #eee;">
-                                    <span style="font-weight: 500;"><?php echo esc_html( $display_name ); ?></span>
-                                    <span style="color: #666;"><strong>5</strong> <?php _e('in stock', 'erp-sync'); ?></span>
-                                </li>
-                            <?php endforeach; ?>
-                        </ul>
+                    <div id="erp-sync-branch-preview" class="erp-sync-branch-preview">
+                        <p class="description"><?php _e('No product selected.', 'erp-sync'); ?></p>
                     </div>
                 <?php endif; ?>
             </div>
 
+            <!-- Dashboard Tab (sync history, loaded by admin.js) -->
+            <div id="tab-dashboard" class="erp-sync-tab-content" style="display:none;">
+                <h2><?php _e( 'Sync History', 'erp-sync' ); ?></h2>
+                <p class="description"><?php _e('Every catalog, stock, coupon and CSV run, whether started here, by cron or by the webhook. History is kept for 180 days.', 'erp-sync'); ?></p>
+
+                <div class="erp-sync-dashboard-filters">
+                    <select id="erp-sync-history-type">
+                        <option value=""><?php _e('All sync types', 'erp-sync'); ?></option>
+                        <option value="<?php echo esc_attr( Sync_History::TYPE_CATALOG ); ?>"><?php _e('Catalog', 'erp-sync'); ?></option>
+                        <option value="<?php echo esc_attr( Sync_History::TYPE_STOCK ); ?>"><?php _e('Stock', 'erp-sync'); ?></option>
+                        <option value="<?php echo esc_attr( Sync_History::TYPE_COUPONS ); ?>"><?php _e('Coupons', 'erp-sync'); ?></option>
+                        <option value="<?php echo esc_attr( Sync_History::TYPE_CSV ); ?>"><?php _e('CSV import', 'erp-sync'); ?></option>
+                    </select>
+                    <select id="erp-sync-history-limit">
+                        <option value="20"><?php _e('Last 20 runs', 'erp-sync'); ?></option>
+                        <option value="50" selected><?php _e('Last 50 runs', 'erp-sync'); ?></option>
+                        <option value="200"><?php _e('Last 200 runs', 'erp-sync'); ?></option>
+                    </select>
+                    <button type="button" class="button" id="erp-sync-history-refresh"><?php _e('Refresh', 'erp-sync'); ?></button>
+                </div>
+
+                <div class="erp-sync-dashboard-charts">
+                    <div class="erp-sync-chart" data-metric="duration"><h3><?php _e('Run duration', 'erp-sync'); ?></h3><div class="erp-sync-chart-body"></div></div>
+                    <div class="erp-sync-chart" data-metric="changed"><h3><?php _e('Items changed per run', 'erp-sync'); ?></h3><div class="erp-sync-chart-body"></div></div>
+                    <div class="erp-sync-chart" data-metric="error_rate"><h3><?php _e('Error rate', 'erp-sync'); ?></h3><div class="erp-sync-chart-body"></div></div>
+                </div>
+
+                <table class="widefat striped erp-sync-history-table">
+                    <thead>
+                        <tr>
+                            <th><?php _e('Started', 'erp-sync'); ?></th>
+                            <th><?php _e('Type', 'erp-sync'); ?></th>
+                            <th><?php _e('Trigger', 'erp-sync'); ?></th>
+                            <th><?php _e('Status', 'erp-sync'); ?></th>
+                            <th><?php _e('Duration', 'erp-sync'); ?></th>
+                            <th><?php _e('Total', 'erp-sync'); ?></th>
+                            <th><?php _e('Created', 'erp-sync'); ?></th>
+                            <th><?php _e('Updated', 'erp-sync'); ?></th>
+                            <th><?php _e('Skipped', 'erp-sync'); ?></th>
+                            <th><?php _e('Errors', 'erp-sync'); ?></th>
+                            <th><?php _e('Orphans zeroed', 'erp-sync'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+
+            <!-- Import / Export Tab (outside the main settings form - contains its own form) -->
+            <div id="tab-transfer" class="erp-sync-tab-content" style="display:none;">
+                <h2><?php _e( 'Export Settings', 'erp-sync' ); ?></h2>
+                <p class="description"><?php _e('Download the connection profiles, cron, batch size, mock ERP, webhook and security settings, the attribute mapping and the branch settings as a JSON file, to import on another environment (e.g. from staging to production). Synced data, logs and history are not included.', 'erp-sync'); ?></p>
+
+                <form method="post" action="<?php echo esc_url( admin_url('admin-post.php') ); ?>" class="erp-sync-settings-export">
+                    <?php wp_nonce_field( 'erp_sync_actions' ); ?>
+                    <input type="hidden" name="action" value="erp_sync_export_settings" />
+                    <label>
+                        <?php _e('Passphrase', 'erp-sync'); ?>
+                        <input type="password" name="passphrase" class="regular-text" autocomplete="new-password" minlength="<?php echo esc_attr( (string) Settings_Transfer::PASSPHRASE_MIN_LENGTH ); ?>" />
+                    </label>
+                    <?php submit_button( __('Export Settings','erp-sync'), 'secondary', 'submit', false ); ?>
+                    <p class="description"><?php printf( esc_html__( 'Optional, at least %d characters. With a passphrase the ERP passwords and the webhook secret are exported, encrypted with it; without one they are left out.', 'erp-sync' ), (int) Settings_Transfer::PASSPHRASE_MIN_LENGTH ); ?></p>
+                </form>
+
+                <hr style="margin: 20px 0;">
+
+                <h2><?php _e( 'Import Settings', 'erp-sync' ); ?></h2>
+                <p class="description"><?php _e('Select an exported file to compare it with the current settings. Nothing is changed until you apply the selected settings; the cron schedules are updated afterwards.', 'erp-sync'); ?></p>
+
+                <div id="erp-sync-settings-import" class="erp-sync-settings-import">
+                    <div class="erp-sync-settings-import-controls">
+                        <input type="file" id="erp-sync-settings-file" accept=".json,application/json" />
+                        <label>
+                            <?php _e('Passphrase', 'erp-sync'); ?>
+                            <input type="password" id="erp-sync-settings-passphrase" class="regular-text" autocomplete="off" />
+                        </label>
+                        <button type="button" class="button" id="erp-sync-settings-preview-btn" disabled><?php _e('Compare', 'erp-sync'); ?></button>
+                        <span class="spinner"></span>
+                    </div>
+
+                    <div class="erp-sync-settings-import-preview" style="display:none;">
+                        <p class="erp-sync-settings-import-source"></p>
+                        <ul class="erp-sync-settings-import-warnings"></ul>
+                        <table class="widefat erp-sync-settings-diff">
+                            <thead>
+                                <tr>
+                                    <th class="check-column"><input type="checkbox" class="erp-sync-settings-diff-all" checked /></th>
+                                    <th><?php _e('Setting', 'erp-sync'); ?></th>
+                                    <th><?php _e('Current', 'erp-sync'); ?></th>
+                                    <th><?php _e('Imported', 'erp-sync'); ?></th>
+                                </tr>
+                            </thead>
+                        </table>
+                        <p>
+                            <button type="button" class="button button-primary" id="erp-sync-settings-apply-btn"><?php _e('Apply Selected Settings', 'erp-sync'); ?></button>
+                        </p>
+                    </div>
+                </div>
+            </div>
+
             <!-- Diagnostics Tab (outside the main settings form - contains its own forms) -->
             <div id="tab-diagnostics" class="erp-sync-tab-content" style="display:none;">
+                <h2><?php _e( 'SOAP Workbench', 'erp-sync' ); ?></h2>
+                <p class="description"><?php _e('Run a single ERP operation and inspect the parsed result, raw XML, headers and timing. Works without Debug mode. Each run is compared with the previous capture of the same operation.', 'erp-sync'); ?></p>
+
+                <div id="erp-sync-workbench" class="erp-sync-workbench">
+                    <div class="erp-sync-workbench-controls">
+                        <select id="erp-sync-workbench-operation">
+                            <option value="InformationCards"><?php _e('InformationCards (loyalty cards)', 'erp-sync'); ?></option>
+                            <option value="Products"><?php _e('Products (catalog)', 'erp-sync'); ?></option>
+                            <option value="GetProductsStock"><?php _e('GetProductsStock (stock & prices)', 'erp-sync'); ?></option>
+                        </select>
+                        <input type="text" id="erp-sync-workbench-vendor-codes" class="regular-text" placeholder="<?php esc_attr_e('VendorCodes, comma-separated (empty = all)', 'erp-sync'); ?>">
+                        <button type="button" class="button button-primary" id="erp-sync-workbench-run"><?php _e('Run', 'erp-sync'); ?></button>
+                        <button type="button" class="button" id="erp-sync-workbench-diff" disabled><?php _e('Diff with previous capture', 'erp-sync'); ?></button>
+                    </div>
+
+                    <div class="erp-sync-workbench-summary" aria-live="polite"></div>
+                    <div class="erp-sync-workbench-fault" style="display:none;"></div>
+
+                    <div class="erp-sync-workbench-panes" style="display:none;">
+                        <div class="erp-sync-workbench-pane">
+                            <h3><?php _e('Parsed result', 'erp-sync'); ?></h3>
+                            <div class="erp-sync-workbench-tree"></div>
+                        </div>
+                        <div class="erp-sync-workbench-pane">
+                            <h3>
+                                <?php _e('Raw XML', 'erp-sync'); ?>
+                                <select class="erp-sync-workbench-xml-source">
+                                    <option value="response_xml"><?php _e('Response', 'erp-sync'); ?></option>
+                                    <option value="request_xml"><?php _e('Request', 'erp-sync'); ?></option>
+                                </select>
+                            </h3>
+                            <pre class="erp-sync-workbench-xml"></pre>
+                        </div>
+                    </div>
+
+                    <details class="erp-sync-workbench-headers" style="display:none;">
+                        <summary><?php _e('HTTP headers', 'erp-sync'); ?></summary>
+                        <h4><?php _e('Request', 'erp-sync'); ?></h4>
+                        <pre class="erp-sync-workbench-request-headers"></pre>
+                        <h4><?php _e('Response', 'erp-sync'); ?></h4>
+                        <pre class="erp-sync-workbench-response-headers"></pre>
+                    </details>
+
+                    <div class="erp-sync-workbench-diff-view" style="display:none;">
+                        <h3><?php _e('Response diff', 'erp-sync'); ?></h3>
+                        <p class="erp-sync-workbench-diff-summary"></p>
+                        <pre class="erp-sync-workbench-diff-lines"></pre>
+                    </div>
+                </div>
+
                 <h2><?php _e( 'Diagnostics & Debug Data', 'erp-sync' ); ?></h2>
                 <p class="description"><?php _e('Enable Debug in Settings tab, run a sync, then download the artifacts here.', 'erp-sync'); ?></p>
                 
@@ -1660,7 +2987,7 @@ class Admin {
                 
             case 'erp_sync_base_discount':
                 $value = get_post_meta( $post_id, '_erp_sync_base_discount', true );
-                echo '<span class="erp-sync-editable" data-coupon-id="' . esc_attr( $post_id ) . '" data-field="base_discount">';
+                echo '<span class="erp-sync-editable" tabindex="0" data-coupon-id="' . esc_attr( $post_id ) . '" data-field="base_discount" data-value="' . esc_attr( $value ) . '">';
                 echo esc_html( $value ) . '%';
                 echo '</span>';
                 break;
@@ -1668,14 +2995,14 @@ class Admin {
             case 'erp_sync_is_deleted':
                 $value = get_post_meta( $post_id, '_erp_sync_is_deleted', true );
                 $display = $value === 'yes' ? __('Yes', 'erp-sync') : __('No', 'erp-sync');
-                echo '<span class="erp-sync-editable" data-coupon-id="' . esc_attr( $post_id ) . '" data-field="is_deleted">';
+                echo '<span class="erp-sync-editable" tabindex="0" data-coupon-id="' . esc_attr( $post_id ) . '" data-field="is_deleted" data-value="' . esc_attr( $value === 'yes' ? 'yes' : 'no' ) . '">';
                 echo esc_html( $display );
                 echo '</span>';
                 break;
                 
             case 'erp_sync_dob':
                 $dob_value = get_post_meta( $post_id, '_erp_sync_dob', true );
-                echo '<span class="erp-sync-editable" data-coupon-id="' . esc_attr( $post_id ) . '" data-field="dob">';
+                echo '<span class="erp-sync-editable" tabindex="0" data-coupon-id="' . esc_attr( $post_id ) . '" data-field="dob" data-value="' . esc_attr( $dob_value ) . '">';
                 echo esc_html( $dob_value );
                 echo '</span>';
                 break;
@@ -1688,6 +3015,64 @@ class Admin {
         }
     }
 
+    /**
+     * Add the "Sync selected from ERP" bulk action.
+     *
+     * admin.js intercepts it and queues the selected IDs through the
+     * single product / coupon AJAX handlers, so there is no server-side handler.
+     *
+     * @param array $actions Existing bulk actions.
+     * @return array Modified bulk actions.
+     */
+    public static function add_bulk_sync_action( array $actions ): array {
+        $actions['erp_sync_bulk_sync'] = __( 'Sync selected from ERP', 'erp-sync' );
+        return $actions;
+    }
+
+    /**
+     * Render the plugin's list table cells for one row, keyed by column.
+     *
+     * Lets admin.js refresh a row in place after an AJAX sync. Products also
+     * get the price and stock cells, which are what a sync changes.
+     *
+     * @param int    $post_id   Product or coupon ID.
+     * @param string $post_type 'product' or 'shop_coupon'.
+     * @return array<string, string> Column key => cell HTML.
+     */
+    public static function get_row_columns_html( int $post_id, string $post_type ): array {
+        $columns = [];
+
+        if ( $post_type === 'shop_coupon' ) {
+            foreach ( array_keys( self::add_coupon_columns( [] ) ) as $column ) {
+                ob_start();
+                self::render_coupon_columns( $column, $post_id );
+                $columns[ $column ] = ob_get_clean();
+            }
+            return $columns;
+        }
+
+        ob_start();
+        self::render_product_columns( 'erp_sync_actions', $post_id );
+        $columns['erp_sync_actions'] = ob_get_clean();
+
+        $product = wc_get_product( $post_id );
+        if ( $product ) {
+            $columns['price'] = $product->get_price_html();
+
+            if ( $product->is_in_stock() ) {
+                $stock_html = '<mark class="instock">' . esc_html__( 'In stock', 'erp-sync' ) . '</mark>';
+            } else {
+                $stock_html = '<mark class="outofstock">' . esc_html__( 'Out of stock', 'erp-sync' ) . '</mark>';
+            }
+            if ( $product->managing_stock() ) {
+                $stock_html .= ' (' . wc_stock_amount( $product->get_stock_quantity() ) . ')';
+            }
+            $columns['is_in_stock'] = $stock_html;
+        }
+
+        return $columns;
+    }
+
     public static function sortable_columns( array $columns ): array {
         $columns['erp_sync_base_discount'] = 'erp_sync_base_discount';
         $columns['erp_sync_dob'] = 'erp_sync_dob';
@@ -1763,14 +3148,17 @@ class Admin {
 
         echo '<button type="button" class="button erp-sync-single-update" data-id="' . esc_attr( $post_id ) . '">';
         echo esc_html__( 'Update', 'erp-sync' );
+        echo '</button> ';
+        echo '<button type="button" class="button-link erp-sync-product-details" data-id="' . esc_attr( $post_id ) . '" aria-expanded="false">';
+        echo esc_html__( 'Details', 'erp-sync' );
         echo '</button>';
     }
 
     /**
-     * AJAX handler for single product update.
-     * Syncs a single product's stock and price from the ERP.
+     * AJAX handler for the product row drill-down.
+     * Returns the ERP data last stored on the product plus its recent audit log rows.
      */
-    public static function ajax_single_update(): void {
+    public static function ajax_product_detail(): void {
         check_ajax_referer( 'erp_sync_ajax', 'nonce' );
 
         if ( ! current_user_can( 'manage_woocommerce' ) ) {
@@ -1778,31 +3166,313 @@ class Admin {
         }
 
         $product_id = isset( $_POST['product_id'] ) ? intval( $_POST['product_id'] ) : 0;
+        $product    = $product_id ? wc_get_product( $product_id ) : null;
 
-        if ( ! $product_id ) {
+        if ( ! $product ) {
             wp_send_json_error( [ 'message' => __( 'Invalid product ID', 'erp-sync' ) ] );
         }
 
-        // Check if this product's SKU is excluded from ERP sync
-        $product = wc_get_product( $product_id );
-        if ( $product && in_array( $product->get_sku(), erp_sync_excluded_skus(), true ) ) {
-            wp_send_json_error( [ 'message' => __( 'This product cannot be updated from 1C', 'erp-sync' ) ] );
+        try {
+            $warehouses = [];
+            $stored     = $product->get_meta( '_erp_sync_warehouse_data', true );
+            foreach ( is_array( $stored ) ? $stored : [] as $wh ) {
+                $warehouses[] = [
+                    'location' => (string) ( $wh['Location'] ?? '' ),
+                    'quantity' => (string) ( $wh['Quantity'] ?? '0' ),
+                ];
+            }
+
+            $branches = wp_get_post_terms( $product_id, Product_Service::TAXONOMY_BRANCH, [ 'fields' => 'names' ] );
+
+            $logs = array_map( function ( array $log ) {
+                return [
+                    'created_at'  => $log['created_at'],
+                    'change_type' => $log['change_type'],
+                    'old_value'   => $log['old_value'],
+                    'new_value'   => $log['new_value'],
+                    'message'     => $log['message'],
+                ];
+            }, Audit_Logger::get_logs( [ 'product_id' => $product_id, 'per_page' => 10 ] ) );
+
+            wp_send_json_success( [
+                'sku'              => $product->get_sku(),
+                'regular_price'    => $product->get_regular_price(),
+                'sale_price'       => $product->get_sale_price(),
+                'stock_quantity'   => $product->managing_stock() ? (string) $product->get_stock_quantity() : '',
+                'stock_status'     => $product->get_stock_status(),
+                'erp_managed'      => (bool) $product->get_meta( '_erp_sync_managed', true ),
+                'stock_updated_at' => (string) $product->get_meta( '_erp_sync_stock_updated_at', true ),
+                'synced_at'        => (string) $product->get_meta( '_erp_sync_synced_at', true ),
+                'warehouses'       => $warehouses,
+                'branches'         => is_wp_error( $branches ) ? [] : $branches,
+                'logs'             => $logs,
+                'logs_url'         => add_query_arg( [ 'page' => self::LOGS_MENU_SLUG, 's' => rawurlencode( $product->get_sku() ) ], admin_url( 'admin.php' ) ),
+            ] );
+        } catch ( \Throwable $e ) {
+            wp_send_json_error( [ 'message' => $e->getMessage() ] );
+        }
+    }
+
+    /**
+     * AJAX handler for the Product Logs viewer.
+     *
+     * Returns one page of audit log rows matching the filters, each with a
+     * structured diff of its old/new values. With export=1 every matching
+     * row (up to LOG_EXPORT_LIMIT) is returned in one response.
+     */
+    public static function ajax_product_logs(): void {
+        check_ajax_referer( 'erp_sync_ajax', 'nonce' );
+
+        if ( ! current_user_can( 'manage_woocommerce' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied', 'erp-sync' ) ] );
+        }
+
+        $type     = isset( $_POST['change_type'] ) ? sanitize_key( $_POST['change_type'] ) : '';
+        $export   = ! empty( $_POST['export'] );
+        $page     = isset( $_POST['page'] ) ? max( 1, intval( $_POST['page'] ) ) : 1;
+        $per_page = isset( $_POST['per_page'] ) ? min( 100, max( 1, intval( $_POST['per_page'] ) ) ) : 20;
+
+        $filters = [
+            'change_type' => self::LOG_CHANGE_TYPES[ $type ] ?? '',
+            'date_from'   => isset( $_POST['date_from'] ) ? sanitize_text_field( wp_unslash( $_POST['date_from'] ) ) : '',
+            'date_to'     => isset( $_POST['date_to'] ) ? sanitize_text_field( wp_unslash( $_POST['date_to'] ) ) : '',
+            'search'      => isset( $_POST['search'] ) ? sanitize_text_field( wp_unslash( $_POST['search'] ) ) : '',
+            'product_id'  => isset( $_POST['product_id'] ) ? intval( $_POST['product_id'] ) : 0,
+            'session_id'  => isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '',
+        ];
+
+        if ( $export ) {
+            $page     = 1;
+            $per_page = self::LOG_EXPORT_LIMIT;
+        }
+
+        try {
+            $total = Audit_Logger::get_logs_count( $filters );
+            $rows  = Audit_Logger::get_logs( array_merge( $filters, [
+                'per_page' => $per_page,
+                'offset'   => ( $page - 1 ) * $per_page,
+                'orderby'  => isset( $_POST['orderby'] ) ? sanitize_key( $_POST['orderby'] ) : 'created_at',
+                'order'    => isset( $_POST['order'] ) ? sanitize_key( $_POST['order'] ) : 'DESC',
+            ] ) );
+
+            $datetime_format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+
+            $logs = array_map( function ( array $log ) use ( $datetime_format ) {
+                $product_id = (int) $log['product_id'];
+                $edit_url   = $product_id > 0 ? get_edit_post_link( $product_id, 'raw' ) : '';
+
+                return [
+                    'id'           => (int) $log['id'],
+                    'product_id'   => $product_id,
+                    'product_name' => $log['product_name'],
+                    'vendor_code'  => $log['vendor_code'],
+                    'edit_url'     => $edit_url ? $edit_url : '',
+                    'change_type'  => $log['change_type'],
+                    'old_value'    => $log['old_value'],
+                    'new_value'    => $log['new_value'],
+                    'message'      => $log['message'],
+                    'session_id'   => $log['session_id'] ?? '',
+                    'created_at'   => $log['created_at'],
+                    'date'         => mysql2date( $datetime_format, $log['created_at'] ),
+                    'diff'         => self::build_log_diff( $log ),
+                ];
+            }, $rows );
+
+            wp_send_json_success( [
+                'logs'      => $logs,
+                'total'     => $total,
+                'page'      => $page,
+                'pages'     => (int) ceil( $total / $per_page ),
+                'truncated' => $export && $total > self::LOG_EXPORT_LIMIT,
+            ] );
+        } catch ( \Throwable $e ) {
+            wp_send_json_error( [ 'message' => $e->getMessage() ] );
+        }
+    }
+
+    /**
+     * AJAX handler for the Loyalty Cards as-you-type lookup.
+     */
+    public static function ajax_card_search(): void {
+        check_ajax_referer( 'erp_sync_ajax', 'nonce' );
+
+        if ( ! current_user_can( 'manage_woocommerce' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied', 'erp-sync' ) ] );
         }
 
+        $term = isset( $_POST['term'] ) ? sanitize_text_field( wp_unslash( $_POST['term'] ) ) : '';
+
         try {
-            $sync_service = new Sync_Service( new API_Client() );
-            $result = $sync_service->sync_single_product( $product_id );
+            wp_send_json_success( [
+                'term'  => $term,
+                'cards' => Loyalty_Cards::search( $term ),
+            ] );
+        } catch ( \Throwable $e ) {
+            wp_send_json_error( [ 'message' => $e->getMessage() ] );
+        }
+    }
 
-            if ( $result ) {
-                wp_send_json_success( [ 'message' => __( 'Product synced successfully', 'erp-sync' ) ] );
-            } else {
-                wp_send_json_error( [ 'message' => __( 'Product sync failed', 'erp-sync' ) ] );
+    /**
+     * AJAX handler for a Loyalty Cards detail panel: the card with its
+     * effective discount today and the orders it was used on.
+     */
+    public static function ajax_card_detail(): void {
+        check_ajax_referer( 'erp_sync_ajax', 'nonce' );
+
+        if ( ! current_user_can( 'manage_woocommerce' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied', 'erp-sync' ) ] );
+        }
+
+        $coupon_id = isset( $_POST['coupon_id'] ) ? intval( $_POST['coupon_id'] ) : 0;
+
+        try {
+            $card = Loyalty_Cards::get_card( $coupon_id );
+            if ( ! $card ) {
+                throw new \Exception( __( 'Card not found.', 'erp-sync' ) );
             }
+
+            $date_format = get_option( 'date_format' );
+
+            $card['dob_display']     = $card['dob'] !== '' ? mysql2date( $date_format, $card['dob'] ) : '';
+            $card['expires_display'] = $card['expires'] !== '' ? mysql2date( $date_format, $card['expires'] ) : '';
+            $card['synced_display']  = $card['synced_at'] !== '' ? mysql2date( $date_format . ' ' . get_option( 'time_format' ), $card['synced_at'] ) : '';
+            $card['next_birthday']   = $card['days_to_birthday'] !== null
+                ? date_i18n( $date_format, strtotime( current_time( 'Y-m-d' ) ) + $card['days_to_birthday'] * DAY_IN_SECONDS )
+                : '';
+
+            wp_send_json_success( [
+                'card'  => $card,
+                'usage' => Loyalty_Cards::get_usage( $card['code'] ),
+            ] );
+        } catch ( \Throwable $e ) {
+            wp_send_json_error( [ 'message' => $e->getMessage() ] );
+        }
+    }
+
+    /**
+     * AJAX handler for the upcoming birthdays list (also used for its CSV export).
+     */
+    public static function ajax_card_birthdays(): void {
+        check_ajax_referer( 'erp_sync_ajax', 'nonce' );
+
+        if ( ! current_user_can( 'manage_woocommerce' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied', 'erp-sync' ) ] );
+        }
+
+        $days = isset( $_POST['days'] ) ? min( Loyalty_Cards::BIRTHDAYS_MAX_DAYS, max( 0, intval( $_POST['days'] ) ) ) : 7;
+
+        try {
+            $date_format = get_option( 'date_format' );
+
+            $cards = array_map( function ( array $card ) use ( $date_format ) {
+                $card['birthday_display'] = mysql2date( $date_format, $card['birthday'] );
+                return $card;
+            }, Loyalty_Cards::get_upcoming_birthdays( $days ) );
+
+            wp_send_json_success( [
+                'days'  => $days,
+                'cards' => $cards,
+            ] );
+        } catch ( \Throwable $e ) {
+            wp_send_json_error( [ 'message' => $e->getMessage() ] );
+        }
+    }
+
+    /**
+     * AJAX handler for the settings import: validates the uploaded bundle and
+     * returns its field-by-field diff against the current settings.
+     */
+    public static function ajax_settings_import_preview(): void {
+        check_ajax_referer( 'erp_sync_ajax', 'nonce' );
+
+        if ( ! current_user_can( 'manage_woocommerce' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied', 'erp-sync' ) ] );
+        }
+
+        // The bundle is read in the browser and posted as text; it is validated and sanitized per option
+        // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+        $bundle     = isset( $_POST['bundle'] ) ? (string) wp_unslash( $_POST['bundle'] ) : '';
+        $passphrase = isset( $_POST['passphrase'] ) ? (string) wp_unslash( $_POST['passphrase'] ) : '';
+
+        try {
+            wp_send_json_success( Settings_Transfer::preview( $bundle, $passphrase ) );
+        } catch ( \Throwable $e ) {
+            wp_send_json_error( [ 'message' => $e->getMessage() ] );
+        }
+    }
+
+    /**
+     * AJAX handler for the settings import: applies the previewed options
+     * the admin kept selected.
+     */
+    public static function ajax_settings_import_apply(): void {
+        check_ajax_referer( 'erp_sync_ajax', 'nonce' );
+
+        if ( ! current_user_can( 'manage_woocommerce' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied', 'erp-sync' ) ] );
+        }
+
+        $options = isset( $_POST['options'] ) ? array_map( 'sanitize_key', (array) wp_unslash( $_POST['options'] ) ) : [];
+
+        try {
+            $applied = Settings_Transfer::apply( $options );
+
+            // Reload the settings page so its forms show the imported values (the tab is restored by initTabs)
+            wp_send_json_success( [
+                'applied'  => $applied,
+                'redirect' => add_query_arg( [ 'page' => self::MENU_SLUG, 'settings_imported' => $applied ], admin_url( 'admin.php' ) ),
+            ] );
         } catch ( \Throwable $e ) {
             wp_send_json_error( [ 'message' => $e->getMessage() ] );
         }
     }
 
+    /**
+     * Turn a log row's old/new values into a structured diff.
+     *
+     * Branch rows store location => quantity maps (see
+     * Product_Service::log_product_changes()) and are expanded into
+     * per-branch deltas; numeric rows get a single delta.
+     *
+     * @param array $log Audit log row.
+     * @return array{old: string, new: string, delta: float|null, branches: array} Diff for display/export.
+     */
+    private static function build_log_diff( array $log ): array {
+        $old = (string) $log['old_value'];
+        $new = (string) $log['new_value'];
+
+        $diff = [
+            'old'      => $old,
+            'new'      => $new,
+            'delta'    => null,
+            'branches' => [],
+        ];
+
+        if ( $log['change_type'] === 'branch' ) {
+            $old_map = json_decode( $old, true );
+            $new_map = json_decode( $new, true );
+            $old_map = is_array( $old_map ) ? $old_map : [];
+            $new_map = is_array( $new_map ) ? $new_map : [];
+
+            foreach ( array_unique( array_merge( array_keys( $old_map ), array_keys( $new_map ) ) ) as $location ) {
+                $old_qty = (int) ( $old_map[ $location ] ?? 0 );
+                $new_qty = (int) ( $new_map[ $location ] ?? 0 );
+                $diff['branches'][] = [
+                    'location' => (string) $location,
+                    'old'      => $old_qty,
+                    'new'      => $new_qty,
+                    'delta'    => $new_qty - $old_qty,
+                ];
+            }
+
+            $diff['delta'] = (float) array_sum( array_column( $diff['branches'], 'delta' ) );
+        } elseif ( is_numeric( $old ) && is_numeric( $new ) ) {
+            $diff['delta'] = round( (float) $new - (float) $old, 2 );
+        }
+
+        return $diff;
+    }
+
     /**
      * Render "Allowed Phone Numbers" field on the coupon usage restriction tab.
      */
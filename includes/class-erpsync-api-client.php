@@ -27,6 +27,26 @@ class API_Client {
     const OPTION_LAST_PRODUCTS_META    = 'erp_sync_last_products_meta';
     const OPTION_LAST_STOCK_META       = 'erp_sync_last_stock_meta';
 
+    // Fields seen in the last Products response, for the attribute mapping builder
+    const OPTION_LAST_PRODUCTS_FIELDS  = 'erp_sync_last_products_fields';
+    const PRODUCTS_FIELD_SAMPLES       = 5;
+    const PRODUCTS_SAMPLE_ROWS         = 10;
+
+    // Diagnostics workbench: last capture per operation, and response size limits
+    const OPTION_DIAGNOSTIC_CAPTURES   = 'erp_sync_diagnostic_captures';
+    const DIAGNOSTIC_OPERATIONS        = [ 'InformationCards', 'Products', 'GetProductsStock' ];
+    const DIAGNOSTIC_MAX_XML_BYTES     = 524288;
+    const DIAGNOSTIC_MAX_ROWS          = 100;
+
+    // Connection profile used per SOAP operation (see Connection_Profiles bindings)
+    const OPERATION_SYNC_TYPES         = [
+        'Products'         => Sync_History::TYPE_CATALOG,
+        'GetProductsStock' => Sync_History::TYPE_STOCK,
+        'InformationCards' => Sync_History::TYPE_COUPONS,
+    ];
+
+    private string $profile_id = '';
+    private bool $profile_fixed = false;
     private string $wsdl;
     private string $username;
     private string $password;
@@ -34,31 +54,48 @@ class API_Client {
     private int $timeout;
     private bool $debug;
     private int $soap_version;
+    private ?Mock_ERP $mock;
 
     public function __construct() {
-        $this->wsdl           = (string) get_option( self::OPTION_WSDL, 'http://92.241.78.182:8080/artsw2022/ws/WebExchange.1cws?wsdl' );
-        $this->username       = (string) get_option( self::OPTION_USERNAME, '' );
-        
-        // Handle password with improved decryption (supports backward compatibility)
-        $password_stored = (string) get_option( self::OPTION_PASSWORD, '' );
-        $this->password = Security::decrypt( $password_stored );
-        
-        // If decryption returns empty but we have a stored value, it might be plain text
+        $this->apply_profile( Connection_Profiles::get_for_sync( Sync_History::TYPE_CATALOG ) );
+        $this->debug = (bool) get_option( self::OPTION_DEBUG, false );
+        $this->mock  = Mock_ERP::is_enabled() ? new Mock_ERP() : null;
+    }
+
+    /**
+     * Use one connection profile for every operation, instead of the profile
+     * bound to each sync type. Mock mode is bypassed, so this always talks to
+     * the profile's endpoint (used by the per-profile connection test).
+     *
+     * @param array $profile Profile from Connection_Profiles.
+     * @return self
+     */
+    public function use_profile( array $profile ): self {
+        $this->apply_profile( $profile );
+        $this->profile_fixed = true;
+        $this->mock          = null;
+        return $this;
+    }
+
+    /**
+     * Load the connection settings of a profile.
+     *
+     * @param array $profile Profile from Connection_Profiles.
+     */
+    private function apply_profile( array $profile ): void {
+        $this->profile_id     = (string) ( $profile['id'] ?? '' );
+        $this->wsdl           = (string) ( $profile['wsdl'] ?? '' );
+        $this->username       = (string) ( $profile['username'] ?? '' );
+        $this->force_location = (string) ( $profile['force_location'] ?? '' );
+        $this->timeout        = (int) ( $profile['timeout'] ?? 30 );
+        $this->soap_version   = (int) ( $profile['soap_version'] ?? 11 );
+
+        // A password that does not decrypt is a plain-text one from before encryption
+        $password_stored = (string) ( $profile['password'] ?? '' );
+        $this->password  = Security::decrypt( $password_stored );
         if ( empty( $this->password ) && ! empty( $password_stored ) ) {
             $this->password = $password_stored;
-            
-            // Re-encrypt it for future use
-            $encrypted = Security::encrypt( $password_stored );
-            if ( ! empty( $encrypted ) ) {
-                update_option( self::OPTION_PASSWORD, $encrypted );
-                Logger::instance()->log( 'Password re-encrypted from plain text', [] );
-            }
         }
-        
-        $this->force_location = (string) get_option( self::OPTION_FORCE_LOCATION, '' );
-        $this->timeout        = (int) get_option( self::OPTION_TIMEOUT, 30 );
-        $this->debug          = (bool) get_option( self::OPTION_DEBUG, false );
-        $this->soap_version   = (int) get_option( self::OPTION_SOAP_VERSION, 11 );
     }
 
     /**
@@ -83,8 +120,12 @@ class API_Client {
     public function fetch_products_raw(): mixed {
         // Apply security checks before API call
         do_action( 'erp_sync_before_api_call' );
+
+        if ( $this->mock ) {
+            return $this->fetch_mock( 'Products' );
+        }
         
-        $client = $this->build_client();
+        $client = $this->build_client( 'Products' );
         $start = microtime(true);
 
         try {
@@ -135,7 +176,13 @@ class API_Client {
         // Apply security checks before API call
         do_action( 'erp_sync_before_api_call' );
 
-        $client = $this->build_client();
+        if ( $this->mock ) {
+            $products = $this->parse_products_response( $this->fetch_mock( 'Products' ) );
+            $this->store_products_fields( $products );
+            return $products;
+        }
+
+        $client = $this->build_client( 'Products' );
         $start = microtime(true);
 
         try {
@@ -145,6 +192,7 @@ class API_Client {
             $row_count = count( $products );
 
             $this->maybe_store_debug( $client, $response, 'products' );
+            $this->store_products_fields( $products );
 
             if ( $this->debug ) {
                 $meta = [
@@ -183,7 +231,11 @@ class API_Client {
         // Apply security checks before API call
         do_action( 'erp_sync_before_api_call' );
 
-        $client = $this->build_client();
+        if ( $this->mock ) {
+            return $this->parse_stock_response( $this->fetch_mock( 'GetProductsStock', $vendor_codes ) );
+        }
+
+        $client = $this->build_client( 'GetProductsStock' );
         $start = microtime(true);
 
         try {
@@ -228,8 +280,12 @@ class API_Client {
     public function fetch_cards_remote(): array {
         // Apply security checks before API call
         do_action( 'erp_sync_before_api_call' );
+
+        if ( $this->mock ) {
+            return $this->parse_information_cards( $this->fetch_mock( 'InformationCards' ) );
+        }
         
-        $client = $this->build_client();
+        $client = $this->build_client( 'InformationCards' );
         $start = microtime(true);
 
         try {
@@ -356,13 +412,173 @@ class API_Client {
         }
     }
 
-    private function build_client(): \SoapClient {
+    /**
+     * Run one SOAP operation for the Diagnostics workbench.
+     *
+     * Tracing is always on, so the raw request/response XML and headers are
+     * returned even when Debug mode is off. Faults are returned, not thrown.
+     * The parsed response keeps at most DIAGNOSTIC_MAX_ROWS items per list.
+     *
+     * @param string $operation    One of DIAGNOSTIC_OPERATIONS.
+     * @param string $vendor_codes Comma-separated VendorCodes for GetProductsStock.
+     * @return array Capture with timing, XML, headers, parsed response and fault.
+     * @throws \InvalidArgumentException For an unknown operation.
+     */
+    public function run_diagnostic( string $operation, string $vendor_codes = '' ): array {
+        if ( ! in_array( $operation, self::DIAGNOSTIC_OPERATIONS, true ) ) {
+            throw new \InvalidArgumentException( sprintf( 'Unknown operation: %s', $operation ) );
+        }
+
+        $params = $operation === 'GetProductsStock' ? [ [ 'VendorCode' => $vendor_codes ] ] : [];
+
+        $capture = [
+            'operation'        => $operation,
+            'params'           => $operation === 'GetProductsStock' ? [ 'VendorCode' => $vendor_codes ] : [],
+            'time_utc'         => gmdate( 'Y-m-d H:i:s' ),
+            'duration_ms'      => 0,
+            'success'          => false,
+            'rows'             => 0,
+            'truncated'        => false,
+            'request_xml'      => '',
+            'response_xml'     => '',
+            'response_bytes'   => 0,
+            'request_headers'  => '',
+            'response_headers' => '',
+            'parsed'           => null,
+            'fault'            => null,
+        ];
+
+        do_action( 'erp_sync_before_api_call' );
+
+        $client = $this->build_client( $operation, true );
+        $start  = microtime( true );
+
+        try {
+            $response = $client->__soapCall( $operation, $params );
+
+            $parsed    = json_decode( json_encode( $response ), true );
+            $truncated = false;
+
+            $capture['success']   = true;
+            $capture['rows']      = $this->count_response_rows( $parsed );
+            $capture['parsed']    = $this->limit_lists( $parsed, self::DIAGNOSTIC_MAX_ROWS, $truncated );
+            $capture['truncated'] = $truncated;
+        } catch ( \SoapFault $fault ) {
+            $capture['fault'] = [
+                'code'   => (string) ( $fault->faultcode ?? '' ),
+                'string' => (string) ( $fault->faultstring ?? $fault->getMessage() ),
+                'actor'  => (string) ( $fault->faultactor ?? '' ),
+                'detail' => isset( $fault->detail ) ? wp_json_encode( $fault->detail, JSON_UNESCAPED_UNICODE | JSON_PRETTY_PRINT ) : '',
+            ];
+        }
+
+        $response_xml = (string) $client->__getLastResponse();
+
+        $capture['duration_ms']      = (int) round( ( microtime( true ) - $start ) * 1000 );
+        $capture['request_xml']      = (string) $client->__getLastRequest();
+        $capture['response_xml']     = $this->excerpt( $response_xml, self::DIAGNOSTIC_MAX_XML_BYTES );
+        $capture['response_bytes']   = strlen( $response_xml );
+        $capture['request_headers']  = (string) $client->__getLastRequestHeaders();
+        $capture['response_headers'] = (string) $client->__getLastResponseHeaders();
+
+        Logger::instance()->log( 'Diagnostics workbench call', [
+            'operation'      => $operation,
+            'success'        => $capture['success'],
+            'duration_ms'    => $capture['duration_ms'],
+            'rows'           => $capture['rows'],
+            'response_bytes' => $capture['response_bytes'],
+        ] );
+
+        return $capture;
+    }
+
+    /**
+     * Count the data rows of a decoded response (the largest list under 'return').
+     *
+     * @param mixed $parsed Decoded response.
+     * @return int Row count; 1 for a single unwrapped row, 0 when empty.
+     */
+    private function count_response_rows( mixed $parsed ): int {
+        $return = is_array( $parsed ) ? ( $parsed['return'] ?? [] ) : [];
+        $rows   = 0;
+
+        foreach ( is_array( $return ) ? $return : [] as $value ) {
+            if ( is_array( $value ) ) {
+                $rows = max( $rows, array_key_exists( 0, $value ) ? count( $value ) : 1 );
+            }
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Cut every list in a decoded response down to $limit items.
+     *
+     * @param mixed $value     Decoded value.
+     * @param int   $limit     Maximum items per list.
+     * @param bool  $truncated Set to true when anything was cut.
+     * @return mixed Limited value.
+     */
+    private function limit_lists( mixed $value, int $limit, bool &$truncated ): mixed {
+        if ( ! is_array( $value ) ) {
+            return $value;
+        }
+
+        if ( array_key_exists( 0, $value ) && count( $value ) > $limit ) {
+            $value     = array_slice( $value, 0, $limit );
+            $truncated = true;
+        }
+
+        foreach ( $value as $key => $item ) {
+            $value[ $key ] = $this->limit_lists( $item, $limit, $truncated );
+        }
+
+        return $value;
+    }
+
+    /**
+     * Serve an operation from the mock ERP instead of the SOAP endpoint.
+     *
+     * @param string $operation    Key of Mock_ERP::OPERATIONS.
+     * @param string $vendor_codes Comma-separated VendorCodes for GetProductsStock.
+     * @return array Response in the decoded SOAP shape, for the parse_* methods.
+     */
+    private function fetch_mock( string $operation, string $vendor_codes = '' ): array {
+        $start    = microtime(true);
+        $response = $this->mock->get_response( $operation, $vendor_codes );
+
+        if ( $this->debug ) {
+            Logger::instance()->log( 'Mock ERP call', [
+                'operation'   => $operation,
+                'rows'        => count( reset( $response['return'] ) ),
+                'round'       => $this->mock->get_round(),
+                'duration_ms' => (int) round( ( microtime(true) - $start ) * 1000 ),
+            ] );
+        }
+
+        return $response;
+    }
+
+    /**
+     * Build a SOAP client for an operation, with the connection profile bound
+     * to its sync type (or the profile given to use_profile()).
+     *
+     * @param string $operation   Key of OPERATION_SYNC_TYPES.
+     * @param bool   $force_trace Trace even when Debug mode is off.
+     * @return \SoapClient
+     * @throws \RuntimeException When the profile has no credentials.
+     */
+    private function build_client( string $operation, bool $force_trace = false ): \SoapClient {
+        if ( ! $this->profile_fixed ) {
+            $this->apply_profile( Connection_Profiles::get_for_sync( self::OPERATION_SYNC_TYPES[ $operation ] ?? Sync_History::TYPE_CATALOG ) );
+        }
+
         if ( empty( $this->username ) || empty( $this->password ) ) {
             throw new \RuntimeException( 'Credentials not set.' );
         }
         
         $options = [
-            'trace'              => $this->debug ? 1 : 0,
+            'trace'              => ( $this->debug || $force_trace ) ? 1 : 0,
             'exceptions'         => true,
             'cache_wsdl'         => WSDL_CACHE_MEMORY,
             'login'              => $this->username,
@@ -382,6 +598,8 @@ class API_Client {
         
         if ( $this->debug ) {
             Logger::instance()->log( 'SOAP client built', [
+                'profile'      => $this->profile_id,
+                'operation'    => $operation,
                 'wsdl'         => $this->wsdl,
                 'location'     => $options['location'] ?? '(from WSDL)',
                 'timeout'      => $this->timeout,
@@ -553,7 +771,7 @@ class API_Client {
                 continue;
             }
 
-            $products[] = [
+            $product = [
                 'ProductName' => $this->sanitize_string( $row['ProductName'] ?? '' ),
                 'VendorCode'  => $this->sanitize_string( $row['VendorCode'] ?? '' ),
                 'Brand'       => $this->sanitize_string( $row['Brand'] ?? '' ),
@@ -565,6 +783,15 @@ class API_Client {
                 'Bijouterie'  => $this->sanitize_string( $row['Bijouterie'] ?? '' ),
                 'Branch'      => $this->sanitize_string( $row['Branch'] ?? $row['Shop'] ?? '' ),
             ];
+
+            // Keep any other field the ERP sends so it can be mapped without a plugin update
+            foreach ( $row as $field => $value ) {
+                if ( ! isset( $product[ $field ] ) && $field !== 'Shop' ) {
+                    $product[ $field ] = is_scalar( $value ) ? $this->sanitize_string( $value ) : '';
+                }
+            }
+
+            $products[] = $product;
         }
 
         if ( $this->debug && ! $products ) {
@@ -574,6 +801,54 @@ class API_Client {
         return $products;
     }
 
+    /**
+     * Remember which fields the last Products response contained.
+     *
+     * Stores per field how many rows filled it and a few distinct sample
+     * values, plus the most complete rows as preview samples.
+     *
+     * @param array $products Parsed product rows.
+     */
+    private function store_products_fields( array $products ): void {
+        // An empty response says nothing about the fields; keep the last summary
+        if ( empty( $products ) ) {
+            return;
+        }
+
+        $fields = [];
+
+        foreach ( $products as $row ) {
+            foreach ( $row as $field => $value ) {
+                if ( ! isset( $fields[ $field ] ) ) {
+                    $fields[ $field ] = [ 'filled' => 0, 'samples' => [] ];
+                }
+
+                if ( $value === '' ) {
+                    continue;
+                }
+
+                $fields[ $field ]['filled']++;
+
+                if ( count( $fields[ $field ]['samples'] ) < self::PRODUCTS_FIELD_SAMPLES && ! in_array( $value, $fields[ $field ]['samples'], true ) ) {
+                    $fields[ $field ]['samples'][] = $value;
+                }
+            }
+        }
+
+        // Rows with the most filled fields show the most in the mapping preview
+        $sample_rows = array_slice( $products, 0, 500 );
+        usort( $sample_rows, function ( array $a, array $b ): int {
+            return count( array_filter( $b, 'strlen' ) ) <=> count( array_filter( $a, 'strlen' ) );
+        } );
+
+        update_option( self::OPTION_LAST_PRODUCTS_FIELDS, [
+            'fetched_at'  => time(),
+            'rows'        => count( $products ),
+            'fields'      => $fields,
+            'sample_rows' => array_slice( $sample_rows, 0, self::PRODUCTS_SAMPLE_ROWS ),
+        ], false );
+    }
+
     /**
      * Parse and normalize the GetProductsStock SOAP response.
      *
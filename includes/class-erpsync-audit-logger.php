@@ -20,6 +20,16 @@ class Audit_Logger {
      */
     private const TABLE_NAME = 'erp_sync_product_logs';
 
+    /**
+     * Schema version of the logs table; bump it when erp_sync_create_log_table() changes.
+     */
+    public const DB_VERSION = '2';
+
+    /**
+     * Option holding the installed schema version.
+     */
+    public const OPTION_DB_VERSION = 'erp_sync_log_table_version';
+
     /**
      * Get the full table name with WordPress prefix.
      *
@@ -34,13 +44,14 @@ class Audit_Logger {
      * Log a product change to the database.
      *
      * @param \WC_Product $product     The product being changed.
-     * @param string      $change_type Type of change (e.g., 'stock', 'price', 'sale_price').
+     * @param string      $change_type Type of change (e.g., 'stock', 'branch', 'price', 'sale_price').
      * @param mixed       $old_value   The old value before the change.
      * @param mixed       $new_value   The new value after the change.
      * @param string      $message     Human-readable message describing the change.
+     * @param string      $session_id  Sync session that made the change, if any.
      * @return bool True on success, false on failure.
      */
-    public static function log_change( \WC_Product $product, string $change_type, $old_value, $new_value, string $message ): bool {
+    public static function log_change( \WC_Product $product, string $change_type, $old_value, $new_value, string $message, string $session_id = '' ): bool {
         global $wpdb;
 
         $table_name = self::get_table_name();
@@ -72,9 +83,10 @@ class Audit_Logger {
                 'old_value'    => $old_value_str,
                 'new_value'    => $new_value_str,
                 'message'      => $message,
+                'session_id'   => $session_id,
                 'created_at'   => current_time( 'mysql' ),
             ],
-            [ '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s' ]
+            [ '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s' ]
         );
 
         if ( $result === false ) {
@@ -92,16 +104,13 @@ class Audit_Logger {
     /**
      * Get logs with optional filters.
      *
-     * @param array $args Query arguments (month, year, search, per_page, offset, orderby, order).
+     * @param array $args Query arguments: filters (see build_where()) plus per_page, offset, orderby, order.
      * @return array Array of log records.
      */
     public static function get_logs( array $args = [] ): array {
         global $wpdb;
 
         $defaults = [
-            'month'    => 0,
-            'year'     => 0,
-            'search'   => '',
             'per_page' => 20,
             'offset'   => 0,
             'orderby'  => 'created_at',
@@ -111,54 +120,24 @@ class Audit_Logger {
         $args = wp_parse_args( $args, $defaults );
         $table_name = self::get_table_name();
 
-        // Build WHERE clauses
-        $where_clauses = [];
-        $where_values  = [];
-
-        // Date filter
-        if ( $args['year'] > 0 && $args['month'] > 0 ) {
-            $where_clauses[] = 'YEAR(created_at) = %d AND MONTH(created_at) = %d';
-            $where_values[]  = $args['year'];
-            $where_values[]  = $args['month'];
-        } elseif ( $args['year'] > 0 ) {
-            $where_clauses[] = 'YEAR(created_at) = %d';
-            $where_values[]  = $args['year'];
-        }
-
-        // Search filter (by product name or vendor code)
-        if ( ! empty( $args['search'] ) ) {
-            $search_term     = '%' . $wpdb->esc_like( $args['search'] ) . '%';
-            $where_clauses[] = '(product_name LIKE %s OR vendor_code LIKE %s)';
-            $where_values[]  = $search_term;
-            $where_values[]  = $search_term;
-        }
+        list( $where_sql, $where_values ) = self::build_where( $args );
 
         // Build SQL
-        $sql = "SELECT * FROM $table_name";
-
-        if ( ! empty( $where_clauses ) ) {
-            $sql .= ' WHERE ' . implode( ' AND ', $where_clauses );
-        }
+        $sql = "SELECT * FROM $table_name" . $where_sql;
 
         // Sanitize orderby and order
         $allowed_orderby = [ 'id', 'product_name', 'vendor_code', 'created_at', 'change_type' ];
         $orderby = in_array( $args['orderby'], $allowed_orderby, true ) ? $args['orderby'] : 'created_at';
         $order   = strtoupper( $args['order'] ) === 'ASC' ? 'ASC' : 'DESC';
 
-        $sql .= " ORDER BY $orderby $order";
+        // id as tie-breaker keeps rows of one sync in insertion order
+        $sql .= " ORDER BY $orderby $order, id $order";
         $sql .= ' LIMIT %d OFFSET %d';
 
         $where_values[] = (int) $args['per_page'];
         $where_values[] = (int) $args['offset'];
 
-        // Execute query
-        if ( ! empty( $where_values ) ) {
-            $prepared = $wpdb->prepare( $sql, $where_values );
-        } else {
-            $prepared = $sql;
-        }
-
-        $results = $wpdb->get_results( $prepared, ARRAY_A );
+        $results = $wpdb->get_results( $wpdb->prepare( $sql, $where_values ), ARRAY_A );
 
         return $results ?: [];
     }
@@ -166,22 +145,56 @@ class Audit_Logger {
     /**
      * Get total count of logs with optional filters.
      *
-     * @param array $args Query arguments (month, year, search).
+     * @param array $args Query arguments (see build_where()).
      * @return int Total count.
      */
     public static function get_logs_count( array $args = [] ): int {
         global $wpdb;
 
-        $defaults = [
-            'month'  => 0,
-            'year'   => 0,
-            'search' => '',
-        ];
-
-        $args = wp_parse_args( $args, $defaults );
         $table_name = self::get_table_name();
 
-        // Build WHERE clauses
+        list( $where_sql, $where_values ) = self::build_where( $args );
+
+        $sql = "SELECT COUNT(*) FROM $table_name" . $where_sql;
+
+        // Execute query
+        if ( ! empty( $where_values ) ) {
+            $count = $wpdb->get_var( $wpdb->prepare( $sql, $where_values ) );
+        } else {
+            $count = $wpdb->get_var( $sql );
+        }
+
+        return (int) $count;
+    }
+
+    /**
+     * Build the WHERE clause shared by get_logs() and get_logs_count().
+     *
+     * Supported filters:
+     * - month, year:         calendar month / year of created_at
+     * - date_from, date_to:  inclusive Y-m-d range of created_at
+     * - search:              product name or vendor code (LIKE)
+     * - product_id:          exact product
+     * - change_type:         one type or a list of types
+     * - session_id:          sync session that wrote the row
+     *
+     * @param array $args Filter arguments.
+     * @return array{0: string, 1: array} SQL fragment (with leading " WHERE", or empty) and its placeholder values.
+     */
+    private static function build_where( array $args ): array {
+        global $wpdb;
+
+        $args = wp_parse_args( $args, [
+            'month'       => 0,
+            'year'        => 0,
+            'date_from'   => '',
+            'date_to'     => '',
+            'search'      => '',
+            'product_id'  => 0,
+            'change_type' => '',
+            'session_id'  => '',
+        ] );
+
         $where_clauses = [];
         $where_values  = [];
 
@@ -195,7 +208,17 @@ class Audit_Logger {
             $where_values[]  = $args['year'];
         }
 
-        // Search filter
+        // Date range filter
+        if ( preg_match( '/^\d{4}-\d{2}-\d{2}$/', (string) $args['date_from'] ) ) {
+            $where_clauses[] = 'created_at >= %s';
+            $where_values[]  = $args['date_from'] . ' 00:00:00';
+        }
+        if ( preg_match( '/^\d{4}-\d{2}-\d{2}$/', (string) $args['date_to'] ) ) {
+            $where_clauses[] = 'created_at <= %s';
+            $where_values[]  = $args['date_to'] . ' 23:59:59';
+        }
+
+        // Search filter (by product name or vendor code)
         if ( ! empty( $args['search'] ) ) {
             $search_term     = '%' . $wpdb->esc_like( $args['search'] ) . '%';
             $where_clauses[] = '(product_name LIKE %s OR vendor_code LIKE %s)';
@@ -203,21 +226,52 @@ class Audit_Logger {
             $where_values[]  = $search_term;
         }
 
-        // Build SQL
-        $sql = "SELECT COUNT(*) FROM $table_name";
+        // Product filter
+        if ( (int) $args['product_id'] > 0 ) {
+            $where_clauses[] = 'product_id = %d';
+            $where_values[]  = (int) $args['product_id'];
+        }
 
-        if ( ! empty( $where_clauses ) ) {
-            $sql .= ' WHERE ' . implode( ' AND ', $where_clauses );
+        // Change type filter
+        $types = array_filter( (array) $args['change_type'] );
+        if ( ! empty( $types ) ) {
+            $where_clauses[] = 'change_type IN (' . implode( ', ', array_fill( 0, count( $types ), '%s' ) ) . ')';
+            $where_values    = array_merge( $where_values, array_values( $types ) );
         }
 
-        // Execute query
-        if ( ! empty( $where_values ) ) {
-            $count = $wpdb->get_var( $wpdb->prepare( $sql, $where_values ) );
-        } else {
-            $count = $wpdb->get_var( $sql );
+        // Session filter
+        if ( ! empty( $args['session_id'] ) ) {
+            $where_clauses[] = 'session_id = %s';
+            $where_values[]  = $args['session_id'];
         }
 
-        return (int) $count;
+        $where_sql = empty( $where_clauses ) ? '' : ' WHERE ' . implode( ' AND ', $where_clauses );
+
+        return [ $where_sql, $where_values ];
+    }
+
+    /**
+     * Get the most recent sync sessions that wrote log rows.
+     *
+     * @param int $limit Maximum number of sessions.
+     * @return array List of [session_id, started_at, finished_at, changes].
+     */
+    public static function get_available_sessions( int $limit = 50 ): array {
+        global $wpdb;
+
+        $table_name = self::get_table_name();
+
+        $results = $wpdb->get_results( $wpdb->prepare(
+            "SELECT session_id, MIN(created_at) AS started_at, MAX(created_at) AS finished_at, COUNT(*) AS changes
+             FROM $table_name
+             WHERE session_id <> ''
+             GROUP BY session_id
+             ORDER BY finished_at DESC
+             LIMIT %d",
+            $limit
+        ), ARRAY_A );
+
+        return $results ?: [];
     }
 
     /**
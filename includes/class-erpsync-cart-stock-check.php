@@ -9,8 +9,13 @@ if ( ! defined( 'ABSPATH' ) ) exit;
  * Cart Stock Check
  *
  * Re-verifies product stock against the ERP (1C) when a customer
- * adds a product to the cart, ensuring stale WooCommerce stock
- * data doesn't allow out-of-stock items to be purchased.
+ * adds a product to the cart, and again for the whole cart on the cart
+ * page, after cart updates and at checkout, ensuring stale WooCommerce
+ * stock data doesn't allow out-of-stock items to be purchased.
+ *
+ * The cart check runs before WooCommerce's own stock check, so the
+ * notices that block checkout come from WooCommerce using the refreshed
+ * stock. assets/cart-stock.js adds per-line messages with branch detail.
  *
  * @package ERPSync
  * @since 1.3.0
@@ -23,11 +28,30 @@ class Cart_Stock_Check {
      */
     private const THROTTLE_SECONDS = 30;
 
+    /**
+     * Option: lower cart quantities to the available stock instead of
+     * only telling the customer.
+     */
+    public const OPTION_AUTO_ADJUST = 'erp_sync_cart_auto_adjust';
+
+    /**
+     * WC session key holding the quantities adjusted by the last cart check.
+     */
+    private const SESSION_ADJUSTED = 'erp_sync_cart_adjusted';
+
     /**
      * Initialize hooks.
      */
     public static function init(): void {
         add_filter( 'woocommerce_add_to_cart_validation', [ __CLASS__, 'validate_stock_from_erp' ], 10, 3 );
+
+        // Cart page, cart updates and checkout; before WC_Cart::check_cart_items() at priority 1
+        add_action( 'woocommerce_check_cart_items', [ __CLASS__, 'validate_cart_items' ], 0 );
+
+        // Per-line messages
+        add_filter( 'woocommerce_cart_item_class', [ __CLASS__, 'add_cart_item_class' ], 10, 3 );
+        add_action( 'wc_ajax_erp_sync_cart_stock', [ __CLASS__, 'ajax_cart_stock' ] );
+        add_action( 'wp_enqueue_scripts', [ __CLASS__, 'enqueue_assets' ] );
     }
 
     /**
@@ -48,84 +72,375 @@ class Cart_Stock_Check {
             return $passed;
         }
 
-        // Only check ERP-managed products
-        $is_erp_managed = $product->get_meta( '_erp_sync_managed', true );
-        if ( ! $is_erp_managed ) {
-            return $passed;
-        }
+        $status = Security::without_caller_checks( function () use ( $product ): string {
+            return self::refresh_stock_from_erp( $product );
+        } );
 
-        $sku = $product->get_sku();
-        if ( empty( $sku ) ) {
-            return $passed;
+        if ( $status === 'outofstock' ) {
+            wc_add_notice(
+                __( 'Sorry, this product is currently out of stock.', 'erp-sync' ),
+                'error'
+            );
+            return false;
         }
 
-        // Skip excluded SKUs — never mark these out of stock
-        if ( in_array( $sku, erp_sync_excluded_skus(), true ) ) {
-            return $passed;
-        }
+        return $passed;
+    }
 
-        // Throttle: skip if we checked this product recently
-        $transient_key = 'erp_cart_check_' . $product_id;
-        $last_check = get_transient( $transient_key );
-        if ( $last_check !== false ) {
-            // Use the cached stock status from the last check
-            if ( $last_check === 'outofstock' ) {
-                wc_add_notice(
-                    __( 'Sorry, this product is currently out of stock.', 'erp-sync' ),
-                    'error'
-                );
-                return false;
+    /**
+     * Refresh an ERP-managed product's stock from the ERP, at most once per
+     * THROTTLE_SECONDS per product.
+     *
+     * Also used by the storefront branch availability endpoint.
+     *
+     * @param \WC_Product $product Product or variation.
+     * @return string 'instock' or 'outofstock'; '' when the product is not
+     *                checked (not ERP-managed, no SKU, excluded) or the ERP failed.
+     */
+    public static function refresh_stock_from_erp( \WC_Product $product ): string {
+        $statuses = self::refresh_products_from_erp( [ $product ] );
+
+        return $statuses[ $product->get_id() ] ?? '';
+    }
+
+    /**
+     * Refresh several ERP-managed products with one GetProductsStock call.
+     *
+     * Products checked within THROTTLE_SECONDS use the cached status and are
+     * left out of the call. On ERP failure the stored stock is kept.
+     *
+     * @param \WC_Product[] $products Products or variations.
+     * @return array Product ID => 'instock'|'outofstock' for the products
+     *               that were checked; unchecked products are missing.
+     */
+    public static function refresh_products_from_erp( array $products ): array {
+        $statuses = [];
+        $stale    = [];
+
+        foreach ( $products as $product ) {
+            // Only check ERP-managed products
+            $is_erp_managed = $product->get_meta( '_erp_sync_managed', true );
+            if ( ! $is_erp_managed ) {
+                continue;
             }
-            return $passed;
+
+            $sku = $product->get_sku();
+            if ( empty( $sku ) ) {
+                continue;
+            }
+
+            // Skip excluded SKUs — never mark these out of stock
+            if ( in_array( $sku, erp_sync_excluded_skus(), true ) ) {
+                continue;
+            }
+
+            // Throttle: use the cached stock status if we checked this product recently
+            $last_check = get_transient( 'erp_cart_check_' . $product->get_id() );
+            if ( $last_check !== false ) {
+                $statuses[ $product->get_id() ] = (string) $last_check;
+                continue;
+            }
+
+            $stale[ strtolower( $sku ) ] = $product;
+        }
+
+        if ( empty( $stale ) ) {
+            return $statuses;
         }
 
         try {
             $api  = new API_Client();
-            $rows = $api->fetch_products_stock( $sku );
-
-            if ( empty( $rows ) ) {
-                // Product not found in ERP — out of stock
-                self::mark_out_of_stock( $product );
-                set_transient( $transient_key, 'outofstock', self::THROTTLE_SECONDS );
-
-                wc_add_notice(
-                    __( 'Sorry, this product is currently out of stock.', 'erp-sync' ),
-                    'error'
-                );
-                return false;
-            }
+            $rows = $api->fetch_products_stock( implode( ',', array_map( function ( \WC_Product $product ): string {
+                return $product->get_sku();
+            }, $stale ) ) );
 
             // Process the stock data through the normal sync pipeline
-            $sync    = new Sync_Service( $api );
-            $session = uniqid( 'cart_check_', true );
-            $sync->get_product_service()->sync_stock_batch( $rows, $session );
-
-            // Re-read the product after sync updated it
-            $product = wc_get_product( $product_id );
-            $stock   = (int) $product->get_stock_quantity();
-
-            if ( $stock <= 0 ) {
-                set_transient( $transient_key, 'outofstock', self::THROTTLE_SECONDS );
-                wc_add_notice(
-                    __( 'Sorry, this product is currently out of stock.', 'erp-sync' ),
-                    'error'
-                );
-                return false;
+            if ( ! empty( $rows ) ) {
+                $sync    = new Sync_Service( $api );
+                $session = uniqid( 'cart_check_', true );
+                $sync->get_product_service()->sync_stock_batch( $rows, $session );
             }
 
-            // Product is in stock
-            set_transient( $transient_key, 'instock', self::THROTTLE_SECONDS );
-            return $passed;
+            $returned = [];
+            foreach ( $rows as $row ) {
+                $returned[ strtolower( trim( (string) ( $row['VendorCode'] ?? '' ) ) ) ] = true;
+            }
+
+            foreach ( $stale as $sku => $product ) {
+                $product_id = $product->get_id();
+
+                if ( ! isset( $returned[ $sku ] ) ) {
+                    // Product not found in ERP — out of stock
+                    self::mark_out_of_stock( $product );
+                    $status = 'outofstock';
+                } else {
+                    // Re-read the product after sync updated it
+                    $product = wc_get_product( $product_id );
+                    $status  = (int) $product->get_stock_quantity() > 0 ? 'instock' : 'outofstock';
+                }
+
+                set_transient( 'erp_cart_check_' . $product_id, $status, self::THROTTLE_SECONDS );
+                $statuses[ $product_id ] = $status;
+            }
 
         } catch ( \Throwable $e ) {
-            // On ERP failure, allow the add-to-cart (don't block sales due to API issues)
-            Logger::instance()->log( 'Cart stock check failed, allowing add-to-cart', [
-                'product_id' => $product_id,
-                'sku'        => $sku,
-                'error'      => $e->getMessage(),
+            // On ERP failure, keep the stored stock (don't block sales due to API issues)
+            Logger::instance()->log( 'ERP stock check failed, using stored stock', [
+                'product_ids' => implode( ', ', array_map( function ( \WC_Product $product ): int {
+                    return $product->get_id();
+                }, array_values( $stale ) ) ),
+                'skus'        => implode( ', ', array_keys( $stale ) ),
+                'error'       => $e->getMessage(),
             ] );
-            return $passed;
         }
+
+        return $statuses;
+    }
+
+    /**
+     * Re-check the whole cart against the ERP before WooCommerce checks the
+     * cart stock, and lower quantities when auto-adjust is enabled.
+     *
+     * Hooked to woocommerce_check_cart_items, which runs on the cart page,
+     * after cart updates and when the checkout is submitted.
+     */
+    public static function validate_cart_items(): void {
+        $cart = WC()->cart;
+        if ( ! $cart || $cart->is_empty() ) {
+            return;
+        }
+
+        $lines    = self::check_cart( $cart );
+        $adjusted = [];
+        $removed  = [];
+
+        if ( get_option( self::OPTION_AUTO_ADJUST, false ) ) {
+            foreach ( array_keys( $lines ) as $key ) {
+                $line = $lines[ $key ];
+                if ( $line['requested'] <= $line['available'] || ! isset( $cart->cart_contents[ $key ] ) ) {
+                    continue;
+                }
+
+                // Lines of the same product share its stock; give it to the first ones
+                $quantity = (int) $cart->cart_contents[ $key ]['quantity'];
+                $new_qty  = max( 0, $quantity - ( $line['requested'] - $line['available'] ) );
+                foreach ( $lines as $other_key => $other ) {
+                    if ( $other['product_id'] === $line['product_id'] ) {
+                        $lines[ $other_key ]['requested'] -= $quantity - $new_qty;
+                    }
+                }
+
+                if ( $new_qty > 0 ) {
+                    $cart->set_quantity( $key, $new_qty );
+                    $adjusted[ $key ] = [ 'from' => $quantity, 'to' => $new_qty ];
+                } else {
+                    $removed[] = $line['name'];
+                    $cart->remove_cart_item( $key );
+                }
+            }
+        }
+
+        if ( WC()->session ) {
+            WC()->session->set( self::SESSION_ADJUSTED, $adjusted );
+        }
+
+        if ( $removed ) {
+            wc_add_notice( sprintf(
+                /* translators: %s: product names */
+                __( 'Removed from your cart because it is out of stock: %s', 'erp-sync' ),
+                implode( ', ', $removed )
+            ), 'notice' );
+        }
+
+        if ( $adjusted || $removed ) {
+            // The customer must see the new quantities before the order is placed
+            $notice_type = did_action( 'woocommerce_before_checkout_process' ) ? 'error' : 'notice';
+
+            wc_add_notice( __( 'Quantities in your cart were updated to the stock available. Please review your cart.', 'erp-sync' ), $notice_type );
+        }
+    }
+
+    /**
+     * Refresh the stock of all ERP-managed cart items with one ERP call and
+     * report the lines that ask for more than is available.
+     *
+     * The cart's product objects are updated in memory so WooCommerce's own
+     * stock check sees the refreshed quantities.
+     *
+     * @param \WC_Cart $cart Cart.
+     * @return array Cart item key => [ 'key', 'product_id', 'name', 'requested',
+     *               'available', 'live', 'message' ], shortages only.
+     */
+    public static function check_cart( \WC_Cart $cart ): array {
+        $products  = [];
+        $requested = [];
+
+        foreach ( $cart->get_cart() as $item ) {
+            $product = $item['data'] ?? null;
+            if ( ! $product instanceof \WC_Product ) {
+                continue;
+            }
+
+            $products[ $product->get_id() ]  = $product;
+            $requested[ $product->get_id() ] = ( $requested[ $product->get_id() ] ?? 0 ) + (int) $item['quantity'];
+        }
+
+        // Shoppers aren't subject to the admin IP whitelist and rate limit
+        $statuses = Security::without_caller_checks( function () use ( $products ): array {
+            return self::refresh_products_from_erp( array_values( $products ) );
+        } );
+        $lines    = [];
+
+        foreach ( $cart->get_cart() as $key => $item ) {
+            $product = $item['data'] ?? null;
+            if ( ! $product instanceof \WC_Product || ! $product->get_meta( '_erp_sync_managed', true ) ) {
+                continue;
+            }
+
+            $product_id = $product->get_id();
+            $stored     = wc_get_product( $product_id );
+            if ( ! $stored || ! $stored->managing_stock() ) {
+                continue;
+            }
+
+            // Keep the cart's product object (prices may have been adjusted on it) but refresh its stock
+            $available = max( 0, (int) $stored->get_stock_quantity() );
+            $product->set_stock_quantity( $available );
+            $product->set_stock_status( $stored->get_stock_status() );
+
+            if ( $requested[ $product_id ] <= $available ) {
+                continue;
+            }
+
+            $lines[ $key ] = [
+                'key'        => $key,
+                'product_id' => $product_id,
+                'name'       => $product->get_name(),
+                'requested'  => $requested[ $product_id ],
+                'available'  => $available,
+                'live'       => isset( $statuses[ $product_id ] ),
+                'message'    => self::get_shortage_message( $product_id, $available ),
+            ];
+        }
+
+        return $lines;
+    }
+
+    /**
+     * Per-line availability message, naming the branch when the stock is at one branch.
+     *
+     * @param int $product_id Product or variation ID.
+     * @param int $available  Available quantity.
+     * @return string
+     */
+    private static function get_shortage_message( int $product_id, int $available ): string {
+        if ( $available <= 0 ) {
+            return __( 'Out of stock', 'erp-sync' );
+        }
+
+        $branches = Frontend::get_branch_stock_items( $product_id );
+        if ( count( $branches ) === 1 ) {
+            return sprintf(
+                /* translators: 1: quantity, 2: branch name */
+                _n( 'Only %1$d left at %2$s', 'Only %1$d left at %2$s', $available, 'erp-sync' ),
+                $available,
+                $branches[0]['name']
+            );
+        }
+
+        /* translators: %d: quantity */
+        return sprintf( _n( 'Only %d left', 'Only %d left', $available, 'erp-sync' ), $available );
+    }
+
+    /**
+     * Tag cart and checkout review rows with their cart item key for assets/cart-stock.js.
+     *
+     * @param string $class         Row classes.
+     * @param array  $cart_item     Cart item.
+     * @param string $cart_item_key Cart item key.
+     * @return string
+     */
+    public static function add_cart_item_class( $class, $cart_item, $cart_item_key ): string {
+        return trim( $class . ' erp-sync-cart-item-' . sanitize_html_class( (string) $cart_item_key ) );
+    }
+
+    /**
+     * wc-ajax=erp_sync_cart_stock: shortages of the current cart and the
+     * quantities the last cart check adjusted.
+     */
+    public static function ajax_cart_stock(): void {
+        $cart = WC()->cart;
+        if ( ! $cart ) {
+            wp_send_json_success( [ 'lines' => [] ] );
+        }
+
+        try {
+            $lines = self::check_cart( $cart );
+        } catch ( \Throwable $e ) {
+            Logger::instance()->log( 'Cart stock lines failed', [ 'error' => $e->getMessage() ] );
+            $lines = [];
+        }
+
+        $adjusted = WC()->session ? (array) WC()->session->get( self::SESSION_ADJUSTED, [] ) : [];
+
+        foreach ( $adjusted as $key => $change ) {
+            // Only while the line still has the adjusted quantity
+            $item = $cart->get_cart_item( (string) $key );
+            if ( ! $item || (int) $item['quantity'] !== (int) $change['to'] || isset( $lines[ $key ] ) ) {
+                continue;
+            }
+
+            $lines[ $key ] = [
+                'key'        => (string) $key,
+                'product_id' => $item['data']->get_id(),
+                'name'       => $item['data']->get_name(),
+                'requested'  => (int) $change['to'],
+                'available'  => (int) $change['to'],
+                'live'       => true,
+                'adjusted'   => true,
+                'message'    => sprintf(
+                    /* translators: 1: old quantity, 2: new quantity, 3: availability message */
+                    __( 'Quantity changed from %1$d to %2$d. %3$s', 'erp-sync' ),
+                    (int) $change['from'],
+                    (int) $change['to'],
+                    self::get_shortage_message( $item['data']->get_id(), (int) $change['to'] )
+                ),
+            ];
+        }
+
+        wp_send_json_success( [
+            'lines' => array_values( array_map( function ( array $line ): array {
+                unset( $line['name'] );
+                return $line + [ 'adjusted' => false ];
+            }, $lines ) ),
+        ] );
+    }
+
+    /**
+     * Enqueue the per-line message script on the cart and checkout pages.
+     */
+    public static function enqueue_assets(): void {
+        if ( ! function_exists( 'is_cart' ) || ! ( is_cart() || is_checkout() ) ) {
+            return;
+        }
+
+        wp_register_style( 'erp-sync-cart-stock', false );
+        wp_enqueue_style( 'erp-sync-cart-stock' );
+        wp_add_inline_style( 'erp-sync-cart-stock', '
+            .erp-sync-cart-stock-message {
+                margin-top: 4px;
+                color: #b32d2e;
+                font-size: 0.875em;
+            }
+            .erp-sync-cart-stock-message.is-adjusted {
+                color: #996800;
+            }
+        ' );
+
+        wp_enqueue_script( 'erp-sync-cart-stock', ERPSYNC_URL . 'assets/cart-stock.js', [ 'jquery' ], ERPSYNC_VERSION, true );
+        wp_localize_script( 'erp-sync-cart-stock', 'erpSyncCartStock', [
+            'ajaxUrl' => \WC_AJAX::get_endpoint( 'erp_sync_cart_stock' ),
+        ] );
     }
 
     /**
@@ -0,0 +1,237 @@
+<?php
+declare(strict_types=1);
+
+namespace ERPSync;
+
+if ( ! defined( 'ABSPATH' ) ) exit;
+
+/**
+ * Connection Profiles Class
+ *
+ * Named ERP connections (WSDL, credentials, endpoint, timeout, SOAP version)
+ * and which one the catalog, stock and coupon syncs use.
+ *
+ * The default profile is the original single connection and stays in the
+ * API_Client::OPTION_* options, so existing installs need no migration.
+ * Other profiles are stored together in OPTION_PROFILES. Passwords are
+ * always stored encrypted with Security::encrypt().
+ *
+ * @package ERPSync
+ * @since 1.5.0
+ */
+class Connection_Profiles {
+
+    const OPTION_PROFILES = 'erp_sync_connection_profiles';
+    const OPTION_BINDINGS = 'erp_sync_profile_bindings';
+
+    const DEFAULT_ID = 'default';
+
+    /**
+     * Sync types that can be bound to a profile.
+     */
+    const SYNC_TYPES = [ Sync_History::TYPE_CATALOG, Sync_History::TYPE_STOCK, Sync_History::TYPE_COUPONS ];
+
+    const DEFAULT_WSDL = 'http://92.241.78.182:8080/artsw2022/ws/WebExchange.1cws?wsdl';
+
+    /**
+     * Get all profiles, default first.
+     *
+     * @return array Profiles keyed by ID.
+     */
+    public static function get_all(): array {
+        $profiles = [ self::DEFAULT_ID => self::get_default() ];
+
+        $stored = get_option( self::OPTION_PROFILES, [] );
+        foreach ( is_array( $stored ) ? $stored : [] as $id => $profile ) {
+            if ( is_array( $profile ) && $id !== self::DEFAULT_ID ) {
+                $profiles[ $id ] = self::normalize( (string) $id, $profile );
+            }
+        }
+
+        return $profiles;
+    }
+
+    /**
+     * Get one profile.
+     *
+     * @param string $id Profile ID.
+     * @return array|null Profile, or null if it does not exist.
+     */
+    public static function get( string $id ): ?array {
+        return self::get_all()[ $id ] ?? null;
+    }
+
+    /**
+     * Get the profile bound to a sync type.
+     *
+     * @param string $sync_type One of SYNC_TYPES.
+     * @return array Profile (the default one when unbound or deleted).
+     */
+    public static function get_for_sync( string $sync_type ): array {
+        return self::get( self::get_binding( $sync_type ) ) ?? self::get_default();
+    }
+
+    /**
+     * Get the ID of the profile bound to a sync type.
+     *
+     * @param string $sync_type One of SYNC_TYPES.
+     * @return string Profile ID.
+     */
+    public static function get_binding( string $sync_type ): string {
+        $bindings = get_option( self::OPTION_BINDINGS, [] );
+        $id       = is_array( $bindings ) ? (string) ( $bindings[ $sync_type ] ?? '' ) : '';
+
+        return $id !== '' && self::get( $id ) ? $id : self::DEFAULT_ID;
+    }
+
+    /**
+     * Save which profile each sync type uses.
+     *
+     * @param array $input Profile ID per sync type; unknown IDs fall back to the default profile.
+     */
+    public static function save_bindings( array $input ): void {
+        $profiles = self::get_all();
+        $bindings = [];
+
+        foreach ( self::SYNC_TYPES as $sync_type ) {
+            $id = sanitize_key( (string) ( $input[ $sync_type ] ?? '' ) );
+            $bindings[ $sync_type ] = isset( $profiles[ $id ] ) ? $id : self::DEFAULT_ID;
+        }
+
+        update_option( self::OPTION_BINDINGS, $bindings );
+    }
+
+    /**
+     * Create or update a profile from form input.
+     *
+     * @param array       $input Raw fields (name, wsdl, username, password, force_location, timeout, soap_version).
+     * @param string|null $id    Profile to update, null to create one.
+     * @return string Profile ID.
+     */
+    public static function save( array $input, ?string $id = null ): string {
+        $existing = $id !== null ? self::get( $id ) : null;
+        $profile  = self::sanitize( $input, $existing ?? [] );
+
+        if ( $id === self::DEFAULT_ID ) {
+            update_option( API_Client::OPTION_WSDL, $profile['wsdl'] );
+            update_option( API_Client::OPTION_USERNAME, $profile['username'] );
+            update_option( API_Client::OPTION_PASSWORD, $profile['password'] );
+            update_option( API_Client::OPTION_FORCE_LOCATION, $profile['force_location'] );
+            update_option( API_Client::OPTION_TIMEOUT, $profile['timeout'] );
+            update_option( API_Client::OPTION_SOAP_VERSION, $profile['soap_version'] );
+            return $id;
+        }
+
+        if ( $existing === null ) {
+            $id = sanitize_key( uniqid( 'profile_' ) );
+        }
+
+        $stored = get_option( self::OPTION_PROFILES, [] );
+        $stored = is_array( $stored ) ? $stored : [];
+
+        unset( $profile['id'] );
+        $stored[ $id ] = $profile;
+        update_option( self::OPTION_PROFILES, $stored );
+
+        return $id;
+    }
+
+    /**
+     * Delete a profile. The default profile cannot be deleted; syncs bound to
+     * the deleted profile go back to the default one.
+     *
+     * @param string $id Profile ID.
+     */
+    public static function delete( string $id ): void {
+        if ( $id === self::DEFAULT_ID ) {
+            return;
+        }
+
+        $stored = get_option( self::OPTION_PROFILES, [] );
+        if ( is_array( $stored ) && isset( $stored[ $id ] ) ) {
+            unset( $stored[ $id ] );
+            update_option( self::OPTION_PROFILES, $stored );
+        }
+    }
+
+    /**
+     * Sanitize profile fields from form input.
+     *
+     * An empty password keeps the existing one.
+     *
+     * @param array $input    Raw fields.
+     * @param array $existing Current profile, empty for a new one.
+     * @return array Profile with the password encrypted.
+     */
+    public static function sanitize( array $input, array $existing = [] ): array {
+        $soap_version = (int) ( $input['soap_version'] ?? 11 );
+        if ( ! in_array( $soap_version, [ 11, 12 ], true ) ) $soap_version = 11;
+
+        $password = (string) ( $existing['password'] ?? '' );
+        if ( isset( $input['password'] ) && $input['password'] !== '' ) {
+            $password = Security::encrypt( sanitize_text_field( (string) $input['password'] ) );
+        }
+
+        return [
+            'id'             => (string) ( $existing['id'] ?? '' ),
+            'name'           => sanitize_text_field( (string) ( $input['name'] ?? ( $existing['name'] ?? '' ) ) ),
+            'wsdl'           => esc_url_raw( (string) ( $input['wsdl'] ?? '' ) ),
+            'username'       => sanitize_text_field( (string) ( $input['username'] ?? '' ) ),
+            'password'       => $password,
+            'force_location' => esc_url_raw( (string) ( $input['force_location'] ?? '' ) ),
+            'timeout'        => max( 5, (int) ( $input['timeout'] ?? 30 ) ),
+            'soap_version'   => $soap_version,
+        ];
+    }
+
+    /**
+     * Build the default profile from the original connection options.
+     *
+     * A password still stored as plain text (before encryption was added) is
+     * encrypted in place.
+     *
+     * @return array Profile.
+     */
+    private static function get_default(): array {
+        $password = (string) get_option( API_Client::OPTION_PASSWORD, '' );
+
+        if ( $password !== '' && Security::decrypt( $password ) === '' ) {
+            $encrypted = Security::encrypt( $password );
+            if ( ! empty( $encrypted ) ) {
+                update_option( API_Client::OPTION_PASSWORD, $encrypted );
+                Logger::instance()->log( 'Password re-encrypted from plain text', [] );
+                $password = $encrypted;
+            }
+        }
+
+        return self::normalize( self::DEFAULT_ID, [
+            'name'           => __( 'Default', 'erp-sync' ),
+            'wsdl'           => get_option( API_Client::OPTION_WSDL, self::DEFAULT_WSDL ),
+            'username'       => get_option( API_Client::OPTION_USERNAME, '' ),
+            'password'       => $password,
+            'force_location' => get_option( API_Client::OPTION_FORCE_LOCATION, '' ),
+            'timeout'        => get_option( API_Client::OPTION_TIMEOUT, 30 ),
+            'soap_version'   => get_option( API_Client::OPTION_SOAP_VERSION, 11 ),
+        ] );
+    }
+
+    /**
+     * Fill in missing profile fields and cast them.
+     *
+     * @param string $id      Profile ID.
+     * @param array  $profile Stored fields.
+     * @return array Profile.
+     */
+    private static function normalize( string $id, array $profile ): array {
+        return [
+            'id'             => $id,
+            'name'           => (string) ( $profile['name'] ?? '' ) !== '' ? (string) $profile['name'] : $id,
+            'wsdl'           => (string) ( $profile['wsdl'] ?? '' ),
+            'username'       => (string) ( $profile['username'] ?? '' ),
+            'password'       => (string) ( $profile['password'] ?? '' ),
+            'force_location' => (string) ( $profile['force_location'] ?? '' ),
+            'timeout'        => (int) ( $profile['timeout'] ?? 30 ),
+            'soap_version'   => (int) ( $profile['soap_version'] ?? 11 ),
+        ];
+    }
+}
@@ -27,17 +27,29 @@ class Coupon_Dynamic {
         $id = $coupon->get_id();
         if ( ! get_post_meta( $id, '_erp_sync_managed', true ) ) return $amount;
 
-        $is_deleted = get_post_meta( $id, '_erp_sync_is_deleted', true ) === 'yes';
-        if ( $is_deleted ) return 0;
+        $effective = self::get_effective_discount( $id );
+        if ( $effective['amount'] === null ) return $amount;
+        return $effective['amount'];
+    }
+
+    /**
+     * Discount an ERP-managed card gives today and why.
+     *
+     * @return array{amount: ?int, reason: string} reason is 'deleted', 'birthday' or 'base';
+     *               amount is null when no base discount is stored (the coupon amount applies).
+     */
+    public static function get_effective_discount( int $coupon_id ): array {
+        if ( get_post_meta( $coupon_id, '_erp_sync_is_deleted', true ) === 'yes' ) {
+            return [ 'amount' => 0, 'reason' => 'deleted' ];
+        }
 
-        $dob = (string) get_post_meta( $id, '_erp_sync_dob', true );
+        $dob = (string) get_post_meta( $coupon_id, '_erp_sync_dob', true );
         if ( self::is_in_birthday_window( $dob ) ) {
-            return self::BIRTHDAY_OVERRIDE;
+            return [ 'amount' => self::BIRTHDAY_OVERRIDE, 'reason' => 'birthday' ];
         }
 
-        $base = get_post_meta( $id, '_erp_sync_base_discount', true );
-        if ( $base === '' ) return $amount;
-        return (int) $base;
+        $base = get_post_meta( $coupon_id, '_erp_sync_base_discount', true );
+        return [ 'amount' => $base === '' ? null : (int) $base, 'reason' => 'base' ];
     }
 
     public static function validate_user_login( bool $valid, \WC_Coupon $coupon ): bool {
@@ -108,7 +120,7 @@ class Coupon_Dynamic {
         return preg_replace( '/\D/', '', $phone );
     }
 
-    private static function is_in_birthday_window( string $dob ): bool {
+    public static function is_in_birthday_window( string $dob ): bool {
         if ( empty( $dob ) || ! preg_match( '/^\d{4}-\d{2}-\d{2}$/', $dob ) ) return false;
         try {
             list( $y, $m, $d ) = array_map( 'intval', explode( '-', $dob ) );
@@ -135,6 +147,31 @@ class Coupon_Dynamic {
         }
     }
 
+    /**
+     * Days from today to the next birthday (0 = today), or null without a valid DOB.
+     * 29 February birthdays fall on 28 February in non-leap years.
+     */
+    public static function days_until_birthday( string $dob ): ?int {
+        if ( empty( $dob ) || ! preg_match( '/^\d{4}-\d{2}-\d{2}$/', $dob ) ) return null;
+
+        list( $y, $m, $d ) = array_map( 'intval', explode( '-', $dob ) );
+        if ( ! checkdate( $m, $d, $m === 2 && $d === 29 ? 2000 : 2001 ) ) return null;
+
+        $now   = current_time( 'timestamp' );
+        $today = strtotime( date( 'Y-m-d', $now ) );
+        $year  = (int) date( 'Y', $now );
+
+        foreach ( [ $year, $year + 1 ] as $candidate_year ) {
+            $day       = ( $m === 2 && $d === 29 && ! self::is_leap_year( $candidate_year ) ) ? 28 : $d;
+            $candidate = strtotime( sprintf( '%04d-%02d-%02d', $candidate_year, $m, $day ) );
+            if ( $candidate >= $today ) {
+                return (int) round( ( $candidate - $today ) / DAY_IN_SECONDS );
+            }
+        }
+
+        return null;
+    }
+
     private static function is_leap_year( int $y ): bool {
         return ( ($y % 4 === 0) && ($y % 100 !== 0) ) || ($y % 400 === 0);
     }
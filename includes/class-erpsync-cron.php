@@ -229,6 +229,7 @@ class Cron {
             'php_mem_usage_kb' => (int) ( memory_get_usage(true) / 1024 ),
             'php_mem_peak_kb'  => (int) ( memory_get_peak_usage(true) / 1024 ),
             'interval'         => self::get_interval_key(),
+            'profile'          => Connection_Profiles::get_binding( Sync_History::TYPE_COUPONS ),
         ] );
 
         try {
@@ -286,6 +287,7 @@ class Cron {
             'php_mem_usage_kb' => (int) ( memory_get_usage(true) / 1024 ),
             'php_mem_peak_kb'  => (int) ( memory_get_peak_usage(true) / 1024 ),
             'interval'         => self::get_catalog_interval_key(),
+            'profile'          => Connection_Profiles::get_binding( Sync_History::TYPE_CATALOG ),
         ] );
 
         try {
@@ -345,6 +347,7 @@ class Cron {
             'php_mem_usage_kb' => (int) ( memory_get_usage(true) / 1024 ),
             'php_mem_peak_kb'  => (int) ( memory_get_peak_usage(true) / 1024 ),
             'interval'         => self::get_stock_interval_key(),
+            'profile'          => Connection_Profiles::get_binding( Sync_History::TYPE_STOCK ),
         ] );
 
         try {
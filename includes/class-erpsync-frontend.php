@@ -9,7 +9,9 @@ if ( ! defined( 'ABSPATH' ) ) exit;
  * Frontend Class
  *
  * Handles display of per-branch stock information on product pages
- * and provides a shortcode for flexible placement.
+ * and provides a shortcode for flexible placement. assets/frontend.js
+ * refreshes the block from a public REST route, follows the selected
+ * variation and highlights the shopper's preferred branch.
  *
  * @package ERPSync
  * @since 1.3.0
@@ -26,22 +28,94 @@ class Frontend {
         // Register shortcode
         add_shortcode( 'erp_branch_stock', [ __CLASS__, 'shortcode_branch_stock' ] );
 
-        // Enqueue frontend styles
-        add_action( 'wp_enqueue_scripts', [ __CLASS__, 'enqueue_styles' ] );
+        // Enqueue frontend styles and script
+        add_action( 'wp_enqueue_scripts', [ __CLASS__, 'enqueue_assets' ] );
+
+        // Public live availability route used by assets/frontend.js
+        add_action( 'rest_api_init', [ __CLASS__, 'register_routes' ] );
     }
 
     /**
-     * Enqueue frontend styles.
+     * Register frontend styles and script; enqueue them on product pages.
+     * The shortcode enqueues them itself when used elsewhere.
      */
-    public static function enqueue_styles(): void {
-        if ( ! is_product() ) {
-            return;
-        }
-
+    public static function enqueue_assets(): void {
         // Inline minimal CSS for branch stock display
         wp_register_style( 'erp-sync-frontend', false );
-        wp_enqueue_style( 'erp-sync-frontend' );
         wp_add_inline_style( 'erp-sync-frontend', self::get_inline_css() );
+
+        wp_register_script( 'erp-sync-frontend', ERPSYNC_URL . 'assets/frontend.js', [ 'jquery' ], ERPSYNC_VERSION, true );
+        wp_localize_script( 'erp-sync-frontend', 'erpSyncFrontend', [
+            'restUrl' => rest_url( REST_API::ROUTE_NAMESPACE . '/branch-stock/' ),
+            'i18n'    => [
+                'title'       => __( 'Availability by Branch', 'erp-sync' ),
+                'lastOne'     => __( 'Last one', 'erp-sync' ),
+                'inStock'     => __( 'in stock', 'erp-sync' ),
+                'myBranch'    => __( 'My branch', 'erp-sync' ),
+                'setMyBranch' => __( 'Set as my branch', 'erp-sync' ),
+                /* translators: %s: branch name */
+                'notAtBranch' => __( 'Not available at %s', 'erp-sync' ),
+            ],
+        ] );
+
+        if ( is_product() ) {
+            wp_enqueue_style( 'erp-sync-frontend' );
+            wp_enqueue_script( 'erp-sync-frontend' );
+        }
+    }
+
+    /**
+     * Register the public branch availability route.
+     */
+    public static function register_routes(): void {
+        register_rest_route( REST_API::ROUTE_NAMESPACE, '/branch-stock/(?P<id>\d+)', [
+            'methods'             => 'GET',
+            'callback'            => [ __CLASS__, 'get_branch_stock' ],
+            'permission_callback' => '__return_true',
+            'args'                => [
+                'id' => [
+                    'type'     => 'integer',
+                    'required' => true,
+                ],
+            ],
+        ] );
+    }
+
+    /**
+     * GET /branch-stock/{id}: current per-branch availability of a product
+     * or variation.
+     *
+     * Refreshes ERP-managed products through the throttled lookup of
+     * Cart_Stock_Check, so repeated page views cost at most one ERP call
+     * per product per throttle window.
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public static function get_branch_stock( \WP_REST_Request $request ) {
+        $product = wc_get_product( (int) $request['id'] );
+
+        // Only published products are public
+        $post_id = $product ? ( $product->get_parent_id() ?: $product->get_id() ) : 0;
+        if ( ! $product || get_post_status( $post_id ) !== 'publish' || post_password_required( $post_id ) ) {
+            return new \WP_Error( 'erp_sync_not_found', __( 'Product not found', 'erp-sync' ), [ 'status' => 404 ] );
+        }
+
+        // A public route: the admin IP whitelist and rate limit don't apply to shoppers
+        $status = Security::without_caller_checks( function () use ( $product ): string {
+            return Cart_Stock_Check::refresh_stock_from_erp( $product );
+        } );
+
+        $response = new \WP_REST_Response( [
+            'product_id' => $product->get_id(),
+            'live'       => $status !== '',
+            'branches'   => self::get_branch_stock_items( $product->get_id() ),
+        ], 200 );
+
+        // Page caches must not keep live stock longer than the ERP lookup throttle
+        $response->header( 'Cache-Control', 'no-cache, must-revalidate, max-age=0' );
+
+        return $response;
     }
 
     /**
@@ -84,6 +158,32 @@ class Frontend {
             .erp-sync-branch-qty {
                 color: #666;
             }
+            .erp-sync-branch-stock.is-loading {
+                opacity: 0.6;
+            }
+            .erp-sync-branch-stock-item.is-preferred {
+                font-weight: bold;
+                background: #f7f7f7;
+            }
+            .erp-sync-branch-prefer {
+                margin-left: 8px;
+                padding: 0;
+                border: 0;
+                background: none;
+                color: inherit;
+                font-size: 0.85em;
+                text-decoration: underline;
+                cursor: pointer;
+            }
+            .erp-sync-branch-stock-item.is-preferred .erp-sync-branch-prefer {
+                text-decoration: none;
+                cursor: default;
+            }
+            .erp-sync-branch-preferred-note {
+                margin: 5px 0 0;
+                color: #666;
+                font-size: 0.9em;
+            }
         ';
     }
 
@@ -100,11 +200,7 @@ class Frontend {
             return;
         }
 
-        $html = self::get_branch_stock_html( $product->get_id() );
-        
-        if ( ! empty( $html ) ) {
-            echo $html;
-        }
+        echo self::get_branch_stock_block( $product->get_id() );
     }
 
     /**
@@ -135,21 +231,42 @@ class Frontend {
             return '';
         }
 
-        return self::get_branch_stock_html( $product_id );
+        // The shortcode may be used outside product pages
+        wp_enqueue_style( 'erp-sync-frontend' );
+        wp_enqueue_script( 'erp-sync-frontend' );
+
+        return self::get_branch_stock_block( $product_id );
     }
 
     /**
-     * Get branch stock HTML for a product.
+     * Get the branch stock block: the branch list in a container that
+     * assets/frontend.js refreshes. The container is output even when no
+     * branch has stock, so the script can fill it for a picked variation.
      *
      * @param int $product_id Product ID.
      * @return string HTML output.
      */
-    public static function get_branch_stock_html( int $product_id ): string {
+    public static function get_branch_stock_block( int $product_id ): string {
+        return '<div class="erp-sync-branch-stock" data-product-id="' . esc_attr( (string) $product_id ) . '">'
+            . self::get_branch_stock_html( $product_id )
+            . '</div>';
+    }
+
+    /**
+     * Get the branches to display for a product, in branch editor order.
+     *
+     * Skips branches without stock and branches hidden from the frontend;
+     * names are the aliases set in the branch editor.
+     *
+     * @param int $product_id Product or variation ID.
+     * @return array List of [ 'location' => string, 'name' => string, 'quantity' => int ].
+     */
+    public static function get_branch_stock_items( int $product_id ): array {
         // Get warehouse data from product meta
         $warehouses = get_post_meta( $product_id, '_erp_sync_warehouse_data', true );
 
         if ( empty( $warehouses ) || ! is_array( $warehouses ) ) {
-            return '';
+            return [];
         }
 
         // Get branch settings (aliases, exclusions)
@@ -184,12 +301,30 @@ class Frontend {
             // Get display name (alias) or use original name
             $display_name = ! empty( $settings['alias'] ) ? $settings['alias'] : $location;
 
-            $display_items[] = [
-                'name'     => esc_html( $display_name ),
+            $display_items[ $location ] = [
+                'location' => (string) $location,
+                'name'     => (string) $display_name,
                 'quantity' => (int) $quantity,
             ];
         }
 
+        // Apply the display order set in the branch editor
+        $ordered_locations = Product_Service::sort_branches_by_position( array_map( 'strval', array_keys( $display_items ) ), $branch_settings );
+
+        return array_map( function ( string $location ) use ( $display_items ): array {
+            return $display_items[ $location ];
+        }, $ordered_locations );
+    }
+
+    /**
+     * Get branch stock HTML for a product.
+     *
+     * @param int $product_id Product ID.
+     * @return string HTML output.
+     */
+    public static function get_branch_stock_html( int $product_id ): string {
+        $display_items = self::get_branch_stock_items( $product_id );
+
         // Return empty if no items to display
         if ( empty( $display_items ) ) {
             return '';
@@ -202,7 +337,7 @@ class Frontend {
             <summary class="erp-sync-branch-summary"><?php esc_html_e( 'Availability by Branch', 'erp-sync' ); ?></summary>
             <ul class="erp-sync-branch-stock-list">
                 <?php foreach ( $display_items as $item ) : ?>
-                    <li class="erp-sync-branch-stock-item">
+                    <li class="erp-sync-branch-stock-item" data-location="<?php echo esc_attr( $item['location'] ); ?>" data-name="<?php echo esc_attr( $item['name'] ); ?>">
                         <span class="erp-sync-branch-name"><?php echo esc_html( $item['name'] ); ?></span>
                         <span class="erp-sync-branch-qty">
                             <?php
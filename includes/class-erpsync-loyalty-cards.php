@@ -0,0 +1,239 @@
+<?php
+declare(strict_types=1);
+
+namespace ERPSync;
+
+if ( ! defined( 'ABSPATH' ) ) exit;
+
+/**
+ * Loyalty Cards Class
+ *
+ * Read-only queries over the ERP-managed discount card coupons for the
+ * Loyalty Cards admin screen: customer lookup by phone, name or code, a
+ * card's effective discount and order usage, and upcoming birthdays for
+ * SMS campaigns.
+ *
+ * @package ERPSync
+ * @since 1.5.0
+ */
+class Loyalty_Cards {
+
+    /**
+     * Phone meta keys searched by the lookup.
+     */
+    private const PHONE_META_KEYS = [ '_erp_sync_mobile', '_erp_sync_allowed_phones' ];
+
+    /**
+     * Minimum digits before a search term is also matched against phones.
+     */
+    private const PHONE_MIN_DIGITS = 3;
+
+    /**
+     * Longest upcoming birthdays window, in days.
+     */
+    public const BIRTHDAYS_MAX_DAYS = 90;
+
+    /**
+     * Find cards by code, holder name or phone number.
+     *
+     * Phones are compared as digits only (Coupon_Dynamic::normalize_phone()),
+     * so "+995 555 12-34-56" and "555123456" find the same card.
+     *
+     * @param string $term  Search term.
+     * @param int    $limit Maximum cards.
+     * @return array List of card summaries.
+     */
+    public static function search( string $term, int $limit = 20 ): array {
+        global $wpdb;
+
+        $term = trim( $term );
+        if ( $term === '' ) {
+            return [];
+        }
+
+        $like       = '%' . $wpdb->esc_like( $term ) . '%';
+        $conditions = [ 'p.post_title LIKE %s', 'nm.meta_value LIKE %s' ];
+        $params     = [ $like, $like ];
+        $phone_join = '';
+
+        $digits = Coupon_Dynamic::normalize_phone( $term );
+        if ( strlen( $digits ) >= self::PHONE_MIN_DIGITS ) {
+            $keys       = "'" . implode( "','", array_map( 'esc_sql', self::PHONE_META_KEYS ) ) . "'";
+            $phone_join = "LEFT JOIN {$wpdb->postmeta} ph ON ph.post_id = p.ID AND ph.meta_key IN ($keys)";
+
+            // Strip the usual phone separators in SQL so formatted numbers match the digits
+            $conditions[] = "REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(ph.meta_value, ' ', ''), '-', ''), '+', ''), '(', ''), ')', '') LIKE %s";
+            $params[]     = '%' . $wpdb->esc_like( $digits ) . '%';
+        }
+
+        $ids = $wpdb->get_col( $wpdb->prepare(
+            "SELECT DISTINCT p.ID, p.post_title = %s AS exact_code
+            FROM {$wpdb->posts} p
+            INNER JOIN {$wpdb->postmeta} mg ON mg.post_id = p.ID AND mg.meta_key = '_erp_sync_managed' AND mg.meta_value = '1'
+            LEFT JOIN {$wpdb->postmeta} nm ON nm.post_id = p.ID AND nm.meta_key = '_erp_sync_name'
+            $phone_join
+            WHERE p.post_type = 'shop_coupon'
+            AND p.post_status NOT IN ('trash', 'auto-draft')
+            AND (" . implode( ' OR ', $conditions ) . ")
+            ORDER BY exact_code DESC, p.post_title ASC
+            LIMIT %d",
+            array_merge( [ $term ], $params, [ $limit ] )
+        ) );
+
+        $ids = array_map( 'intval', $ids ?: [] );
+        update_meta_cache( 'post', $ids );
+
+        return array_map( [ __CLASS__, 'get_summary' ], $ids );
+    }
+
+    /**
+     * Get a card with its effective discount and birthday details.
+     *
+     * @param int $coupon_id Coupon ID.
+     * @return array|null Null when the coupon is not an ERP-managed card.
+     */
+    public static function get_card( int $coupon_id ): ?array {
+        if ( get_post_type( $coupon_id ) !== 'shop_coupon' || ! get_post_meta( $coupon_id, '_erp_sync_managed', true ) ) {
+            return null;
+        }
+
+        $coupon = new \WC_Coupon( $coupon_id );
+        $dob    = (string) get_post_meta( $coupon_id, '_erp_sync_dob', true );
+        $phones = array_values( array_filter( array_map( 'trim', explode( ',', (string) get_post_meta( $coupon_id, '_erp_sync_allowed_phones', true ) ) ) ) );
+        $base   = get_post_meta( $coupon_id, '_erp_sync_base_discount', true );
+        $expiry = $coupon->get_date_expires();
+
+        return self::get_summary( $coupon_id ) + [
+            'inn'               => (string) get_post_meta( $coupon_id, '_erp_sync_inn', true ),
+            'allowed_phones'    => $phones,
+            'dob'               => $dob,
+            'dob_is_manual'     => get_post_meta( $coupon_id, '_erp_sync_dob_is_manual', true ) === 'yes',
+            'base_discount'     => $base === '' ? null : (int) $base,
+            'birthday_window'   => Coupon_Dynamic::is_in_birthday_window( $dob ),
+            'days_to_birthday'  => Coupon_Dynamic::days_until_birthday( $dob ),
+            'birthday_discount' => Coupon_Dynamic::BIRTHDAY_OVERRIDE,
+            'usage_count'       => $coupon->get_usage_count(),
+            'usage_limit'       => $coupon->get_usage_limit(),
+            'expires'           => $expiry ? $expiry->date( 'Y-m-d' ) : '',
+            'synced_at'         => (string) get_post_meta( $coupon_id, '_erp_sync_synced_at', true ),
+            'edit_url'          => (string) get_edit_post_link( $coupon_id, 'raw' ),
+        ];
+    }
+
+    /**
+     * Get the orders a card code was used on, newest first.
+     *
+     * Reads the coupon order items, so it works with both order storages.
+     *
+     * @param string $code  Coupon code.
+     * @param int    $limit Maximum orders.
+     * @return array List of [ 'order_id', 'number', 'date', 'status', 'customer', 'total', 'discount', 'edit_url' ].
+     */
+    public static function get_usage( string $code, int $limit = 20 ): array {
+        global $wpdb;
+
+        $rows = $wpdb->get_results( $wpdb->prepare(
+            "SELECT oi.order_id, oim.meta_value AS discount
+            FROM {$wpdb->prefix}woocommerce_order_items oi
+            LEFT JOIN {$wpdb->prefix}woocommerce_order_itemmeta oim ON oim.order_item_id = oi.order_item_id AND oim.meta_key = 'discount_amount'
+            WHERE oi.order_item_type = 'coupon' AND oi.order_item_name = %s
+            ORDER BY oi.order_id DESC
+            LIMIT %d",
+            wc_format_coupon_code( $code ),
+            $limit
+        ), ARRAY_A );
+
+        $usage = [];
+        foreach ( $rows ?: [] as $row ) {
+            $order = wc_get_order( (int) $row['order_id'] );
+            if ( ! $order ) {
+                continue;
+            }
+
+            $date = $order->get_date_created();
+
+            $usage[] = [
+                'order_id' => $order->get_id(),
+                'number'   => $order->get_order_number(),
+                'date'     => $date ? $date->date_i18n( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ) ) : '',
+                'status'   => wc_get_order_status_name( $order->get_status() ),
+                'customer' => trim( $order->get_formatted_billing_full_name() ) ?: $order->get_billing_email(),
+                'total'    => html_entity_decode( wp_strip_all_tags( wc_price( (float) $order->get_total(), [ 'currency' => $order->get_currency() ] ) ) ),
+                'discount' => html_entity_decode( wp_strip_all_tags( wc_price( (float) $row['discount'], [ 'currency' => $order->get_currency() ] ) ) ),
+                'edit_url' => $order->get_edit_order_url(),
+            ];
+        }
+
+        return $usage;
+    }
+
+    /**
+     * Get the active cards with a birthday within the next days, soonest first.
+     *
+     * @param int $days Days ahead, today included (0 = today only).
+     * @return array List of card summaries with 'dob', 'birthday' (Y-m-d) and 'days_to_birthday'.
+     */
+    public static function get_upcoming_birthdays( int $days ): array {
+        global $wpdb;
+
+        $days = max( 0, min( self::BIRTHDAYS_MAX_DAYS, $days ) );
+
+        $rows = $wpdb->get_results(
+            "SELECT p.ID, dob.meta_value AS dob
+            FROM {$wpdb->posts} p
+            INNER JOIN {$wpdb->postmeta} mg ON mg.post_id = p.ID AND mg.meta_key = '_erp_sync_managed' AND mg.meta_value = '1'
+            INNER JOIN {$wpdb->postmeta} dob ON dob.post_id = p.ID AND dob.meta_key = '_erp_sync_dob' AND dob.meta_value <> ''
+            LEFT JOIN {$wpdb->postmeta} del ON del.post_id = p.ID AND del.meta_key = '_erp_sync_is_deleted'
+            WHERE p.post_type = 'shop_coupon'
+            AND p.post_status NOT IN ('trash', 'auto-draft')
+            AND ( del.meta_value IS NULL OR del.meta_value <> 'yes' )",
+            ARRAY_A
+        );
+
+        $today    = strtotime( current_time( 'Y-m-d' ) );
+        $upcoming = [];
+
+        update_meta_cache( 'post', array_map( 'intval', wp_list_pluck( $rows ?: [], 'ID' ) ) );
+
+        foreach ( $rows ?: [] as $row ) {
+            $days_to = Coupon_Dynamic::days_until_birthday( (string) $row['dob'] );
+            if ( $days_to === null || $days_to > $days ) {
+                continue;
+            }
+
+            $upcoming[] = self::get_summary( (int) $row['ID'] ) + [
+                'dob'              => (string) $row['dob'],
+                'birthday'         => gmdate( 'Y-m-d', $today + $days_to * DAY_IN_SECONDS ),
+                'days_to_birthday' => $days_to,
+            ];
+        }
+
+        usort( $upcoming, function ( array $a, array $b ): int {
+            return [ $a['days_to_birthday'], $a['name'] ] <=> [ $b['days_to_birthday'], $b['name'] ];
+        } );
+
+        return $upcoming;
+    }
+
+    /**
+     * Card fields shown in lists.
+     *
+     * @param int $coupon_id Coupon ID.
+     * @return array
+     */
+    private static function get_summary( int $coupon_id ): array {
+        $effective = Coupon_Dynamic::get_effective_discount( $coupon_id );
+        $mobile    = (string) get_post_meta( $coupon_id, '_erp_sync_mobile', true );
+
+        return [
+            'id'              => $coupon_id,
+            'code'            => (string) get_post_field( 'post_title', $coupon_id, 'raw' ),
+            'name'            => (string) get_post_meta( $coupon_id, '_erp_sync_name', true ),
+            'phone'           => $mobile,
+            'phone_digits'    => Coupon_Dynamic::normalize_phone( $mobile ),
+            'is_deleted'      => $effective['reason'] === 'deleted',
+            'discount'        => $effective['amount'] ?? (int) get_post_meta( $coupon_id, 'coupon_amount', true ),
+            'discount_reason' => $effective['reason'],
+        ];
+    }
+}
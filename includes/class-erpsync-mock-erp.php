@@ -0,0 +1,544 @@
+<?php
+declare(strict_types=1);
+
+namespace ERPSync;
+
+if ( ! defined( 'ABSPATH' ) ) exit;
+
+/**
+ * Mock ERP Class
+ *
+ * Offline stand-in for the 1C SOAP endpoint, used by API_Client when mock
+ * mode is enabled in Settings. Each operation is served from an uploaded
+ * fixture (XML or JSON) if there is one, otherwise from a seeded generator.
+ *
+ * Responses are shaped like the decoded SOAP responses
+ * (['return' => ['ProductsRow' => [...]]]), so they go through the same
+ * parsers as real ones.
+ *
+ * The generator is deterministic for a given seed: a product keeps its name,
+ * attributes and warehouses across runs. Every full stock fetch starts a new
+ * "round" in which the configured share of products gets a new price and new
+ * quantities. Lowering the product count after an import leaves the removed
+ * products out of the stock feed, for orphan cleanup.
+ *
+ * @package ERPSync
+ * @since 1.5.0
+ */
+class Mock_ERP {
+
+    const OPTION_ENABLED   = 'erp_sync_mock_enabled';
+    const OPTION_GENERATOR = 'erp_sync_mock_generator';
+    const OPTION_FIXTURES  = 'erp_sync_mock_fixtures';
+    const OPTION_ROUND     = 'erp_sync_mock_stock_round';
+
+    /**
+     * Operations that can be mocked, with the row element of their response.
+     */
+    const OPERATIONS = [
+        'Products'         => 'ProductsRow',
+        'GetProductsStock' => 'ProductsStockRow',
+        'InformationCards' => 'InformationCardsRow',
+    ];
+
+    /**
+     * Generator defaults and upper bounds.
+     */
+    const GENERATOR_DEFAULTS = [
+        'seed'        => 1,
+        'products'    => 200,
+        'warehouses'  => 3,
+        'price_churn' => 10,
+        'cards'       => 50,
+    ];
+    const GENERATOR_LIMITS = [
+        'products'    => 20000,
+        'warehouses'  => 20,
+        'price_churn' => 100,
+        'cards'       => 5000,
+    ];
+
+    /**
+     * Fixture upload limits.
+     */
+    const FIXTURE_EXTENSIONS = [ 'xml', 'json' ];
+    const FIXTURE_MAX_BYTES  = 20971520;
+
+    /**
+     * Rounds looked back for a product's last price change before using its base price.
+     */
+    private const CHURN_LOOKBACK = 1000;
+
+    private const BRANDS     = [ 'Casio', 'Seiko', 'Citizen', 'Orient', 'Tissot', 'Swatch', 'Fossil', 'Timex' ];
+    private const MODELS     = [ 'Classic', 'Sport', 'Diver', 'Chrono', 'Pilot', 'Field', 'Dress', 'Smart' ];
+    private const GENDERS    = [ 'Men', 'Women', 'Unisex' ];
+    private const BRACELETS  = [ 'Leather', 'Steel', 'Rubber', 'Nylon', 'Titanium' ];
+    private const COLORS     = [ 'Black', 'Silver', 'Gold', 'Blue', 'White', 'Green' ];
+    private const MECHANISMS = [ 'Quartz', 'Automatic', 'Mechanical', 'Solar' ];
+    private const SIZES      = [ '36', '38', '40', '42', '44', '46' ];
+    private const DISCOUNTS  = [ 5, 10, 15, 20, 25 ];
+
+    private array $settings;
+    private array $fixtures;
+
+    public function __construct() {
+        $this->settings = self::get_generator_settings();
+        $this->fixtures = self::get_fixtures();
+    }
+
+    /**
+     * Whether API_Client should use the mock instead of the SOAP endpoint.
+     *
+     * @return bool
+     */
+    public static function is_enabled(): bool {
+        return (bool) get_option( self::OPTION_ENABLED, false );
+    }
+
+    /**
+     * Get the generator settings, completed with defaults.
+     *
+     * @return array Keys of GENERATOR_DEFAULTS.
+     */
+    public static function get_generator_settings(): array {
+        $stored = get_option( self::OPTION_GENERATOR, [] );
+        return self::sanitize_generator_settings( is_array( $stored ) ? $stored : [] );
+    }
+
+    /**
+     * Clamp generator settings to their limits.
+     *
+     * @param array $input Raw settings.
+     * @return array Keys of GENERATOR_DEFAULTS.
+     */
+    public static function sanitize_generator_settings( array $input ): array {
+        $settings = [];
+
+        foreach ( self::GENERATOR_DEFAULTS as $key => $default ) {
+            $value = isset( $input[ $key ] ) && is_numeric( $input[ $key ] ) ? (int) $input[ $key ] : $default;
+
+            if ( isset( self::GENERATOR_LIMITS[ $key ] ) ) {
+                $value = max( $key === 'warehouses' ? 1 : 0, min( self::GENERATOR_LIMITS[ $key ], $value ) );
+            }
+
+            $settings[ $key ] = $value;
+        }
+
+        return $settings;
+    }
+
+    /**
+     * Get the uploaded fixtures.
+     *
+     * @return array Per operation: file, name, rows, uploaded_at.
+     */
+    public static function get_fixtures(): array {
+        $fixtures = get_option( self::OPTION_FIXTURES, [] );
+        return is_array( $fixtures ) ? array_intersect_key( $fixtures, self::OPERATIONS ) : [];
+    }
+
+    /**
+     * Store an uploaded fixture for one operation, replacing the previous one.
+     *
+     * The file must be XML or JSON and contain at least one row of the
+     * operation's response.
+     *
+     * @param string $operation Key of OPERATIONS.
+     * @param array  $file      Entry of $_FILES.
+     * @return array Stored fixture info.
+     * @throws \Exception When the upload is invalid.
+     */
+    public static function save_fixture( string $operation, array $file ): array {
+        if ( ! isset( self::OPERATIONS[ $operation ] ) ) {
+            throw new \Exception( __( 'Unknown mock operation.', 'erp-sync' ) );
+        }
+
+        if ( ( $file['error'] ?? UPLOAD_ERR_NO_FILE ) !== UPLOAD_ERR_OK || ! is_uploaded_file( $file['tmp_name'] ?? '' ) ) {
+            throw new \Exception( sprintf( __( 'Upload of the %s fixture failed.', 'erp-sync' ), $operation ) );
+        }
+
+        $extension = strtolower( pathinfo( (string) ( $file['name'] ?? '' ), PATHINFO_EXTENSION ) );
+        if ( ! in_array( $extension, self::FIXTURE_EXTENSIONS, true ) ) {
+            throw new \Exception( sprintf( __( 'The %s fixture must be an XML or JSON file.', 'erp-sync' ), $operation ) );
+        }
+
+        if ( (int) $file['size'] > self::FIXTURE_MAX_BYTES ) {
+            throw new \Exception( sprintf( __( 'The %1$s fixture is larger than %2$s.', 'erp-sync' ), $operation, size_format( self::FIXTURE_MAX_BYTES ) ) );
+        }
+
+        $rows = self::parse_fixture( (string) file_get_contents( $file['tmp_name'] ), $extension, $operation );
+        if ( empty( $rows ) ) {
+            throw new \Exception( sprintf( __( 'No %1$s elements found in the %2$s fixture.', 'erp-sync' ), self::OPERATIONS[ $operation ], $operation ) );
+        }
+
+        $dir      = self::get_fixtures_dir();
+        $filename = sanitize_file_name( strtolower( $operation ) . '-' . wp_generate_password( 12, false ) . '.' . $extension );
+
+        if ( ! move_uploaded_file( $file['tmp_name'], $dir . $filename ) ) {
+            throw new \Exception( __( 'Failed to save uploaded file.', 'erp-sync' ) );
+        }
+
+        self::delete_fixture( $operation );
+
+        $fixtures = self::get_fixtures();
+        $fixtures[ $operation ] = [
+            'file'        => $filename,
+            'name'        => sanitize_file_name( (string) $file['name'] ),
+            'rows'        => count( $rows ),
+            'uploaded_at' => time(),
+        ];
+        update_option( self::OPTION_FIXTURES, $fixtures, false );
+
+        Logger::instance()->log( 'Mock ERP fixture uploaded', [ 'operation' => $operation, 'rows' => count( $rows ) ] );
+
+        return $fixtures[ $operation ];
+    }
+
+    /**
+     * Remove the fixture of one operation, so the generator serves it again.
+     *
+     * @param string $operation Key of OPERATIONS.
+     */
+    public static function delete_fixture( string $operation ): void {
+        $fixtures = self::get_fixtures();
+        if ( empty( $fixtures[ $operation ] ) ) {
+            return;
+        }
+
+        $path = self::get_fixtures_dir() . basename( (string) $fixtures[ $operation ]['file'] );
+        if ( file_exists( $path ) ) {
+            wp_delete_file( $path );
+        }
+
+        unset( $fixtures[ $operation ] );
+        update_option( self::OPTION_FIXTURES, $fixtures, false );
+    }
+
+    /**
+     * Build the response of one operation.
+     *
+     * @param string $operation    Key of OPERATIONS.
+     * @param string $vendor_codes Comma-separated VendorCodes to keep (GetProductsStock only), empty for all.
+     * @return array Decoded SOAP response shape.
+     * @throws \Exception When a fixture can no longer be read.
+     */
+    public function get_response( string $operation, string $vendor_codes = '' ): array {
+        if ( ! isset( self::OPERATIONS[ $operation ] ) ) {
+            throw new \Exception( __( 'Unknown mock operation.', 'erp-sync' ) );
+        }
+
+        if ( $operation === 'GetProductsStock' && $vendor_codes === '' ) {
+            update_option( self::OPTION_ROUND, $this->get_round() + 1, false );
+        }
+
+        if ( ! empty( $this->fixtures[ $operation ] ) ) {
+            $rows = $this->load_fixture( $operation );
+        } elseif ( $operation === 'Products' ) {
+            $rows = $this->generate_products();
+        } elseif ( $operation === 'GetProductsStock' ) {
+            $rows = $this->generate_stock( $vendor_codes );
+        } else {
+            $rows = $this->generate_cards();
+        }
+
+        if ( $operation === 'GetProductsStock' && $vendor_codes !== '' ) {
+            $codes = array_filter( array_map( 'trim', explode( ',', $vendor_codes ) ), 'strlen' );
+            $rows  = array_values( array_filter( $rows, function ( $row ) use ( $codes ): bool {
+                return is_array( $row ) && in_array( (string) ( $row['VendorCode'] ?? '' ), $codes, true );
+            } ) );
+        }
+
+        return [ 'return' => [ self::OPERATIONS[ $operation ] => $rows ] ];
+    }
+
+    /**
+     * Read the rows of an uploaded fixture.
+     *
+     * @param string $operation Key of OPERATIONS.
+     * @return array Rows.
+     * @throws \Exception When the file is missing.
+     */
+    private function load_fixture( string $operation ): array {
+        $fixture = $this->fixtures[ $operation ];
+        $path    = self::get_fixtures_dir() . basename( (string) $fixture['file'] );
+
+        if ( ! is_readable( $path ) ) {
+            throw new \Exception( sprintf( __( 'Mock fixture file for %s is missing. Upload it again or remove it in Settings.', 'erp-sync' ), $operation ) );
+        }
+
+        return self::parse_fixture( (string) file_get_contents( $path ), pathinfo( $path, PATHINFO_EXTENSION ), $operation );
+    }
+
+    /**
+     * Extract the rows of an operation from fixture contents.
+     *
+     * JSON may be the decoded response ({"return": {"ProductsRow": [...]}}),
+     * the inner object ({"ProductsRow": [...]}) or a plain list of rows.
+     * XML may be a full SOAP envelope or any document containing the row
+     * elements; namespaces are ignored.
+     *
+     * @param string $contents  File contents.
+     * @param string $extension 'xml' or 'json'.
+     * @param string $operation Key of OPERATIONS.
+     * @return array Rows.
+     */
+    private static function parse_fixture( string $contents, string $extension, string $operation ): array {
+        $row_name = self::OPERATIONS[ $operation ];
+
+        if ( $extension === 'json' ) {
+            $data = json_decode( $contents, true );
+            if ( ! is_array( $data ) ) {
+                return [];
+            }
+
+            $rows = $data['return'][ $row_name ] ?? $data[ $row_name ] ?? ( isset( $data[0] ) ? $data : [] );
+
+            // A single row is not wrapped in a list
+            if ( is_array( $rows ) && $rows && ! isset( $rows[0] ) ) {
+                $rows = [ $rows ];
+            }
+
+            return is_array( $rows ) ? array_values( array_filter( $rows, 'is_array' ) ) : [];
+        }
+
+        $previous = libxml_use_internal_errors( true );
+        $xml      = simplexml_load_string( $contents, \SimpleXMLElement::class, LIBXML_NONET );
+        libxml_clear_errors();
+        libxml_use_internal_errors( $previous );
+
+        if ( $xml === false ) {
+            return [];
+        }
+
+        $rows = [];
+        foreach ( $xml->xpath( '//*[local-name()="' . $row_name . '"]' ) ?: [] as $element ) {
+            $row = self::xml_to_array( $element );
+            if ( is_array( $row ) ) {
+                $rows[] = $row;
+            }
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Convert an XML element to the array json_decode() gives for a SOAP object.
+     *
+     * Repeated child elements become lists, leaf elements become strings.
+     *
+     * @param \SimpleXMLElement $element Element.
+     * @return mixed Array for elements with children, string otherwise.
+     */
+    private static function xml_to_array( \SimpleXMLElement $element ): mixed {
+        $children = [];
+        foreach ( $element->getNamespaces( true ) + [ '' => '' ] as $namespace ) {
+            foreach ( $element->children( $namespace ) as $child ) {
+                $children[ $child->getName() ][] = self::xml_to_array( $child );
+            }
+        }
+
+        if ( empty( $children ) ) {
+            return trim( (string) $element );
+        }
+
+        return array_map( function ( array $values ) {
+            return count( $values ) === 1 ? $values[0] : $values;
+        }, $children );
+    }
+
+    /**
+     * Get (and create) the fixtures directory, closed to web access.
+     *
+     * @return string Directory path with trailing slash.
+     */
+    private static function get_fixtures_dir(): string {
+        $upload_dir = wp_upload_dir();
+        $dir        = trailingslashit( $upload_dir['basedir'] ) . 'erp-sync-mock/';
+
+        if ( ! file_exists( $dir ) ) {
+            wp_mkdir_p( $dir );
+            file_put_contents( $dir . '.htaccess', "Deny from all\n" );
+            file_put_contents( $dir . 'index.php', "<?php\n// Silence is golden.\n" );
+        }
+
+        return $dir;
+    }
+
+    /**
+     * Get the current stock round.
+     *
+     * @return int
+     */
+    public function get_round(): int {
+        return (int) get_option( self::OPTION_ROUND, 0 );
+    }
+
+    /**
+     * Generate the Products catalog.
+     *
+     * @return array Rows.
+     */
+    private function generate_products(): array {
+        $rows = [];
+
+        for ( $i = 1; $i <= $this->settings['products']; $i++ ) {
+            $brand      = $this->pick( self::BRANDS, 'brand', $i );
+            $warehouses = $this->get_product_warehouses( $i );
+
+            $rows[] = [
+                'ProductName' => sprintf( '%s %s %d', $brand, $this->pick( self::MODELS, 'model', $i ), 100 + $i ),
+                'VendorCode'  => $this->vendor_code( $i ),
+                'Brand'       => $brand,
+                'gender'      => $this->pick( self::GENDERS, 'gender', $i ),
+                'Bracelet'    => $this->pick( self::BRACELETS, 'bracelet', $i ),
+                'Color'       => $this->pick( self::COLORS, 'color', $i ),
+                'Mechanism'   => $this->pick( self::MECHANISMS, 'mechanism', $i ),
+                'Size'        => $this->pick( self::SIZES, 'size', $i ),
+                'Bijouterie'  => $this->roll( 10, 'bijouterie', $i ) === 0 ? 'Yes' : '',
+                'Branch'      => $warehouses ? $this->warehouse_name( $warehouses[0] ) : '',
+            ];
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Generate the GetProductsStock rows for the current round.
+     *
+     * @param string $vendor_codes Comma-separated VendorCodes, empty for all.
+     * @return array Rows.
+     */
+    private function generate_stock( string $vendor_codes ): array {
+        if ( $this->settings['products'] < 1 ) {
+            return [];
+        }
+
+        $round   = $this->get_round();
+        $indexes = range( 1, $this->settings['products'] );
+
+        // Only build the requested products (single-SKU checks run on every cart view)
+        if ( $vendor_codes !== '' ) {
+            $indexes = array_filter( array_map( [ $this, 'vendor_code_index' ], explode( ',', $vendor_codes ) ), function ( int $i ): bool {
+                return $i > 0 && $i <= $this->settings['products'];
+            } );
+        }
+
+        $rows = [];
+
+        foreach ( $indexes as $i ) {
+            $changed_in = $this->last_churn_round( $i, $round );
+            $price      = round( ( 20 + $this->roll( 480, 'price', $i ) ) * ( $changed_in > 0 ? 0.85 + $this->roll( 31, 'churn', $i, $changed_in ) / 100 : 1 ), 2 );
+            $on_sale    = $this->roll( 5, 'sale', $i ) === 0;
+
+            $warehouses = [];
+            $quantity   = 0;
+            foreach ( $this->get_product_warehouses( $i ) as $w ) {
+                $qty          = $this->roll( 13, 'qty', $i, $w, $changed_in );
+                $quantity    += $qty;
+                $warehouses[] = [ 'Location' => $this->warehouse_name( $w ), 'Quantity' => $qty ];
+            }
+
+            $rows[] = [
+                'VendorCode' => $this->vendor_code( $i ),
+                'Quantity'   => $quantity,
+                'Price'      => $price,
+                'SalesPrice' => $on_sale ? round( $price * 0.8, 2 ) : 0,
+                'Warehouses' => $warehouses,
+            ];
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Generate the InformationCards rows. Every tenth card has its birthday today.
+     *
+     * @return array Rows.
+     */
+    private function generate_cards(): array {
+        $rows = [];
+
+        for ( $i = 1; $i <= $this->settings['cards']; $i++ ) {
+            $year = 1960 + $this->roll( 45, 'year', $i );
+            $dob  = $i % 10 === 0
+                ? $year . '-' . current_time( 'm-d' )
+                : sprintf( '%d-%02d-%02d', $year, 1 + $this->roll( 12, 'month', $i ), 1 + $this->roll( 28, 'day', $i ) );
+
+            $rows[] = [
+                'Inn'                => (string) ( 100000000 + $this->roll( 899999999, 'inn', $i ) ),
+                'Name'               => sprintf( 'Mock Customer %d', $i ),
+                'MobileNumber'       => sprintf( '555%07d', $i ),
+                'DateOfBirth'        => $dob,
+                'CardCode'           => sprintf( 'MOCKCARD%05d', $i ),
+                'DiscountPercentage' => $this->pick( self::DISCOUNTS, 'discount', $i ),
+                'IsDeleted'          => $this->roll( 20, 'deleted', $i ) === 0,
+            ];
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Find the latest round, up to $round, in which a product's price and stock changed.
+     *
+     * @param int $i     Product index.
+     * @param int $round Current round.
+     * @return int Round number, 0 when it kept its base values.
+     */
+    private function last_churn_round( int $i, int $round ): int {
+        if ( $this->settings['price_churn'] <= 0 ) {
+            return 0;
+        }
+
+        for ( $r = $round; $r > 0 && $r > $round - self::CHURN_LOOKBACK; $r-- ) {
+            if ( $this->roll( 100, 'churned', $i, $r ) < $this->settings['price_churn'] ) {
+                return $r;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Get the warehouses (1-based) that carry a product; some carry none.
+     *
+     * @param int $i Product index.
+     * @return int[]
+     */
+    private function get_product_warehouses( int $i ): array {
+        $warehouses = [];
+        for ( $w = 1; $w <= $this->settings['warehouses']; $w++ ) {
+            if ( $this->roll( 3, 'carried', $i, $w ) > 0 ) {
+                $warehouses[] = $w;
+            }
+        }
+        return $warehouses;
+    }
+
+    private function vendor_code( int $i ): string {
+        return sprintf( 'MOCK-%05d', $i );
+    }
+
+    private function vendor_code_index( string $vendor_code ): int {
+        return preg_match( '/^MOCK-(\d+)$/', trim( $vendor_code ), $m ) ? (int) $m[1] : 0;
+    }
+
+    private function warehouse_name( int $w ): string {
+        return sprintf( 'Mock Warehouse %d', $w );
+    }
+
+    /**
+     * Seeded pseudo-random integer in [0, $max), stable for the same key.
+     *
+     * @param int   $max    Exclusive upper bound.
+     * @param mixed ...$key Key parts.
+     * @return int
+     */
+    private function roll( int $max, ...$key ): int {
+        return crc32( $this->settings['seed'] . '|' . implode( '|', $key ) ) % max( 1, $max );
+    }
+
+    private function pick( array $values, ...$key ): mixed {
+        return $values[ $this->roll( count( $values ), ...$key ) ];
+    }
+}
@@ -77,9 +77,45 @@ class Product_Service {
 
     /**
      * Option key for storing attribute mapping in database.
+     *
+     * Maps IBS field names to a target: a WooCommerce attribute taxonomy slug
+     * ('pa_brand'), a product meta key prefixed with MAPPING_META_PREFIX
+     * ('meta:_watch_case'), or an empty string to ignore the field.
      */
     public const OPTION_ATTRIBUTE_MAPPING = 'erp_sync_attribute_mapping';
 
+    /**
+     * Prefix of attribute mapping targets that store the field as product meta.
+     */
+    public const MAPPING_META_PREFIX = 'meta:';
+
+    /**
+     * IBS catalog fields the sync always handles itself (name and SKU); they
+     * cannot be mapped.
+     */
+    public const CATALOG_CORE_FIELDS = [ 'ProductName', 'VendorCode' ];
+
+    /**
+     * Product meta keys WooCommerce manages itself (prices, stock, SKU,
+     * attributes, images...). Writing them as plain meta would bypass or
+     * trip the typed setters, so they cannot be mapping targets.
+     */
+    public const RESERVED_META_KEYS = [
+        '_price', '_regular_price', '_sale_price', '_sale_price_dates_from', '_sale_price_dates_to',
+        '_sku', '_global_unique_id', '_stock', '_stock_status', '_manage_stock', '_backorders',
+        '_low_stock_amount', '_sold_individually', '_product_attributes', '_default_attributes',
+        '_thumbnail_id', '_product_image_gallery', '_weight', '_length', '_width', '_height',
+        '_tax_status', '_tax_class', '_virtual', '_downloadable', '_downloadable_files',
+        '_download_limit', '_download_expiry', '_purchase_note', '_upsell_ids', '_crosssell_ids',
+        '_product_version', '_wc_average_rating', '_wc_rating_count', '_wc_review_count',
+        '_variation_description', '_edit_lock', '_edit_last', '_wp_old_slug', 'total_sales',
+    ];
+
+    /**
+     * Prefix of the plugin's own bookkeeping meta, which mappings cannot overwrite either.
+     */
+    public const RESERVED_META_PREFIX = '_erp_sync_';
+
     /**
      * Default attribute mapping from IBS data fields to WooCommerce taxonomy slugs.
      * Used as fallback when user hasn't configured custom mappings.
@@ -133,7 +169,7 @@ class Product_Service {
      * Merges default mapping with user-configured database settings.
      * User settings take precedence over defaults.
      *
-     * @return array<string, string> Mapping of 1C field names to WooCommerce taxonomy slugs.
+     * @return array<string, string> Mapping of 1C field names to targets, see OPTION_ATTRIBUTE_MAPPING.
      */
     public function get_attribute_mapping(): array {
         // Return cached mapping if available
@@ -155,6 +191,71 @@ class Product_Service {
         return $this->attribute_mapping_cache;
     }
 
+    /**
+     * Split an attribute mapping target into its type and key.
+     *
+     * @param string $target Mapping target, see OPTION_ATTRIBUTE_MAPPING.
+     * @return array{type: string, key: string} Type 'attribute', 'meta' or 'ignore'
+     *               with the taxonomy slug or meta key.
+     */
+    public static function parse_mapping_target( string $target ): array {
+        $target = trim( $target );
+
+        if ( strpos( $target, self::MAPPING_META_PREFIX ) === 0 ) {
+            $meta_key = substr( $target, strlen( self::MAPPING_META_PREFIX ) );
+            return [ 'type' => $meta_key === '' ? 'ignore' : 'meta', 'key' => $meta_key ];
+        }
+
+        if ( strpos( $target, 'pa_' ) === 0 && strlen( $target ) > 3 ) {
+            return [ 'type' => 'attribute', 'key' => $target ];
+        }
+
+        return [ 'type' => 'ignore', 'key' => '' ];
+    }
+
+    /**
+     * Sanitize one OPTION_ATTRIBUTE_MAPPING entry. Shared by the mapping
+     * builder and the settings import so both enforce the same rules.
+     *
+     * Core fields cannot be mapped, and reserved meta keys (see
+     * is_reserved_meta_key()) cannot be a target.
+     *
+     * @param string $field_name IBS field name.
+     * @param string $target     Mapping target, see OPTION_ATTRIBUTE_MAPPING.
+     * @return string|null Sanitized target ('' ignores the field), or null when
+     *                     the field cannot have a mapping entry.
+     */
+    public static function sanitize_mapping_entry( string $field_name, string $target ): ?string {
+        if ( $field_name === '' || in_array( $field_name, self::CATALOG_CORE_FIELDS, true ) ) {
+            return null;
+        }
+
+        $parsed = self::parse_mapping_target( $target );
+
+        if ( $parsed['type'] === 'meta' ) {
+            $meta_key = sanitize_key( $parsed['key'] );
+            return $meta_key !== '' && ! self::is_reserved_meta_key( $meta_key ) ? self::MAPPING_META_PREFIX . $meta_key : '';
+        }
+
+        if ( $parsed['type'] === 'attribute' ) {
+            $taxonomy = wc_sanitize_taxonomy_name( $parsed['key'] );
+            return strpos( $taxonomy, 'pa_' ) === 0 && strlen( $taxonomy ) > 3 ? $taxonomy : '';
+        }
+
+        return '';
+    }
+
+    /**
+     * Whether a meta key belongs to WooCommerce or to the plugin's bookkeeping
+     * and so cannot receive a mapped ERP field.
+     *
+     * @param string $meta_key Meta key.
+     * @return bool
+     */
+    public static function is_reserved_meta_key( string $meta_key ): bool {
+        return in_array( $meta_key, self::RESERVED_META_KEYS, true ) || strpos( $meta_key, self::RESERVED_META_PREFIX ) === 0;
+    }
+
     /**
      * Generate a display label from a taxonomy slug.
      *
@@ -381,18 +482,32 @@ class Product_Service {
      * Creates new products or updates existing ones based on VendorCode (SKU).
      * Uses Source of Truth strategy: API data overwrites existing data.
      *
+     * In dry-run mode nothing is saved; instead each product that would be
+     * created or changed is returned as a proposed diff under 'changes'.
+     *
+     * Every row counted under 'errors' is also listed under 'failures' with
+     * its SKU and the reason, so the admin can report and retry it.
+     *
      * @param array  $rows       Array of product catalog rows from IBS API.
      * @param string $session_id Optional unique session identifier for tracking sync.
-     * @return array{created: int, updated: int, errors: int, total: int} Sync statistics.
+     * @param bool   $dry_run    Only compute proposed changes, don't save anything.
+     * @return array{created: int, updated: int, errors: int, total: int, failures: array} Sync statistics
+     *               (plus 'unchanged' and 'changes' in dry-run mode).
      */
-    public function sync_catalog_batch( array $rows, string $session_id = '' ): array {
+    public function sync_catalog_batch( array $rows, string $session_id = '', bool $dry_run = false ): array {
         $stats = [
-            'created' => 0,
-            'updated' => 0,
-            'errors'  => 0,
-            'total'   => count( $rows ),
+            'created'  => 0,
+            'updated'  => 0,
+            'errors'   => 0,
+            'total'    => count( $rows ),
+            'failures' => [],
         ];
 
+        if ( $dry_run ) {
+            $stats['unchanged'] = 0;
+            $stats['changes']   = [];
+        }
+
         // Load attribute mapping once at the start of the batch
         $attribute_mapping = $this->get_attribute_mapping();
 
@@ -404,7 +519,7 @@ class Product_Service {
                 Logger::instance()->log( 'Skipping product row without VendorCode', [
                     'row' => $row,
                 ] );
-                $stats['errors']++;
+                $this->add_failure( $stats, '', 0, __( 'Missing VendorCode', 'erp-sync' ) );
                 continue;
             }
 
@@ -420,7 +535,7 @@ class Product_Service {
                             'sku'        => $sku,
                             'product_id' => $product_id,
                         ] );
-                        $stats['errors']++;
+                        $this->add_failure( $stats, $sku, (int) $product_id, __( 'Failed to load product', 'erp-sync' ) );
                         continue;
                     }
                     $is_new = false;
@@ -430,6 +545,22 @@ class Product_Service {
                     $is_new  = true;
                 }
 
+                if ( $dry_run ) {
+                    $diff = $this->preview_catalog_row( $product, $row, $attribute_mapping, $is_new );
+
+                    if ( $is_new ) {
+                        $stats['created']++;
+                    } elseif ( empty( $diff['changes'] ) ) {
+                        $stats['unchanged']++;
+                        continue;
+                    } else {
+                        $stats['updated']++;
+                    }
+
+                    $stats['changes'][] = $diff;
+                    continue;
+                }
+
                 // Set product data (new products are created as draft)
                 $this->set_product_catalog_data( $product, $row, $attribute_mapping, $session_id, $is_new );
 
@@ -441,7 +572,7 @@ class Product_Service {
                         'sku'    => $sku,
                         'is_new' => $is_new,
                     ] );
-                    $stats['errors']++;
+                    $this->add_failure( $stats, $sku, (int) $product->get_id(), __( 'Failed to save product', 'erp-sync' ) );
                     continue;
                 }
 
@@ -459,12 +590,12 @@ class Product_Service {
                     'file'  => $e->getFile(),
                     'line'  => $e->getLine(),
                 ] );
-                $stats['errors']++;
+                $this->add_failure( $stats, $sku, (int) wc_get_product_id_by_sku( $sku ), $e->getMessage() );
             }
         }
 
         // Log summary
-        Logger::instance()->log( 'Catalog batch sync completed', [
+        Logger::instance()->log( $dry_run ? 'Catalog batch dry run completed' : 'Catalog batch sync completed', [
             'created'    => $stats['created'],
             'updated'    => $stats['updated'],
             'errors'     => $stats['errors'],
@@ -506,12 +637,90 @@ class Product_Service {
         if ( ! empty( $attributes ) ) {
             $product->set_attributes( $attributes );
         }
+
+        // Fields mapped to product meta (Source of Truth: empty values remove the meta)
+        foreach ( $attribute_mapping as $field_name => $target ) {
+            $target = self::parse_mapping_target( (string) $target );
+            // Mappings saved before reserved keys were rejected are left alone
+            if ( $target['type'] !== 'meta' || self::is_reserved_meta_key( $target['key'] ) ) {
+                continue;
+            }
+
+            $value = sanitize_text_field( trim( (string) ( $row[ $field_name ] ?? '' ) ) );
+            if ( $value === '' ) {
+                $product->delete_meta_data( $target['key'] );
+            } else {
+                $product->update_meta_data( $target['key'], $value );
+            }
+        }
+    }
+
+    /**
+     * Describe what set_product_catalog_data() would change, without touching the product.
+     *
+     * Attribute values are compared by term name, so no attribute taxonomies
+     * or terms are created during a preview.
+     *
+     * @param \WC_Product $product           Existing product, or an unsaved one for new SKUs.
+     * @param array       $row               Product data row from IBS API.
+     * @param array       $attribute_mapping Attribute mapping configuration.
+     * @param bool        $is_new            Whether the product would be created.
+     * @return array{type: string, key: string, name: string, action: string, changes: array} Proposed diff.
+     */
+    private function preview_catalog_row( \WC_Product $product, array $row, array $attribute_mapping, bool $is_new ): array {
+        $new_name = sanitize_text_field( $row['ProductName'] ?? '' );
+        $changes  = [];
+
+        $old_name = $is_new ? '' : $product->get_name();
+        if ( $old_name !== $new_name ) {
+            $changes[] = [ 'field' => 'name', 'old' => $old_name, 'new' => $new_name ];
+        }
+
+        if ( ! $is_new && $product->get_status() !== 'publish' ) {
+            $changes[] = [ 'field' => 'status', 'old' => $product->get_status(), 'new' => 'publish' ];
+        }
+
+        foreach ( $attribute_mapping as $field_name => $target ) {
+            $target    = self::parse_mapping_target( (string) $target );
+            $new_value = trim( (string) ( $row[ $field_name ] ?? '' ) );
+
+            if ( $target['type'] === 'meta' ) {
+                if ( self::is_reserved_meta_key( $target['key'] ) ) {
+                    continue;
+                }
+
+                $old_value = $is_new ? '' : (string) $product->get_meta( $target['key'], true );
+                if ( $old_value !== sanitize_text_field( $new_value ) ) {
+                    $changes[] = [ 'field' => $target['key'], 'old' => $old_value, 'new' => sanitize_text_field( $new_value ) ];
+                }
+                continue;
+            }
+
+            // Empty values are skipped by build_product_attributes() as well
+            if ( $target['type'] !== 'attribute' || $new_value === '' ) {
+                continue;
+            }
+
+            $old_value = $is_new ? '' : (string) $product->get_attribute( $target['key'] );
+            if ( $old_value !== $new_value ) {
+                $changes[] = [ 'field' => $target['key'], 'old' => $old_value, 'new' => $new_value ];
+            }
+        }
+
+        return [
+            'type'    => 'product',
+            'key'     => sanitize_text_field( trim( $row['VendorCode'] ?? '' ) ),
+            'name'    => $new_name,
+            'action'  => $is_new ? 'create' : 'update',
+            'changes' => $changes,
+        ];
     }
 
     /**
      * Build WC_Product_Attribute array from IBS row data.
      *
-     * Uses dynamic attribute mapping from database settings.
+     * Uses dynamic attribute mapping from database settings; any IBS field
+     * mapped to a pa_* taxonomy becomes an attribute, other targets are skipped.
      *
      * @param array $row               Product data row from IBS API.
      * @param array $attribute_mapping Attribute mapping configuration.
@@ -520,8 +729,14 @@ class Product_Service {
     private function build_product_attributes( array $row, array $attribute_mapping ): array {
         $attributes = [];
 
-        foreach ( $attribute_mapping as $field_name => $taxonomy_slug ) {
-            $value = $row[ $field_name ] ?? '';
+        foreach ( $attribute_mapping as $field_name => $target ) {
+            $target = self::parse_mapping_target( (string) $target );
+            if ( $target['type'] !== 'attribute' ) {
+                continue;
+            }
+
+            $taxonomy_slug = $target['key'];
+            $value         = $row[ $field_name ] ?? '';
 
             // Skip empty values (Source of Truth: don't create empty attributes)
             if ( empty( trim( (string) $value ) ) ) {
@@ -574,10 +789,21 @@ class Product_Service {
     public const OPTION_DETECTED_BRANCHES = 'erp_sync_detected_branches';
 
     /**
-     * Option key for storing branch settings (alias, hide_from_frontend).
+     * Option key for storing branch settings (alias, hide_from_frontend, position).
      */
     public const OPTION_BRANCH_SETTINGS = 'erp_sync_branch_settings';
 
+    /**
+     * Option key for storing when each branch was last seen in a stock sync
+     * (location => Unix timestamp).
+     */
+    public const OPTION_BRANCH_LAST_SEEN = 'erp_sync_branch_last_seen';
+
+    /**
+     * Days without appearing in a stock sync after which a detected branch is stale.
+     */
+    public const BRANCH_STALE_DAYS = 14;
+
     /**
      * Get list of active branch names (branches not marked as hide_from_frontend).
      *
@@ -630,6 +856,63 @@ class Product_Service {
         return $result;
     }
 
+    /**
+     * Get when each detected branch was last seen in a stock sync.
+     *
+     * Branches detected before last-seen tracking was added have no entry
+     * until the next stock sync that includes them.
+     *
+     * @return array<string, int> Location => Unix timestamp.
+     */
+    public function get_branch_last_seen(): array {
+        $last_seen = get_option( self::OPTION_BRANCH_LAST_SEEN, [] );
+
+        return is_array( $last_seen ) ? array_map( 'intval', $last_seen ) : [];
+    }
+
+    /**
+     * Get detected branches that have not appeared in a stock sync for
+     * BRANCH_STALE_DAYS days.
+     *
+     * @return array List of stale branch names.
+     */
+    public function get_stale_branches(): array {
+        $detected_branches = get_option( self::OPTION_DETECTED_BRANCHES, [] );
+        if ( ! is_array( $detected_branches ) ) {
+            $detected_branches = [];
+        }
+
+        $last_seen    = $this->get_branch_last_seen();
+        $stale_before = time() - self::BRANCH_STALE_DAYS * DAY_IN_SECONDS;
+
+        return array_values( array_filter( $detected_branches, function ( string $branch_name ) use ( $last_seen, $stale_before ): bool {
+            return isset( $last_seen[ $branch_name ] ) && $last_seen[ $branch_name ] < $stale_before;
+        } ) );
+    }
+
+    /**
+     * Sort branch names by their configured display position.
+     *
+     * Branches without a position (never saved in the editor) keep their
+     * relative order after the positioned ones.
+     *
+     * @param array $branch_names    Branch (location) names.
+     * @param array $branch_settings Settings from OPTION_BRANCH_SETTINGS.
+     * @return array Sorted branch names.
+     */
+    public static function sort_branches_by_position( array $branch_names, array $branch_settings ): array {
+        $index = array_flip( array_values( $branch_names ) );
+
+        usort( $branch_names, function ( $a, $b ) use ( $branch_settings, $index ): int {
+            $position_a = $branch_settings[ $a ]['position'] ?? PHP_INT_MAX;
+            $position_b = $branch_settings[ $b ]['position'] ?? PHP_INT_MAX;
+
+            return [ $position_a, $index[ $a ] ] <=> [ $position_b, $index[ $b ] ];
+        } );
+
+        return $branch_names;
+    }
+
     /**
      * Warehouse locations to exclude from stock calculations.
      *
@@ -658,18 +941,32 @@ class Product_Service {
      * Optimized for frequent execution - only updates stock-related fields.
      * Also discovers and records unique branch/warehouse locations.
      *
+     * In dry-run mode nothing is saved and no branches are recorded; each
+     * product whose price or stock would change is returned under 'changes'.
+     *
+     * Rows counted under 'errors' are listed under 'failures' with their SKU
+     * and the reason.
+     *
      * @param array  $rows       Array of stock rows from IBS API.
      * @param string $session_id Optional unique session identifier for tracking sync.
-     * @return array{updated: int, skipped: int, errors: int, total: int} Sync statistics.
+     * @param bool   $dry_run    Only compute proposed changes, don't save anything.
+     * @return array{updated: int, skipped: int, errors: int, total: int, failures: array} Sync statistics
+     *               (plus 'unchanged' and 'changes' in dry-run mode).
      */
-    public function sync_stock_batch( array $rows, string $session_id = '' ): array {
+    public function sync_stock_batch( array $rows, string $session_id = '', bool $dry_run = false ): array {
         $stats = [
-            'updated' => 0,
-            'skipped' => 0,
-            'errors'  => 0,
-            'total'   => count( $rows ),
+            'updated'  => 0,
+            'skipped'  => 0,
+            'errors'   => 0,
+            'total'    => count( $rows ),
+            'failures' => [],
         ];
 
+        if ( $dry_run ) {
+            $stats['unchanged'] = 0;
+            $stats['changes']   = [];
+        }
+
         // Collect unique branch locations for discovery
         $discovered_locations = [];
 
@@ -681,7 +978,7 @@ class Product_Service {
 
             // Skip rows without SKU
             if ( empty( $sku ) ) {
-                $stats['errors']++;
+                $this->add_failure( $stats, '', 0, __( 'Missing VendorCode', 'erp-sync' ) );
                 continue;
             }
 
@@ -702,6 +999,16 @@ class Product_Service {
                     // Collect not found SKUs for batch logging (reduces log spam)
                     $not_found_skus[] = $sku;
                     $stats['skipped']++;
+
+                    if ( $dry_run ) {
+                        $stats['changes'][] = [
+                            'type'    => 'stock',
+                            'key'     => $sku,
+                            'name'    => '',
+                            'action'  => 'skip',
+                            'changes' => [],
+                        ];
+                    }
                     continue;
                 }
 
@@ -711,7 +1018,19 @@ class Product_Service {
                         'sku'        => $sku,
                         'product_id' => $product_id,
                     ] );
-                    $stats['errors']++;
+                    $this->add_failure( $stats, $sku, (int) $product_id, __( 'Failed to load product', 'erp-sync' ) );
+                    continue;
+                }
+
+                if ( $dry_run ) {
+                    $diff = $this->preview_stock_row( $product, $row );
+
+                    if ( empty( $diff['changes'] ) ) {
+                        $stats['unchanged']++;
+                    } else {
+                        $stats['updated']++;
+                        $stats['changes'][] = $diff;
+                    }
                     continue;
                 }
 
@@ -736,10 +1055,23 @@ class Product_Service {
                     'sku'   => $sku,
                     'error' => $e->getMessage(),
                 ] );
-                $stats['errors']++;
+                $this->add_failure( $stats, $sku, (int) wc_get_product_id_by_sku( $sku ), $e->getMessage() );
             }
         }
 
+        if ( $dry_run ) {
+            Logger::instance()->log( 'Stock batch dry run completed', [
+                'updated'    => $stats['updated'],
+                'unchanged'  => $stats['unchanged'],
+                'skipped'    => $stats['skipped'],
+                'errors'     => $stats['errors'],
+                'total'      => $stats['total'],
+                'session_id' => $session_id,
+            ] );
+
+            return $stats;
+        }
+
         // Log not found SKUs in a single entry (if any)
         if ( ! empty( $not_found_skus ) ) {
             Logger::instance()->log( 'Stock update: Products not found for SKUs', [
@@ -767,14 +1099,35 @@ class Product_Service {
         return $stats;
     }
 
+    /**
+     * Record a failed row in batch statistics.
+     *
+     * @param array  $stats      Batch statistics (modified in place).
+     * @param string $sku        Product SKU, empty when the row had none.
+     * @param int    $product_id Local product ID, or 0 if unknown.
+     * @param string $reason     Human-readable failure reason.
+     */
+    private function add_failure( array &$stats, string $sku, int $product_id, string $reason ): void {
+        $stats['errors']++;
+        $stats['failures'][] = [
+            'type'       => 'product',
+            'key'        => $sku,
+            'product_id' => $product_id,
+            'reason'     => $reason,
+        ];
+    }
+
     /**
      * Update the global list of detected branch locations.
      *
      * Merges new locations into the existing list and saves if there are changes.
+     * Also records when each location was last seen, for stale branch detection.
      *
      * @param array $new_locations Array of location names discovered in current sync.
      */
     private function update_detected_branches( array $new_locations ): void {
+        $this->update_branch_last_seen( $new_locations );
+
         $existing = get_option( self::OPTION_DETECTED_BRANCHES, [] );
         if ( ! is_array( $existing ) ) {
             $existing = [];
@@ -794,6 +1147,31 @@ class Product_Service {
         }
     }
 
+    /**
+     * Record that locations were seen in the current stock sync.
+     *
+     * Timestamps are refreshed at most hourly so that batches of the same
+     * sync do not rewrite the option every time.
+     *
+     * @param array $locations Location names discovered in the current batch.
+     */
+    private function update_branch_last_seen( array $locations ): void {
+        $last_seen = $this->get_branch_last_seen();
+        $now       = time();
+        $changed   = false;
+
+        foreach ( $locations as $location ) {
+            if ( ( $last_seen[ $location ] ?? 0 ) < $now - HOUR_IN_SECONDS ) {
+                $last_seen[ $location ] = $now;
+                $changed                = true;
+            }
+        }
+
+        if ( $changed ) {
+            update_option( self::OPTION_BRANCH_LAST_SEEN, $last_seen, false );
+        }
+    }
+
     /**
      * Set product stock and price data from IBS row.
      *
@@ -851,26 +1229,8 @@ class Product_Service {
         }
 
         // ========== WAREHOUSE FILTERING & STOCK RECALCULATION ==========
-        // Step 1: Get all warehouses from API
-        $all_warehouses = $row['_warehouses'] ?? [];
-
-        // Step 2: Filter out excluded warehouse locations
-        // Only keep warehouses that are NOT in the exclusion list (O(1) lookup)
-        $valid_warehouses = array_filter( $all_warehouses, function ( $wh ) {
-            $location = $wh['Location'] ?? '';
-            return ! isset( self::EXCLUDED_WAREHOUSE_LOCATIONS[ $location ] );
-        } );
-
-        // Re-index array to ensure clean numeric keys after filtering
-        $valid_warehouses = array_values( $valid_warehouses );
-
-        // Step 3: Recalculate quantity from valid warehouses only
-        // The global $row['Quantity'] from the API is intentionally ignored because
-        // it includes stock from excluded warehouses (e.g., internal warehouses)
-        $quantity = 0;
-        foreach ( $valid_warehouses as $wh ) {
-            $quantity += (int) $this->parse_numeric_value( $wh['Quantity'] ?? 0 );
-        }
+        $valid_warehouses = $this->get_valid_warehouses( $row );
+        $quantity         = $this->sum_warehouse_quantity( $valid_warehouses );
 
         // Enable stock management
         $product->set_manage_stock( true );
@@ -913,10 +1273,161 @@ class Product_Service {
             (int) $old_stock_qty,
             $quantity,
             $old_warehouses,
-            $valid_warehouses
+            $valid_warehouses,
+            $session_id
         );
     }
 
+    /**
+     * Apply a manual price/stock override from the CSV importer.
+     *
+     * Used when the ERP is unreachable. The row is translated into the shape
+     * of an IBS stock row and goes through set_product_stock_data(), so branch
+     * terms and the audit log behave exactly as for an ERP update. Prices and
+     * branches missing from the CSV row keep their current values; the next
+     * ERP stock sync overwrites the override.
+     *
+     * @param array $row CSV row with keys: sku, warehouses (location => quantity), optional price, sale_price.
+     * @throws \Exception If the SKU is excluded, unknown, or the product cannot be saved.
+     */
+    public function apply_csv_override( array $row ): void {
+        $sku = (string) ( $row['sku'] ?? '' );
+
+        if ( in_array( $sku, erp_sync_excluded_skus(), true ) ) {
+            throw new \Exception( __( 'This product cannot be updated from 1C', 'erp-sync' ) );
+        }
+
+        $product_id = wc_get_product_id_by_sku( $sku );
+        $product    = $product_id ? wc_get_product( $product_id ) : null;
+
+        if ( ! $product ) {
+            throw new \Exception( __( 'No product with this SKU', 'erp-sync' ) );
+        }
+
+        // Start from the stored branches so the ones missing from the CSV keep their quantity
+        $warehouses = [];
+        $stored     = $product->get_meta( '_erp_sync_warehouse_data', true );
+        foreach ( is_array( $stored ) ? $stored : [] as $wh ) {
+            if ( ! empty( $wh['Location'] ) ) {
+                $warehouses[ $wh['Location'] ] = $wh;
+            }
+        }
+        foreach ( $row['warehouses'] ?? [] as $location => $quantity ) {
+            $warehouses[ $location ] = array_merge( $warehouses[ $location ] ?? [], [
+                'Location' => (string) $location,
+                'Quantity' => (string) $quantity,
+            ] );
+        }
+
+        $this->set_product_stock_data( $product, [
+            'Price'       => $row['price'] ?? $product->get_regular_price(),
+            'SalesPrice'  => $row['sale_price'] ?? $product->get_sale_price(),
+            '_warehouses' => array_values( $warehouses ),
+        ] );
+
+        if ( ! $product->save() ) {
+            throw new \Exception( __( 'Failed to save product', 'erp-sync' ) );
+        }
+
+        // Mirror price + stock to WPML translations, like a regular stock sync
+        $this->propagate_to_wpml_translations( $product );
+
+        Logger::instance()->log( 'CSV override applied', [
+            'sku'        => $sku,
+            'product_id' => $product_id,
+            'line'       => $row['line'] ?? 0,
+        ] );
+    }
+
+    /**
+     * Get the row's warehouses with excluded locations filtered out.
+     *
+     * @param array $row Stock data row from IBS API.
+     * @return array Re-indexed list of non-excluded warehouses.
+     */
+    private function get_valid_warehouses( array $row ): array {
+        $all_warehouses = $row['_warehouses'] ?? [];
+
+        // Only keep warehouses that are NOT in the exclusion list (O(1) lookup)
+        $valid_warehouses = array_filter( $all_warehouses, function ( $wh ) {
+            $location = $wh['Location'] ?? '';
+            return ! isset( self::EXCLUDED_WAREHOUSE_LOCATIONS[ $location ] );
+        } );
+
+        // Re-index array to ensure clean numeric keys after filtering
+        return array_values( $valid_warehouses );
+    }
+
+    /**
+     * Recalculate stock quantity from valid warehouses only.
+     *
+     * The global $row['Quantity'] from the API is intentionally ignored because
+     * it includes stock from excluded warehouses (e.g., internal warehouses).
+     *
+     * @param array $warehouses Non-excluded warehouses.
+     * @return int Total quantity.
+     */
+    private function sum_warehouse_quantity( array $warehouses ): int {
+        $quantity = 0;
+        foreach ( $warehouses as $wh ) {
+            $quantity += (int) $this->parse_numeric_value( $wh['Quantity'] ?? 0 );
+        }
+        return $quantity;
+    }
+
+    /**
+     * Describe what set_product_stock_data() would change, without touching the product.
+     *
+     * Mirrors the price rules of set_product_stock_data(): a non-positive
+     * price keeps the current one, and a sale price not strictly lower than
+     * the regular price is removed.
+     *
+     * @param \WC_Product $product Existing product.
+     * @param array       $row     Stock data row from IBS API.
+     * @return array{type: string, key: string, name: string, action: string, changes: array} Proposed diff.
+     */
+    private function preview_stock_row( \WC_Product $product, array $row ): array {
+        $changes = [];
+
+        $old_regular_price = (float) $product->get_regular_price();
+        $parsed_price      = $this->parse_numeric_value( $row['Price'] ?? 0 );
+        $regular_price     = $parsed_price > 0 ? $parsed_price : $old_regular_price;
+        if ( $regular_price !== $old_regular_price ) {
+            $changes[] = [ 'field' => 'price', 'old' => $old_regular_price, 'new' => $regular_price ];
+        }
+
+        // Like the real sync, the sale price is checked against the ERP price only
+        $old_sale_price = (float) $product->get_sale_price();
+        $sale_price     = $this->parse_numeric_value( $row['SalesPrice'] ?? 0 );
+        if ( ! ( $sale_price > 0 && $parsed_price > 0 && $sale_price < $parsed_price ) ) {
+            $sale_price = 0.0;
+        }
+        if ( $sale_price !== $old_sale_price ) {
+            $changes[] = [ 'field' => 'sale_price', 'old' => $old_sale_price, 'new' => $sale_price ];
+        }
+
+        $valid_warehouses = $this->get_valid_warehouses( $row );
+        $quantity         = $this->sum_warehouse_quantity( $valid_warehouses );
+        $old_stock_qty    = (int) $product->get_stock_quantity();
+        if ( $quantity !== $old_stock_qty ) {
+            $changes[] = [ 'field' => 'stock', 'old' => $old_stock_qty, 'new' => $quantity ];
+        }
+
+        $old_warehouses = $product->get_meta( '_erp_sync_warehouse_data', true );
+        $branch_changes = $this->calculate_branch_stock_diff( is_array( $old_warehouses ) ? $old_warehouses : [], $valid_warehouses );
+        foreach ( $branch_changes as $branch_change ) {
+            $changes[] = [ 'field' => 'branch', 'old' => '', 'new' => $branch_change ];
+        }
+
+        return [
+            'type'    => 'stock',
+            'key'     => $product->get_sku(),
+            'name'    => $product->get_name(),
+            'action'  => 'update',
+            'changes' => $changes,
+        ];
+    }
+
     /**
      * Mirror price + stock from a source product to all of its WPML translations.
      *
@@ -1026,6 +1537,7 @@ class Product_Service {
      * @param int         $new_stock_qty    New stock quantity.
      * @param array       $old_warehouses   Old warehouse data.
      * @param array       $new_warehouses   New warehouse data.
+     * @param string      $session_id       Sync session making the change.
      */
     private function log_product_changes(
         \WC_Product $product,
@@ -1036,7 +1548,8 @@ class Product_Service {
         int $old_stock_qty,
         int $new_stock_qty,
         array $old_warehouses,
-        array $new_warehouses
+        array $new_warehouses,
+        string $session_id = ''
     ): void {
         $changes = [];
 
@@ -1054,7 +1567,8 @@ class Product_Service {
                 'price',
                 $old_regular_price,
                 $new_regular_price,
-                $message
+                $message,
+                $session_id
             );
             $changes[] = $message;
         }
@@ -1069,16 +1583,17 @@ class Product_Service {
                 'sale_price',
                 $old_sale_price,
                 $new_sale_price,
-                $message
+                $message,
+                $session_id
             );
             $changes[] = $message;
         }
 
+        // Build branch-level change details
+        $branch_changes = $this->calculate_branch_stock_diff( $old_warehouses, $new_warehouses );
+
         // Compare Stock Quantity
         if ( $old_stock_qty !== $new_stock_qty ) {
-            // Build branch-level change details
-            $branch_changes = $this->calculate_branch_stock_diff( $old_warehouses, $new_warehouses );
-            
             $message = sprintf( 'Stock: %d → %d', $old_stock_qty, $new_stock_qty );
             
             if ( ! empty( $branch_changes ) ) {
@@ -1090,7 +1605,23 @@ class Product_Service {
                 'stock',
                 $old_stock_qty,
                 $new_stock_qty,
-                $message
+                $message,
+                $session_id
+            );
+        }
+
+        // Per-branch quantities get their own row, so stock moving between
+        // branches is logged even when the total stays the same
+        if ( ! empty( $branch_changes ) ) {
+            $branch_quantities = $this->get_branch_stock_changes( $old_warehouses, $new_warehouses );
+
+            Audit_Logger::log_change(
+                $product,
+                'branch',
+                wp_list_pluck( $branch_quantities, 'old' ),
+                wp_list_pluck( $branch_quantities, 'new' ),
+                'Branches: ' . implode( ', ', $branch_changes ),
+                $session_id
             );
         }
     }
@@ -1108,6 +1639,23 @@ class Product_Service {
     private function calculate_branch_stock_diff( array $old_warehouses, array $new_warehouses ): array {
         $branch_changes = [];
 
+        foreach ( $this->get_branch_stock_changes( $old_warehouses, $new_warehouses ) as $location => $quantities ) {
+            $branch_changes[] = sprintf( '%s: %d→%d', $location, $quantities['old'], $quantities['new'] );
+        }
+
+        return $branch_changes;
+    }
+
+    /**
+     * Get old/new quantities of the branches whose stock changed.
+     *
+     * @param array $old_warehouses Old warehouse data.
+     * @param array $new_warehouses New warehouse data.
+     * @return array Map of location => ['old' => int, 'new' => int].
+     */
+    private function get_branch_stock_changes( array $old_warehouses, array $new_warehouses ): array {
+        $branch_changes = [];
+
         // Build lookup maps by location
         $old_by_location = [];
         foreach ( $old_warehouses as $wh ) {
@@ -1136,9 +1684,7 @@ class Product_Service {
             $new_qty = $new_by_location[ $location ] ?? 0;
 
             if ( $old_qty !== $new_qty ) {
-                $diff = $new_qty - $old_qty;
-                $sign = $diff > 0 ? '+' : '';
-                $branch_changes[] = sprintf( '%s: %d→%d', $location, $old_qty, $new_qty );
+                $branch_changes[ $location ] = [ 'old' => $old_qty, 'new' => $new_qty ];
             }
         }
 
@@ -1275,6 +1821,64 @@ class Product_Service {
         $this->attribute_mapping_cache = null;
     }
 
+    /**
+     * Find in-stock products that are missing from an ERP feed.
+     *
+     * Read-only counterpart of zero_out_orphans() used by dry runs, which
+     * don't stamp session IDs and therefore compare by SKU instead.
+     * Excluded SKUs and products already at zero stock are ignored.
+     *
+     * @param array $feed_skus SKUs present in the ERP feed.
+     * @param int   $limit     Maximum number of products to return.
+     * @return array{count: int, items: array} Total orphan count and the first $limit products.
+     */
+    public function find_orphan_candidates( array $feed_skus, int $limit = 500 ): array {
+        global $wpdb;
+
+        $rows = $wpdb->get_results(
+            "SELECT p.ID, p.post_title, pm_sku.meta_value AS sku, pm_stock.meta_value AS stock
+            FROM {$wpdb->posts} p
+            LEFT JOIN {$wpdb->postmeta} pm_sku
+                ON p.ID = pm_sku.post_id
+                AND pm_sku.meta_key = '_sku'
+            LEFT JOIN {$wpdb->postmeta} pm_stock
+                ON p.ID = pm_stock.post_id
+                AND pm_stock.meta_key = '_stock'
+            WHERE p.post_type = 'product'
+                AND p.post_status IN ('publish', 'draft', 'pending', 'private')",
+            ARRAY_A
+        );
+
+        $in_feed  = array_flip( $feed_skus );
+        $excluded = array_flip( erp_sync_excluded_skus() );
+        $count    = 0;
+        $items    = [];
+
+        foreach ( (array) $rows as $row ) {
+            $sku   = (string) ( $row['sku'] ?? '' );
+            $stock = (int) $this->parse_numeric_value( $row['stock'] ?? 0 );
+
+            if ( $stock <= 0 || isset( $in_feed[ $sku ] ) || isset( $excluded[ $sku ] ) ) {
+                continue;
+            }
+
+            $count++;
+            if ( count( $items ) < $limit ) {
+                $items[] = [
+                    'product_id' => (int) $row['ID'],
+                    'sku'        => $sku,
+                    'name'       => (string) $row['post_title'],
+                    'stock'      => $stock,
+                ];
+            }
+        }
+
+        return [
+            'count' => $count,
+            'items' => $items,
+        ];
+    }
+
     /**
      * Zero out stock for orphaned products.
      *
@@ -1411,7 +2015,8 @@ class Product_Service {
                 'orphan_cleanup',
                 $old_stock,
                 0,
-                $message
+                $message,
+                $session_id
             );
 
             Logger::instance()->log( 'Orphan product stock zeroed', [
@@ -0,0 +1,719 @@
+<?php
+declare(strict_types=1);
+
+namespace ERPSync;
+
+if ( ! defined( 'ABSPATH' ) ) exit;
+
+/**
+ * REST API Class
+ *
+ * The erp-sync/v1 routes used by admin.js and by external tooling: start a
+ * sync, run it step by step, poll and cancel a session, list recent runs
+ * and read the last error.
+ *
+ * Requests are allowed for users with manage_woocommerce (cookie + nonce
+ * from admin.js, or an application password) and for callers sending the
+ * webhook secret header when a secret is configured.
+ *
+ * CSV imports run through POST /syncs/csv_import/steps only: the init step
+ * needs the file upload, so they cannot be started in the background.
+ *
+ * Syncs started with POST /syncs run the init step right away and then
+ * continue in the background on WP-Cron, SESSION_TIME_BUDGET seconds per
+ * event, with the same step protocol admin.js drives batch by batch.
+ *
+ * @package ERPSync
+ * @since 1.5.0
+ */
+class REST_API {
+
+    const ROUTE_NAMESPACE = 'erp-sync/v1';
+
+    /**
+     * WP-Cron hook that processes a session started through POST /syncs.
+     */
+    const HOOK_RUN_SESSION = 'erp_sync_rest_run_session';
+
+    /**
+     * Seconds of batch processing per background event before rescheduling.
+     */
+    const SESSION_TIME_BUDGET = 20;
+
+    /**
+     * Transient prefix flagging a session to cancel at the next batch boundary.
+     */
+    const TRANSIENT_CANCEL_PREFIX = 'erp_sync_cancel_';
+
+    /**
+     * Step-based sync types.
+     */
+    const SYNC_TYPES = [ Sync_History::TYPE_CATALOG, Sync_History::TYPE_STOCK, Sync_History::TYPE_COUPONS ];
+
+    const STEPS = [ 'init', 'process', 'resume', 'cleanup', 'abort' ];
+
+    /**
+     * MIME types accepted for a CSV import upload.
+     */
+    const CSV_MIME_TYPES = [ 'text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel' ];
+
+    public static function init(): void {
+        add_action( 'rest_api_init', [ __CLASS__, 'register_routes' ] );
+        add_action( self::HOOK_RUN_SESSION, [ __CLASS__, 'run_session' ], 10, 3 );
+    }
+
+    /**
+     * Register the erp-sync/v1 routes.
+     */
+    public static function register_routes(): void {
+        $types   = implode( '|', self::SYNC_TYPES );
+        $session = '(?P<session_id>[A-Za-z0-9_.]+)';
+
+        register_rest_route( self::ROUTE_NAMESPACE, '/syncs', [
+            'methods'             => 'POST',
+            'callback'            => [ __CLASS__, 'start_sync' ],
+            'permission_callback' => [ __CLASS__, 'check_permission' ],
+            'args'                => [
+                'type' => [
+                    'required' => true,
+                    'type'     => 'string',
+                    'enum'     => array_merge( self::SYNC_TYPES, [ 'sku' ] ),
+                ],
+                'sku'  => [
+                    'type'              => 'string',
+                    'sanitize_callback' => 'sanitize_text_field',
+                ],
+            ],
+        ] );
+
+        register_rest_route( self::ROUTE_NAMESPACE, '/syncs/(?P<type>' . $types . ')/steps', [
+            'methods'             => 'POST',
+            'callback'            => [ __CLASS__, 'run_step' ],
+            'permission_callback' => [ __CLASS__, 'check_permission' ],
+            'args'                => [
+                'step'       => [
+                    'type'    => 'string',
+                    'enum'    => self::STEPS,
+                    'default' => 'init',
+                ],
+                'offset'     => [
+                    'type'    => 'integer',
+                    'minimum' => 0,
+                    'default' => 0,
+                ],
+                'batch_size' => [
+                    'type'    => 'integer',
+                    'default' => Sync_Service::BATCH_SIZE,
+                ],
+                'session_id' => [
+                    'type'              => 'string',
+                    'sanitize_callback' => 'sanitize_text_field',
+                    'default'           => '',
+                ],
+                'dry_run'    => [
+                    'type'    => 'boolean',
+                    'default' => false,
+                ],
+            ],
+        ] );
+
+        register_rest_route( self::ROUTE_NAMESPACE, '/syncs/' . Sync_History::TYPE_CSV . '/steps', [
+            'methods'             => 'POST',
+            'callback'            => [ __CLASS__, 'run_csv_step' ],
+            'permission_callback' => [ __CLASS__, 'check_permission' ],
+            'args'                => [
+                'import_type' => [
+                    'type'    => 'string',
+                    'enum'    => [ Sync_Service::CSV_IMPORT_COUPONS, Sync_Service::CSV_IMPORT_PRODUCTS ],
+                    'default' => Sync_Service::CSV_IMPORT_COUPONS,
+                ],
+                'step'        => [
+                    'type'    => 'string',
+                    'enum'    => [ 'init', 'process', 'cleanup', 'abort' ],
+                    'default' => 'init',
+                ],
+                'offset'      => [
+                    'type'    => 'integer',
+                    'minimum' => 0,
+                    'default' => 0,
+                ],
+                'batch_size'  => [
+                    'type'    => 'integer',
+                    'default' => Sync_Service::BATCH_SIZE,
+                ],
+                'session_id'  => [
+                    'type'              => 'string',
+                    'sanitize_callback' => 'sanitize_text_field',
+                    'default'           => '',
+                ],
+            ],
+        ] );
+
+        register_rest_route( self::ROUTE_NAMESPACE, '/syncs/' . $session, [
+            'methods'             => 'GET',
+            'callback'            => [ __CLASS__, 'get_session' ],
+            'permission_callback' => [ __CLASS__, 'check_permission' ],
+        ] );
+
+        register_rest_route( self::ROUTE_NAMESPACE, '/syncs/' . $session . '/cancel', [
+            'methods'             => 'POST',
+            'callback'            => [ __CLASS__, 'cancel_session' ],
+            'permission_callback' => [ __CLASS__, 'check_permission' ],
+        ] );
+
+        register_rest_route( self::ROUTE_NAMESPACE, '/progress', [
+            'methods'             => 'GET',
+            'callback'            => [ __CLASS__, 'get_progress' ],
+            'permission_callback' => [ __CLASS__, 'check_permission' ],
+        ] );
+
+        register_rest_route( self::ROUTE_NAMESPACE, '/runs', [
+            'methods'             => 'GET',
+            'callback'            => [ __CLASS__, 'get_runs' ],
+            'permission_callback' => [ __CLASS__, 'check_permission' ],
+            'args'                => [
+                'type'  => [
+                    'type'    => 'string',
+                    'enum'    => [ '', Sync_History::TYPE_CATALOG, Sync_History::TYPE_STOCK, Sync_History::TYPE_COUPONS, Sync_History::TYPE_CSV ],
+                    'default' => '',
+                ],
+                'limit' => [
+                    'type'    => 'integer',
+                    'minimum' => 1,
+                    'maximum' => 500,
+                    'default' => 50,
+                ],
+            ],
+        ] );
+
+        register_rest_route( self::ROUTE_NAMESPACE, '/last-error', [
+            'methods'             => 'GET',
+            'callback'            => [ __CLASS__, 'get_last_error' ],
+            'permission_callback' => [ __CLASS__, 'check_permission' ],
+        ] );
+
+        register_rest_route( self::ROUTE_NAMESPACE, '/products/(?P<id>\d+)/sync', [
+            'methods'             => 'POST',
+            'callback'            => [ __CLASS__, 'sync_product' ],
+            'permission_callback' => [ __CLASS__, 'check_permission' ],
+        ] );
+
+        register_rest_route( self::ROUTE_NAMESPACE, '/coupons/(?P<id>\d+)/sync', [
+            'methods'             => 'POST',
+            'callback'            => [ __CLASS__, 'sync_coupon' ],
+            'permission_callback' => [ __CLASS__, 'check_permission' ],
+        ] );
+    }
+
+    /**
+     * Allow shop managers (cookie or application password) and callers with
+     * the webhook secret. Without a configured secret only users get in.
+     */
+    public static function check_permission( \WP_REST_Request $request ): bool|\WP_Error {
+        if ( current_user_can( 'manage_woocommerce' ) ) {
+            return true;
+        }
+
+        if ( (string) get_option( Webhook::OPTION_WEBHOOK_SECRET, '' ) === '' ) {
+            return new \WP_Error(
+                'rest_forbidden',
+                __( 'Authenticate with an application password or the webhook secret header.', 'erp-sync' ),
+                [ 'status' => rest_authorization_required_code() ]
+            );
+        }
+
+        return Webhook::verify_webhook_secret( $request );
+    }
+
+    /**
+     * Whether the current request comes from admin.js in a logged-in browser
+     * (cookie auth with a REST nonce) rather than from external tooling.
+     *
+     * @return bool
+     */
+    public static function is_admin_request(): bool {
+        if ( ! defined( 'REST_REQUEST' ) || ! REST_REQUEST || ! is_user_logged_in() ) {
+            return false;
+        }
+
+        $nonce = isset( $_SERVER['HTTP_X_WP_NONCE'] ) ? sanitize_text_field( wp_unslash( $_SERVER['HTTP_X_WP_NONCE'] ) ) : '';
+
+        return $nonce !== '' && wp_verify_nonce( $nonce, 'wp_rest' ) !== false;
+    }
+
+    /**
+     * POST /syncs: start a catalog, stock or coupon sync in the background,
+     * or sync one product by SKU right away.
+     */
+    public static function start_sync( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        $type = (string) $request['type'];
+
+        if ( $type === 'sku' ) {
+            return self::sync_sku( (string) $request['sku'] );
+        }
+
+        $session_id = uniqid( $type . '_', true );
+
+        try {
+            $result = self::dispatch_step( $type, 'init', 0, Sync_Service::BATCH_SIZE, $session_id );
+
+            if ( (int) $result['total'] === 0 ) {
+                $result = self::dispatch_step( $type, 'cleanup', 0, Sync_Service::BATCH_SIZE, $session_id );
+                return new \WP_REST_Response( self::session_response( $session_id, $type, $result ), 200 );
+            }
+
+            wp_schedule_single_event( time(), self::HOOK_RUN_SESSION, [ $type, $session_id, 0 ] );
+            spawn_cron();
+        } catch ( \Throwable $e ) {
+            return self::step_error( $e, $type, 'init', $session_id );
+        }
+
+        Logger::instance()->log( 'REST sync started', [
+            'session_id' => $session_id,
+            'type'       => $type,
+            'total'      => (int) $result['total'],
+            'user'       => wp_get_current_user()->user_login ?: 'api',
+        ] );
+
+        return new \WP_REST_Response( self::session_response( $session_id, $type, $result ), 202 );
+    }
+
+    /**
+     * POST /syncs/{type}/steps: run one step of a step-based sync
+     * (what admin.js drives batch by batch).
+     *
+     * A process or resume step for a session flagged by POST /syncs/{id}/cancel
+     * runs the abort step instead and reports 'cancelled'.
+     */
+    public static function run_step( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        $type       = (string) $request['type'];
+        $step       = (string) $request['step'];
+        $offset     = (int) $request['offset'];
+        $session_id = (string) $request['session_id'];
+        $dry_run    = (bool) $request['dry_run'];
+
+        $bounds     = Sync_Service::get_batch_size_bounds();
+        $batch_size = max( $bounds['min'], min( $bounds['max'], (int) $request['batch_size'] ) );
+
+        // Generate session ID if not provided
+        if ( $session_id === '' ) {
+            $session_id = uniqid( $type . '_', true );
+        }
+
+        try {
+            $cancelled = in_array( $step, [ 'process', 'resume' ], true ) && self::is_cancel_requested( $session_id );
+            if ( $cancelled ) {
+                $step = 'abort';
+                delete_transient( self::TRANSIENT_CANCEL_PREFIX . $session_id );
+            }
+
+            $result = self::dispatch_step( $type, $step, $offset, $batch_size, $session_id, $dry_run );
+
+            $result['session_id'] = $session_id;
+            $result['cancelled']  = $cancelled;
+
+            return new \WP_REST_Response( $result, 200 );
+        } catch ( \Throwable $e ) {
+            return self::step_error( $e, $type, $step, $session_id, $dry_run );
+        }
+    }
+
+    /**
+     * POST /syncs/csv_import/steps: run one step of a CSV import. The init
+     * step takes the file as the multipart field csv_file.
+     */
+    public static function run_csv_step( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        $import_type = (string) $request['import_type'];
+        $step        = (string) $request['step'];
+        $offset      = (int) $request['offset'];
+        $session_id  = (string) $request['session_id'];
+
+        $bounds     = Sync_Service::get_batch_size_bounds();
+        $batch_size = max( $bounds['min'], min( $bounds['max'], (int) $request['batch_size'] ) );
+
+        // Generate session ID if not provided
+        if ( $session_id === '' ) {
+            $session_id = uniqid( 'csv_', true );
+        }
+
+        try {
+            $cancelled = $step === 'process' && self::is_cancel_requested( $session_id );
+            if ( $cancelled ) {
+                $step = 'abort';
+                delete_transient( self::TRANSIENT_CANCEL_PREFIX . $session_id );
+            }
+
+            $file_path = '';
+            if ( $step === 'init' ) {
+                $files     = $request->get_file_params();
+                $file_path = self::store_csv_upload( $files['csv_file'] ?? [], $session_id );
+            }
+
+            $sync_service = new Sync_Service( new API_Client() );
+            $result       = $sync_service->sync_csv_step( $import_type, $step, $offset, $batch_size, $session_id, $file_path );
+
+            $result['session_id'] = $session_id;
+            $result['cancelled']  = $cancelled;
+
+            return new \WP_REST_Response( $result, 200 );
+        } catch ( \Throwable $e ) {
+            return self::step_error( $e, Sync_History::TYPE_CSV, $step, $session_id );
+        }
+    }
+
+    /**
+     * GET /syncs/{session_id}: live progress while the session runs,
+     * otherwise its sync history row.
+     */
+    public static function get_session( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        $session_id = (string) $request['session_id'];
+        $run        = Sync_History::get_run( $session_id );
+
+        $progress = get_transient( Sync_Service::TRANSIENT_PROGRESS );
+        if ( ! is_array( $progress ) || ( $progress['session_id'] ?? '' ) !== $session_id ) {
+            $progress = null;
+        } else {
+            $progress['age'] = time() - (int) ( $progress['timestamp'] ?? time() );
+        }
+
+        if ( $run === null && $progress === null ) {
+            return new \WP_Error( 'erp_sync_unknown_session', __( 'Unknown sync session', 'erp-sync' ), [ 'status' => 404 ] );
+        }
+
+        return new \WP_REST_Response( [
+            'session_id'       => $session_id,
+            'status'           => $run['status'] ?? Sync_History::STATUS_RUNNING,
+            'cancel_requested' => self::is_cancel_requested( $session_id ),
+            'progress'         => $progress,
+            'run'              => $run,
+        ], 200 );
+    }
+
+    /**
+     * POST /syncs/{session_id}/cancel: stop the session at its next batch.
+     *
+     * Batches already processed stay applied and cleanup is skipped, exactly
+     * like the Cancel button in the sync console.
+     */
+    public static function cancel_session( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        $session_id = (string) $request['session_id'];
+        $session    = get_option( Sync_Service::OPTION_ACTIVE_SESSION, [] );
+
+        if ( ! is_array( $session ) || ( $session['session_id'] ?? '' ) !== $session_id ) {
+            return new \WP_Error( 'erp_sync_not_running', __( 'This sync session is not running', 'erp-sync' ), [ 'status' => 409 ] );
+        }
+
+        set_transient( self::TRANSIENT_CANCEL_PREFIX . $session_id, 1, Sync_Service::TRANSIENT_LOCK_EXPIRATION );
+
+        Logger::instance()->log( 'REST sync cancel requested', [
+            'session_id' => $session_id,
+            'user'       => wp_get_current_user()->user_login ?: 'api',
+        ] );
+
+        return new \WP_REST_Response( [
+            'session_id'       => $session_id,
+            'cancel_requested' => true,
+            'message'          => __( 'The sync stops after the current batch.', 'erp-sync' ),
+        ], 202 );
+    }
+
+    /**
+     * GET /progress: the run currently reported in the progress transient,
+     * or the last finished one.
+     */
+    public static function get_progress(): \WP_REST_Response {
+        $progress = get_transient( Sync_Service::TRANSIENT_PROGRESS );
+
+        if ( $progress === false ) {
+            // Include the last finished run so the console can show how it ended
+            return new \WP_REST_Response( [
+                'progress' => 0,
+                'status'   => 'idle',
+                'last'     => get_transient( Sync_Service::TRANSIENT_LAST_PROGRESS ) ?: null,
+            ], 200 );
+        }
+
+        // Seconds since the last update, so stalled runs can be told apart from live ones
+        $progress['age'] = time() - (int) ( $progress['timestamp'] ?? time() );
+
+        return new \WP_REST_Response( $progress, 200 );
+    }
+
+    /**
+     * GET /runs: recent runs from the sync history, oldest first.
+     */
+    public static function get_runs( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        try {
+            $runs = array_map(
+                [ __CLASS__, 'add_run_date' ],
+                Sync_History::get_runs( (string) $request['type'], (int) $request['limit'] )
+            );
+        } catch ( \Throwable $e ) {
+            return new \WP_Error( 'erp_sync_failed', $e->getMessage(), [ 'status' => 500 ] );
+        }
+
+        return new \WP_REST_Response( [ 'runs' => $runs ], 200 );
+    }
+
+    /**
+     * GET /last-error: the latest failed run and the last SOAP fault.
+     */
+    public static function get_last_error(): \WP_REST_Response {
+        $run = Sync_History::get_last_failed();
+
+        return new \WP_REST_Response( [
+            'run'        => $run !== null ? self::add_run_date( $run ) : null,
+            'soap_fault' => (string) get_option( API_Client::OPTION_LAST_SOAP_FAULT, '' ) ?: null,
+        ], 200 );
+    }
+
+    /**
+     * POST /products/{id}/sync: update one product's stock and price.
+     */
+    public static function sync_product( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        $product_id = (int) $request['id'];
+
+        // Check if this product's SKU is excluded from ERP sync
+        $product = wc_get_product( $product_id );
+        if ( $product && in_array( $product->get_sku(), erp_sync_excluded_skus(), true ) ) {
+            return new \WP_Error( 'erp_sync_failed', __( 'This product cannot be updated from 1C', 'erp-sync' ), [ 'status' => 403 ] );
+        }
+
+        try {
+            $sync_service = new Sync_Service( new API_Client() );
+
+            if ( ! $sync_service->sync_single_product( $product_id ) ) {
+                return new \WP_Error( 'erp_sync_failed', __( 'Product sync failed', 'erp-sync' ), [ 'status' => 500 ] );
+            }
+        } catch ( \Throwable $e ) {
+            return new \WP_Error( 'erp_sync_failed', $e->getMessage(), [ 'status' => 500 ] );
+        }
+
+        return new \WP_REST_Response( [
+            'message' => __( 'Product synced successfully', 'erp-sync' ),
+            'columns' => Admin::get_row_columns_html( $product_id, 'product' ),
+        ], 200 );
+    }
+
+    /**
+     * POST /coupons/{id}/sync: update one coupon from its ERP card.
+     */
+    public static function sync_coupon( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        $coupon_id = (int) $request['id'];
+
+        try {
+            $sync_service = new Sync_Service( new API_Client() );
+
+            if ( ! $sync_service->sync_single_coupon( $coupon_id ) ) {
+                return new \WP_Error( 'erp_sync_failed', __( 'Coupon not found in ERP', 'erp-sync' ), [ 'status' => 404 ] );
+            }
+        } catch ( \Throwable $e ) {
+            return new \WP_Error( 'erp_sync_failed', $e->getMessage(), [ 'status' => 500 ] );
+        }
+
+        return new \WP_REST_Response( [
+            'message' => __( 'Coupon synced successfully', 'erp-sync' ),
+            'columns' => Admin::get_row_columns_html( $coupon_id, 'shop_coupon' ),
+        ], 200 );
+    }
+
+    /**
+     * WP-Cron callback: process batches of a session started through
+     * POST /syncs until it is done, cancelled or out of time, in which case
+     * the next event continues from the reached offset.
+     *
+     * @param string $type       One of SYNC_TYPES.
+     * @param string $session_id Sync session ID.
+     * @param int    $offset     Offset of the next unprocessed item.
+     */
+    public static function run_session( string $type, string $session_id, int $offset ): void {
+        $deadline = time() + self::SESSION_TIME_BUDGET;
+        $step     = 'process';
+
+        try {
+            while ( true ) {
+                if ( self::is_cancel_requested( $session_id ) ) {
+                    delete_transient( self::TRANSIENT_CANCEL_PREFIX . $session_id );
+                    self::dispatch_step( $type, 'abort', $offset, Sync_Service::BATCH_SIZE, $session_id );
+                    return;
+                }
+
+                $step   = 'process';
+                $result = self::dispatch_step( $type, $step, $offset, Sync_Service::BATCH_SIZE, $session_id );
+                $offset = (int) $result['next_offset'];
+
+                if ( $offset >= (int) $result['total'] ) {
+                    $step = 'cleanup';
+                    self::dispatch_step( $type, $step, 0, Sync_Service::BATCH_SIZE, $session_id );
+                    return;
+                }
+
+                if ( time() >= $deadline ) {
+                    wp_schedule_single_event( time(), self::HOOK_RUN_SESSION, [ $type, $session_id, $offset ] );
+                    return;
+                }
+            }
+        } catch ( \Throwable $e ) {
+            Logger::instance()->log( 'REST background sync failed', [
+                'session_id' => $session_id,
+                'type'       => $type,
+                'step'       => $step,
+                'offset'     => $offset,
+                'error'      => $e->getMessage(),
+            ] );
+            Sync_History::finish( $session_id, Sync_History::STATUS_FAILED, [], $e->getMessage() );
+
+            // Release the lock and cached feed; the run stays recorded as failed
+            try {
+                self::dispatch_step( $type, 'abort', $offset, Sync_Service::BATCH_SIZE, $session_id );
+            } catch ( \Throwable $abort_error ) {
+                Logger::instance()->log( 'REST background sync abort failed', [ 'error' => $abort_error->getMessage() ] );
+            }
+        }
+    }
+
+    /**
+     * Run one step of a step-based sync.
+     *
+     * @return array Step result, see Sync_Service::*_step().
+     * @throws \Exception If the step fails.
+     */
+    private static function dispatch_step( string $type, string $step, int $offset, int $batch_size, string $session_id, bool $dry_run = false ): array {
+        $sync_service = new Sync_Service( new API_Client() );
+
+        switch ( $type ) {
+            case Sync_History::TYPE_STOCK:
+                return $sync_service->update_products_stock_step( $step, $offset, $batch_size, $session_id, $dry_run );
+
+            case Sync_History::TYPE_CATALOG:
+                return $sync_service->import_products_catalog_step( $step, $offset, $batch_size, $session_id, $dry_run );
+
+            case Sync_History::TYPE_COUPONS:
+                return $sync_service->sync_coupons_step( $step, $offset, $batch_size, $session_id, $dry_run );
+
+            default:
+                throw new \Exception( __( 'Invalid sync type', 'erp-sync' ) );
+        }
+    }
+
+    /**
+     * Sync the product with the given SKU right away.
+     */
+    private static function sync_sku( string $sku ): \WP_REST_Response|\WP_Error {
+        if ( $sku === '' ) {
+            return new \WP_Error( 'rest_missing_callback_param', __( 'A SKU is required for a single product sync', 'erp-sync' ), [ 'status' => 400 ] );
+        }
+
+        if ( in_array( $sku, erp_sync_excluded_skus(), true ) ) {
+            return new \WP_Error( 'erp_sync_failed', __( 'This product cannot be updated from 1C', 'erp-sync' ), [ 'status' => 403 ] );
+        }
+
+        $product_id = (int) wc_get_product_id_by_sku( $sku );
+        if ( ! $product_id ) {
+            return new \WP_Error( 'erp_sync_unknown_sku', __( 'No product with this SKU', 'erp-sync' ), [ 'status' => 404 ] );
+        }
+
+        try {
+            $sync_service = new Sync_Service( new API_Client() );
+            $synced       = $sync_service->sync_single_product( $product_id );
+        } catch ( \Throwable $e ) {
+            return new \WP_Error( 'erp_sync_failed', $e->getMessage(), [ 'status' => 500 ] );
+        }
+
+        if ( ! $synced ) {
+            return new \WP_Error( 'erp_sync_failed', __( 'Product sync failed', 'erp-sync' ), [ 'status' => 500 ] );
+        }
+
+        return new \WP_REST_Response( [
+            'type'       => 'sku',
+            'sku'        => $sku,
+            'product_id' => $product_id,
+            'status'     => Sync_History::STATUS_COMPLETED,
+            'message'    => __( 'Product synced successfully', 'erp-sync' ),
+        ], 200 );
+    }
+
+    /**
+     * Record a failed step the way the admin sync console expects it.
+     */
+    private static function step_error( \Throwable $e, string $type, string $step, string $session_id, bool $dry_run = false ): \WP_Error {
+        Logger::instance()->log( 'REST ' . $type . ' sync failed', [ 'error' => $e->getMessage(), 'step' => $step, 'dry_run' => $dry_run ] );
+        Sync_History::finish( $session_id, Sync_History::STATUS_FAILED, [], $e->getMessage() );
+
+        return new \WP_Error( 'erp_sync_failed', $e->getMessage(), [
+            'status'     => 500,
+            'session_id' => $session_id,
+        ] );
+    }
+
+    /**
+     * Response body for a session started through POST /syncs.
+     */
+    private static function session_response( string $session_id, string $type, array $result ): array {
+        $done = ( $result['step'] ?? '' ) === 'cleanup';
+
+        return [
+            'session_id' => $session_id,
+            'type'       => $type,
+            'status'     => $done ? Sync_History::STATUS_COMPLETED : Sync_History::STATUS_RUNNING,
+            'total'      => (int) ( $result['total'] ?? 0 ),
+            'message'    => (string) ( $result['message'] ?? '' ),
+            'progress'   => rest_url( self::ROUTE_NAMESPACE . '/syncs/' . $session_id ),
+        ];
+    }
+
+    /**
+     * Check an uploaded CSV file and move it where the import steps read it.
+     *
+     * @param array  $file       Entry of the request's file params.
+     * @param string $session_id Sync session ID.
+     * @return string Path of the stored file.
+     * @throws \Exception If the upload is missing, not a CSV file or cannot be saved.
+     */
+    private static function store_csv_upload( array $file, string $session_id ): string {
+        if ( empty( $file['tmp_name'] ) || ( $file['error'] ?? UPLOAD_ERR_NO_FILE ) !== UPLOAD_ERR_OK ) {
+            throw new \Exception( __( 'No file uploaded or upload error.', 'erp-sync' ) );
+        }
+
+        // Validate MIME type
+        $finfo         = finfo_open( FILEINFO_MIME_TYPE );
+        $detected_mime = finfo_file( $finfo, $file['tmp_name'] );
+        finfo_close( $finfo );
+
+        if ( ! in_array( $detected_mime, self::CSV_MIME_TYPES, true ) ) {
+            throw new \Exception( sprintf(
+                /* translators: %s: detected MIME type */
+                __( 'Invalid file type: %s. Please upload a CSV file.', 'erp-sync' ),
+                $detected_mime
+            ) );
+        }
+
+        // Move uploaded file to a temporary location
+        $upload_dir = wp_upload_dir();
+        $target_dir = trailingslashit( $upload_dir['basedir'] ) . 'erp-sync-tmp';
+
+        if ( ! file_exists( $target_dir ) ) {
+            wp_mkdir_p( $target_dir );
+        }
+
+        $target_path = $target_dir . '/csv_import_' . sanitize_file_name( $session_id ) . '.csv';
+
+        if ( ! move_uploaded_file( $file['tmp_name'], $target_path ) ) {
+            throw new \Exception( __( 'Failed to save uploaded file.', 'erp-sync' ) );
+        }
+
+        return $target_path;
+    }
+
+    private static function is_cancel_requested( string $session_id ): bool {
+        return (bool) get_transient( self::TRANSIENT_CANCEL_PREFIX . $session_id );
+    }
+
+    /**
+     * Add the run's start in the site's date and time format.
+     */
+    private static function add_run_date( array $run ): array {
+        $run['date'] = mysql2date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $run['started_at'] );
+        return $run;
+    }
+}
@@ -8,10 +8,24 @@ if ( ! defined( 'ABSPATH' ) ) exit;
 class Security {
 
     const OPTION_IP_WHITELIST    = 'erp_sync_ip_whitelist';
+    const OPTION_IP_BLOCKLIST    = 'erp_sync_ip_blocklist';
     const OPTION_RATE_LIMIT      = 'erp_sync_rate_limit_enabled';
     const OPTION_RATE_LIMIT_MAX  = 'erp_sync_rate_limit_max';
     const OPTION_ENCRYPTION_KEY  = 'erp_sync_encryption_key';
     const TRANSIENT_PREFIX       = 'erp_sync_rate_limit_';
+    const OPTION_DB_VERSION      = 'erp_sync_security_tables_version';
+    const DB_VERSION             = '2';
+
+    // Security event types
+    const EVENT_RATE_LIMITED     = 'rate_limited';
+    const EVENT_IP_DENIED        = 'ip_denied';
+    const EVENT_SECRET_MISSING   = 'secret_missing';
+    const EVENT_SECRET_INVALID   = 'secret_invalid';
+
+    /**
+     * Nesting depth of without_caller_checks() calls in progress.
+     */
+    private static int $caller_checks_paused = 0;
 
     public static function init(): void {
         // Ensure encryption key exists
@@ -44,10 +58,35 @@ class Security {
 
         require_once( ABSPATH . 'wp-admin/includes/upgrade.php' );
         dbDelta( $sql );
+
+        $events_table = self::get_events_table_name();
+
+        $sql = "CREATE TABLE $events_table (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            event_type varchar(40) NOT NULL,
+            ip_address varchar(45) NOT NULL,
+            details text NULL,
+            created_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            KEY event_created (event_type, created_at),
+            KEY created_at (created_at)
+        ) $charset_collate;";
+
+        dbDelta( $sql );
+
+        update_option( self::OPTION_DB_VERSION, self::DB_VERSION );
         
         Logger::instance()->log( 'Security tables created', [] );
     }
 
+    /**
+     * Get security events table name
+     */
+    public static function get_events_table_name(): string {
+        global $wpdb;
+        return $wpdb->prefix . 'erp_sync_security_events';
+    }
+
     /**
      * Ensure encryption key exists
      */
@@ -208,11 +247,32 @@ class Security {
         }
     }
 
+    /**
+     * Run ERP calls made for a storefront visitor without the caller IP
+     * checks of erp_sync_before_api_call.
+     *
+     * The whitelist and rate limit guard the admin and webhook entry points;
+     * for a shopper they would wp_die() the product or cart page. Storefront
+     * lookups are throttled per product instead.
+     *
+     * @param callable $callback ERP lookup to run.
+     * @return mixed The callback's return value.
+     */
+    public static function without_caller_checks( callable $callback ): mixed {
+        self::$caller_checks_paused++;
+
+        try {
+            return $callback();
+        } finally {
+            self::$caller_checks_paused--;
+        }
+    }
+
     /**
      * Check rate limiting
      */
     public static function check_rate_limit(): void {
-        if ( ! get_option( self::OPTION_RATE_LIMIT, false ) ) {
+        if ( self::$caller_checks_paused > 0 || ! get_option( self::OPTION_RATE_LIMIT, false ) ) {
             return;
         }
 
@@ -231,6 +291,13 @@ class Security {
                     'requests' => $requests,
                     'max' => $max_requests 
                 ] );
+
+                // One security event per IP and window, so a flood doesn't flood the events table too
+                $logged_key = self::TRANSIENT_PREFIX . 'logged_' . md5( $ip );
+                if ( ! get_transient( $logged_key ) ) {
+                    set_transient( $logged_key, 1, MINUTE_IN_SECONDS );
+                    self::log_security_event( self::EVENT_RATE_LIMITED, $ip, [ 'max' => $max_requests ] );
+                }
                 
                 wp_die( 
                     esc_html__( 'Rate limit exceeded. Please try again later.', 'erp-sync' ),
@@ -245,29 +312,42 @@ class Security {
     }
 
     /**
-     * Check IP whitelist
+     * Check IP blocklist and whitelist
+     * Entries may be single addresses or CIDR ranges (IPv4 and IPv6)
      */
     public static function check_ip_whitelist(): void {
-        $whitelist = get_option( self::OPTION_IP_WHITELIST, '' );
-        
-        if ( empty( $whitelist ) ) {
-            return; // No whitelist configured
+        if ( self::$caller_checks_paused > 0 ) {
+            return;
         }
 
         $ip = self::get_client_ip();
-        $allowed_ips = array_map( 'trim', explode( "\n", $whitelist ) );
-        $allowed_ips = array_filter( $allowed_ips ); // Remove empty lines
+
+        if ( self::ip_in_list( $ip, self::get_ip_list( self::OPTION_IP_BLOCKLIST ) ) ) {
+            Logger::instance()->log( 'IP blocked by blocklist', [ 'ip' => $ip ] );
+            self::log_security_event( self::EVENT_IP_DENIED, $ip, [ 'list' => 'blocklist' ] );
+
+            wp_die( 
+                sprintf( 
+                    esc_html__( 'Access denied. Your IP address (%s) is blocked.', 'erp-sync' ),
+                    esc_html( $ip )
+                ),
+                esc_html__( 'Forbidden', 'erp-sync' ),
+                [ 'response' => 403 ]
+            );
+        }
+
+        $allowed_ips = self::get_ip_list( self::OPTION_IP_WHITELIST );
         
-        // Normalize IPs
-        $allowed_ips = array_map( function( $allowed_ip ) {
-            return trim( $allowed_ip );
-        }, $allowed_ips );
+        if ( empty( $allowed_ips ) ) {
+            return; // No whitelist configured
+        }
         
-        if ( ! in_array( $ip, $allowed_ips, true ) ) {
+        if ( ! self::ip_in_list( $ip, $allowed_ips ) ) {
             Logger::instance()->log( 'IP blocked by whitelist', [ 
                 'ip' => $ip, 
                 'allowed_ips' => implode( ', ', $allowed_ips ) 
             ] );
+            self::log_security_event( self::EVENT_IP_DENIED, $ip, [ 'list' => 'whitelist' ] );
             
             wp_die( 
                 sprintf( 
@@ -280,6 +360,180 @@ class Security {
         }
     }
 
+    /**
+     * Get the entries of an IP list option (whitelist or blocklist)
+     * Invalid lines left over from the old free-text whitelist are skipped
+     */
+    public static function get_ip_list( string $option ): array {
+        $lines   = preg_split( '/[\r\n,]+/', (string) get_option( $option, '' ) ) ?: [];
+        $entries = [];
+
+        foreach ( $lines as $line ) {
+            $entry = self::normalize_ip_entry( $line );
+            if ( $entry !== '' && ! in_array( $entry, $entries, true ) ) {
+                $entries[] = $entry;
+            }
+        }
+
+        return $entries;
+    }
+
+    /**
+     * Validate and store an IP list option
+     * Returns the entries that were rejected as invalid
+     */
+    public static function save_ip_list( string $option, array $entries ): array {
+        $valid   = [];
+        $invalid = [];
+
+        foreach ( $entries as $raw ) {
+            $raw = trim( (string) $raw );
+            if ( $raw === '' ) {
+                continue;
+            }
+
+            $entry = self::normalize_ip_entry( $raw );
+            if ( $entry === '' ) {
+                $invalid[] = $raw;
+            } elseif ( ! in_array( $entry, $valid, true ) ) {
+                $valid[] = $entry;
+            }
+        }
+
+        update_option( $option, implode( "\n", $valid ) );
+
+        return $invalid;
+    }
+
+    /**
+     * Add or remove a single entry on the whitelist or blocklist
+     * An address can only be on one of the two lists, so adding it to one removes it from the other
+     */
+    public static function update_ip_list_entry( string $option, string $entry, bool $add ): void {
+        $entry = self::normalize_ip_entry( $entry );
+        if ( $entry === '' ) {
+            throw new \Exception( __( 'Invalid IP address or CIDR range.', 'erp-sync' ) );
+        }
+
+        $other = $option === self::OPTION_IP_WHITELIST ? self::OPTION_IP_BLOCKLIST : self::OPTION_IP_WHITELIST;
+
+        $entries = array_values( array_diff( self::get_ip_list( $option ), [ $entry ] ) );
+        if ( $add ) {
+            $entries[] = $entry;
+            self::save_ip_list( $other, array_diff( self::get_ip_list( $other ), [ $entry ] ) );
+        }
+
+        self::save_ip_list( $option, $entries );
+
+        Logger::instance()->log( $add ? 'IP list entry added' : 'IP list entry removed', [
+            'list'  => $option,
+            'entry' => $entry,
+        ] );
+    }
+
+    /**
+     * Get whether an IP is allowed or blocked by the configured lists
+     * Returns 'blocked', 'allowed', 'denied' (whitelist active but IP not on it) or '' (no rule applies)
+     */
+    public static function get_ip_status( string $ip ): string {
+        if ( self::ip_in_list( $ip, self::get_ip_list( self::OPTION_IP_BLOCKLIST ) ) ) {
+            return 'blocked';
+        }
+
+        $allowed_ips = self::get_ip_list( self::OPTION_IP_WHITELIST );
+        if ( empty( $allowed_ips ) ) {
+            return '';
+        }
+
+        return self::ip_in_list( $ip, $allowed_ips ) ? 'allowed' : 'denied';
+    }
+
+    /**
+     * Normalize an IP address or CIDR range, returns '' when invalid
+     */
+    public static function normalize_ip_entry( string $entry ): string {
+        $entry = trim( $entry );
+        if ( $entry === '' ) {
+            return '';
+        }
+
+        $prefix = null;
+        if ( strpos( $entry, '/' ) !== false ) {
+            list( $entry, $prefix ) = explode( '/', $entry, 2 );
+            if ( ! ctype_digit( $prefix ) ) {
+                return '';
+            }
+            $prefix = (int) $prefix;
+        }
+
+        if ( ! filter_var( $entry, FILTER_VALIDATE_IP ) ) {
+            return '';
+        }
+
+        $packed  = inet_pton( $entry );
+        $address = inet_ntop( $packed );
+
+        if ( $prefix === null ) {
+            return $address;
+        }
+
+        if ( $prefix > strlen( $packed ) * 8 ) {
+            return '';
+        }
+
+        return $address . '/' . $prefix;
+    }
+
+    /**
+     * Check whether an IP matches an address or CIDR range entry
+     */
+    public static function ip_matches( string $ip, string $entry ): bool {
+        $ip_packed = @inet_pton( $ip );
+        if ( $ip_packed === false ) {
+            return false;
+        }
+
+        if ( strpos( $entry, '/' ) === false ) {
+            $entry_packed = @inet_pton( $entry );
+            return $entry_packed !== false && $entry_packed === $ip_packed;
+        }
+
+        list( $subnet, $prefix ) = explode( '/', $entry, 2 );
+        $subnet_packed = @inet_pton( $subnet );
+        $prefix        = (int) $prefix;
+
+        // Different address families never match
+        if ( $subnet_packed === false || strlen( $subnet_packed ) !== strlen( $ip_packed ) ) {
+            return false;
+        }
+
+        $full_bytes = intdiv( $prefix, 8 );
+        if ( substr( $ip_packed, 0, $full_bytes ) !== substr( $subnet_packed, 0, $full_bytes ) ) {
+            return false;
+        }
+
+        $remaining_bits = $prefix % 8;
+        if ( $remaining_bits === 0 ) {
+            return true;
+        }
+
+        $mask = ( 0xFF << ( 8 - $remaining_bits ) ) & 0xFF;
+
+        return ( ord( $ip_packed[ $full_bytes ] ) & $mask ) === ( ord( $subnet_packed[ $full_bytes ] ) & $mask );
+    }
+
+    /**
+     * Check whether an IP matches any entry of a list
+     */
+    public static function ip_in_list( string $ip, array $entries ): bool {
+        foreach ( $entries as $entry ) {
+            if ( self::ip_matches( $ip, (string) $entry ) ) {
+                return true;
+            }
+        }
+        return false;
+    }
+
     /**
      * Get client IP address
      * Supports various proxy configurations
@@ -334,6 +588,93 @@ class Security {
         );
     }
 
+    /**
+     * Record a security event (rate-limit rejection, denied IP, failed webhook secret)
+     */
+    public static function log_security_event( string $type, string $ip, array $details = [] ): void {
+        global $wpdb;
+        $table_name = self::get_events_table_name();
+
+        $table_exists = $wpdb->get_var( "SHOW TABLES LIKE '$table_name'" ) === $table_name;
+
+        if ( ! $table_exists ) {
+            return;
+        }
+
+        $wpdb->insert(
+            $table_name,
+            [
+                'event_type' => $type,
+                'ip_address' => $ip,
+                'details'    => $details ? wp_json_encode( $details ) : null,
+                'created_at' => current_time( 'mysql' ),
+            ],
+            [ '%s', '%s', '%s', '%s' ]
+        );
+    }
+
+    /**
+     * Get recent security events, newest first
+     */
+    public static function get_security_events( int $limit = 50, int $days = 7 ): array {
+        global $wpdb;
+        $table_name = self::get_events_table_name();
+
+        $table_exists = $wpdb->get_var( "SHOW TABLES LIKE '$table_name'" ) === $table_name;
+
+        if ( ! $table_exists ) {
+            return [];
+        }
+
+        $rows = $wpdb->get_results( $wpdb->prepare(
+            "SELECT id, event_type, ip_address, details, created_at
+            FROM $table_name
+            WHERE created_at >= %s
+            ORDER BY id DESC
+            LIMIT %d",
+            date( 'Y-m-d H:i:s', strtotime( "-$days days" ) ),
+            $limit
+        ), ARRAY_A );
+
+        return array_map( function( array $row ) {
+            $details = $row['details'] ? json_decode( $row['details'], true ) : [];
+
+            return [
+                'id'         => (int) $row['id'],
+                'type'       => $row['event_type'],
+                'ip'         => $row['ip_address'],
+                'details'    => is_array( $details ) ? $details : [],
+                'created_at' => $row['created_at'],
+            ];
+        }, $rows ?: [] );
+    }
+
+    /**
+     * Count security events per type
+     */
+    public static function count_security_events( int $days = 7 ): array {
+        global $wpdb;
+        $table_name = self::get_events_table_name();
+
+        $table_exists = $wpdb->get_var( "SHOW TABLES LIKE '$table_name'" ) === $table_name;
+
+        if ( ! $table_exists ) {
+            return [];
+        }
+
+        $rows = $wpdb->get_results( $wpdb->prepare(
+            "SELECT event_type, COUNT(*) as total FROM $table_name WHERE created_at >= %s GROUP BY event_type",
+            date( 'Y-m-d H:i:s', strtotime( "-$days days" ) )
+        ), ARRAY_A );
+
+        $counts = [];
+        foreach ( $rows ?: [] as $row ) {
+            $counts[ $row['event_type'] ] = (int) $row['total'];
+        }
+
+        return $counts;
+    }
+
     /**
      * Clean old logs (keep last 30 days)
      */
@@ -356,6 +697,15 @@ class Security {
         if ( $deleted ) {
             Logger::instance()->log( 'Old API logs cleaned', [ 'deleted' => $deleted ] );
         }
+
+        $events_table = self::get_events_table_name();
+
+        if ( $wpdb->get_var( "SHOW TABLES LIKE '$events_table'" ) === $events_table ) {
+            $wpdb->query( $wpdb->prepare(
+                "DELETE FROM $events_table WHERE created_at < %s",
+                date( 'Y-m-d H:i:s', strtotime( '-30 days' ) )
+            ) );
+        }
     }
 
     /**
@@ -0,0 +1,690 @@
+<?php
+declare(strict_types=1);
+
+namespace ERPSync;
+
+if ( ! defined( 'ABSPATH' ) ) exit;
+
+/**
+ * Settings Transfer Class
+ *
+ * Exports the plugin configuration (connection profiles, cron, batch sizes,
+ * mock ERP, webhook, security, attribute mapping and branch settings) as a
+ * versioned JSON bundle and imports it on another environment.
+ *
+ * Secrets (ERP passwords, the webhook secret) are never written in clear:
+ * they are either left out or encrypted as one block with a key derived from
+ * an export passphrase, since the Security::encrypt() key is site-specific.
+ * An import is previewed as a field-by-field diff first; the sanitized
+ * values wait in a per-user transient until the admin applies them.
+ *
+ * @package ERPSync
+ * @since 1.5.0
+ */
+class Settings_Transfer {
+
+    /**
+     * Bundle format marker and version. Bump the version when the layout changes.
+     */
+    const FORMAT         = 'erp-sync-settings';
+    const FORMAT_VERSION = 1;
+
+    /**
+     * Shortest accepted export passphrase.
+     */
+    const PASSPHRASE_MIN_LENGTH = 8;
+
+    /**
+     * Largest accepted bundle, in bytes.
+     */
+    const MAX_BUNDLE_BYTES = 2097152;
+
+    /**
+     * Passphrase encryption of the secrets block.
+     */
+    private const CIPHER         = 'aes-256-gcm';
+    private const KDF_ITERATIONS = 100000;
+
+    /**
+     * Pending import, per user (suffixed with the user ID).
+     */
+    private const TRANSIENT_PENDING = 'erp_sync_settings_import_';
+
+    /**
+     * Prefix of flattened secret values; they are compared, then masked.
+     */
+    private const SECRET_MARK = "\0secret:";
+
+    /**
+     * Exported options by section, with the rule their imported value is
+     * sanitized with. Options are applied in this order, so profiles are
+     * saved before the bindings that reference them.
+     */
+    const SETTINGS = [
+        'connection' => [
+            API_Client::OPTION_WSDL               => 'url',
+            API_Client::OPTION_USERNAME           => 'text',
+            API_Client::OPTION_PASSWORD           => 'password',
+            API_Client::OPTION_FORCE_LOCATION     => 'url',
+            API_Client::OPTION_TIMEOUT            => 'timeout',
+            API_Client::OPTION_SOAP_VERSION       => 'soap_version',
+            API_Client::OPTION_DEBUG              => 'bool',
+            Connection_Profiles::OPTION_PROFILES  => 'profiles',
+            Connection_Profiles::OPTION_BINDINGS  => 'bindings',
+        ],
+        'sync' => [
+            Sync_Service::OPTION_BATCH_SIZE_MIN   => 'batch_size',
+            Sync_Service::OPTION_BATCH_SIZE_MAX   => 'batch_size',
+            Cart_Stock_Check::OPTION_AUTO_ADJUST  => 'bool',
+        ],
+        'cron' => [
+            Cron::OPTION_CATALOG_CRON_ENABLED     => 'bool',
+            Cron::OPTION_CATALOG_CRON_INTERVAL    => 'schedule',
+            Cron::OPTION_STOCK_CRON_ENABLED       => 'bool',
+            Cron::OPTION_STOCK_CRON_INTERVAL      => 'schedule',
+            Cron::OPTION_CRON_ENABLED             => 'bool',
+            Cron::OPTION_CRON_INTERVAL            => 'schedule',
+        ],
+        'mock' => [
+            Mock_ERP::OPTION_ENABLED              => 'bool',
+            Mock_ERP::OPTION_GENERATOR            => 'mock_generator',
+        ],
+        'webhook' => [
+            Webhook::OPTION_WEBHOOK_ENABLED       => 'bool',
+            Webhook::OPTION_WEBHOOK_URL           => 'url',
+            Webhook::OPTION_WEBHOOK_SECRET        => 'secret',
+            Webhook::OPTION_WEBHOOK_EVENTS        => 'list',
+        ],
+        'security' => [
+            Security::OPTION_IP_WHITELIST         => 'ip_list',
+            Security::OPTION_IP_BLOCKLIST         => 'ip_list',
+            Security::OPTION_RATE_LIMIT           => 'bool',
+            Security::OPTION_RATE_LIMIT_MAX       => 'rate_limit_max',
+        ],
+        'mapping' => [
+            Product_Service::OPTION_ATTRIBUTE_MAPPING => 'attribute_mapping',
+        ],
+        'branches' => [
+            Product_Service::OPTION_BRANCH_SETTINGS => 'branch_settings',
+        ],
+    ];
+
+    /**
+     * Build the export bundle.
+     *
+     * @param string $passphrase Passphrase for the secrets; empty leaves them out.
+     * @return array Bundle, ready for wp_json_encode().
+     * @throws \Exception When the passphrase is too short or encryption fails.
+     */
+    public static function export( string $passphrase = '' ): array {
+        if ( $passphrase !== '' && strlen( $passphrase ) < self::PASSPHRASE_MIN_LENGTH ) {
+            throw new \Exception( sprintf(
+                /* translators: %d: minimum passphrase length */
+                __( 'The passphrase must be at least %d characters long.', 'erp-sync' ),
+                self::PASSPHRASE_MIN_LENGTH
+            ) );
+        }
+
+        $settings = [];
+        $secrets  = [];
+
+        foreach ( self::get_types() as $option => $type ) {
+            $value = self::read( $option, $type );
+            if ( $value === null ) {
+                continue;
+            }
+
+            if ( $type === 'password' || $type === 'secret' ) {
+                $plain = $type === 'password' ? Security::decrypt( (string) $value ) : (string) $value;
+                if ( $plain !== '' ) {
+                    $secrets[ $option ] = $plain;
+                }
+                continue;
+            }
+
+            if ( $type === 'profiles' ) {
+                foreach ( $value as $id => $profile ) {
+                    $plain = Security::decrypt( (string) ( $profile['password'] ?? '' ) );
+                    if ( $plain !== '' ) {
+                        $secrets[ $option . '.' . $id ] = $plain;
+                    }
+                    unset( $value[ $id ]['password'] );
+                }
+            }
+
+            $settings[ $option ] = $value;
+        }
+
+        return [
+            'format'         => self::FORMAT,
+            'version'        => self::FORMAT_VERSION,
+            'plugin_version' => ERPSYNC_VERSION,
+            'exported_at'    => gmdate( 'c' ),
+            'site_url'       => home_url(),
+            'settings'       => $settings,
+            'secrets'        => $passphrase !== '' && $secrets ? self::encrypt_secrets( $secrets, $passphrase ) : null,
+        ];
+    }
+
+    /**
+     * Validate a bundle, keep its sanitized values as the pending import of
+     * the current user and describe how they differ from the current settings.
+     *
+     * @param string $json       Bundle file contents.
+     * @param string $passphrase Passphrase the secrets were exported with.
+     * @return array [ 'source' => bundle details, 'options' => diff per changed option,
+     *               'unchanged' => count, 'warnings' => list of messages ].
+     * @throws \Exception When the bundle cannot be read or the passphrase is wrong.
+     */
+    public static function preview( string $json, string $passphrase = '' ): array {
+        if ( strlen( $json ) > self::MAX_BUNDLE_BYTES ) {
+            throw new \Exception( __( 'The settings file is too large.', 'erp-sync' ) );
+        }
+
+        $bundle = json_decode( $json, true );
+        if ( ! is_array( $bundle ) || ( $bundle['format'] ?? '' ) !== self::FORMAT || ! is_array( $bundle['settings'] ?? null ) ) {
+            throw new \Exception( __( 'This is not an ERP Sync settings file.', 'erp-sync' ) );
+        }
+
+        $version = (int) ( $bundle['version'] ?? 0 );
+        if ( $version < 1 || $version > self::FORMAT_VERSION ) {
+            throw new \Exception( sprintf(
+                /* translators: %d: bundle format version */
+                __( 'Settings file format version %d is not supported by this version of the plugin.', 'erp-sync' ),
+                $version
+            ) );
+        }
+
+        $warnings = [];
+        $secrets  = [];
+
+        if ( is_array( $bundle['secrets'] ?? null ) ) {
+            if ( $passphrase === '' ) {
+                $warnings[] = __( 'The file contains encrypted passwords and secrets, but no passphrase was entered: they are not imported and the current ones are kept.', 'erp-sync' );
+            } else {
+                $secrets = self::decrypt_secrets( $bundle['secrets'], $passphrase );
+            }
+        } else {
+            $warnings[] = __( 'The file contains no passwords or secrets: the current ones are kept.', 'erp-sync' );
+        }
+
+        $types    = self::get_types();
+        $incoming = [];
+
+        foreach ( $bundle['settings'] as $option => $value ) {
+            if ( ! isset( $types[ $option ] ) || in_array( $types[ $option ], [ 'password', 'secret' ], true ) ) {
+                /* translators: %s: option name */
+                $warnings[] = sprintf( __( 'Unknown setting "%s" skipped.', 'erp-sync' ), $option );
+                continue;
+            }
+
+            $value = self::sanitize( $option, $types[ $option ], $value, $secrets, $warnings );
+            if ( $value !== null ) {
+                $incoming[ $option ] = $value;
+            }
+        }
+
+        foreach ( $types as $option => $type ) {
+            if ( ( $type === 'password' || $type === 'secret' ) && isset( $secrets[ $option ] ) ) {
+                $plain               = sanitize_text_field( (string) $secrets[ $option ] );
+                $incoming[ $option ] = $type === 'password' ? Security::encrypt( $plain ) : $plain;
+            }
+        }
+
+        // Keep the diff in SETTINGS order
+        $incoming = array_intersect_key( array_replace( $types, $incoming ), $incoming );
+
+        $changes   = [];
+        $unchanged = 0;
+
+        foreach ( $incoming as $option => $value ) {
+            $fields = self::diff( $types[ $option ], self::read( $option, $types[ $option ] ), $value );
+            if ( ! $fields ) {
+                $unchanged++;
+                continue;
+            }
+
+            $changes[] = [
+                'option'  => $option,
+                'section' => self::get_section( $option ),
+                'label'   => self::get_labels()[ $option ] ?? $option,
+                'fields'  => $fields,
+            ];
+        }
+
+        set_transient( self::TRANSIENT_PENDING . get_current_user_id(), $incoming, HOUR_IN_SECONDS );
+
+        return [
+            'source'    => [
+                'site_url'       => (string) ( $bundle['site_url'] ?? '' ),
+                'plugin_version' => (string) ( $bundle['plugin_version'] ?? '' ),
+                'exported_at'    => ! empty( $bundle['exported_at'] ) && strtotime( (string) $bundle['exported_at'] )
+                    ? wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), strtotime( (string) $bundle['exported_at'] ) )
+                    : '',
+            ],
+            'options'   => $changes,
+            'unchanged' => $unchanged,
+            'warnings'  => $warnings,
+        ];
+    }
+
+    /**
+     * Apply the pending import of the current user, then reschedule the crons.
+     *
+     * @param array $options Options to apply (from the previewed diff).
+     * @return int Number of options applied.
+     * @throws \Exception When there is no pending import.
+     */
+    public static function apply( array $options ): int {
+        $key     = self::TRANSIENT_PENDING . get_current_user_id();
+        $pending = get_transient( $key );
+
+        if ( ! is_array( $pending ) ) {
+            throw new \Exception( __( 'The import preview has expired. Please select the settings file again.', 'erp-sync' ) );
+        }
+
+        $types   = self::get_types();
+        $applied = [];
+
+        foreach ( $pending as $option => $value ) {
+            if ( ! isset( $types[ $option ] ) || ! in_array( $option, $options, true ) ) {
+                continue;
+            }
+
+            switch ( $types[ $option ] ) {
+                case 'ip_list':
+                    Security::save_ip_list( $option, $value );
+                    break;
+                case 'bindings':
+                    Connection_Profiles::save_bindings( $value );
+                    break;
+                default:
+                    update_option( $option, $value );
+            }
+
+            $applied[] = $option;
+        }
+
+        delete_transient( $key );
+
+        if ( class_exists( '\ERPSync\Cron' ) ) {
+            Cron::reschedule_after_settings_change();
+        }
+
+        Logger::instance()->log( 'Settings imported', [ 'options' => $applied ] );
+
+        return count( $applied );
+    }
+
+    /**
+     * Option name => sanitize rule, in SETTINGS order.
+     *
+     * @return array<string, string>
+     */
+    private static function get_types(): array {
+        return array_merge( ...array_values( self::SETTINGS ) );
+    }
+
+    /**
+     * @param string $option Option name.
+     * @return string Section of SETTINGS the option belongs to.
+     */
+    private static function get_section( string $option ): string {
+        foreach ( self::SETTINGS as $section => $options ) {
+            if ( isset( $options[ $option ] ) ) {
+                return $section;
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Human-readable names of the exported options, for the import diff.
+     *
+     * @return array<string, string>
+     */
+    private static function get_labels(): array {
+        return [
+            API_Client::OPTION_WSDL                   => __( 'WSDL URL', 'erp-sync' ),
+            API_Client::OPTION_USERNAME               => __( 'Username', 'erp-sync' ),
+            API_Client::OPTION_PASSWORD               => __( 'Password', 'erp-sync' ),
+            API_Client::OPTION_FORCE_LOCATION         => __( 'Force Endpoint', 'erp-sync' ),
+            API_Client::OPTION_TIMEOUT                => __( 'Timeout', 'erp-sync' ),
+            API_Client::OPTION_SOAP_VERSION           => __( 'SOAP Version', 'erp-sync' ),
+            API_Client::OPTION_DEBUG                  => __( 'Debug mode', 'erp-sync' ),
+            Connection_Profiles::OPTION_PROFILES      => __( 'Connection profiles', 'erp-sync' ),
+            Connection_Profiles::OPTION_BINDINGS      => __( 'Profile per sync', 'erp-sync' ),
+            Sync_Service::OPTION_BATCH_SIZE_MIN       => __( 'Minimum batch size', 'erp-sync' ),
+            Sync_Service::OPTION_BATCH_SIZE_MAX       => __( 'Maximum batch size', 'erp-sync' ),
+            Cart_Stock_Check::OPTION_AUTO_ADJUST      => __( 'Cart stock auto-adjust', 'erp-sync' ),
+            Cron::OPTION_CATALOG_CRON_ENABLED         => __( 'Catalog cron enabled', 'erp-sync' ),
+            Cron::OPTION_CATALOG_CRON_INTERVAL        => __( 'Catalog cron interval', 'erp-sync' ),
+            Cron::OPTION_STOCK_CRON_ENABLED           => __( 'Stock cron enabled', 'erp-sync' ),
+            Cron::OPTION_STOCK_CRON_INTERVAL          => __( 'Stock cron interval', 'erp-sync' ),
+            Cron::OPTION_CRON_ENABLED                 => __( 'Coupons cron enabled', 'erp-sync' ),
+            Cron::OPTION_CRON_INTERVAL                => __( 'Coupons cron interval', 'erp-sync' ),
+            Mock_ERP::OPTION_ENABLED                  => __( 'Mock ERP enabled', 'erp-sync' ),
+            Mock_ERP::OPTION_GENERATOR                => __( 'Mock ERP generator', 'erp-sync' ),
+            Webhook::OPTION_WEBHOOK_ENABLED           => __( 'Webhook enabled', 'erp-sync' ),
+            Webhook::OPTION_WEBHOOK_URL               => __( 'Webhook URL', 'erp-sync' ),
+            Webhook::OPTION_WEBHOOK_SECRET            => __( 'Webhook secret', 'erp-sync' ),
+            Webhook::OPTION_WEBHOOK_EVENTS            => __( 'Webhook events', 'erp-sync' ),
+            Security::OPTION_IP_WHITELIST             => __( 'IP whitelist', 'erp-sync' ),
+            Security::OPTION_IP_BLOCKLIST             => __( 'IP blocklist', 'erp-sync' ),
+            Security::OPTION_RATE_LIMIT               => __( 'Rate limiting enabled', 'erp-sync' ),
+            Security::OPTION_RATE_LIMIT_MAX           => __( 'Rate limit (requests per minute)', 'erp-sync' ),
+            Product_Service::OPTION_ATTRIBUTE_MAPPING => __( 'Attribute mapping', 'erp-sync' ),
+            Product_Service::OPTION_BRANCH_SETTINGS   => __( 'Branch settings', 'erp-sync' ),
+        ];
+    }
+
+    /**
+     * Read the current value of an exported option.
+     *
+     * @param string $option Option name.
+     * @param string $type   Sanitize rule.
+     * @return mixed Null when the option was never saved.
+     */
+    private static function read( string $option, string $type ) {
+        if ( $type === 'profiles' ) {
+            $profiles = Connection_Profiles::get_all();
+            unset( $profiles[ Connection_Profiles::DEFAULT_ID ] );
+
+            return array_map( function ( array $profile ): array {
+                unset( $profile['id'] );
+                return $profile;
+            }, $profiles );
+        }
+
+        $value = get_option( $option, null );
+        if ( $value === null ) {
+            return null;
+        }
+
+        return $type === 'ip_list' ? Security::get_ip_list( $option ) : $value;
+    }
+
+    /**
+     * Sanitize an imported value the way the settings form would.
+     *
+     * @param string $option   Option name.
+     * @param string $type     Sanitize rule.
+     * @param mixed  $value    Value from the bundle.
+     * @param array  $secrets  Decrypted secrets of the bundle.
+     * @param array  $warnings Collects problems to show in the preview.
+     * @return mixed Null to keep the current value.
+     */
+    private static function sanitize( string $option, string $type, $value, array $secrets, array &$warnings ) {
+        $label = self::get_labels()[ $option ] ?? $option;
+
+        switch ( $type ) {
+            case 'bool':
+                return empty( $value ) ? 0 : 1;
+
+            case 'timeout':
+                return max( 5, (int) $value );
+
+            case 'batch_size':
+                return max( 1, min( Sync_Service::BATCH_SIZE_LIMIT, (int) $value ) );
+
+            case 'rate_limit_max':
+                return max( 10, (int) $value );
+
+            case 'soap_version':
+                return in_array( (int) $value, [ 11, 12 ], true ) ? (int) $value : 11;
+
+            case 'url':
+                return esc_url_raw( is_scalar( $value ) ? (string) $value : '' );
+
+            case 'schedule':
+                $value = is_scalar( $value ) ? (string) $value : '';
+                if ( strpos( $value, 'erp_sync_' ) !== 0 || ! isset( wp_get_schedules()[ $value ] ) ) {
+                    /* translators: 1: setting name, 2: cron interval */
+                    $warnings[] = sprintf( __( '%1$s: unknown interval "%2$s", the current one is kept.', 'erp-sync' ), $label, $value );
+                    return null;
+                }
+                return $value;
+
+            case 'list':
+                return array_values( array_map( 'sanitize_text_field', array_filter( (array) $value, 'is_scalar' ) ) );
+
+            case 'ip_list':
+                $entries = [];
+                foreach ( array_filter( (array) $value, 'is_scalar' ) as $raw ) {
+                    $entry = Security::normalize_ip_entry( (string) $raw );
+                    if ( $entry === '' ) {
+                        /* translators: 1: setting name, 2: IP entry */
+                        $warnings[] = sprintf( __( '%1$s: invalid entry "%2$s" skipped.', 'erp-sync' ), $label, $raw );
+                    } elseif ( ! in_array( $entry, $entries, true ) ) {
+                        $entries[] = $entry;
+                    }
+                }
+                return $entries;
+
+            case 'mock_generator':
+                return Mock_ERP::sanitize_generator_settings( (array) $value );
+
+            case 'profiles':
+                $current  = Connection_Profiles::get_all();
+                $profiles = [];
+                foreach ( (array) $value as $id => $profile ) {
+                    $id = sanitize_key( (string) $id );
+                    if ( $id === '' || $id === Connection_Profiles::DEFAULT_ID || ! is_array( $profile ) ) {
+                        continue;
+                    }
+
+                    // Without the secret in the bundle, a profile that exists here keeps its password
+                    $secret  = $secrets[ $option . '.' . $id ] ?? '';
+                    $profile = Connection_Profiles::sanitize(
+                        [ 'password' => is_scalar( $secret ) ? (string) $secret : '' ] + $profile,
+                        [ 'password' => $current[ $id ]['password'] ?? '' ]
+                    );
+                    unset( $profile['id'] );
+
+                    $profiles[ $id ] = $profile;
+                }
+                return $profiles;
+
+            case 'bindings':
+                $bindings = [];
+                foreach ( Connection_Profiles::SYNC_TYPES as $sync_type ) {
+                    $bindings[ $sync_type ] = sanitize_key( (string) ( ( (array) $value )[ $sync_type ] ?? '' ) ) ?: Connection_Profiles::DEFAULT_ID;
+                }
+                return $bindings;
+
+            case 'attribute_mapping':
+                $mapping = [];
+                foreach ( (array) $value as $field_name => $target ) {
+                    $field_name = sanitize_text_field( (string) $field_name );
+                    if ( ! is_scalar( $target ) ) {
+                        continue;
+                    }
+
+                    // Same rules as the mapping builder, see Admin::sanitize_attribute_mapping()
+                    $parsed = Product_Service::parse_mapping_target( sanitize_text_field( (string) $target ) );
+                    $target = Product_Service::sanitize_mapping_entry( $field_name, sanitize_text_field( (string) $target ) );
+                    if ( $target === null ) {
+                        continue;
+                    }
+
+                    if ( $parsed['type'] === 'meta' && Product_Service::is_reserved_meta_key( sanitize_key( $parsed['key'] ) ) ) {
+                        /* translators: 1: ERP field name, 2: meta key */
+                        $warnings[] = sprintf( __( 'Attribute mapping: "%1$s" maps to the meta key %2$s, which is managed by WooCommerce or ERP Sync; the field is ignored.', 'erp-sync' ), $field_name, $parsed['key'] );
+                    }
+
+                    if ( strpos( $target, 'pa_' ) === 0 && ! taxonomy_exists( $target ) ) {
+                        /* translators: 1: ERP field name, 2: attribute taxonomy */
+                        $warnings[] = sprintf( __( 'Attribute mapping: "%1$s" maps to %2$s, which does not exist on this site yet.', 'erp-sync' ), $field_name, $target );
+                    }
+
+                    $mapping[ $field_name ] = $target;
+                }
+                return $mapping;
+
+            case 'branch_settings':
+                $branches = [];
+                foreach ( (array) $value as $original_name => $data ) {
+                    // Same as the branch editor: keep internal whitespace of names coming from 1C
+                    $original_name = wp_strip_all_tags( (string) $original_name );
+                    if ( $original_name === '' || ! is_array( $data ) ) {
+                        continue;
+                    }
+
+                    $branches[ $original_name ] = [
+                        'alias'              => sanitize_text_field( (string) ( $data['alias'] ?? '' ) ),
+                        'hide_from_frontend' => ! empty( $data['hide_from_frontend'] ),
+                        'position'           => (int) ( $data['position'] ?? count( $branches ) ),
+                    ];
+                }
+                return $branches;
+
+            case 'text':
+            default:
+                return sanitize_text_field( is_scalar( $value ) ? (string) $value : '' );
+        }
+    }
+
+    /**
+     * Compare the current and incoming value of an option field by field.
+     *
+     * Nested values are flattened to "key › key" paths; secrets are only
+     * reported as set, changed or removed.
+     *
+     * @param string $type     Sanitize rule.
+     * @param mixed  $current  Current value (null when never saved).
+     * @param mixed  $incoming Imported value.
+     * @return array List of [ 'field', 'current', 'incoming' ] (null = not set).
+     */
+    private static function diff( string $type, $current, $incoming ): array {
+        $current  = self::flatten( $type, $current );
+        $incoming = self::flatten( $type, $incoming );
+        $fields   = [];
+
+        foreach ( array_unique( array_merge( array_keys( $current ), array_keys( $incoming ) ) ) as $field ) {
+            $old = $current[ $field ] ?? null;
+            $new = $incoming[ $field ] ?? null;
+
+            if ( $old !== $new ) {
+                $fields[] = [
+                    'field'    => (string) $field,
+                    'current'  => self::mask( $old ),
+                    'incoming' => self::mask( $new ),
+                ];
+            }
+        }
+
+        return $fields;
+    }
+
+    /**
+     * Hide a flattened secret.
+     *
+     * @param string|null $value Flattened value.
+     * @return string|null
+     */
+    private static function mask( ?string $value ): ?string {
+        return $value !== null && strpos( $value, self::SECRET_MARK ) === 0 ? '••••••••' : $value;
+    }
+
+    /**
+     * Flatten a value to display strings keyed by field path.
+     *
+     * @param string $type   Sanitize rule ('profile' / 'value' for nested values).
+     * @param mixed  $value  Option value.
+     * @param string $prefix Path of the parent value.
+     * @return array<string, string>
+     */
+    private static function flatten( string $type, $value, string $prefix = '' ): array {
+        if ( $value === null ) {
+            return [];
+        }
+
+        if ( $type === 'password' || $type === 'secret' ) {
+            $plain = $type === 'password' ? Security::decrypt( (string) $value ) : (string) $value;
+            // Passwords are encrypted with a random IV, so compare the plain text (through a keyed hash)
+            return $plain === '' ? [] : [ $prefix => self::SECRET_MARK . wp_hash( $plain ) ];
+        }
+
+        if ( is_array( $value ) && ( $type === 'list' || $type === 'ip_list' ) ) {
+            return [ $prefix => implode( ', ', $value ) ];
+        }
+
+        if ( is_array( $value ) ) {
+            $flat = [];
+            foreach ( $value as $key => $item ) {
+                $path = $prefix === '' ? (string) $key : $prefix . ' › ' . $key;
+                $child = $type === 'profiles' ? 'profile' : ( $type === 'profile' && $key === 'password' ? 'password' : 'value' );
+                $flat += self::flatten( $child, $item, $path );
+            }
+            return $flat;
+        }
+
+        if ( is_bool( $value ) || $type === 'bool' ) {
+            return [ $prefix => $value ? __( 'Yes', 'erp-sync' ) : __( 'No', 'erp-sync' ) ];
+        }
+
+        return [ $prefix => (string) $value ];
+    }
+
+    /**
+     * Encrypt the secrets with a key derived from the passphrase.
+     *
+     * @param array  $secrets    Plain secrets keyed by option (or option.profile_id).
+     * @param string $passphrase Export passphrase.
+     * @return array Encrypted block stored in the bundle.
+     * @throws \Exception When OpenSSL fails.
+     */
+    private static function encrypt_secrets( array $secrets, string $passphrase ): array {
+        $salt = random_bytes( 16 );
+        $iv   = random_bytes( openssl_cipher_iv_length( self::CIPHER ) );
+        $key  = hash_pbkdf2( 'sha256', $passphrase, $salt, self::KDF_ITERATIONS, 32, true );
+        $tag  = '';
+
+        $data = openssl_encrypt( (string) wp_json_encode( $secrets ), self::CIPHER, $key, OPENSSL_RAW_DATA, $iv, $tag );
+        if ( $data === false ) {
+            throw new \Exception( __( 'Could not encrypt the secrets.', 'erp-sync' ) );
+        }
+
+        return [
+            'cipher'     => self::CIPHER,
+            'kdf'        => 'pbkdf2-sha256',
+            'iterations' => self::KDF_ITERATIONS,
+            'salt'       => base64_encode( $salt ),
+            'iv'         => base64_encode( $iv ),
+            'tag'        => base64_encode( $tag ),
+            'data'       => base64_encode( $data ),
+        ];
+    }
+
+    /**
+     * Decrypt the secrets block of a bundle.
+     *
+     * @param array  $block      Encrypted block.
+     * @param string $passphrase Export passphrase.
+     * @return array Plain secrets.
+     * @throws \Exception When the passphrase is wrong or the block is damaged.
+     */
+    private static function decrypt_secrets( array $block, string $passphrase ): array {
+        // Only the iteration count export() writes; one taken from the file could tie up the request
+        if ( ( $block['cipher'] ?? '' ) !== self::CIPHER || ( $block['kdf'] ?? '' ) !== 'pbkdf2-sha256' || (int) ( $block['iterations'] ?? 0 ) !== self::KDF_ITERATIONS ) {
+            throw new \Exception( __( 'The secrets in this file use an unsupported encryption.', 'erp-sync' ) );
+        }
+
+        $key   = hash_pbkdf2( 'sha256', $passphrase, (string) base64_decode( (string) ( $block['salt'] ?? '' ) ), self::KDF_ITERATIONS, 32, true );
+        $plain = openssl_decrypt(
+            (string) base64_decode( (string) ( $block['data'] ?? '' ) ),
+            self::CIPHER,
+            $key,
+            OPENSSL_RAW_DATA,
+            (string) base64_decode( (string) ( $block['iv'] ?? '' ) ),
+            (string) base64_decode( (string) ( $block['tag'] ?? '' ) )
+        );
+
+        $secrets = $plain !== false ? json_decode( $plain, true ) : null;
+        if ( ! is_array( $secrets ) ) {
+            throw new \Exception( __( 'Wrong passphrase, or the settings file is damaged.', 'erp-sync' ) );
+        }
+
+        return $secrets;
+    }
+}
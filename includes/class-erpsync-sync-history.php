@@ -0,0 +1,394 @@
+<?php
+declare(strict_types=1);
+
+namespace ERPSync;
+
+if ( ! defined( 'ABSPATH' ) ) exit;
+
+/**
+ * Sync History Class
+ *
+ * Records every catalog, stock, coupon and CSV run (manual, cron or webhook)
+ * in its own row, for the Dashboard tab. Step-based AJAX runs are recorded
+ * across requests by session ID: start() on init, add_counts() per batch,
+ * finish() on cleanup, abort or failure.
+ *
+ * @package ERPSync
+ * @since 1.5.0
+ */
+class Sync_History {
+
+    /**
+     * Table name without prefix.
+     */
+    private const TABLE_NAME = 'erp_sync_history';
+
+    /**
+     * Schema version of the history table; bump it when create_table() changes.
+     */
+    public const DB_VERSION = '3';
+
+    /**
+     * Option holding the installed schema version.
+     */
+    public const OPTION_DB_VERSION = 'erp_sync_history_table_version';
+
+    /**
+     * Run types.
+     */
+    public const TYPE_CATALOG = 'catalog';
+    public const TYPE_STOCK   = 'stock';
+    public const TYPE_COUPONS = 'coupons';
+    public const TYPE_CSV     = 'csv_import';
+
+    /**
+     * Run statuses. "interrupted" is never stored: it is reported by
+     * get_runs() for runs left "running" without a batch for STALE_AFTER.
+     */
+    public const STATUS_RUNNING     = 'running';
+    public const STATUS_COMPLETED   = 'completed';
+    public const STATUS_FAILED      = 'failed';
+    public const STATUS_ABORTED     = 'aborted';
+    public const STATUS_INTERRUPTED = 'interrupted';
+
+    /**
+     * Seconds without batch activity after which a run still marked running
+     * is considered interrupted (matches the sync lock expiration).
+     */
+    private const STALE_AFTER = 3600;
+
+    /**
+     * Days of history kept; older runs are pruned when a new run starts.
+     */
+    private const RETENTION_DAYS = 180;
+
+    /**
+     * Counters stored per run.
+     */
+    private const COUNT_COLUMNS = [ 'total', 'processed', 'created', 'updated', 'skipped', 'errors', 'orphans_zeroed' ];
+
+    /**
+     * Get the full table name with WordPress prefix.
+     *
+     * @return string Full table name.
+     */
+    public static function get_table_name(): string {
+        global $wpdb;
+        return $wpdb->prefix . self::TABLE_NAME;
+    }
+
+    /**
+     * Create or upgrade the history table.
+     */
+    public static function create_table(): void {
+        global $wpdb;
+
+        $table_name      = self::get_table_name();
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+            session_id varchar(64) NOT NULL DEFAULT '',
+            sync_type varchar(20) NOT NULL DEFAULT '',
+            trigger_source varchar(20) NOT NULL DEFAULT '',
+            status varchar(20) NOT NULL DEFAULT '',
+            started_at datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            started_at_ms bigint(20) UNSIGNED NOT NULL DEFAULT 0,
+            last_activity_at datetime NULL DEFAULT NULL,
+            finished_at datetime NULL DEFAULT NULL,
+            duration_ms bigint(20) UNSIGNED NOT NULL DEFAULT 0,
+            total int(10) UNSIGNED NOT NULL DEFAULT 0,
+            processed int(10) UNSIGNED NOT NULL DEFAULT 0,
+            created int(10) UNSIGNED NOT NULL DEFAULT 0,
+            updated int(10) UNSIGNED NOT NULL DEFAULT 0,
+            skipped int(10) UNSIGNED NOT NULL DEFAULT 0,
+            errors int(10) UNSIGNED NOT NULL DEFAULT 0,
+            orphans_zeroed int(10) UNSIGNED NOT NULL DEFAULT 0,
+            message text,
+            PRIMARY KEY  (id),
+            KEY session_id (session_id),
+            KEY sync_type (sync_type),
+            KEY started_at (started_at)
+        ) $charset_collate;";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta( $sql );
+
+        update_option( self::OPTION_DB_VERSION, self::DB_VERSION );
+
+        Logger::instance()->log( 'Sync history table created/verified', [] );
+    }
+
+    /**
+     * Record the start of a run.
+     *
+     * @param string $session_id Sync session ID (also written to the product logs).
+     * @param string $type       One of the TYPE_* constants.
+     * @param int    $total      Items to process, if already known.
+     */
+    public static function start( string $session_id, string $type, int $total = 0 ): void {
+        global $wpdb;
+
+        self::cleanup_old_runs();
+
+        $wpdb->insert(
+            self::get_table_name(),
+            [
+                'session_id'       => $session_id,
+                'sync_type'        => $type,
+                'trigger_source'   => self::detect_trigger(),
+                'status'           => self::STATUS_RUNNING,
+                'started_at'       => current_time( 'mysql' ),
+                // Runs span several requests; the datetime column only has whole seconds
+                'started_at_ms'    => (int) round( microtime( true ) * 1000 ),
+                'last_activity_at' => current_time( 'mysql' ),
+                'total'            => $total,
+            ],
+            [ '%s', '%s', '%s', '%s', '%s', '%d', '%s', '%d' ]
+        );
+    }
+
+    /**
+     * Add one batch's counters to a running run and record the activity, so
+     * long runs still making progress are not reported as interrupted.
+     *
+     * @param string $session_id Sync session ID.
+     * @param array  $counts     Any of processed, created, updated, skipped, errors, orphans_zeroed.
+     * @param int    $total      Total items of the run, 0 to keep the stored value.
+     */
+    public static function add_counts( string $session_id, array $counts, int $total = 0 ): void {
+        global $wpdb;
+
+        $table_name = self::get_table_name();
+        $set        = [ 'last_activity_at = %s' ];
+        $values     = [ current_time( 'mysql' ) ];
+
+        foreach ( self::COUNT_COLUMNS as $column ) {
+            if ( $column !== 'total' && ! empty( $counts[ $column ] ) ) {
+                $set[]    = "$column = $column + %d";
+                $values[] = (int) $counts[ $column ];
+            }
+        }
+
+        if ( $total > 0 ) {
+            $set[]    = 'total = %d';
+            $values[] = $total;
+        }
+
+        $values[] = $session_id;
+        $values[] = self::STATUS_RUNNING;
+
+        $wpdb->query( $wpdb->prepare(
+            "UPDATE $table_name SET " . implode( ', ', $set ) . ' WHERE session_id = %s AND status = %s',
+            $values
+        ) );
+    }
+
+    /**
+     * Record the end of a running run.
+     *
+     * Runs that are not running (unknown sessions, dry runs, already finished)
+     * are left untouched.
+     *
+     * @param string $session_id Sync session ID.
+     * @param string $status     STATUS_COMPLETED, STATUS_FAILED or STATUS_ABORTED.
+     * @param array  $counts     Final counters (overwrite the stored ones), see COUNT_COLUMNS.
+     * @param string $message    Error or summary message.
+     */
+    public static function finish( string $session_id, string $status, array $counts = [], string $message = '' ): void {
+        global $wpdb;
+
+        $table_name = self::get_table_name();
+
+        $started = $wpdb->get_row( $wpdb->prepare(
+            "SELECT started_at, started_at_ms FROM $table_name WHERE session_id = %s AND status = %s ORDER BY id DESC LIMIT 1",
+            $session_id,
+            self::STATUS_RUNNING
+        ), ARRAY_A );
+
+        if ( ! $started ) {
+            return;
+        }
+
+        $finished_at = current_time( 'mysql' );
+        $duration_ms = (int) $started['started_at_ms'] > 0
+            ? (int) round( microtime( true ) * 1000 ) - (int) $started['started_at_ms']
+            // Runs started before the started_at_ms column existed
+            : ( strtotime( $finished_at ) - strtotime( $started['started_at'] ) ) * 1000;
+
+        $data = [
+            'status'      => $status,
+            'finished_at' => $finished_at,
+            'duration_ms' => max( 0, $duration_ms ),
+            'message'     => $message,
+        ];
+
+        foreach ( self::COUNT_COLUMNS as $column ) {
+            if ( isset( $counts[ $column ] ) ) {
+                $data[ $column ] = (int) $counts[ $column ];
+            }
+        }
+
+        $wpdb->update(
+            $table_name,
+            $data,
+            [
+                'session_id' => $session_id,
+                'status'     => self::STATUS_RUNNING,
+            ]
+        );
+    }
+
+    /**
+     * Mark a failed or aborted step-based run as running again after a resume.
+     *
+     * @param string $session_id Sync session ID.
+     */
+    public static function resume( string $session_id ): void {
+        global $wpdb;
+
+        $wpdb->query( $wpdb->prepare(
+            'UPDATE ' . self::get_table_name() . ' SET status = %s, finished_at = NULL, last_activity_at = %s, message = %s WHERE session_id = %s',
+            self::STATUS_RUNNING,
+            current_time( 'mysql' ),
+            '',
+            $session_id
+        ) );
+    }
+
+    /**
+     * Get the most recent runs, oldest first (chart order).
+     *
+     * @param string $type  Run type to filter by, empty for all.
+     * @param int    $limit Maximum number of runs.
+     * @return array List of run rows with integer counters.
+     */
+    public static function get_runs( string $type = '', int $limit = 50 ): array {
+        global $wpdb;
+
+        $table_name = self::get_table_name();
+
+        if ( $type !== '' ) {
+            $rows = $wpdb->get_results( $wpdb->prepare(
+                "SELECT * FROM $table_name WHERE sync_type = %s ORDER BY started_at DESC, id DESC LIMIT %d",
+                $type,
+                $limit
+            ), ARRAY_A );
+        } else {
+            $rows = $wpdb->get_results( $wpdb->prepare(
+                "SELECT * FROM $table_name ORDER BY started_at DESC, id DESC LIMIT %d",
+                $limit
+            ), ARRAY_A );
+        }
+
+        $runs = array_map( [ __CLASS__, 'normalize_row' ], $rows ?: [] );
+
+        return array_reverse( $runs );
+    }
+
+    /**
+     * Get the latest run of a sync session.
+     *
+     * @param string $session_id Sync session ID.
+     * @return array|null Run row, or null if the session was never recorded.
+     */
+    public static function get_run( string $session_id ): ?array {
+        global $wpdb;
+
+        $row = $wpdb->get_row( $wpdb->prepare(
+            'SELECT * FROM ' . self::get_table_name() . ' WHERE session_id = %s ORDER BY id DESC LIMIT 1',
+            $session_id
+        ), ARRAY_A );
+
+        return $row ? self::normalize_row( $row ) : null;
+    }
+
+    /**
+     * Get the most recent failed run.
+     *
+     * @param string $type Run type to filter by, empty for all.
+     * @return array|null Run row, or null if no run has failed.
+     */
+    public static function get_last_failed( string $type = '' ): ?array {
+        global $wpdb;
+
+        $table_name = self::get_table_name();
+        $sql        = "SELECT * FROM $table_name WHERE status = %s";
+        $values     = [ self::STATUS_FAILED ];
+
+        if ( $type !== '' ) {
+            $sql     .= ' AND sync_type = %s';
+            $values[] = $type;
+        }
+
+        $row = $wpdb->get_row( $wpdb->prepare( $sql . ' ORDER BY started_at DESC, id DESC LIMIT 1', $values ), ARRAY_A );
+
+        return $row ? self::normalize_row( $row ) : null;
+    }
+
+    /**
+     * Delete runs older than RETENTION_DAYS.
+     *
+     * @return int Number of deleted runs.
+     */
+    public static function cleanup_old_runs(): int {
+        global $wpdb;
+
+        $deleted = $wpdb->query( $wpdb->prepare(
+            'DELETE FROM ' . self::get_table_name() . ' WHERE started_at < %s',
+            gmdate( 'Y-m-d H:i:s', strtotime( current_time( 'mysql' ) ) - self::RETENTION_DAYS * DAY_IN_SECONDS )
+        ) );
+
+        return (int) $deleted;
+    }
+
+    /**
+     * Cast the counters of a run row and report stale running runs as interrupted.
+     *
+     * @param array $row Row from the history table.
+     * @return array Run row.
+     */
+    private static function normalize_row( array $row ): array {
+        foreach ( self::COUNT_COLUMNS as $column ) {
+            $row[ $column ] = (int) $row[ $column ];
+        }
+        $row['id']          = (int) $row['id'];
+        $row['duration_ms'] = (int) $row['duration_ms'];
+
+        // Runs recorded before the last_activity_at column existed have none
+        $last_activity = ! empty( $row['last_activity_at'] ) ? $row['last_activity_at'] : $row['started_at'];
+        $stale_before  = strtotime( current_time( 'mysql' ) ) - self::STALE_AFTER;
+        if ( $row['status'] === self::STATUS_RUNNING && strtotime( $last_activity ) < $stale_before ) {
+            $row['status'] = self::STATUS_INTERRUPTED;
+        }
+
+        return $row;
+    }
+
+    /**
+     * Work out what started the current request's run.
+     *
+     * @return string 'cron', 'webhook' (anonymous REST call, authenticated with the
+     *                webhook secret header), 'api' (REST call by a user outside the
+     *                admin, e.g. with an application password) or 'manual'.
+     */
+    private static function detect_trigger(): string {
+        if ( wp_doing_cron() ) {
+            return 'cron';
+        }
+
+        // admin.js runs its syncs through the REST API too
+        if ( defined( 'REST_REQUEST' ) && REST_REQUEST ) {
+            if ( REST_API::is_admin_request() ) {
+                return 'manual';
+            }
+
+            // Users (application passwords) are let in before the secret is checked, see
+            // REST_API::check_permission(); anonymous callers only get past the webhook secret
+            // (or /trigger-sync while no secret is configured)
+            return is_user_logged_in() ? 'api' : 'webhook';
+        }
+
+        return 'manual';
+    }
+}
@@ -36,6 +36,17 @@ class Sync_Service {
      */
     const BATCH_SIZE = 50;
 
+    /**
+     * Option keys for the bounds of the adaptive batch size used by manual (AJAX) syncs.
+     */
+    const OPTION_BATCH_SIZE_MIN = 'erp_sync_batch_size_min';
+    const OPTION_BATCH_SIZE_MAX = 'erp_sync_batch_size_max';
+
+    /**
+     * Hard upper limit for a single AJAX batch, whatever the settings say.
+     */
+    const BATCH_SIZE_LIMIT = 1000;
+
     /**
      * Delay in seconds before running orphan cleanup (30 minutes).
      */
@@ -86,11 +97,37 @@ class Sync_Service {
      */
     const TRANSIENT_CSV_DATA_PREFIX = 'erpsync_temp_csv_';
 
+    /**
+     * CSV import types: coupons keyed by code, price/stock overrides keyed by SKU.
+     */
+    const CSV_IMPORT_COUPONS  = 'coupons';
+    const CSV_IMPORT_PRODUCTS = 'products';
+
+    /**
+     * Header prefix of the per-branch stock columns in a products CSV ("stock:<Location>").
+     */
+    const CSV_STOCK_COLUMN_PREFIX = 'stock:';
+
     /**
      * Cache expiration time in seconds (1 hour).
      */
     const TRANSIENT_CACHE_EXPIRATION = 3600;
 
+    /**
+     * Transient key for the progress of the running sync (AJAX, cron or form).
+     */
+    const TRANSIENT_PROGRESS = 'erp_sync_sync_progress';
+
+    /**
+     * Transient key for the final progress snapshot of the last finished sync.
+     */
+    const TRANSIENT_LAST_PROGRESS = 'erp_sync_last_progress';
+
+    /**
+     * Maximum number of events kept in the progress transient.
+     */
+    const PROGRESS_MAX_EVENTS = 50;
+
     /**
      * Whether hooks have been registered.
      *
@@ -151,6 +188,21 @@ class Sync_Service {
         $service->cleanup_orphans( $session_id );
     }
 
+    /**
+     * Get the configured min/max batch size for manual (AJAX) syncs.
+     *
+     * @return array{min: int, max: int}
+     */
+    public static function get_batch_size_bounds(): array {
+        $min = max( 1, min( self::BATCH_SIZE_LIMIT, (int) get_option( self::OPTION_BATCH_SIZE_MIN, 10 ) ) );
+        $max = max( $min, min( self::BATCH_SIZE_LIMIT, (int) get_option( self::OPTION_BATCH_SIZE_MAX, 200 ) ) );
+
+        return [
+            'min' => $min,
+            'max' => $max,
+        ];
+    }
+
     public function __construct( API_Client $api, ?Product_Service $product_service = null ) {
         $this->api = $api;
         $this->product_service = $product_service ?? new Product_Service();
@@ -163,15 +215,62 @@ class Sync_Service {
         return $this->product_service;
     }
 
+    /**
+     * Run a synchronous sync and record it in the sync history.
+     *
+     * Step-based AJAX syncs are recorded by their init/process/cleanup/abort
+     * steps instead, and the admin AJAX handlers record their failures.
+     *
+     * @param string   $type Sync_History::TYPE_* constant.
+     * @param callable $run  Receives the run's session ID and returns its statistics.
+     * @return array Statistics returned by $run.
+     * @throws \Throwable Re-thrown after the run is recorded as failed.
+     */
+    private function run_with_history( string $type, callable $run ): array {
+        $session_id = uniqid( $type . '_', true );
+
+        Sync_History::start( $session_id, $type );
+
+        try {
+            $stats = $run( $session_id );
+        } catch ( \Throwable $e ) {
+            Sync_History::finish( $session_id, Sync_History::STATUS_FAILED, [], $e->getMessage() );
+            throw $e;
+        }
+
+        $total = (int) ( $stats['total'] ?? $stats['total_remote'] ?? 0 );
+
+        Sync_History::finish( $session_id, Sync_History::STATUS_COMPLETED, [
+            'total'          => $total,
+            'processed'      => $total,
+            'created'        => $stats['created'] ?? 0,
+            'updated'        => $stats['updated'] ?? 0,
+            'skipped'        => $stats['skipped'] ?? 0,
+            'errors'         => $stats['errors'] ?? 0,
+            'orphans_zeroed' => $stats['orphans_zeroed'] ?? 0,
+        ] );
+
+        return $stats;
+    }
+
     /**
      * Import only new codes that don't exist locally
      */
     public function import_new_only(): array {
+        return $this->run_with_history( Sync_History::TYPE_COUPONS, function (): array {
+            return $this->run_import_new_only();
+        } );
+    }
+
+    /**
+     * Body of import_new_only(), see run_with_history().
+     */
+    private function run_import_new_only(): array {
         $cards = $this->api->fetch_cards_remote();
         $created = 0;
         $total = count( $cards );
         
-        $this->set_progress( 0, $total, 'Starting import new only...' );
+        $this->set_progress( 0, $total, 'Starting import new only...', [ 'type' => 'coupons', 'event' => 'Starting import new only...' ] );
         
         foreach ( $cards as $index => $card ) {
             if ( empty( $card['CardCode'] ) ) continue;
@@ -183,7 +282,9 @@ class Sync_Service {
                 $created++;
             }
             
-            $this->set_progress( $index + 1, $total, sprintf( 'Processing %d of %d...', $index + 1, $total ) );
+            $this->set_progress( $index + 1, $total, sprintf( 'Processing %d of %d...', $index + 1, $total ), [
+                'counters' => [ 'created' => $created ],
+            ] );
         }
         
         update_option( self::OPTION_LAST_SYNC, current_time( 'mysql' ) );
@@ -203,11 +304,20 @@ class Sync_Service {
      * ALWAYS overwrites manual changes with 1C data
      */
     public function update_existing_only(): array {
+        return $this->run_with_history( Sync_History::TYPE_COUPONS, function (): array {
+            return $this->run_update_existing_only();
+        } );
+    }
+
+    /**
+     * Body of update_existing_only(), see run_with_history().
+     */
+    private function run_update_existing_only(): array {
         $cards = $this->api->fetch_cards_remote();
         $updated = 0;
         $total = count( $cards );
         
-        $this->set_progress( 0, $total, 'Starting update existing only...' );
+        $this->set_progress( 0, $total, 'Starting update existing only...', [ 'type' => 'coupons', 'event' => 'Starting update existing only...' ] );
         
         foreach ( $cards as $index => $card ) {
             if ( empty( $card['CardCode'] ) ) continue;
@@ -219,7 +329,9 @@ class Sync_Service {
                 $updated++;
             }
             
-            $this->set_progress( $index + 1, $total, sprintf( 'Processing %d of %d...', $index + 1, $total ) );
+            $this->set_progress( $index + 1, $total, sprintf( 'Processing %d of %d...', $index + 1, $total ), [
+                'counters' => [ 'updated' => $updated ],
+            ] );
         }
         
         update_option( self::OPTION_LAST_SYNC, current_time( 'mysql' ) );
@@ -239,12 +351,21 @@ class Sync_Service {
      * ALWAYS overwrites manual changes with 1C data
      */
     public function full_sync(): array {
+        return $this->run_with_history( Sync_History::TYPE_COUPONS, function (): array {
+            return $this->run_full_sync();
+        } );
+    }
+
+    /**
+     * Body of full_sync(), see run_with_history().
+     */
+    private function run_full_sync(): array {
         $cards = $this->api->fetch_cards_remote();
         $created = 0;
         $updated = 0;
         $total = count( $cards );
         
-        $this->set_progress( 0, $total, 'Starting full sync...' );
+        $this->set_progress( 0, $total, 'Starting full sync...', [ 'type' => 'coupons', 'event' => 'Starting full sync...' ] );
         
         foreach ( $cards as $index => $card ) {
             if ( empty( $card['CardCode'] ) ) continue;
@@ -259,7 +380,9 @@ class Sync_Service {
                 $created++;
             }
             
-            $this->set_progress( $index + 1, $total, sprintf( 'Processing %d of %d...', $index + 1, $total ) );
+            $this->set_progress( $index + 1, $total, sprintf( 'Processing %d of %d...', $index + 1, $total ), [
+                'counters' => [ 'created' => $created, 'updated' => $updated ],
+            ] );
         }
         
         update_option( self::OPTION_LAST_SYNC, current_time( 'mysql' ) );
@@ -280,12 +403,21 @@ class Sync_Service {
      * ALWAYS overwrites manual changes with 1C data
      */
     public function force_import_all(): array {
+        return $this->run_with_history( Sync_History::TYPE_COUPONS, function (): array {
+            return $this->run_force_import_all();
+        } );
+    }
+
+    /**
+     * Body of force_import_all(), see run_with_history().
+     */
+    private function run_force_import_all(): array {
         $cards = $this->api->fetch_cards_remote();
         $created = 0;
         $updated = 0;
         $total = count( $cards );
         
-        $this->set_progress( 0, $total, 'Starting force import all...' );
+        $this->set_progress( 0, $total, 'Starting force import all...', [ 'type' => 'coupons', 'event' => 'Starting force import all...' ] );
         
         foreach ( $cards as $index => $card ) {
             if ( empty( $card['CardCode'] ) ) continue;
@@ -303,7 +435,9 @@ class Sync_Service {
                 $created++;
             }
             
-            $this->set_progress( $index + 1, $total, sprintf( 'Force processing %d of %d...', $index + 1, $total ) );
+            $this->set_progress( $index + 1, $total, sprintf( 'Force processing %d of %d...', $index + 1, $total ), [
+                'counters' => [ 'created' => $created, 'updated' => $updated ],
+            ] );
         }
         
         update_option( self::OPTION_LAST_SYNC, current_time( 'mysql' ) );
@@ -331,6 +465,19 @@ class Sync_Service {
      * @throws \Throwable If API call fails.
      */
     public function import_products_catalog(): array {
+        return $this->run_with_history( Sync_History::TYPE_CATALOG, function ( string $session_id ): array {
+            return $this->run_import_products_catalog( $session_id );
+        } );
+    }
+
+    /**
+     * Body of import_products_catalog(), see run_with_history().
+     *
+     * @param string $session_id Session ID of the run.
+     * @return array Sync statistics.
+     * @throws \Throwable If API call fails.
+     */
+    private function run_import_products_catalog( string $session_id ): array {
         // Check if a catalog sync is already in progress (process locking)
         if ( get_transient( self::TRANSIENT_LOCK_CATALOG ) ) {
             Logger::instance()->log( 'Catalog import aborted: sync already in progress', [
@@ -361,14 +508,10 @@ class Sync_Service {
 
         // Completion flag for strict cleanup gate
         $is_sync_complete = false;
-        $session_id = '';
         $total = 0;
         $processed_batches = 0;
 
         try {
-            // Generate unique session ID for this sync
-            $session_id = uniqid( 'catalog_', true );
-
             // Store session ID for tracking
             update_option( self::OPTION_ACTIVE_SESSION, [
                 'session_id' => $session_id,
@@ -412,7 +555,11 @@ class Sync_Service {
 
             $total = count( $rows );
 
-            $this->set_progress( 0, $total, 'Processing catalog batches...' );
+            $this->set_progress( 0, $total, 'Processing catalog batches...', [
+                'session_id' => $session_id,
+                'type'       => 'catalog',
+                'event'      => sprintf( 'Catalog sync started: %d items', $total ),
+            ] );
 
             // Split data into chunks of BATCH_SIZE items
             $chunks = array_chunk( $rows, self::BATCH_SIZE );
@@ -437,9 +584,14 @@ class Sync_Service {
                 $processed_batches++;
 
                 $this->set_progress(
-                    ( $index + 1 ) * self::BATCH_SIZE,
+                    min( $total, ( $index + 1 ) * self::BATCH_SIZE ),
                     $total,
-                    sprintf( 'Processed batch %d of %d', $index + 1, $total_chunks )
+                    sprintf( 'Processed batch %d of %d', $index + 1, $total_chunks ),
+                    [
+                        'session_id' => $session_id,
+                        'counters'   => $aggregate_stats,
+                        'event'      => sprintf( 'Batch %d of %d: %d errors', $index + 1, $total_chunks, $batch_stats['errors'] ),
+                    ]
                 );
 
                 // Memory management: clear caches after each batch to prevent memory exhaustion
@@ -540,6 +692,20 @@ class Sync_Service {
      * @throws \Throwable If API call fails.
      */
     public function update_products_stock( string $vendor_codes = '' ): array {
+        return $this->run_with_history( Sync_History::TYPE_STOCK, function ( string $session_id ) use ( $vendor_codes ): array {
+            return $this->run_update_products_stock( $session_id, $vendor_codes );
+        } );
+    }
+
+    /**
+     * Body of update_products_stock(), see run_with_history().
+     *
+     * @param string $session_id   Session ID of the run.
+     * @param string $vendor_codes Optional comma-separated list of VendorCodes (SKUs).
+     * @return array Sync statistics.
+     * @throws \Throwable If API call fails.
+     */
+    private function run_update_products_stock( string $session_id, string $vendor_codes ): array {
         // Check if a stock sync is already in progress (process locking)
         // Only apply lock for full syncs (not partial SKU syncs)
         if ( empty( $vendor_codes ) && get_transient( self::TRANSIENT_LOCK_STOCK ) ) {
@@ -574,14 +740,10 @@ class Sync_Service {
 
         // Completion flag for strict cleanup gate
         $is_sync_complete = false;
-        $session_id = '';
         $total = 0;
         $processed_batches = 0;
 
         try {
-            // Generate unique session ID for this sync
-            $session_id = uniqid( 'stock_', true );
-
             // Store session ID for tracking
             update_option( self::OPTION_ACTIVE_SESSION, [
                 'session_id' => $session_id,
@@ -593,7 +755,11 @@ class Sync_Service {
             $rows = $this->api->fetch_products_stock( $vendor_codes );
             $total = count( $rows );
 
-            $this->set_progress( 0, $total, 'Processing stock update batches...' );
+            $this->set_progress( 0, $total, 'Processing stock update batches...', [
+                'session_id' => $session_id,
+                'type'       => 'stock',
+                'event'      => sprintf( 'Stock sync started: %d items', $total ),
+            ] );
 
             // Split data into chunks of BATCH_SIZE items
             $chunks = array_chunk( $rows, self::BATCH_SIZE );
@@ -618,9 +784,14 @@ class Sync_Service {
                 $processed_batches++;
 
                 $this->set_progress(
-                    ( $index + 1 ) * self::BATCH_SIZE,
+                    min( $total, ( $index + 1 ) * self::BATCH_SIZE ),
                     $total,
-                    sprintf( 'Processed batch %d of %d', $index + 1, $total_chunks )
+                    sprintf( 'Processed batch %d of %d', $index + 1, $total_chunks ),
+                    [
+                        'session_id' => $session_id,
+                        'counters'   => $aggregate_stats,
+                        'event'      => sprintf( 'Batch %d of %d: %d errors', $index + 1, $total_chunks, $batch_stats['errors'] ),
+                    ]
                 );
 
                 // Memory management: clear caches after each batch to prevent memory exhaustion
@@ -681,28 +852,38 @@ class Sync_Service {
     /**
      * Step-based stock sync for AJAX batch processing.
      *
-     * Handles 'init', 'process', and 'cleanup' steps for batch processing.
+     * Handles 'init', 'process', 'resume', 'cleanup', and 'abort' steps for batch processing.
      *
-     * @param string $step       Current step: 'init', 'process', or 'cleanup'.
+     * @param string $step       Current step: 'init', 'process', 'resume', 'cleanup', or 'abort'.
      * @param int    $offset     Current offset for batch processing.
      * @param int    $batch_size Number of items to process per batch.
      * @param string $session_id Unique session identifier.
+     * @param bool   $dry_run    Preview mode: report proposed changes without saving.
      * @return array Response data for the current step.
      * @throws \Exception If step fails.
      */
-    public function update_products_stock_step( string $step, int $offset, int $batch_size, string $session_id ): array {
+    public function update_products_stock_step( string $step, int $offset, int $batch_size, string $session_id, bool $dry_run = false ): array {
         $transient_key = self::TRANSIENT_STOCK_DATA_PREFIX . $session_id;
 
         switch ( $step ) {
             case 'init':
-                return $this->init_stock_sync( $session_id, $transient_key );
+                return $this->init_stock_sync( $session_id, $transient_key, $dry_run );
 
             case 'process':
-                return $this->process_stock_batch_from_cache( $session_id, $transient_key, $offset, $batch_size );
+                return $this->process_stock_batch_from_cache( $session_id, $transient_key, $offset, $batch_size, $dry_run );
+
+            case 'resume':
+                return $this->resume_session( $session_id, 'stock', self::TRANSIENT_LOCK_STOCK );
 
             case 'cleanup':
+                if ( $dry_run ) {
+                    return $this->cleanup_dry_run( $session_id, 'stock', $transient_key, self::TRANSIENT_LOCK_STOCK );
+                }
                 return $this->cleanup_stock_sync( $session_id, $transient_key );
 
+            case 'abort':
+                return $this->abort_session( $session_id, 'stock', $transient_key, self::TRANSIENT_LOCK_STOCK );
+
             default:
                 throw new \Exception( __( 'Invalid sync step', 'erp-sync' ) );
         }
@@ -713,10 +894,11 @@ class Sync_Service {
      *
      * @param string $session_id    Unique session identifier.
      * @param string $transient_key Transient key for caching.
+     * @param bool   $dry_run       Preview mode: the run is not recorded in the sync history.
      * @return array Response with total count.
      * @throws \Exception If API call fails or sync already in progress.
      */
-    private function init_stock_sync( string $session_id, string $transient_key ): array {
+    private function init_stock_sync( string $session_id, string $transient_key, bool $dry_run = false ): array {
         // Check if a stock sync is already in progress
         if ( get_transient( self::TRANSIENT_LOCK_STOCK ) ) {
             throw new \Exception( __( 'Sync already in progress. Please wait.', 'erp-sync' ) );
@@ -725,6 +907,10 @@ class Sync_Service {
         // Set the lock
         set_transient( self::TRANSIENT_LOCK_STOCK, $session_id, self::TRANSIENT_LOCK_EXPIRATION );
 
+        if ( ! $dry_run ) {
+            Sync_History::start( $session_id, Sync_History::TYPE_STOCK );
+        }
+
         Logger::instance()->log( 'Stock sync init step started', [
             'session_id' => $session_id,
             'user'       => wp_get_current_user()->user_login ?? 'system',
@@ -745,6 +931,16 @@ class Sync_Service {
             'total'      => $total,
         ] );
 
+        if ( ! $dry_run ) {
+            Sync_History::add_counts( $session_id, [], $total );
+        }
+
+        $this->set_progress( 0, $total, 'Starting batch processing...', [
+            'session_id' => $session_id,
+            'type'       => 'stock',
+            'event'      => sprintf( 'Stock sync started: %d items', $total ),
+        ] );
+
         Logger::instance()->log( 'Stock sync init completed', [
             'session_id' => $session_id,
             'total'      => $total,
@@ -764,10 +960,11 @@ class Sync_Service {
      * @param string $transient_key Transient key for cached data.
      * @param int    $offset        Current offset.
      * @param int    $batch_size    Number of items to process.
+     * @param bool   $dry_run       Collect proposed changes instead of saving.
      * @return array Response with batch stats.
      * @throws \Exception If cached data is missing.
      */
-    private function process_stock_batch_from_cache( string $session_id, string $transient_key, int $offset, int $batch_size ): array {
+    private function process_stock_batch_from_cache( string $session_id, string $transient_key, int $offset, int $batch_size, bool $dry_run = false ): array {
         // Retrieve cached data
         $rows = get_transient( $transient_key );
 
@@ -784,6 +981,11 @@ class Sync_Service {
 
         $total = count( $rows );
 
+        $already_processed = $this->get_already_processed_response( $session_id, $offset, $total );
+        if ( $already_processed !== null ) {
+            return $already_processed;
+        }
+
         // Get batch using array_slice
         $batch = array_slice( $rows, $offset, $batch_size );
 
@@ -802,7 +1004,7 @@ class Sync_Service {
         }
 
         // Process this batch
-        $stats = $this->process_stock_batch( $batch, $session_id );
+        $stats = $this->process_stock_batch( $batch, $session_id, $dry_run );
 
         // Memory management
         $this->product_service->clear_cache();
@@ -811,7 +1013,23 @@ class Sync_Service {
         $next_offset = $offset + count( $batch );
 
         // Update progress
-        $this->set_progress( $next_offset, $total, sprintf( 'Processing batch at offset %d', $offset ) );
+        $this->set_progress( $next_offset, $total, sprintf( 'Processing batch at offset %d', $offset ), [
+            'session_id' => $session_id,
+            'batch'      => $stats,
+            'event'      => sprintf( 'Batch at offset %d: %d items, %d errors', $offset, count( $batch ), $stats['errors'] ?? 0 ),
+        ] );
+
+        // Remember the confirmed offset so an interrupted session can be resumed
+        $this->update_session_offset( $session_id, $next_offset );
+
+        if ( ! $dry_run ) {
+            Sync_History::add_counts( $session_id, [
+                'processed' => count( $batch ),
+                'updated'   => $stats['updated'] ?? 0,
+                'skipped'   => $stats['skipped'] ?? 0,
+                'errors'    => $stats['errors'] ?? 0,
+            ] );
+        }
 
         Logger::instance()->log( 'Stock batch processed from cache', [
             'session_id'  => $session_id,
@@ -823,7 +1041,7 @@ class Sync_Service {
             'errors'      => $stats['errors'],
         ] );
 
-        return [
+        $response = [
             'message'     => sprintf( __( 'Processed batch at offset %d', 'erp-sync' ), $offset ),
             'total'       => $total,
             'next_offset' => $next_offset,
@@ -831,8 +1049,16 @@ class Sync_Service {
             'updated'     => $stats['updated'] ?? 0,
             'skipped'     => $stats['skipped'] ?? 0,
             'errors'      => $stats['errors'] ?? 0,
+            'failures'    => $stats['failures'] ?? [],
             'step'        => 'process',
         ];
+
+        if ( $dry_run ) {
+            $response['unchanged'] = $stats['unchanged'] ?? 0;
+            $response['changes']   = $stats['changes'] ?? [];
+        }
+
+        return $response;
     }
 
     /**
@@ -869,6 +1095,8 @@ class Sync_Service {
         // Clear progress
         $this->clear_progress();
 
+        Sync_History::finish( $session_id, Sync_History::STATUS_COMPLETED, [ 'orphans_zeroed' => $orphan_count ] );
+
         Logger::instance()->log( 'Stock sync cleanup completed', [
             'session_id'     => $session_id,
             'orphans_zeroed' => $orphan_count,
@@ -884,28 +1112,38 @@ class Sync_Service {
     /**
      * Step-based catalog sync for AJAX batch processing.
      *
-     * Handles 'init', 'process', and 'cleanup' steps for batch processing.
+     * Handles 'init', 'process', 'resume', 'cleanup', and 'abort' steps for batch processing.
      *
-     * @param string $step       Current step: 'init', 'process', or 'cleanup'.
+     * @param string $step       Current step: 'init', 'process', 'resume', 'cleanup', or 'abort'.
      * @param int    $offset     Current offset for batch processing.
      * @param int    $batch_size Number of items to process per batch.
      * @param string $session_id Unique session identifier.
+     * @param bool   $dry_run    Preview mode: report proposed changes without saving.
      * @return array Response data for the current step.
      * @throws \Exception If step fails.
      */
-    public function import_products_catalog_step( string $step, int $offset, int $batch_size, string $session_id ): array {
+    public function import_products_catalog_step( string $step, int $offset, int $batch_size, string $session_id, bool $dry_run = false ): array {
         $transient_key = self::TRANSIENT_CATALOG_DATA_PREFIX . $session_id;
 
         switch ( $step ) {
             case 'init':
-                return $this->init_catalog_sync( $session_id, $transient_key );
+                return $this->init_catalog_sync( $session_id, $transient_key, $dry_run );
 
             case 'process':
-                return $this->process_catalog_batch_from_cache( $session_id, $transient_key, $offset, $batch_size );
+                return $this->process_catalog_batch_from_cache( $session_id, $transient_key, $offset, $batch_size, $dry_run );
+
+            case 'resume':
+                return $this->resume_session( $session_id, 'catalog', self::TRANSIENT_LOCK_CATALOG );
 
             case 'cleanup':
+                if ( $dry_run ) {
+                    return $this->cleanup_dry_run( $session_id, 'catalog', $transient_key, self::TRANSIENT_LOCK_CATALOG );
+                }
                 return $this->cleanup_catalog_sync( $session_id, $transient_key );
 
+            case 'abort':
+                return $this->abort_session( $session_id, 'catalog', $transient_key, self::TRANSIENT_LOCK_CATALOG );
+
             default:
                 throw new \Exception( __( 'Invalid sync step', 'erp-sync' ) );
         }
@@ -916,10 +1154,11 @@ class Sync_Service {
      *
      * @param string $session_id    Unique session identifier.
      * @param string $transient_key Transient key for caching.
+     * @param bool   $dry_run       Preview mode: the run is not recorded in the sync history.
      * @return array Response with total count.
      * @throws \Exception If API call fails or sync already in progress.
      */
-    private function init_catalog_sync( string $session_id, string $transient_key ): array {
+    private function init_catalog_sync( string $session_id, string $transient_key, bool $dry_run = false ): array {
         // Check if a catalog sync is already in progress
         if ( get_transient( self::TRANSIENT_LOCK_CATALOG ) ) {
             throw new \Exception( __( 'Sync already in progress. Please wait.', 'erp-sync' ) );
@@ -928,6 +1167,10 @@ class Sync_Service {
         // Set the lock
         set_transient( self::TRANSIENT_LOCK_CATALOG, $session_id, self::TRANSIENT_LOCK_EXPIRATION );
 
+        if ( ! $dry_run ) {
+            Sync_History::start( $session_id, Sync_History::TYPE_CATALOG );
+        }
+
         Logger::instance()->log( 'Catalog sync init step started', [
             'session_id' => $session_id,
             'user'       => wp_get_current_user()->user_login ?? 'system',
@@ -976,6 +1219,16 @@ class Sync_Service {
             'total'      => $total,
         ] );
 
+        if ( ! $dry_run ) {
+            Sync_History::add_counts( $session_id, [], $total );
+        }
+
+        $this->set_progress( 0, $total, 'Starting batch processing...', [
+            'session_id' => $session_id,
+            'type'       => 'catalog',
+            'event'      => sprintf( 'Catalog sync started: %d items', $total ),
+        ] );
+
         Logger::instance()->log( 'Catalog sync init completed', [
             'session_id' => $session_id,
             'total'      => $total,
@@ -995,10 +1248,11 @@ class Sync_Service {
      * @param string $transient_key Transient key for cached data.
      * @param int    $offset        Current offset.
      * @param int    $batch_size    Number of items to process.
+     * @param bool   $dry_run       Collect proposed changes instead of saving.
      * @return array Response with batch stats.
      * @throws \Exception If cached data is missing.
      */
-    private function process_catalog_batch_from_cache( string $session_id, string $transient_key, int $offset, int $batch_size ): array {
+    private function process_catalog_batch_from_cache( string $session_id, string $transient_key, int $offset, int $batch_size, bool $dry_run = false ): array {
         // Retrieve cached data
         $rows = get_transient( $transient_key );
 
@@ -1015,6 +1269,11 @@ class Sync_Service {
 
         $total = count( $rows );
 
+        $already_processed = $this->get_already_processed_response( $session_id, $offset, $total );
+        if ( $already_processed !== null ) {
+            return $already_processed;
+        }
+
         // Get batch using array_slice
         $batch = array_slice( $rows, $offset, $batch_size );
 
@@ -1033,7 +1292,7 @@ class Sync_Service {
         }
 
         // Process this batch
-        $stats = $this->product_service->sync_catalog_batch( $batch, $session_id );
+        $stats = $this->product_service->sync_catalog_batch( $batch, $session_id, $dry_run );
 
         // Memory management
         $this->product_service->clear_cache();
@@ -1042,7 +1301,23 @@ class Sync_Service {
         $next_offset = $offset + count( $batch );
 
         // Update progress
-        $this->set_progress( $next_offset, $total, sprintf( 'Processing batch at offset %d', $offset ) );
+        $this->set_progress( $next_offset, $total, sprintf( 'Processing batch at offset %d', $offset ), [
+            'session_id' => $session_id,
+            'batch'      => $stats,
+            'event'      => sprintf( 'Batch at offset %d: %d items, %d errors', $offset, count( $batch ), $stats['errors'] ?? 0 ),
+        ] );
+
+        // Remember the confirmed offset so an interrupted session can be resumed
+        $this->update_session_offset( $session_id, $next_offset );
+
+        if ( ! $dry_run ) {
+            Sync_History::add_counts( $session_id, [
+                'processed' => count( $batch ),
+                'created'   => $stats['created'] ?? 0,
+                'updated'   => $stats['updated'] ?? 0,
+                'errors'    => $stats['errors'] ?? 0,
+            ] );
+        }
 
         Logger::instance()->log( 'Catalog batch processed from cache', [
             'session_id'  => $session_id,
@@ -1054,7 +1329,7 @@ class Sync_Service {
             'errors'      => $stats['errors'],
         ] );
 
-        return [
+        $response = [
             'message'     => sprintf( __( 'Processed batch at offset %d', 'erp-sync' ), $offset ),
             'total'       => $total,
             'next_offset' => $next_offset,
@@ -1062,8 +1337,16 @@ class Sync_Service {
             'created'     => $stats['created'] ?? 0,
             'updated'     => $stats['updated'] ?? 0,
             'errors'      => $stats['errors'] ?? 0,
+            'failures'    => $stats['failures'] ?? [],
             'step'        => 'process',
         ];
+
+        if ( $dry_run ) {
+            $response['unchanged'] = $stats['unchanged'] ?? 0;
+            $response['changes']   = $stats['changes'] ?? [];
+        }
+
+        return $response;
     }
 
     /**
@@ -1100,6 +1383,8 @@ class Sync_Service {
         // Clear progress
         $this->clear_progress();
 
+        Sync_History::finish( $session_id, Sync_History::STATUS_COMPLETED, [ 'orphans_zeroed' => $orphan_count ] );
+
         Logger::instance()->log( 'Catalog sync cleanup completed', [
             'session_id'     => $session_id,
             'orphans_zeroed' => $orphan_count,
@@ -1115,28 +1400,38 @@ class Sync_Service {
     /**
      * Step-based coupons sync for AJAX batch processing.
      *
-     * Handles 'init', 'process', and 'cleanup' steps for batch processing.
+     * Handles 'init', 'process', 'resume', 'cleanup', and 'abort' steps for batch processing.
      *
-     * @param string $step       Current step: 'init', 'process', or 'cleanup'.
+     * @param string $step       Current step: 'init', 'process', 'resume', 'cleanup', or 'abort'.
      * @param int    $offset     Current offset for batch processing.
      * @param int    $batch_size Number of items to process per batch.
      * @param string $session_id Unique session identifier.
+     * @param bool   $dry_run    Preview mode: report proposed changes without saving.
      * @return array Response data for the current step.
      * @throws \Exception If step fails.
      */
-    public function sync_coupons_step( string $step, int $offset, int $batch_size, string $session_id ): array {
+    public function sync_coupons_step( string $step, int $offset, int $batch_size, string $session_id, bool $dry_run = false ): array {
         $transient_key = self::TRANSIENT_COUPONS_DATA_PREFIX . $session_id;
 
         switch ( $step ) {
             case 'init':
-                return $this->init_coupons_sync( $session_id, $transient_key );
+                return $this->init_coupons_sync( $session_id, $transient_key, $dry_run );
 
             case 'process':
-                return $this->process_coupons_batch_from_cache( $session_id, $transient_key, $offset, $batch_size );
+                return $this->process_coupons_batch_from_cache( $session_id, $transient_key, $offset, $batch_size, $dry_run );
+
+            case 'resume':
+                return $this->resume_session( $session_id, 'coupons', self::TRANSIENT_LOCK_COUPONS );
 
             case 'cleanup':
+                if ( $dry_run ) {
+                    return $this->cleanup_dry_run( $session_id, 'coupons', $transient_key, self::TRANSIENT_LOCK_COUPONS );
+                }
                 return $this->cleanup_coupons_sync( $session_id, $transient_key );
 
+            case 'abort':
+                return $this->abort_session( $session_id, 'coupons', $transient_key, self::TRANSIENT_LOCK_COUPONS );
+
             default:
                 throw new \Exception( __( 'Invalid sync step', 'erp-sync' ) );
         }
@@ -1147,10 +1442,11 @@ class Sync_Service {
      *
      * @param string $session_id    Unique session identifier.
      * @param string $transient_key Transient key for caching.
+     * @param bool   $dry_run       Preview mode: the run is not recorded in the sync history.
      * @return array Response with total count.
      * @throws \Exception If API call fails or sync already in progress.
      */
-    private function init_coupons_sync( string $session_id, string $transient_key ): array {
+    private function init_coupons_sync( string $session_id, string $transient_key, bool $dry_run = false ): array {
         // Check if a coupons sync is already in progress
         if ( get_transient( self::TRANSIENT_LOCK_COUPONS ) ) {
             throw new \Exception( __( 'Sync already in progress. Please wait.', 'erp-sync' ) );
@@ -1159,6 +1455,10 @@ class Sync_Service {
         // Set the lock
         set_transient( self::TRANSIENT_LOCK_COUPONS, $session_id, self::TRANSIENT_LOCK_EXPIRATION );
 
+        if ( ! $dry_run ) {
+            Sync_History::start( $session_id, Sync_History::TYPE_COUPONS );
+        }
+
         Logger::instance()->log( 'Coupons sync init step started', [
             'session_id' => $session_id,
             'user'       => wp_get_current_user()->user_login ?? 'system',
@@ -1179,6 +1479,16 @@ class Sync_Service {
             'total'      => $total,
         ] );
 
+        if ( ! $dry_run ) {
+            Sync_History::add_counts( $session_id, [], $total );
+        }
+
+        $this->set_progress( 0, $total, 'Starting batch processing...', [
+            'session_id' => $session_id,
+            'type'       => 'coupons',
+            'event'      => sprintf( 'Coupons sync started: %d cards', $total ),
+        ] );
+
         Logger::instance()->log( 'Coupons sync init completed', [
             'session_id' => $session_id,
             'total'      => $total,
@@ -1198,10 +1508,11 @@ class Sync_Service {
      * @param string $transient_key Transient key for cached data.
      * @param int    $offset        Current offset.
      * @param int    $batch_size    Number of items to process.
+     * @param bool   $dry_run       Collect proposed changes instead of saving.
      * @return array Response with batch stats.
      * @throws \Exception If cached data is missing.
      */
-    private function process_coupons_batch_from_cache( string $session_id, string $transient_key, int $offset, int $batch_size ): array {
+    private function process_coupons_batch_from_cache( string $session_id, string $transient_key, int $offset, int $batch_size, bool $dry_run = false ): array {
         // Retrieve cached data
         $cards = get_transient( $transient_key );
 
@@ -1218,6 +1529,11 @@ class Sync_Service {
 
         $total = count( $cards );
 
+        $already_processed = $this->get_already_processed_response( $session_id, $offset, $total );
+        if ( $already_processed !== null ) {
+            return $already_processed;
+        }
+
         // Get batch using array_slice
         $batch = array_slice( $cards, $offset, $batch_size );
 
@@ -1235,20 +1551,34 @@ class Sync_Service {
             ];
         }
 
-        $created = 0;
-        $updated = 0;
-        $errors  = 0;
+        $created   = 0;
+        $updated   = 0;
+        $errors    = 0;
+        $unchanged = 0;
+        $changes   = [];
+        $failures  = [];
 
         foreach ( $batch as $card ) {
             if ( empty( $card['CardCode'] ) ) {
                 continue;
             }
 
+            $formatted = '';
+
             try {
                 $formatted = erp_sync_format_code( $card['CardCode'] );
                 $exists    = $this->coupon_exists( $formatted );
 
-                $this->create_or_update_coupon( $card, $exists, true );
+                $diff = $this->create_or_update_coupon( $card, $exists, true, $dry_run );
+
+                if ( $dry_run && $exists && empty( $diff['changes'] ) ) {
+                    $unchanged++;
+                    continue;
+                }
+
+                if ( $dry_run ) {
+                    $changes[] = $diff;
+                }
 
                 if ( $exists ) {
                     $updated++;
@@ -1257,6 +1587,12 @@ class Sync_Service {
                 }
             } catch ( \Throwable $e ) {
                 $errors++;
+                $failures[] = [
+                    'type'      => 'coupon',
+                    'key'       => $formatted !== '' ? $formatted : (string) $card['CardCode'],
+                    'coupon_id' => $formatted !== '' ? (int) wc_get_coupon_id_by_code( $formatted ) : 0,
+                    'reason'    => $e->getMessage(),
+                ];
                 Logger::instance()->log( 'Coupon batch item error', [
                     'session_id' => $session_id,
                     'card_code'  => $card['CardCode'] ?? '',
@@ -1271,7 +1607,23 @@ class Sync_Service {
         $next_offset = $offset + count( $batch );
 
         // Update progress
-        $this->set_progress( $next_offset, $total, sprintf( 'Processing batch at offset %d', $offset ) );
+        $this->set_progress( $next_offset, $total, sprintf( 'Processing batch at offset %d', $offset ), [
+            'session_id' => $session_id,
+            'batch'      => compact( 'created', 'updated', 'errors' ),
+            'event'      => sprintf( 'Batch at offset %d: %d items, %d errors', $offset, count( $batch ), $errors ),
+        ] );
+
+        // Remember the confirmed offset so an interrupted session can be resumed
+        $this->update_session_offset( $session_id, $next_offset );
+
+        if ( ! $dry_run ) {
+            Sync_History::add_counts( $session_id, [
+                'processed' => count( $batch ),
+                'created'   => $created,
+                'updated'   => $updated,
+                'errors'    => $errors,
+            ] );
+        }
 
         Logger::instance()->log( 'Coupons batch processed from cache', [
             'session_id'  => $session_id,
@@ -1283,7 +1635,7 @@ class Sync_Service {
             'errors'      => $errors,
         ] );
 
-        return [
+        $response = [
             'message'     => sprintf( __( 'Processed batch at offset %d', 'erp-sync' ), $offset ),
             'total'       => $total,
             'next_offset' => $next_offset,
@@ -1291,8 +1643,16 @@ class Sync_Service {
             'created'     => $created,
             'updated'     => $updated,
             'errors'      => $errors,
+            'failures'    => $failures,
             'step'        => 'process',
         ];
+
+        if ( $dry_run ) {
+            $response['unchanged'] = $unchanged;
+            $response['changes']   = $changes;
+        }
+
+        return $response;
     }
 
     /**
@@ -1322,6 +1682,8 @@ class Sync_Service {
         // Clear progress
         $this->clear_progress();
 
+        Sync_History::finish( $session_id, Sync_History::STATUS_COMPLETED );
+
         Logger::instance()->log( 'Coupons sync cleanup completed', [
             'session_id' => $session_id,
         ] );
@@ -1333,31 +1695,40 @@ class Sync_Service {
     }
 
     /**
-     * Step-based CSV coupon import for AJAX batch processing.
+     * Step-based CSV import for AJAX batch processing.
      *
-     * Handles 'init', 'process', and 'cleanup' steps for CSV batch import.
+     * Handles 'init', 'process', 'cleanup', and 'abort' steps for CSV batch import.
+     * Both import types share the CSV lock, so only one file is imported at a time.
      *
-     * @param string $step       Current step: 'init', 'process', or 'cleanup'.
-     * @param int    $offset     Current offset for batch processing.
-     * @param int    $batch_size Number of items to process per batch.
-     * @param string $session_id Unique session identifier.
-     * @param string $file_path  Uploaded CSV file path (required for 'init' step).
+     * @param string $import_type CSV_IMPORT_COUPONS or CSV_IMPORT_PRODUCTS.
+     * @param string $step        Current step: 'init', 'process', 'cleanup', or 'abort'.
+     * @param int    $offset      Current offset for batch processing.
+     * @param int    $batch_size  Number of items to process per batch.
+     * @param string $session_id  Unique session identifier.
+     * @param string $file_path   Uploaded CSV file path (required for 'init' step).
      * @return array Response data for the current step.
      * @throws \Exception If step fails.
      */
-    public function sync_coupons_csv_step( string $step, int $offset, int $batch_size, string $session_id, string $file_path = '' ): array {
+    public function sync_csv_step( string $import_type, string $step, int $offset, int $batch_size, string $session_id, string $file_path = '' ): array {
         $transient_key = self::TRANSIENT_CSV_DATA_PREFIX . $session_id;
 
+        if ( ! in_array( $import_type, [ self::CSV_IMPORT_COUPONS, self::CSV_IMPORT_PRODUCTS ], true ) ) {
+            throw new \Exception( __( 'Invalid CSV import type', 'erp-sync' ) );
+        }
+
         switch ( $step ) {
             case 'init':
-                return $this->init_csv_import( $session_id, $transient_key, $file_path );
+                return $this->init_csv_import( $session_id, $transient_key, $file_path, $import_type );
 
             case 'process':
-                return $this->process_csv_batch_from_cache( $session_id, $transient_key, $offset, $batch_size );
+                return $this->process_csv_batch_from_cache( $session_id, $transient_key, $offset, $batch_size, $import_type );
 
             case 'cleanup':
                 return $this->cleanup_csv_import( $session_id, $transient_key );
 
+            case 'abort':
+                return $this->abort_session( $session_id, 'csv_import', $transient_key, self::TRANSIENT_LOCK_CSV_IMPORT );
+
             default:
                 throw new \Exception( __( 'Invalid sync step', 'erp-sync' ) );
         }
@@ -1369,10 +1740,11 @@ class Sync_Service {
      * @param string $session_id    Unique session identifier.
      * @param string $transient_key Transient key for caching.
      * @param string $file_path     Uploaded CSV file path.
+     * @param string $import_type   CSV_IMPORT_COUPONS or CSV_IMPORT_PRODUCTS.
      * @return array Response with total count.
      * @throws \Exception If file is invalid, headers are wrong, or import already in progress.
      */
-    private function init_csv_import( string $session_id, string $transient_key, string $file_path ): array {
+    private function init_csv_import( string $session_id, string $transient_key, string $file_path, string $import_type ): array {
         // Check if a CSV import is already in progress
         if ( get_transient( self::TRANSIENT_LOCK_CSV_IMPORT ) ) {
             throw new \Exception( __( 'CSV import already in progress. Please wait.', 'erp-sync' ) );
@@ -1385,14 +1757,24 @@ class Sync_Service {
         // Set the lock
         set_transient( self::TRANSIENT_LOCK_CSV_IMPORT, $session_id, self::TRANSIENT_LOCK_EXPIRATION );
 
+        Sync_History::start( $session_id, Sync_History::TYPE_CSV );
+
         Logger::instance()->log( 'CSV import init step started', [
-            'session_id' => $session_id,
-            'file_path'  => $file_path,
+            'session_id'  => $session_id,
+            'import_type' => $import_type,
+            'file_path'   => $file_path,
             'user'       => wp_get_current_user()->user_login ?? 'system',
         ] );
 
         // Parse CSV file with handling for different line endings
-        $rows = $this->parse_csv_file( $file_path );
+        try {
+            $rows = $this->parse_csv_file( $file_path, $import_type );
+        } catch ( \Exception $e ) {
+            // Don't hold the lock for a file that was rejected
+            delete_transient( self::TRANSIENT_LOCK_CSV_IMPORT );
+            wp_delete_file( $file_path );
+            throw $e;
+        }
 
         $total = count( $rows );
 
@@ -1401,17 +1783,26 @@ class Sync_Service {
 
         // Store session metadata
         update_option( self::OPTION_ACTIVE_SESSION, [
-            'session_id' => $session_id,
-            'type'       => 'csv_import',
-            'started_at' => current_time( 'mysql' ),
-            'total'      => $total,
+            'session_id'  => $session_id,
+            'type'        => 'csv_import',
+            'import_type' => $import_type,
+            'started_at'  => current_time( 'mysql' ),
+            'total'       => $total,
         ] );
 
+        Sync_History::add_counts( $session_id, [], $total );
+
         // Clean up uploaded file after parsing
         if ( file_exists( $file_path ) ) {
             wp_delete_file( $file_path );
         }
 
+        $this->set_progress( 0, $total, 'Starting batch processing...', [
+            'session_id' => $session_id,
+            'type'       => 'csv_import',
+            'event'      => sprintf( 'CSV import started: %d rows', $total ),
+        ] );
+
         Logger::instance()->log( 'CSV import init completed', [
             'session_id' => $session_id,
             'total'      => $total,
@@ -1428,13 +1819,17 @@ class Sync_Service {
      * Parse a CSV file into an array of associative rows.
      *
      * Handles different line endings (Windows, Mac, Unix) and validates
-     * that the CSV contains exactly the required headers: code, phone, discount.
+     * that the CSV contains the required headers: code, phone, discount for
+     * coupons, sku for products. An optional "line" column carries the row's
+     * line number in the admin's original file (admin.js uploads a re-mapped
+     * copy), so failures point at the file the admin actually has.
      *
-     * @param string $file_path Path to the CSV file.
-     * @return array Array of associative arrays with keys: code, phone, discount.
+     * @param string $file_path   Path to the CSV file.
+     * @param string $import_type CSV_IMPORT_COUPONS or CSV_IMPORT_PRODUCTS.
+     * @return array Array of associative rows, see parse_coupon_csv_row() and parse_product_csv_row(), plus 'line'.
      * @throws \Exception If headers are invalid or file cannot be read.
      */
-    private function parse_csv_file( string $file_path ): array {
+    private function parse_csv_file( string $file_path, string $import_type = self::CSV_IMPORT_COUPONS ): array {
         // Handle different line endings (Windows \r\n, old Mac \r, Unix \n)
         $prev_ini = ini_get( 'auto_detect_line_endings' );
         // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
@@ -1458,16 +1853,16 @@ class Sync_Service {
             throw new \Exception( __( 'CSV file is empty or cannot be parsed.', 'erp-sync' ) );
         }
 
-        // Normalize headers: trim whitespace, lowercase, strip BOM
-        $header = array_map( function ( string $h ): string {
+        // Normalize headers: trim whitespace, strip BOM; matching is case-insensitive
+        $raw_header = array_map( function ( string $h ): string {
             $h = trim( $h );
             // Strip UTF-8 BOM if present on first column
-            $h = preg_replace( '/^\x{FEFF}/u', '', $h );
-            return strtolower( $h );
+            return preg_replace( '/^\x{FEFF}/u', '', $h );
         }, $header );
+        $header = array_map( 'strtolower', $raw_header );
 
-        // Strict header validation: must contain exactly code, phone, discount
-        $required = [ 'code', 'phone', 'discount' ];
+        // Strict header validation: the key columns of the import type must be present
+        $required = $import_type === self::CSV_IMPORT_PRODUCTS ? [ 'sku' ] : [ 'code', 'phone', 'discount' ];
         $diff     = array_diff( $required, $header );
         if ( ! empty( $diff ) ) {
             // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
@@ -1476,52 +1871,58 @@ class Sync_Service {
             @ini_set( 'auto_detect_line_endings', $prev_ini );
             throw new \Exception(
                 sprintf(
-                    /* translators: %s: comma-separated list of missing headers */
-                    __( 'CSV is missing required headers: %s. Required: code, phone, discount.', 'erp-sync' ),
-                    implode( ', ', $diff )
+                    /* translators: 1: comma-separated list of missing headers, 2: comma-separated list of required headers */
+                    __( 'CSV is missing required headers: %1$s. Required: %2$s.', 'erp-sync' ),
+                    implode( ', ', $diff ),
+                    implode( ', ', $required )
                 )
             );
         }
 
-        // Map column indices
-        $col_code     = array_search( 'code', $header, true );
-        $col_phone    = array_search( 'phone', $header, true );
-        $col_discount = array_search( 'discount', $header, true );
+        // Per-branch stock columns keep the branch name's original case
+        $stock_columns = [];
+        foreach ( $header as $index => $name ) {
+            if ( strpos( $name, self::CSV_STOCK_COLUMN_PREFIX ) === 0 ) {
+                $location = trim( substr( $raw_header[ $index ], strlen( self::CSV_STOCK_COLUMN_PREFIX ) ) );
+                if ( $location !== '' ) {
+                    $stock_columns[ $index ] = $location;
+                }
+            }
+        }
 
-        $rows    = [];
-        $line_no = 1; // Header was line 1
+        $col_line = array_search( 'line', $header, true );
+        $rows     = [];
+        $line_no  = 1; // Header was line 1
 
         while ( ( $line = fgetcsv( $handle ) ) !== false ) {
             $line_no++;
 
             // Skip empty rows
-            if ( empty( $line ) || ( count( $line ) === 1 && trim( $line[0] ) === '' ) ) {
+            if ( empty( $line ) || ( count( $line ) === 1 && trim( (string) $line[0] ) === '' ) ) {
                 continue;
             }
 
-            $code     = isset( $line[ $col_code ] ) ? sanitize_text_field( trim( $line[ $col_code ] ) ) : '';
-            $phone    = isset( $line[ $col_phone ] ) ? sanitize_text_field( trim( $line[ $col_phone ] ) ) : '';
-            $discount = isset( $line[ $col_discount ] ) ? trim( $line[ $col_discount ] ) : '0';
+            $cells = [];
+            foreach ( $header as $index => $name ) {
+                $cells[ $name ] = isset( $line[ $index ] ) ? trim( (string) $line[ $index ] ) : '';
+            }
+
+            if ( $import_type === self::CSV_IMPORT_PRODUCTS ) {
+                $row = $this->parse_product_csv_row( $cells, $line, $stock_columns );
+            } else {
+                $row = $this->parse_coupon_csv_row( $cells );
+            }
 
-            if ( empty( $code ) ) {
-                Logger::instance()->log( 'CSV import: skipping row with empty code', [
-                    'line' => $line_no,
+            if ( $row === null ) {
+                Logger::instance()->log( 'CSV import: skipping row with empty key', [
+                    'line'        => $line_no,
+                    'import_type' => $import_type,
                 ] );
                 continue;
             }
 
-            // Normalize phone using the plugin's helper
-            $phone = Coupon_Dynamic::normalize_phone( $phone );
-
-            // Sanitize discount to a non-negative number
-            $discount = max( 0, (int) $discount );
-
-            $rows[] = [
-                'code'     => $code,
-                'phone'    => $phone,
-                'discount' => $discount,
-                'line'     => $line_no,
-            ];
+            $row['line'] = ( $col_line !== false && isset( $line[ $col_line ] ) ) ? absint( $line[ $col_line ] ) : $line_no;
+            $rows[]      = $row;
         }
 
         // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
@@ -1533,19 +1934,103 @@ class Sync_Service {
     }
 
     /**
-     * Process a batch of CSV coupon rows from cache.
+     * Build a coupon import row from the cells of one CSV line.
+     *
+     * Optional columns (dob, is_deleted, allowed_phones, expiry_date) are only
+     * included when the cell is filled, so an empty cell leaves the coupon's
+     * current value untouched.
+     *
+     * @param array<string, string> $cells Cell values keyed by lowercase header.
+     * @return array|null Row with keys code, phone, discount and the filled optional keys; null without a code.
+     */
+    private function parse_coupon_csv_row( array $cells ): ?array {
+        $code = sanitize_text_field( $cells['code'] ?? '' );
+        if ( $code === '' ) {
+            return null;
+        }
+
+        $row = [
+            'code'     => $code,
+            // Normalize phone using the plugin's helper
+            'phone'    => Coupon_Dynamic::normalize_phone( sanitize_text_field( $cells['phone'] ?? '' ) ),
+            // Sanitize discount to a non-negative number
+            'discount' => max( 0, (int) ( $cells['discount'] ?? 0 ) ),
+        ];
+
+        if ( ( $cells['dob'] ?? '' ) !== '' ) {
+            $row['dob'] = sanitize_text_field( $cells['dob'] );
+        }
+
+        if ( ( $cells['is_deleted'] ?? '' ) !== '' ) {
+            $row['is_deleted'] = in_array( strtolower( $cells['is_deleted'] ), [ 'yes', 'y', '1', 'true' ], true ) ? 'yes' : 'no';
+        }
+
+        if ( ( $cells['allowed_phones'] ?? '' ) !== '' ) {
+            $phones = array_map( [ Coupon_Dynamic::class, 'normalize_phone' ], preg_split( '/[,;]/', $cells['allowed_phones'] ) );
+            $row['allowed_phones'] = array_values( array_filter( $phones ) );
+        }
+
+        if ( ( $cells['expiry_date'] ?? '' ) !== '' ) {
+            $row['expiry_date'] = sanitize_text_field( $cells['expiry_date'] );
+        }
+
+        return $row;
+    }
+
+    /**
+     * Build a product price/stock override row from one CSV line.
      *
-     * For each row, creates or updates a WooCommerce coupon using the
+     * Empty price cells and empty stock cells are left out, so they keep the
+     * product's current value.
+     *
+     * @param array<string, string> $cells         Cell values keyed by lowercase header.
+     * @param array                 $line          Raw CSV line.
+     * @param array<int, string>    $stock_columns Column index => branch location name.
+     * @return array|null Row with keys sku, warehouses and the filled price keys; null without a SKU.
+     */
+    private function parse_product_csv_row( array $cells, array $line, array $stock_columns ): ?array {
+        $sku = sanitize_text_field( $cells['sku'] ?? '' );
+        if ( $sku === '' ) {
+            return null;
+        }
+
+        $row = [
+            'sku'        => $sku,
+            'warehouses' => [],
+        ];
+
+        foreach ( [ 'price', 'sale_price' ] as $key ) {
+            if ( ( $cells[ $key ] ?? '' ) !== '' ) {
+                $row[ $key ] = $cells[ $key ];
+            }
+        }
+
+        foreach ( $stock_columns as $index => $location ) {
+            $quantity = isset( $line[ $index ] ) ? trim( (string) $line[ $index ] ) : '';
+            if ( $quantity !== '' ) {
+                $row['warehouses'][ $location ] = $quantity;
+            }
+        }
+
+        return $row;
+    }
+
+    /**
+     * Process a batch of CSV rows from cache.
+     *
+     * Coupon rows create or update a WooCommerce coupon using the
      * "Update or Create" strategy with the CSV as source of truth.
+     * Product rows apply a price/stock override to an existing product.
      *
      * @param string $session_id    Unique session identifier.
      * @param string $transient_key Transient key for cached data.
      * @param int    $offset        Current offset.
      * @param int    $batch_size    Number of items to process.
+     * @param string $import_type   CSV_IMPORT_COUPONS or CSV_IMPORT_PRODUCTS.
      * @return array Response with batch stats.
      * @throws \Exception If cached data is missing.
      */
-    private function process_csv_batch_from_cache( string $session_id, string $transient_key, int $offset, int $batch_size ): array {
+    private function process_csv_batch_from_cache( string $session_id, string $transient_key, int $offset, int $batch_size, string $import_type ): array {
         // Retrieve cached data
         $rows = get_transient( $transient_key );
 
@@ -1555,6 +2040,11 @@ class Sync_Service {
 
         $total = count( $rows );
 
+        $already_processed = $this->get_already_processed_response( $session_id, $offset, $total );
+        if ( $already_processed !== null ) {
+            return $already_processed;
+        }
+
         // Get batch using array_slice
         $batch = array_slice( $rows, $offset, $batch_size );
 
@@ -1571,13 +2061,19 @@ class Sync_Service {
             ];
         }
 
-        $created = 0;
-        $updated = 0;
-        $errors  = 0;
+        $created  = 0;
+        $updated  = 0;
+        $errors   = 0;
+        $failures = [];
 
         foreach ( $batch as $row ) {
             try {
-                $result = $this->create_or_update_coupon_from_csv( $row );
+                if ( $import_type === self::CSV_IMPORT_PRODUCTS ) {
+                    $this->product_service->apply_csv_override( $row );
+                    $result = 'updated';
+                } else {
+                    $result = $this->create_or_update_coupon_from_csv( $row );
+                }
                 if ( $result === 'created' ) {
                     $created++;
                 } else {
@@ -1585,9 +2081,15 @@ class Sync_Service {
                 }
             } catch ( \Throwable $e ) {
                 $errors++;
+                $failures[] = [
+                    'type'   => 'csv',
+                    'key'    => (string) ( $row['code'] ?? $row['sku'] ?? '' ),
+                    'line'   => (int) ( $row['line'] ?? 0 ),
+                    'reason' => $e->getMessage(),
+                ];
                 Logger::instance()->log( 'CSV import row error', [
                     'session_id' => $session_id,
-                    'code'       => $row['code'] ?? '',
+                    'code'       => $row['code'] ?? $row['sku'] ?? '',
                     'line'       => $row['line'] ?? 0,
                     'error'      => $e->getMessage(),
                 ] );
@@ -1600,7 +2102,21 @@ class Sync_Service {
         $next_offset = $offset + count( $batch );
 
         // Update progress
-        $this->set_progress( $next_offset, $total, sprintf( 'CSV import: processing batch at offset %d', $offset ) );
+        $this->set_progress( $next_offset, $total, sprintf( 'CSV import: processing batch at offset %d', $offset ), [
+            'session_id' => $session_id,
+            'batch'      => compact( 'created', 'updated', 'errors' ),
+            'event'      => sprintf( 'CSV rows at offset %d: %d rows, %d errors', $offset, count( $batch ), $errors ),
+        ] );
+
+        // Remember the confirmed offset so an aborted import can report what was applied
+        $this->update_session_offset( $session_id, $next_offset );
+
+        Sync_History::add_counts( $session_id, [
+            'processed' => count( $batch ),
+            'created'   => $created,
+            'updated'   => $updated,
+            'errors'    => $errors,
+        ] );
 
         Logger::instance()->log( 'CSV batch processed from cache', [
             'session_id'  => $session_id,
@@ -1620,6 +2136,7 @@ class Sync_Service {
             'created'     => $created,
             'updated'     => $updated,
             'errors'      => $errors,
+            'failures'    => $failures,
             'step'        => 'process',
         ];
     }
@@ -1628,17 +2145,34 @@ class Sync_Service {
      * Create or update a WooCommerce coupon from a CSV row.
      *
      * Uses the "Update or Create" strategy with the CSV as source of truth.
-     * Maps phone → _erp_sync_allowed_phones, discount → coupon_amount + _erp_sync_base_discount.
+     * Maps phone + allowed_phones → _erp_sync_allowed_phones, discount → coupon_amount + _erp_sync_base_discount.
+     * Optional dob, is_deleted and expiry_date are only written when present;
+     * a DOB from the CSV is marked manual so the ERP sync does not overwrite it.
      * Sets mandatory attributes: _erp_sync_managed=1, exclude_sale_items=yes,
      * discount_type=percent, post_status=publish.
      *
-     * @param array $row CSV row with keys: code, phone, discount, line.
+     * @param array $row CSV row with keys: code, phone, discount, line (+ optional dob, is_deleted, allowed_phones, expiry_date).
      * @return string 'created' or 'updated'.
+     * @throws \Exception If a date is invalid or the coupon cannot be created.
      */
     private function create_or_update_coupon_from_csv( array $row ): string {
         $code     = erp_sync_format_code( $row['code'] );
-        $phone    = $row['phone'];
         $discount = max( 0, (int) $row['discount'] );
+        $phones   = array_values( array_unique( array_filter( array_merge( [ $row['phone'] ], $row['allowed_phones'] ?? [] ) ) ) );
+
+        // Reject bad dates before anything is written
+        foreach ( [ 'dob', 'expiry_date' ] as $date_key ) {
+            if ( isset( $row[ $date_key ] ) && ! $this->is_valid_csv_date( $row[ $date_key ] ) ) {
+                throw new \Exception(
+                    sprintf(
+                        /* translators: 1: column name, 2: cell value */
+                        __( 'Invalid %1$s "%2$s", expected YYYY-MM-DD', 'erp-sync' ),
+                        $date_key,
+                        $row[ $date_key ]
+                    )
+                );
+            }
+        }
 
         $coupon_id = wc_get_coupon_id_by_code( $code );
         $action    = 'updated';
@@ -1680,8 +2214,22 @@ class Sync_Service {
         update_post_meta( $coupon_id, 'coupon_amount', $discount );
         update_post_meta( $coupon_id, '_erp_sync_base_discount', $discount );
 
-        // Map phone → _erp_sync_allowed_phones (overwrite existing value)
-        update_post_meta( $coupon_id, '_erp_sync_allowed_phones', $phone );
+        // Map phone + allowed_phones → _erp_sync_allowed_phones (overwrite existing value)
+        update_post_meta( $coupon_id, '_erp_sync_allowed_phones', implode( ', ', $phones ) );
+
+        if ( isset( $row['dob'] ) ) {
+            update_post_meta( $coupon_id, '_erp_sync_dob', $row['dob'] );
+            update_post_meta( $coupon_id, '_erp_sync_dob_is_manual', 'yes' );
+        }
+
+        if ( isset( $row['is_deleted'] ) ) {
+            update_post_meta( $coupon_id, '_erp_sync_is_deleted', $row['is_deleted'] );
+        }
+
+        if ( isset( $row['expiry_date'] ) ) {
+            // WooCommerce stores the expiry as a timestamp at midnight site time
+            update_post_meta( $coupon_id, 'date_expires', wc_string_to_datetime( $row['expiry_date'] )->getTimestamp() );
+        }
 
         // Update sync metadata
         update_post_meta( $coupon_id, '_erp_sync_synced_at', current_time( 'mysql' ) );
@@ -1700,6 +2248,19 @@ class Sync_Service {
         return $action;
     }
 
+    /**
+     * Check a CSV date cell (YYYY-MM-DD, real calendar date).
+     *
+     * @param string $date Cell value.
+     * @return bool
+     */
+    private function is_valid_csv_date( string $date ): bool {
+        if ( ! preg_match( '/^(\d{4})-(\d{2})-(\d{2})$/', $date, $m ) ) {
+            return false;
+        }
+        return checkdate( (int) $m[2], (int) $m[3], (int) $m[1] );
+    }
+
     /**
      * Cleanup CSV import: delete transient and update last sync time.
      *
@@ -1727,6 +2288,8 @@ class Sync_Service {
         // Clear progress
         $this->clear_progress();
 
+        Sync_History::finish( $session_id, Sync_History::STATUS_COMPLETED );
+
         Logger::instance()->log( 'CSV import cleanup completed', [
             'session_id' => $session_id,
         ] );
@@ -1881,23 +2444,25 @@ class Sync_Service {
      *
      * @param array  $batch      Array of stock rows to process.
      * @param string $session_id Unique session identifier for this sync.
+     * @param bool   $dry_run    Collect proposed changes instead of saving.
      * @return array{updated: int, skipped: int, errors: int, total: int} Batch processing statistics.
      */
-    public function process_stock_batch( array $batch, string $session_id ): array {
+    public function process_stock_batch( array $batch, string $session_id, bool $dry_run = false ): array {
         Logger::instance()->log( 'Processing stock batch', [
             'session_id' => $session_id,
             'batch_size' => count( $batch ),
         ] );
 
         $default_stats = [
-            'updated' => 0,
-            'skipped' => 0,
-            'errors'  => 0,
-            'total'   => count( $batch ),
+            'updated'  => 0,
+            'skipped'  => 0,
+            'errors'   => 0,
+            'total'    => count( $batch ),
+            'failures' => [],
         ];
 
         try {
-            $stats = $this->product_service->sync_stock_batch( $batch, $session_id );
+            $stats = $this->product_service->sync_stock_batch( $batch, $session_id, $dry_run );
 
             Logger::instance()->log( 'Stock batch processed', [
                 'session_id' => $session_id,
@@ -1915,6 +2480,19 @@ class Sync_Service {
                 'error'      => $e->getMessage(),
             ] );
 
+            // The whole batch failed, so report every row for retry
+            foreach ( $batch as $row ) {
+                $sku = sanitize_text_field( trim( $row['VendorCode'] ?? '' ) );
+
+                $default_stats['errors']++;
+                $default_stats['failures'][] = [
+                    'type'       => 'product',
+                    'key'        => $sku,
+                    'product_id' => $sku !== '' ? (int) wc_get_product_id_by_sku( $sku ) : 0,
+                    'reason'     => $e->getMessage(),
+                ];
+            }
+
             return $default_stats;
         }
     }
@@ -2069,11 +2647,17 @@ class Sync_Service {
      * @param array $card Card data from 1C
      * @param bool $is_update Whether this is an update operation
      * @param bool $force Force overwrite all data (for force_import_all and full_sync)
+     * @param bool $dry_run Don't save anything, return the proposed diff instead
+     * @return array|null Proposed diff in dry-run mode, null otherwise
      */
-    public function create_or_update_coupon( array $card, bool $is_update, bool $force = false ): void {
+    public function create_or_update_coupon( array $card, bool $is_update, bool $force = false, bool $dry_run = false ): ?array {
         $code = erp_sync_format_code( $card['CardCode'] );
         $coupon_id = wc_get_coupon_id_by_code( $code );
 
+        if ( $dry_run ) {
+            return $this->preview_coupon_changes( $card, $code, (int) $coupon_id );
+        }
+
         // Create new coupon if doesn't exist
         if ( ! $coupon_id ) {
             $coupon_id = wp_insert_post( [
@@ -2094,7 +2678,7 @@ class Sync_Service {
                     'error' => $coupon_id->get_error_message(),
                     'user'  => wp_get_current_user()->user_login ?? 'system'
                 ] );
-                return;
+                return null;
             }
             
             // Set initial coupon settings
@@ -2186,29 +2770,374 @@ class Sync_Service {
         
         // Trigger WooCommerce coupon update hook
         do_action( 'woocommerce_update_coupon', $coupon_id );
+
+        return null;
     }
 
     /**
-     * Set sync progress for UI feedback
+     * Describe what create_or_update_coupon() would change, without saving.
+     *
+     * @param array  $card      Card data from 1C.
+     * @param string $code      Formatted coupon code.
+     * @param int    $coupon_id Existing coupon ID, or 0 if the coupon would be created.
+     * @return array{type: string, key: string, name: string, action: string, changes: array} Proposed diff.
      */
-    private function set_progress( int $current, int $total, string $status = '' ): void {
+    private function preview_coupon_changes( array $card, string $code, int $coupon_id ): array {
+        $new = [
+            'coupon_amount'        => (string) max( 0, (int) ( $card['DiscountPercentage'] ?? 0 ) ),
+            '_erp_sync_is_deleted' => ! empty( $card['IsDeleted'] ) ? 'yes' : 'no',
+            '_erp_sync_name'       => sanitize_text_field( $card['Name'] ?? '' ),
+            '_erp_sync_inn'        => sanitize_text_field( $card['Inn'] ?? '' ),
+            '_erp_sync_mobile'     => sanitize_text_field( $card['MobileNumber'] ?? '' ),
+        ];
+
+        // Manually edited birthdays are never overwritten by a sync
+        if ( ! $coupon_id || get_post_meta( $coupon_id, '_erp_sync_dob_is_manual', true ) !== 'yes' ) {
+            $new['_erp_sync_dob'] = sanitize_text_field( $card['DateOfBirth'] ?? '' );
+        }
+
+        $changes = [];
+        foreach ( $new as $key => $value ) {
+            $old = $coupon_id ? (string) get_post_meta( $coupon_id, $key, true ) : '';
+            if ( $old !== $value ) {
+                $changes[] = [
+                    'field' => str_replace( '_erp_sync_', '', $key ),
+                    'old'   => $old,
+                    'new'   => $value,
+                ];
+            }
+        }
+
+        if ( ! $coupon_id ) {
+            $action = 'create';
+        } elseif ( $new['_erp_sync_is_deleted'] === 'yes' && get_post_meta( $coupon_id, '_erp_sync_is_deleted', true ) !== 'yes' ) {
+            $action = 'delete';
+        } else {
+            $action = 'update';
+        }
+
+        return [
+            'type'    => 'coupon',
+            'key'     => $code,
+            'name'    => $new['_erp_sync_name'],
+            'action'  => $action,
+            'changes' => $changes,
+        ];
+    }
+
+    /**
+     * Update the progress transient read by the admin sync console.
+     *
+     * Successive calls for the same session keep the start time, counters
+     * and event log, so any open admin page can follow AJAX and cron runs.
+     * Passing 'type' marks the start of a run and always resets them, since
+     * the synchronous coupon syncs have no session ID to tell runs apart.
+     *
+     * @param int    $current Items processed so far.
+     * @param int    $total   Total items.
+     * @param string $status  Current status text.
+     * @param array  $context Optional: 'session_id', 'type' (run start), 'event' (message appended
+     *                        to the event log), 'counters' (running totals) or
+     *                        'batch' (counts added to the running totals).
+     */
+    private function set_progress( int $current, int $total, string $status = '', array $context = [] ): void {
+        $previous   = get_transient( self::TRANSIENT_PROGRESS );
+        $session_id = (string) ( $context['session_id'] ?? '' );
+        $same_run   = ! isset( $context['type'] ) && is_array( $previous ) && ( $previous['session_id'] ?? '' ) === $session_id;
+
+        $counters = [ 'created' => 0, 'updated' => 0, 'skipped' => 0, 'errors' => 0 ];
+        if ( $same_run && is_array( $previous['counters'] ?? null ) ) {
+            $counters = array_merge( $counters, $previous['counters'] );
+        }
+        foreach ( array_keys( $counters ) as $key ) {
+            if ( isset( $context['counters'][ $key ] ) ) {
+                $counters[ $key ] = (int) $context['counters'][ $key ];
+            }
+            $counters[ $key ] += (int) ( $context['batch'][ $key ] ?? 0 );
+        }
+
+        $events = $same_run && is_array( $previous['events'] ?? null ) ? $previous['events'] : [];
+        if ( ! empty( $context['event'] ) ) {
+            $events[] = [
+                'time'    => time(),
+                'message' => (string) $context['event'],
+            ];
+            $events = array_slice( $events, -self::PROGRESS_MAX_EVENTS );
+        }
+
+        if ( $same_run && $session_id !== '' && ! empty( $previous['source'] ) ) {
+            // A run keeps the source it was started from, e.g. REST runs continued on WP-Cron
+            $source = $previous['source'];
+        } elseif ( wp_doing_cron() ) {
+            $source = 'cron';
+        } elseif ( wp_doing_ajax() || REST_API::is_admin_request() ) {
+            $source = 'ajax';
+        } elseif ( defined( 'REST_REQUEST' ) && REST_REQUEST ) {
+            $source = 'api';
+        } else {
+            $source = 'admin';
+        }
+
         $progress = [
-            'progress'    => $total > 0 ? round( ( $current / $total ) * 100 ) : 0,
-            'current'     => $current,
-            'total'       => $total,
-            'status'      => $status,
-            'timestamp'   => time(),
-            'user'        => wp_get_current_user()->user_login ?? 'system'
+            'progress'   => $total > 0 ? round( ( $current / $total ) * 100 ) : 0,
+            'current'    => $current,
+            'total'      => $total,
+            'status'     => $status,
+            'timestamp'  => time(),
+            'user'       => wp_get_current_user()->user_login ?? 'system',
+            'session_id' => $session_id,
+            'type'       => (string) ( $context['type'] ?? ( $same_run ? ( $previous['type'] ?? '' ) : '' ) ),
+            'source'     => $source,
+            'started_at' => $same_run ? (int) ( $previous['started_at'] ?? time() ) : time(),
+            'counters'   => $counters,
+            'events'     => $events,
         ];
         
-        set_transient( 'erp_sync_sync_progress', $progress, 300 ); // 5 minutes
+        set_transient( self::TRANSIENT_PROGRESS, $progress, 300 ); // 5 minutes
     }
 
     /**
-     * Clear progress transient
+     * Clear progress transient, keeping a snapshot of the finished run.
      */
     private function clear_progress(): void {
-        delete_transient( 'erp_sync_sync_progress' );
+        $progress = get_transient( self::TRANSIENT_PROGRESS );
+
+        if ( is_array( $progress ) ) {
+            $progress['finished_at'] = time();
+            set_transient( self::TRANSIENT_LAST_PROGRESS, $progress, 10 * MINUTE_IN_SECONDS );
+        }
+
+        delete_transient( self::TRANSIENT_PROGRESS );
+    }
+
+    /**
+     * Response for a process step whose batch the server already finished.
+     *
+     * A client that timed out retries the offset it sent, but the server
+     * usually completed that batch anyway and moved the confirmed offset on.
+     * Running it again would count it twice in the run history and the sync
+     * console, so the client continues from the confirmed offset instead.
+     *
+     * @param string $session_id Unique session identifier.
+     * @param int    $offset     Requested offset.
+     * @param int    $total      Total items.
+     * @return array|null Step response, or null when the batch still has to be processed.
+     */
+    private function get_already_processed_response( string $session_id, int $offset, int $total ): ?array {
+        $session = get_option( self::OPTION_ACTIVE_SESSION, [] );
+
+        if ( ! is_array( $session ) || ( $session['session_id'] ?? '' ) !== $session_id ) {
+            return null;
+        }
+
+        $confirmed = min( (int) ( $session['offset'] ?? 0 ), $total );
+        if ( $offset >= $confirmed ) {
+            return null;
+        }
+
+        Logger::instance()->log( 'Batch already processed, continuing from the confirmed offset', [
+            'session_id' => $session_id,
+            'offset'     => $offset,
+            'confirmed'  => $confirmed,
+        ] );
+
+        return [
+            'message'           => __( 'Batch already processed', 'erp-sync' ),
+            'total'             => $total,
+            'next_offset'       => $confirmed,
+            'processed'         => 0,
+            'created'           => 0,
+            'updated'           => 0,
+            'skipped'           => 0,
+            'errors'            => 0,
+            'already_processed' => true,
+            'step'              => 'process',
+        ];
+    }
+
+    /**
+     * Store the last confirmed offset on the active session.
+     *
+     * @param string $session_id Unique session identifier.
+     * @param int    $offset     Offset of the next unprocessed item.
+     */
+    private function update_session_offset( string $session_id, int $offset ): void {
+        $session = get_option( self::OPTION_ACTIVE_SESSION, [] );
+
+        if ( ! is_array( $session ) || ( $session['session_id'] ?? '' ) !== $session_id ) {
+            return;
+        }
+
+        $session['offset']     = $offset;
+        $session['updated_at'] = current_time( 'mysql' );
+
+        update_option( self::OPTION_ACTIVE_SESSION, $session );
+    }
+
+    /**
+     * Cleanup after a dry run: release the session without recording a sync.
+     *
+     * For product syncs the cached feed is compared against the catalog to
+     * list the in-stock products that orphan cleanup would target.
+     *
+     * @param string $session_id    Unique session identifier.
+     * @param string $type          Session type: 'stock', 'catalog' or 'coupons'.
+     * @param string $transient_key Transient key for cached data.
+     * @param string $lock_key      Lock transient for this sync type.
+     * @return array Response with orphan candidates as proposed changes.
+     */
+    private function cleanup_dry_run( string $session_id, string $type, string $transient_key, string $lock_key ): array {
+        $changes       = [];
+        $orphans_found = 0;
+
+        if ( $type === 'stock' || $type === 'catalog' ) {
+            $rows = get_transient( $transient_key );
+            $skus = is_array( $rows ) ? array_filter( array_map( function ( $row ) {
+                return sanitize_text_field( trim( (string) ( $row['VendorCode'] ?? '' ) ) );
+            }, $rows ) ) : [];
+
+            // Without a cached feed every product would look orphaned
+            if ( ! empty( $skus ) ) {
+                $orphans       = $this->product_service->find_orphan_candidates( $skus );
+                $orphans_found = $orphans['count'];
+
+                foreach ( $orphans['items'] as $orphan ) {
+                    $changes[] = [
+                        'type'    => 'orphan',
+                        'key'     => $orphan['sku'],
+                        'name'    => $orphan['name'],
+                        'action'  => 'orphan',
+                        'changes' => [ [ 'field' => 'stock', 'old' => $orphan['stock'], 'new' => 0 ] ],
+                    ];
+                }
+            }
+        }
+
+        delete_transient( $transient_key );
+
+        if ( get_transient( $lock_key ) === $session_id ) {
+            delete_transient( $lock_key );
+        }
+
+        delete_option( self::OPTION_ACTIVE_SESSION );
+        $this->clear_progress();
+
+        Logger::instance()->log( 'Dry run finished, nothing was saved', [
+            'session_id'    => $session_id,
+            'type'          => $type,
+            'orphans_found' => $orphans_found,
+        ] );
+
+        return [
+            'message'        => __( 'Dry run completed. No changes were saved.', 'erp-sync' ),
+            // Orphan cleanup is permanently disabled, so these products keep their stock
+            'orphans_zeroed' => 0,
+            'orphans_found'  => $orphans_found,
+            'changes'        => $changes,
+            'step'           => 'cleanup',
+        ];
+    }
+
+    /**
+     * Abort a step-based sync session.
+     *
+     * Drops the cached data, releases the lock and clears the active session
+     * without running the cleanup step, so orphan zeroing never runs on a
+     * partially processed feed. Batches already processed stay applied.
+     *
+     * @param string $session_id    Unique session identifier.
+     * @param string $type          Session type: 'stock', 'catalog', 'coupons' or 'csv_import'.
+     * @param string $transient_key Transient key for cached data.
+     * @param string $lock_key      Lock transient for this sync type.
+     * @return array Response with the number of items processed before the abort.
+     */
+    private function abort_session( string $session_id, string $type, string $transient_key, string $lock_key ): array {
+        $session   = get_option( self::OPTION_ACTIVE_SESSION, [] );
+        $is_active = is_array( $session ) && ( $session['session_id'] ?? '' ) === $session_id;
+        $processed = $is_active ? (int) ( $session['offset'] ?? 0 ) : 0;
+
+        // Delete the cached data transient
+        delete_transient( $transient_key );
+
+        // Release the lock only if this session still holds it
+        if ( get_transient( $lock_key ) === $session_id ) {
+            delete_transient( $lock_key );
+        }
+
+        if ( $is_active ) {
+            delete_option( self::OPTION_ACTIVE_SESSION );
+        }
+
+        $this->clear_progress();
+
+        Sync_History::finish( $session_id, Sync_History::STATUS_ABORTED );
+
+        Logger::instance()->log( 'Sync session aborted, cleanup skipped', [
+            'session_id' => $session_id,
+            'type'       => $type,
+            'processed'  => $processed,
+            'user'       => wp_get_current_user()->user_login ?? 'system',
+        ] );
+
+        return [
+            'message'        => __( 'Sync cancelled. Already processed items were kept; cleanup was skipped.', 'erp-sync' ),
+            'processed'      => $processed,
+            'orphans_zeroed' => 0,
+            'step'           => 'abort',
+        ];
+    }
+
+    /**
+     * Resume an interrupted step-based sync session.
+     *
+     * Re-acquires the lock for the session and returns the last offset
+     * confirmed by a 'process' step, so the client continues with the
+     * same session ID and cached data.
+     *
+     * @param string $session_id Unique session identifier.
+     * @param string $type       Session type: 'stock', 'catalog' or 'coupons'.
+     * @param string $lock_key   Lock transient for this sync type.
+     * @return array Response with total count and next offset.
+     * @throws \Exception If the session is unknown or another sync holds the lock.
+     */
+    private function resume_session( string $session_id, string $type, string $lock_key ): array {
+        $session = get_option( self::OPTION_ACTIVE_SESSION, [] );
+
+        if ( ! is_array( $session )
+            || ( $session['session_id'] ?? '' ) !== $session_id
+            || ( $session['type'] ?? '' ) !== $type
+        ) {
+            throw new \Exception( __( 'This sync session can no longer be resumed. Please start a new sync.', 'erp-sync' ) );
+        }
+
+        $lock = get_transient( $lock_key );
+        if ( $lock && $lock !== $session_id ) {
+            throw new \Exception( __( 'Sync already in progress. Please wait.', 'erp-sync' ) );
+        }
+
+        // Lock may have expired while the session was interrupted
+        set_transient( $lock_key, $session_id, self::TRANSIENT_LOCK_EXPIRATION );
+
+        // A run recorded as failed when its request errored continues as the same run
+        Sync_History::resume( $session_id );
+
+        $total       = (int) ( $session['total'] ?? 0 );
+        $next_offset = min( (int) ( $session['offset'] ?? 0 ), $total );
+
+        Logger::instance()->log( 'Sync session resumed', [
+            'session_id'  => $session_id,
+            'type'        => $type,
+            'next_offset' => $next_offset,
+            'total'       => $total,
+            'user'        => wp_get_current_user()->user_login ?? 'system',
+        ] );
+
+        return [
+            'message'     => sprintf( __( 'Resuming sync from item %1$d of %2$d', 'erp-sync' ), $next_offset, $total ),
+            'total'       => $total,
+            'next_offset' => $next_offset,
+            'step'        => 'resume',
+        ];
     }
 
     /**
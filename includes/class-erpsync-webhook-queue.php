@@ -0,0 +1,502 @@
+<?php
+declare(strict_types=1);
+
+namespace ERPSync;
+
+if ( ! defined( 'ABSPATH' ) ) exit;
+
+/**
+ * Webhook Queue Class
+ *
+ * Persists outbound webhook notifications and delivers them from a WP-Cron
+ * worker, retrying failed ones with exponential backoff. Every delivery
+ * keeps its payload, attempts, last response code, response body and
+ * latency for the delivery log on the Webhooks tab.
+ *
+ * @package ERPSync
+ * @since 1.5.0
+ */
+class Webhook_Queue {
+
+    /**
+     * Table name without prefix.
+     */
+    private const TABLE_NAME = 'erp_sync_webhook_deliveries';
+
+    /**
+     * Schema version of the deliveries table; bump it when create_table() changes.
+     */
+    public const DB_VERSION = '1';
+
+    /**
+     * Option holding the installed schema version.
+     */
+    public const OPTION_DB_VERSION = 'erp_sync_webhook_deliveries_table_version';
+
+    /**
+     * WP-Cron hook of the delivery worker.
+     */
+    public const HOOK_WORKER = 'erp_sync_webhook_worker';
+
+    /**
+     * Delivery statuses. Pending deliveries include failed ones waiting for a retry.
+     */
+    public const STATUS_PENDING   = 'pending';
+    public const STATUS_DELIVERED = 'delivered';
+    public const STATUS_FAILED    = 'failed';
+
+    /**
+     * Attempts before a delivery is given up as failed.
+     */
+    public const MAX_ATTEMPTS = 8;
+
+    /**
+     * Retry delay after the first failed attempt, doubled for each further one.
+     */
+    private const RETRY_BASE_DELAY = 60;
+    private const RETRY_MAX_DELAY  = 21600;
+
+    /**
+     * Deliveries sent per worker run.
+     */
+    private const WORKER_BATCH = 20;
+
+    private const REQUEST_TIMEOUT = 15;
+
+    /**
+     * Bytes of the receiver's response body kept per delivery.
+     */
+    private const RESPONSE_BODY_MAX = 2048;
+
+    /**
+     * Days delivered and failed deliveries are kept.
+     */
+    private const RETENTION_DAYS = 30;
+
+    private const TRANSIENT_WORKER_LOCK = 'erp_sync_webhook_worker_lock';
+
+    public static function init(): void {
+        add_action( self::HOOK_WORKER, [ __CLASS__, 'run_worker' ] );
+    }
+
+    /**
+     * Get the full table name with WordPress prefix.
+     *
+     * @return string Full table name.
+     */
+    public static function get_table_name(): string {
+        global $wpdb;
+        return $wpdb->prefix . self::TABLE_NAME;
+    }
+
+    /**
+     * Create or upgrade the deliveries table.
+     */
+    public static function create_table(): void {
+        global $wpdb;
+
+        $table_name      = self::get_table_name();
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+            event varchar(50) NOT NULL DEFAULT '',
+            url varchar(2048) NOT NULL DEFAULT '',
+            payload longtext NOT NULL,
+            status varchar(20) NOT NULL DEFAULT '',
+            attempts smallint(5) UNSIGNED NOT NULL DEFAULT 0,
+            response_code smallint(5) UNSIGNED NOT NULL DEFAULT 0,
+            response_body text,
+            latency_ms int(10) UNSIGNED NOT NULL DEFAULT 0,
+            error text,
+            created_at datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            last_attempt_at datetime NULL DEFAULT NULL,
+            next_attempt_at datetime NULL DEFAULT NULL,
+            PRIMARY KEY  (id),
+            KEY status_next (status, next_attempt_at),
+            KEY created_at (created_at)
+        ) $charset_collate;";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta( $sql );
+
+        update_option( self::OPTION_DB_VERSION, self::DB_VERSION );
+
+        Logger::instance()->log( 'Webhook deliveries table created/verified', [] );
+    }
+
+    /**
+     * Queue a notification and wake the worker.
+     *
+     * @param string $event   Event name, e.g. 'coupon.applied'.
+     * @param string $url     Receiver URL.
+     * @param array  $payload Notification body.
+     * @return int Delivery ID.
+     */
+    public static function enqueue( string $event, string $url, array $payload ): int {
+        global $wpdb;
+
+        $now = current_time( 'mysql' );
+
+        $wpdb->insert(
+            self::get_table_name(),
+            [
+                'event'           => $event,
+                'url'             => $url,
+                'payload'         => wp_json_encode( $payload ),
+                'status'          => self::STATUS_PENDING,
+                'created_at'      => $now,
+                'next_attempt_at' => $now,
+            ],
+            [ '%s', '%s', '%s', '%s', '%s', '%s' ]
+        );
+
+        $id = (int) $wpdb->insert_id;
+
+        self::schedule_worker( time() );
+
+        return $id;
+    }
+
+    /**
+     * WP-Cron callback: send the deliveries that are due, then schedule the
+     * next run for the earliest pending retry.
+     */
+    public static function run_worker(): void {
+        global $wpdb;
+
+        if ( get_transient( self::TRANSIENT_WORKER_LOCK ) ) {
+            return;
+        }
+        set_transient( self::TRANSIENT_WORKER_LOCK, 1, self::WORKER_BATCH * self::REQUEST_TIMEOUT + 60 );
+
+        $table_name = self::get_table_name();
+
+        try {
+            $ids = $wpdb->get_col( $wpdb->prepare(
+                "SELECT id FROM $table_name WHERE status = %s AND next_attempt_at <= %s ORDER BY next_attempt_at ASC, id ASC LIMIT %d",
+                self::STATUS_PENDING,
+                current_time( 'mysql' ),
+                self::WORKER_BATCH
+            ) );
+
+            foreach ( $ids as $id ) {
+                self::deliver( (int) $id );
+            }
+
+            self::cleanup_old_deliveries();
+        } finally {
+            delete_transient( self::TRANSIENT_WORKER_LOCK );
+        }
+
+        $next = $wpdb->get_var( $wpdb->prepare(
+            "SELECT MIN(next_attempt_at) FROM $table_name WHERE status = %s",
+            self::STATUS_PENDING
+        ) );
+
+        if ( $next ) {
+            self::schedule_worker( (int) get_gmt_from_date( $next, 'U' ) );
+        }
+    }
+
+    /**
+     * Send one delivery now and record the outcome.
+     *
+     * A failed attempt is retried later until MAX_ATTEMPTS is reached.
+     *
+     * @param int         $id     Delivery ID.
+     * @param string|null $secret Secret to sign with, null for the saved webhook secret.
+     * @return array|null Updated delivery, or null if it does not exist.
+     */
+    public static function deliver( int $id, ?string $secret = null ): ?array {
+        global $wpdb;
+
+        $delivery = self::get( $id );
+        if ( $delivery === null ) {
+            return null;
+        }
+
+        $secret  = $secret ?? (string) get_option( Webhook::OPTION_WEBHOOK_SECRET, '' );
+        $headers = [
+            'Content-Type'       => 'application/json',
+            'User-Agent'         => 'ERPSync-Webhook/' . ERPSYNC_VERSION,
+            'X-ERPSync-Event'    => $delivery['event'],
+            'X-ERPSync-Delivery' => (string) $id,
+        ];
+
+        if ( $secret !== '' ) {
+            $headers['X-ERPSync-Secret']    = $secret;
+            $headers['X-ERPSync-Signature'] = hash_hmac( 'sha256', $delivery['payload'], $secret );
+        }
+
+        $start    = microtime( true );
+        $response = wp_remote_post( $delivery['url'], [
+            'body'    => $delivery['payload'],
+            'headers' => $headers,
+            'timeout' => self::REQUEST_TIMEOUT,
+        ] );
+        $latency_ms = (int) round( ( microtime( true ) - $start ) * 1000 );
+
+        $attempts = $delivery['attempts'] + 1;
+        $code     = is_wp_error( $response ) ? 0 : (int) wp_remote_retrieve_response_code( $response );
+        $success  = $code >= 200 && $code < 300;
+
+        if ( is_wp_error( $response ) ) {
+            $error = $response->get_error_message();
+        } elseif ( ! $success ) {
+            $error = sprintf( 'HTTP %d %s', $code, wp_remote_retrieve_response_message( $response ) );
+        } else {
+            $error = '';
+        }
+
+        if ( $success ) {
+            $status = self::STATUS_DELIVERED;
+            $next   = null;
+        } elseif ( $attempts >= self::MAX_ATTEMPTS ) {
+            $status = self::STATUS_FAILED;
+            $next   = null;
+        } else {
+            $status = self::STATUS_PENDING;
+            $next   = wp_date( 'Y-m-d H:i:s', time() + self::get_retry_delay( $attempts ) );
+        }
+
+        $wpdb->update(
+            self::get_table_name(),
+            [
+                'status'          => $status,
+                'attempts'        => $attempts,
+                'response_code'   => $code,
+                'response_body'   => is_wp_error( $response ) ? '' : substr( (string) wp_remote_retrieve_body( $response ), 0, self::RESPONSE_BODY_MAX ),
+                'latency_ms'      => $latency_ms,
+                'error'           => $error,
+                'last_attempt_at' => current_time( 'mysql' ),
+                'next_attempt_at' => $next,
+            ],
+            [ 'id' => $id ],
+            [ '%s', '%d', '%d', '%s', '%d', '%s', '%s', '%s' ],
+            [ '%d' ]
+        );
+
+        Logger::instance()->log( $success ? 'Webhook delivered' : 'Webhook delivery failed', [
+            'event'       => $delivery['event'],
+            'delivery_id' => $id,
+            'attempt'     => $attempts,
+            'code'        => $code,
+            'latency_ms'  => $latency_ms,
+            'error'       => $error,
+            'next'        => $next,
+        ] );
+
+        return self::get( $id );
+    }
+
+    /**
+     * Send a stored payload again as a new delivery, right away.
+     *
+     * @param int $id Delivery to copy.
+     * @return array|null The new delivery, or null if the original does not exist.
+     */
+    public static function redeliver( int $id ): ?array {
+        global $wpdb;
+
+        $original = self::get( $id );
+        if ( $original === null ) {
+            return null;
+        }
+
+        $wpdb->insert(
+            self::get_table_name(),
+            [
+                'event'      => $original['event'],
+                'url'        => $original['url'],
+                'payload'    => $original['payload'],
+                'status'     => self::STATUS_PENDING,
+                'created_at' => current_time( 'mysql' ),
+            ],
+            [ '%s', '%s', '%s', '%s', '%s' ]
+        );
+
+        $delivery = self::deliver( (int) $wpdb->insert_id );
+
+        if ( $delivery !== null && $delivery['status'] === self::STATUS_PENDING ) {
+            self::schedule_worker( (int) get_gmt_from_date( $delivery['next_attempt_at'], 'U' ) );
+        }
+
+        return $delivery;
+    }
+
+    /**
+     * Send a 'webhook.test' event right away. Test events are not retried.
+     *
+     * @param string $url    Receiver URL.
+     * @param string $secret Secret to sign with, empty for none.
+     * @return array The delivery with the receiver's response.
+     */
+    public static function send_test( string $url, string $secret ): array {
+        global $wpdb;
+
+        $wpdb->insert(
+            self::get_table_name(),
+            [
+                'event'      => 'webhook.test',
+                'url'        => $url,
+                'payload'    => wp_json_encode( [
+                    'event'     => 'webhook.test',
+                    'data'      => [ 'message' => 'Test event from ERP Sync' ],
+                    'timestamp' => current_time( 'mysql' ),
+                    'site_url'  => get_site_url(),
+                    'user'      => wp_get_current_user()->user_login ?? 'guest',
+                ] ),
+                'status'     => self::STATUS_PENDING,
+                'created_at' => current_time( 'mysql' ),
+            ],
+            [ '%s', '%s', '%s', '%s', '%s' ]
+        );
+        $id = (int) $wpdb->insert_id;
+
+        $delivery = self::deliver( $id, $secret );
+
+        if ( $delivery['status'] === self::STATUS_PENDING ) {
+            $wpdb->update(
+                self::get_table_name(),
+                [ 'status' => self::STATUS_FAILED, 'next_attempt_at' => null ],
+                [ 'id' => $id ],
+                [ '%s', '%s' ],
+                [ '%d' ]
+            );
+            $delivery['status']          = self::STATUS_FAILED;
+            $delivery['next_attempt_at'] = null;
+        }
+
+        return $delivery;
+    }
+
+    /**
+     * Get one delivery.
+     *
+     * @param int $id Delivery ID.
+     * @return array|null Delivery row, or null if it does not exist.
+     */
+    public static function get( int $id ): ?array {
+        global $wpdb;
+
+        $row = $wpdb->get_row( $wpdb->prepare(
+            'SELECT * FROM ' . self::get_table_name() . ' WHERE id = %d',
+            $id
+        ), ARRAY_A );
+
+        return $row ? self::normalize_row( $row ) : null;
+    }
+
+    /**
+     * Get a page of deliveries, newest first.
+     *
+     * @param string $status   Status to filter by, empty for all.
+     * @param int    $per_page Deliveries per page.
+     * @param int    $offset   Deliveries to skip.
+     * @return array Delivery rows.
+     */
+    public static function get_deliveries( string $status = '', int $per_page = 20, int $offset = 0 ): array {
+        global $wpdb;
+
+        $table_name = self::get_table_name();
+
+        if ( $status !== '' ) {
+            $rows = $wpdb->get_results( $wpdb->prepare(
+                "SELECT * FROM $table_name WHERE status = %s ORDER BY id DESC LIMIT %d OFFSET %d",
+                $status,
+                $per_page,
+                $offset
+            ), ARRAY_A );
+        } else {
+            $rows = $wpdb->get_results( $wpdb->prepare(
+                "SELECT * FROM $table_name ORDER BY id DESC LIMIT %d OFFSET %d",
+                $per_page,
+                $offset
+            ), ARRAY_A );
+        }
+
+        return array_map( [ __CLASS__, 'normalize_row' ], $rows ?: [] );
+    }
+
+    /**
+     * Count deliveries.
+     *
+     * @param string $status Status to filter by, empty for all.
+     * @return int
+     */
+    public static function count_deliveries( string $status = '' ): int {
+        global $wpdb;
+
+        $table_name = self::get_table_name();
+
+        if ( $status !== '' ) {
+            return (int) $wpdb->get_var( $wpdb->prepare( "SELECT COUNT(*) FROM $table_name WHERE status = %s", $status ) );
+        }
+
+        return (int) $wpdb->get_var( "SELECT COUNT(*) FROM $table_name" );
+    }
+
+    /**
+     * Delete delivered and failed deliveries older than RETENTION_DAYS.
+     *
+     * @return int Number of deleted deliveries.
+     */
+    public static function cleanup_old_deliveries(): int {
+        global $wpdb;
+
+        $deleted = $wpdb->query( $wpdb->prepare(
+            'DELETE FROM ' . self::get_table_name() . ' WHERE status != %s AND created_at < %s',
+            self::STATUS_PENDING,
+            gmdate( 'Y-m-d H:i:s', strtotime( current_time( 'mysql' ) ) - self::RETENTION_DAYS * DAY_IN_SECONDS )
+        ) );
+
+        return (int) $deleted;
+    }
+
+    /**
+     * Seconds to wait after the given failed attempt (1-based).
+     *
+     * @param int $attempts Attempts made so far.
+     * @return int
+     */
+    private static function get_retry_delay( int $attempts ): int {
+        return (int) min( self::RETRY_MAX_DELAY, self::RETRY_BASE_DELAY * ( 2 ** ( $attempts - 1 ) ) );
+    }
+
+    /**
+     * Make sure the worker runs no later than the given time.
+     *
+     * @param int $timestamp Unix timestamp.
+     */
+    private static function schedule_worker( int $timestamp ): void {
+        $scheduled = wp_next_scheduled( self::HOOK_WORKER );
+
+        if ( $scheduled && $scheduled <= $timestamp ) {
+            return;
+        }
+
+        if ( $scheduled ) {
+            wp_unschedule_event( $scheduled, self::HOOK_WORKER );
+        }
+
+        wp_schedule_single_event( max( time(), $timestamp ), self::HOOK_WORKER );
+    }
+
+    /**
+     * Cast the numeric columns of a delivery row.
+     *
+     * @param array $row Row from the deliveries table.
+     * @return array Delivery row.
+     */
+    private static function normalize_row( array $row ): array {
+        $row['id']            = (int) $row['id'];
+        $row['attempts']      = (int) $row['attempts'];
+        $row['response_code'] = (int) $row['response_code'];
+        $row['latency_ms']    = (int) $row['latency_ms'];
+        $row['response_body'] = (string) $row['response_body'];
+        $row['error']         = (string) $row['error'];
+
+        return $row;
+    }
+}
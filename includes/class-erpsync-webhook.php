@@ -77,6 +77,10 @@ class Webhook {
         }
         
         if ( empty( $provided_secret ) ) {
+            Security::log_security_event( Security::EVENT_SECRET_MISSING, Security::get_client_ip(), [
+                'route' => $request->get_route(),
+            ] );
+
             return new \WP_Error( 
                 'missing_secret', 
                 __( 'Webhook secret is required', 'erp-sync' ), 
@@ -88,6 +92,9 @@ class Webhook {
             Logger::instance()->log( 'Webhook authentication failed', [ 
                 'ip' => Security::get_client_ip() 
             ] );
+            Security::log_security_event( Security::EVENT_SECRET_INVALID, Security::get_client_ip(), [
+                'route' => $request->get_route(),
+            ] );
             
             return new \WP_Error( 
                 'invalid_secret', 
@@ -100,7 +107,7 @@ class Webhook {
     }
 
     /**
-     * Send webhook notification
+     * Queue a webhook notification for delivery
      */
     public static function send_webhook( string $event, array $data ): void {
         if ( ! get_option( self::OPTION_WEBHOOK_ENABLED, false ) ) {
@@ -127,36 +134,14 @@ class Webhook {
             'user'      => wp_get_current_user()->user_login ?? 'guest',
         ];
 
-        $secret = (string) get_option( self::OPTION_WEBHOOK_SECRET, '' );
-        $headers = [
-            'Content-Type' => 'application/json',
-            'User-Agent'   => 'ERPSync-Webhook/' . ERPSYNC_VERSION,
-        ];
+        // Sent by the Webhook_Queue worker, which retries until the receiver accepts it
+        $delivery_id = Webhook_Queue::enqueue( $event, $url, $payload );
 
-        if ( ! empty( $secret ) ) {
-            $headers['X-ERPSync-Secret'] = $secret;
-            $headers['X-ERPSync-Signature'] = hash_hmac( 'sha256', wp_json_encode( $payload ), $secret );
-        }
-
-        $response = wp_remote_post( $url, [
-            'body'    => wp_json_encode( $payload ),
-            'headers' => $headers,
-            'timeout' => 15,
-            'blocking' => false, // Don't wait for response
+        Logger::instance()->log( 'Webhook queued', [
+            'event'       => $event,
+            'url'         => $url,
+            'delivery_id' => $delivery_id,
         ] );
-
-        if ( is_wp_error( $response ) ) {
-            Logger::instance()->log( 'Webhook failed', [
-                'event' => $event,
-                'error' => $response->get_error_message(),
-                'url'   => $url,
-            ] );
-        } else {
-            Logger::instance()->log( 'Webhook sent', [
-                'event'  => $event,
-                'url'    => $url,
-            ] );
-        }
     }
 
     /**